@@ -0,0 +1,155 @@
+/**
+ * LLM decision provider (main process).
+ *
+ * Turns the AgentManager.compressState() snapshot into a short prompt,
+ * asks a chat-completion endpoint for per-agent movement intents and
+ * validates the JSON that comes back. Anything that goes wrong — no API
+ * key, timeout, rate limit, garbage JSON — returns no decision for that
+ * agent; the renderer's DecisionRouter fills the gaps with its heuristic.
+ *
+ * Config (constructor options, else env):
+ *   GROQ_API_KEY     — API key (a dummy key is used when only a base URL is set)
+ *   GROQ_BASE_URL    — endpoint override, e.g. http://127.0.0.1:8787 for a mock server
+ *   GROQ_MODEL       — model name (default llama-3.3-70b-versatile)
+ *   GROQ_TIMEOUT_MS  — per-request timeout (default 800)
+ */
+const Groq = require('groq-sdk');
+
+const DEFAULT_MODEL = 'llama-3.3-70b-versatile';
+const DEFAULT_TIMEOUT_MS = 800;
+const MAX_REQUESTS_PER_MIN = 25;  // free tier is 30, keep a margin
+const ARENA_BOUND = 16;
+
+const SYSTEM_PROMPT = [
+  'You control kids playing tag (сифа) on a playground.',
+  `Arena is x,z in -${ARENA_BOUND}..${ARENA_BOUND}. "it" is the tagger.`,
+  'The tagger chases the nearest runner, runners flee from the tagger.',
+  'Reply ONLY with JSON: {"decisions":[{"id":0,"moveX":0.5,"moveZ":-1,"sprint":true}]}',
+  'moveX/moveZ are -1..1, sprint is boolean, one entry per agent id.',
+].join(' ');
+
+// === PROMPT ===
+
+function buildPrompt(state) {
+  const agents = (state.positions || [])
+    .map(p => `${p.id}:${p.x},${p.z},${p.id === state.itId ? 'it' : p.state}`)
+    .join(' ');
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `it=${state.itId} agents(id:x,z,state)= ${agents}` },
+  ];
+}
+
+// === VALIDATION ===
+
+function clampUnit(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Math.max(-1, Math.min(1, n));
+}
+
+/**
+ * Parse and validate the model reply.
+ * Accepts {"decisions":[...]} or a bare array. Entries with unknown ids or
+ * non-numeric moves are dropped. Returns null when nothing usable is left.
+ */
+function parseDecisions(text, agentIds) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    // Some models wrap JSON in prose or code fences — try the outermost object
+    const match = typeof text === 'string' && text.match(/[[{][\s\S]*[\]}]/);
+    if (!match) return null;
+    try { data = JSON.parse(match[0]); } catch (_) { return null; }
+  }
+
+  const list = Array.isArray(data) ? data : data && data.decisions;
+  if (!Array.isArray(list)) return null;
+
+  const known = new Set(agentIds);
+  const seen = new Set();
+  const result = [];
+  list.forEach(d => {
+    if (!d || typeof d !== 'object') return;
+    const id = Number(d.id);
+    if (!known.has(id) || seen.has(id)) return;
+    const moveX = clampUnit(d.moveX);
+    const moveZ = clampUnit(d.moveZ);
+    if (moveX === null || moveZ === null) return;
+    seen.add(id);
+    result.push({ id, moveX, moveZ, sprint: d.sprint === true });
+  });
+  return result.length > 0 ? result : null;
+}
+
+// === PROVIDER ===
+
+class DecisionProvider {
+  constructor(options = {}) {
+    const env = process.env;
+    this.baseURL = options.baseURL || env.GROQ_BASE_URL || null;
+    this.apiKey = options.apiKey || env.GROQ_API_KEY || (this.baseURL ? 'local' : null);
+    this.model = options.model || env.GROQ_MODEL || DEFAULT_MODEL;
+    this.timeoutMs = options.timeoutMs || Number(env.GROQ_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.maxPerMinute = options.maxPerMinute || MAX_REQUESTS_PER_MIN;
+
+    this.client = this.apiKey
+      ? new Groq({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL || undefined,
+        timeout: this.timeoutMs,
+        maxRetries: 0, // a late answer is useless, the renderer's heuristic covers it
+      })
+      : null;
+
+    this.inFlight = false;
+    this.requestTimes = [];   // timestamps of recent requests (rate limiter)
+    this.lastSource = 'none';  // 'llm' when the latest tick got model decisions
+    this.lastError = null;
+  }
+
+  // Resolves with the model's decisions, or [] when there are none this tick
+  async decide(state) {
+    const agentIds = state.agentIds || [];
+    if (!this.client || this.inFlight || !this.takeRateSlot()) {
+      this.lastSource = 'none';
+      return [];
+    }
+
+    this.inFlight = true;
+    try {
+      const completion = await this.client.chat.completions.create({
+        model: this.model,
+        messages: buildPrompt(state),
+        response_format: { type: 'json_object' },
+        temperature: 0.7,
+        max_tokens: 40 * Math.max(1, agentIds.length),
+      });
+      const text = completion.choices?.[0]?.message?.content || '';
+      const parsed = parseDecisions(text, agentIds);
+      if (!parsed) throw new Error('unparseable decision JSON');
+
+      // Agents the model skipped are left to the renderer
+      this.lastSource = 'llm';
+      this.lastError = null;
+      return parsed;
+    } catch (e) {
+      this.lastSource = 'none';
+      this.lastError = e.message;
+      return [];
+    } finally {
+      this.inFlight = false;
+    }
+  }
+
+  takeRateSlot() {
+    const now = Date.now();
+    this.requestTimes = this.requestTimes.filter(t => now - t < 60000);
+    if (this.requestTimes.length >= this.maxPerMinute) return false;
+    this.requestTimes.push(now);
+    return true;
+  }
+}
+
+module.exports = { DecisionProvider, buildPrompt, parseDecisions };
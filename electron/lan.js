@@ -0,0 +1,112 @@
+/**
+ * LAN transport for network matches — plain TCP, one JSON message per line.
+ *
+ * The renderer drives it over IPC (see main.js) and hears back through one
+ * callback: { type: 'connection' | 'message' | 'close', id, msg?, address? }.
+ * Connections get small integer ids; the game protocol itself lives in
+ * src/net/ and never sees sockets.
+ */
+const net = require('net');
+const os = require('os');
+
+const MAX_LINE = 1 << 20; // a snapshot is a few KB; anything bigger is garbage
+
+// IPv4 addresses other machines on the network can reach us at
+function lanAddresses() {
+  const addresses = [];
+  Object.values(os.networkInterfaces()).forEach(list => {
+    (list || []).forEach(iface => {
+      if (iface.family === 'IPv4' && !iface.internal) addresses.push(iface.address);
+    });
+  });
+  return addresses;
+}
+
+class LanTransport {
+  constructor(emit) {
+    this.emit = emit;
+    this.server = null;
+    this.sockets = new Map(); // id → socket
+    this.nextId = 1;
+  }
+
+  // Start accepting clients; resolves with { port, addresses }
+  host(port) {
+    this.stop();
+    return new Promise((resolve, reject) => {
+      const server = net.createServer(socket => this.attach(socket, true));
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.removeListener('error', reject);
+        server.on('error', e => console.warn(`[LAN] server: ${e.message}`));
+        this.server = server;
+        resolve({ port, addresses: lanAddresses() });
+      });
+    });
+  }
+
+  // Connect to a host; resolves with the connection id
+  join(address, port) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, address);
+      socket.once('error', reject);
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        resolve(this.attach(socket, false));
+      });
+    });
+  }
+
+  attach(socket, incoming) {
+    const id = this.nextId++;
+    this.sockets.set(id, socket);
+    socket.setNoDelay(true);
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        if (!line) continue;
+        try {
+          this.emit({ type: 'message', id, msg: JSON.parse(line) });
+        } catch (e) {
+          console.warn(`[LAN] ${id}: bad message (${e.message})`);
+        }
+      }
+      if (buffer.length > MAX_LINE) socket.destroy();
+    });
+    socket.on('error', e => console.warn(`[LAN] ${id}: ${e.message}`));
+    socket.on('close', () => {
+      this.sockets.delete(id);
+      this.emit({ type: 'close', id });
+    });
+
+    if (incoming) this.emit({ type: 'connection', id, address: socket.remoteAddress });
+    return id;
+  }
+
+  send(id, msg) {
+    const socket = this.sockets.get(id);
+    if (socket && !socket.destroyed) socket.write(JSON.stringify(msg) + '\n');
+  }
+
+  close(id) {
+    const socket = this.sockets.get(id);
+    if (socket) socket.end();
+  }
+
+  // Stop hosting and drop every connection
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+    this.sockets.forEach(socket => socket.destroy());
+  }
+}
+
+module.exports = { LanTransport, lanAddresses };
@@ -1,5 +1,9 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const { DecisionProvider } = require('./decisionProvider');
+const { JsonStorage } = require('./storage');
+const { LanTransport } = require('./lan');
 
 let mainWindow = null;
 
@@ -39,14 +43,53 @@ ipcMain.handle('toggle-fullscreen', async () => {
   return !isFull;
 });
 
-// Groq API will be handled here in Phase 5
+// Groq decisions — the renderer falls back to its heuristic (see decisionProvider.js)
+const decisionProvider = new DecisionProvider();
+
 ipcMain.handle('groq-decision', async (_event, gameState) => {
-  // Placeholder — returns random decisions for now
-  const agents = gameState.agentIds || [0, 1, 2, 3, 4];
-  return agents.map(id => ({
-    id,
-    moveX: (Math.random() - 0.5) * 2,
-    moveZ: (Math.random() - 0.5) * 2,
-    sprint: Math.random() > 0.7,
-  }));
+  return decisionProvider.decide(gameState || {});
+});
+
+// Persistent game data (see storage.js)
+const storage = new JsonStorage(app.getPath('userData'));
+
+ipcMain.handle('storage-load', async (_event, name) => storage.load(name));
+ipcMain.handle('storage-save', async (_event, name, data) => storage.save(name, data));
+
+// Match replays — save/open through native file dialogs
+const REPLAY_FILTERS = [{ name: 'Sifa replay', extensions: ['sifa.json', 'json'] }];
+
+ipcMain.handle('replay-save', async (_event, replay) => {
+  if (!mainWindow) return null;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Сохранить запись матча',
+    defaultPath: path.join(app.getPath('documents'), `match-${stamp}.sifa.json`),
+    filters: REPLAY_FILTERS,
+  });
+  if (canceled || !filePath) return null;
+  await fs.promises.writeFile(filePath, JSON.stringify(replay));
+  return filePath;
 });
+
+ipcMain.handle('replay-open', async () => {
+  if (!mainWindow) return null;
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Открыть запись матча',
+    properties: ['openFile'],
+    filters: REPLAY_FILTERS,
+  });
+  if (canceled || filePaths.length === 0) return null;
+  return JSON.parse(await fs.promises.readFile(filePaths[0], 'utf8'));
+});
+
+// LAN matches — TCP in this process, protocol in the renderer (see lan.js)
+const lan = new LanTransport(event => {
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send('lan-event', event);
+});
+
+ipcMain.handle('lan-host', async (_event, port) => lan.host(port));
+ipcMain.handle('lan-join', async (_event, address, port) => lan.join(address, port));
+ipcMain.handle('lan-close', async (_event, id) => lan.close(id));
+ipcMain.handle('lan-stop', async () => lan.stop());
+ipcMain.on('lan-send', (_event, id, msg) => lan.send(id, msg));
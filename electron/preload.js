@@ -3,4 +3,14 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   askGroq: (gameState) => ipcRenderer.invoke('groq-decision', gameState),
   toggleFullscreen: () => ipcRenderer.invoke('toggle-fullscreen'),
+  saveReplay: (replay) => ipcRenderer.invoke('replay-save', replay),
+  openReplay: () => ipcRenderer.invoke('replay-open'),
+  loadData: (name) => ipcRenderer.invoke('storage-load', name),
+  saveData: (name, data) => ipcRenderer.invoke('storage-save', name, data),
+  lanHost: (port) => ipcRenderer.invoke('lan-host', port),
+  lanJoin: (address, port) => ipcRenderer.invoke('lan-join', address, port),
+  lanSend: (id, msg) => ipcRenderer.send('lan-send', id, msg),
+  lanClose: (id) => ipcRenderer.invoke('lan-close', id),
+  lanStop: () => ipcRenderer.invoke('lan-stop'),
+  onLanEvent: (callback) => ipcRenderer.on('lan-event', (_event, data) => callback(data)),
 });
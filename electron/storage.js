@@ -0,0 +1,44 @@
+/**
+ * JSON storage in the user data folder (brains, genomes, presets, levels…).
+ *
+ * One file per name: <userData>/sifa-data/<name>.json. Writes go through a
+ * temp file + rename so a crash mid-save never leaves a half-written file.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+class JsonStorage {
+  constructor(baseDir) {
+    this.dir = path.join(baseDir, 'sifa-data');
+  }
+
+  filePath(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`invalid storage name "${name}"`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async load(name) {
+    try {
+      const text = await fs.promises.readFile(this.filePath(name), 'utf8');
+      return JSON.parse(text);
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[Storage] ${name}: ${e.message}`);
+      return null;
+    }
+  }
+
+  async save(name, data) {
+    const file = this.filePath(name);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+    return true;
+  }
+}
+
+module.exports = { JsonStorage };
@@ -0,0 +1,100 @@
+/**
+ * Same seed, same game — runs scripts/simulate.mjs twice and compares.
+ *
+ *   node scripts/check-determinism.mjs --seed 1 --mode freeze --evolve
+ *
+ * Both runs write their stats (--out) and a replay of every match
+ * (--record) to a temp directory. The replays hold every kid's position,
+ * velocity, state and flags 30 times a second plus speech and ability
+ * events (MatchRecorder), so two runs that drift apart anywhere — not just
+ * in the totals — fail the check, which names the first frame, kid and
+ * field that differ. Every option is passed on to simulate.mjs (see its
+ * header); --seed, --matches and --duration get defaults here so the check
+ * is quick and never falls back to a random seed.
+ */
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FIELD } from '../src/game/MatchRecorder.js';
+
+const SIMULATE = join(dirname(fileURLToPath(import.meta.url)), 'simulate.mjs');
+const DEFAULTS = { '--seed': '1', '--matches': '2', '--duration': '60' };
+const FIELD_NAMES = Object.fromEntries(Object.entries(FIELD).map(([name, offset]) => [offset, name]));
+
+// → { stats, replays: { fileName: replay } }
+function simulate(args, dir) {
+  const out = join(dir, 'stats.json');
+  const record = join(dir, 'replays');
+  execFileSync(process.execPath, [SIMULATE, ...args, '--out', out, '--record', record], { stdio: ['ignore', 'ignore', 'inherit'] });
+  const replays = {};
+  readdirSync(record).sort().forEach(name => {
+    replays[name] = JSON.parse(readFileSync(join(record, name), 'utf8'));
+  });
+  return { stats: JSON.parse(readFileSync(out, 'utf8')), replays };
+}
+
+// Path of the first value that differs, e.g. "matches.1.agents.3.tags", or null
+function firstDifference(a, b, path = '') {
+  if (a === b) return null;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return path || '(root)';
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    const diff = firstDifference(a[key], b[key], path ? `${path}.${key}` : key);
+    if (diff) return diff;
+  }
+  return null;
+}
+
+// "frames.1234" → frame, kid and field it stands for
+function describeFrameIndex(replay, index) {
+  const perFrame = replay.agents.length * replay.stride;
+  const frame = Math.floor(index / perFrame);
+  const agent = replay.agents[Math.floor((index % perFrame) / replay.stride)];
+  const field = FIELD_NAMES[index % replay.stride];
+  return `frame ${frame} (${(frame / replay.frameRate).toFixed(2)} s), ${agent.name} ${field}`;
+}
+
+function compare(first, second) {
+  const names = Object.keys(first.replays);
+  if (firstDifference(names, Object.keys(second.replays))) return 'different replay files';
+  for (const name of names) {
+    const diff = firstDifference(first.replays[name], second.replays[name]);
+    if (!diff) continue;
+    const frame = diff.match(/^frames\.(\d+)$/);
+    return `${name}: ${frame ? describeFrameIndex(first.replays[name], Number(frame[1])) : diff}`;
+  }
+  const diff = firstDifference(first.stats, second.stats);
+  return diff ? `stats ${diff}` : null;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--out') || args.includes('--record')) throw new Error('--out and --record are set by the check itself');
+  Object.entries(DEFAULTS).forEach(([flag, value]) => {
+    if (!args.includes(flag)) args.push(flag, value);
+  });
+
+  const dir = mkdtempSync(join(tmpdir(), 'sifa-determinism-'));
+  let diff;
+  try {
+    const first = simulate(args, mkdtempSync(join(dir, 'run-')));
+    const second = simulate(args, mkdtempSync(join(dir, 'run-')));
+    diff = compare(first, second);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+  if (diff) {
+    console.error(`FAIL two runs of simulate ${args.join(' ')} differ: ${diff}`);
+    process.exit(1);
+  }
+  console.log(`OK — simulate ${args.join(' ')} plays the same twice, tick for tick`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e);
+  process.exit(1);
+}
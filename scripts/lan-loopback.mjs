@@ -0,0 +1,211 @@
+/**
+ * LAN sync check without network hardware.
+ *
+ *   node scripts/lan-loopback.mjs --clients 2 --duration 60 --latency 0.05
+ *
+ * One host Simulation and N client mirrors talk through an in-process
+ * LoopbackNetwork (JSON on the wire, one-way latency). Every client
+ * possesses a kid and steers it in a slow circle; the second client first
+ * asks for the first client's kid and must be refused. Exits non-zero when:
+ *   - a client's picture drifts from the host's (compared at the client's
+ *     render time against the host's own per-tick history),
+ *   - a client disagrees with the host about who is IT,
+ *   - tags or finished rounds don't reach every client,
+ *   - a possessed kid doesn't run where its player steers.
+ *
+ * Options:
+ *   --clients N      client count 1..4 (default 2)
+ *   --duration S     game seconds (default 60)
+ *   --seed N         host seed (default 7)
+ *   --latency S      one-way latency in seconds (default 0.05)
+ *   --mode KEY       game mode (default classic)
+ *   --round S        seconds per round (default 20, so rounds end during the run)
+ */
+import { Simulation, FIXED_STEP } from '../src/engine/Simulation.js';
+import { NetHost } from '../src/net/NetHost.js';
+import { NetClient, simulationOptions } from '../src/net/NetClient.js';
+import { LoopbackNetwork } from '../src/net/LoopbackNetwork.js';
+import { GAME_MODES } from '../src/game/GameModes.js';
+
+const MAX_MEAN_ERROR = 0.05;   // m
+const MAX_P99_ERROR = 0.3;     // m (warps / respawns blend across one snapshot)
+const MAX_IT_MISMATCH = 0.02;  // share of frames
+const MIN_STEER_ALIGNMENT = 0.5;
+const HISTORY_TICKS = 240;
+const TURN_RATE = 0.6;         // rad/s of the scripted steering circle
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[key] = next && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+// Host pose at any time between two recorded ticks
+function hostPoseAt(history, time) {
+  let i = history.length - 1;
+  while (i > 0 && history[i].time > time) i--;
+  const a = history[i];
+  const b = history[Math.min(i + 1, history.length - 1)];
+  const k = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+  return {
+    it: a.it,
+    positions: a.positions.map((p, j) => ({
+      x: p.x + (b.positions[j].x - p.x) * k,
+      z: p.z + (b.positions[j].z - p.z) * k,
+    })),
+  };
+}
+
+function percentile(values, q) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const clientCount = Math.max(1, Math.min(4, Number(args.clients) || 2));
+  const duration = Number(args.duration) || 60;
+  const latency = args.latency !== undefined ? Number(args.latency) : 0.05;
+  if (args.mode && !GAME_MODES[args.mode]) throw new Error(`unknown game mode "${args.mode}"`);
+
+  const host = new Simulation({
+    seed: args.seed !== undefined ? Number(args.seed) : 7,
+    mode: args.mode,
+    roundLength: args.round !== undefined ? Number(args.round) : 20,
+  });
+  host.start();
+  const netHost = new NetHost(host);
+  const network = new LoopbackNetwork({ latency });
+  network.listen(endpoint => netHost.addClient(endpoint));
+
+  // Join: connect, wait for the welcome, build the mirror from it
+  const clients = [];
+  for (let i = 0; i < clientCount; i++) {
+    const net = new NetClient(network.connect(), { name: `player ${i + 1}` });
+    network.advance(latency);
+    const welcome = await net.ready;
+    const mirror = new Simulation(simulationOptions(welcome));
+    net.attach(mirror);
+    clients.push({ net, mirror, target: i, refused: false, errors: [], itFrames: 0, itMismatch: 0 });
+  }
+
+  // Possession: client 1 asks for client 0's kid first and must be refused
+  clients.forEach((c, i) => {
+    c.net.onPossess = agentId => {
+      if (agentId < 0) {
+        c.refused = true;
+        c.net.possess(c.target);
+        return;
+      }
+      c.mirror.agentManager.agents[agentId].control = { moveX: 0, moveZ: 0, sprint: false, ability: null };
+    };
+    if (i === 1) {
+      network.advance(0); // client 0's request goes first
+      c.net.possess(0);
+    } else {
+      c.net.possess(c.target);
+    }
+  });
+
+  const history = [];
+  const steer = clients.map(() => ({ sum: 0, count: 0 }));
+  const ticks = Math.round(duration / FIXED_STEP);
+  for (let tick = 0; tick < ticks; tick++) {
+    host.step(FIXED_STEP);
+    netHost.afterStep();
+    history.push({
+      time: host.clock.time,
+      it: host.sifaRules.itAgentId,
+      positions: host.agentManager.agents.map(a => ({ x: a.body.position.x, z: a.body.position.z })),
+    });
+    if (history.length > HISTORY_TICKS) history.shift();
+    network.advance(FIXED_STEP);
+
+    const t = host.clock.time;
+    clients.forEach((c, i) => {
+      // Scripted player: a slow circle, a dash now and then
+      const mine = c.mirror.agentManager.agents[c.target];
+      if (mine.control) {
+        const heading = t * TURN_RATE + i * 2;
+        mine.control.moveX = Math.sin(heading);
+        mine.control.moveZ = Math.cos(heading);
+        mine.control.sprint = true;
+        if (tick % 300 === 150) mine.control.ability = 'dash';
+      }
+      c.net.update(FIXED_STEP);
+      if (c.net.renderTime === null || c.net.renderTime < history[0].time) return;
+
+      // Picture vs the host at the same moment
+      const expected = hostPoseAt(history, c.net.renderTime);
+      c.mirror.agentManager.agents.forEach((a, j) => {
+        const dx = a.body.position.x - expected.positions[j].x;
+        const dz = a.body.position.z - expected.positions[j].z;
+        c.errors.push(Math.sqrt(dx * dx + dz * dz));
+      });
+      c.itFrames++;
+      if (c.mirror.sifaRules.itAgentId !== expected.it) c.itMismatch++;
+
+      // Does the host run the kid where the player steers?
+      const driven = host.agentManager.agents[c.target];
+      const v = driven.body.velocity;
+      const speed = Math.sqrt(v.x * v.x + v.z * v.z);
+      if (driven.control && host.sifaRules.mode.playing && !driven.frozen && speed > 0.5) {
+        steer[i].sum += (v.x * driven.control.moveX + v.z * driven.control.moveZ) / speed;
+        steer[i].count++;
+      }
+    });
+  }
+  network.advance(latency + FIXED_STEP); // deliver what is still in flight
+
+  const failures = [];
+  const hostTags = host.sifaRules.tagHistory.length;
+  const hostRounds = host.sifaRules.mode.rounds.length;
+  const report = clients.map((c, i) => {
+    const mean = c.errors.reduce((s, e) => s + e, 0) / (c.errors.length || 1);
+    const p99 = percentile(c.errors, 0.99);
+    const itShare = c.itMismatch / (c.itFrames || 1);
+    const alignment = steer[i].count ? steer[i].sum / steer[i].count : 0;
+    const tags = c.mirror.sifaRules.tagHistory.length;
+    const rounds = c.mirror.sifaRules.mode.rounds.length;
+    const name = `client ${c.net.clientId}`;
+    if (mean > MAX_MEAN_ERROR) failures.push(`${name}: mean pose error ${mean.toFixed(3)} m`);
+    if (p99 > MAX_P99_ERROR) failures.push(`${name}: p99 pose error ${p99.toFixed(3)} m`);
+    if (itShare > MAX_IT_MISMATCH) failures.push(`${name}: IT differs on ${(itShare * 100).toFixed(1)}% of frames`);
+    if (tags !== hostTags) failures.push(`${name}: ${tags} tags, host has ${hostTags}`);
+    if (rounds !== hostRounds) failures.push(`${name}: ${rounds} rounds, host has ${hostRounds}`);
+    if (c.net.agentId !== c.target) failures.push(`${name}: possesses ${c.net.agentId}, wanted ${c.target}`);
+    if (alignment < MIN_STEER_ALIGNMENT) failures.push(`${name}: possessed kid follows input at ${alignment.toFixed(2)}`);
+    if (i === 1 && !c.refused) failures.push(`${name}: was allowed to take client 1's kid`);
+    return {
+      client: c.net.clientId,
+      agent: c.net.agentId,
+      meanError: mean.toFixed(3),
+      p99Error: p99.toFixed(3),
+      maxError: Math.max(0, ...c.errors).toFixed(2),
+      itMismatch: `${(itShare * 100).toFixed(2)}%`,
+      steering: alignment.toFixed(2),
+      tags,
+      rounds,
+    };
+  });
+
+  console.log(`${duration}s, ${clientCount} clients, latency ${latency * 1000} ms, ` +
+    `host tags=${hostTags} rounds=${hostRounds}, ${(network.sentBytes / 1024 / duration).toFixed(1)} KB/s on the wire`);
+  console.table(report);
+  if (failures.length > 0) {
+    failures.forEach(f => console.error(`FAIL ${f}`));
+    process.exit(1);
+  }
+  console.log('OK — clients stay in sync with the host');
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+/**
+ * Local mock of the Groq chat-completion endpoint — no network needed.
+ *
+ *   node scripts/mock-llm.js [port] [mode]
+ *   GROQ_BASE_URL=http://127.0.0.1:8787 npm start
+ *
+ * Modes: ok (valid decisions), garbage (unparseable reply), slow (answers after 2s)
+ */
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+const mode = process.argv[3] || 'ok';
+
+function reply(res, content) {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    id: 'mock',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'mock',
+    choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+  }));
+}
+
+http.createServer((req, res) => {
+  if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    // Pull agent ids back out of the prompt ("0:1.2,-3,roam 1:...")
+    const prompt = JSON.parse(body).messages.map(m => m.content).join(' ');
+    const ids = [...prompt.matchAll(/(\d+):-?[\d.]+,-?[\d.]+,/g)].map(m => Number(m[1]));
+    const decisions = ids.map(id => ({
+      id,
+      moveX: Math.round((Math.random() * 2 - 1) * 100) / 100,
+      moveZ: Math.round((Math.random() * 2 - 1) * 100) / 100,
+      sprint: Math.random() > 0.5,
+    }));
+
+    if (mode === 'garbage') reply(res, 'I think everyone should run!');
+    else if (mode === 'slow') setTimeout(() => reply(res, JSON.stringify({ decisions })), 2000);
+    else reply(res, JSON.stringify({ decisions }));
+  });
+}).listen(port, '127.0.0.1', () => {
+  console.log(`Mock LLM (${mode}) on http://127.0.0.1:${port}`);
+});
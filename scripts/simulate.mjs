@@ -0,0 +1,231 @@
+/**
+ * Batch headless matches — no window, no WebGL, no audio.
+ *
+ *   node scripts/simulate.mjs --matches 20 --duration 300 --seed 1 --out results.json
+ *
+ * Options: see USAGE below, or run with --help.
+ */
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { resolve, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Simulation } from '../src/engine/Simulation.js';
+import { DecisionRouter } from '../src/ai/DecisionRouter.js';
+import { buildRoster, parseProfilesFile } from '../src/agents/Personalities.js';
+import { ABILITIES } from '../src/game/GeneSystem.js';
+import { randomSeed } from '../src/engine/SimContext.js';
+import { MatchRecorder } from '../src/game/MatchRecorder.js';
+import { GenomeStore } from '../src/game/GenomeStore.js';
+import { validateLevel } from '../src/game/Level.js';
+import { GAME_MODES } from '../src/game/GameModes.js';
+import { BrainStore } from '../src/agents/BrainStore.js';
+import { BRAIN_POLICIES } from '../src/agents/AgentBrain.js';
+
+const USAGE = `Usage: node scripts/simulate.mjs [options]
+
+Options:
+  --matches N        number of matches (default 10)
+  --duration S       game seconds per match (default 300)
+  --seed N           seed of the first match, match i uses seed + i (default random)
+  --provider KEY     decision backend for every agent: heuristic | scripted | module
+  --module URL       decision module for --provider module (file path or URL)
+  --agents N         roster size 2..12 (default 5; extra agents get generated profiles)
+  --profiles FILE    per-agent profile overrides: a preset exported from the
+                     personality editor, or a JSON array like [{"speed":5}, {}]
+  --mode KEY         game mode: classic | timed | freeze | infection | base
+  --round S          seconds of play per round (0 = one endless round; default per mode)
+  --level FILE       level JSON (see src/game/Level.js, e.g. levels/small-yard.json)
+  --threshold K=V    ability unlock threshold override, e.g. --threshold dash=0.4,fly=0.6
+  --out FILE         write all per-match stats + summary as JSON
+  --record DIR       save a replay of every match (open with "Повтор" in the app)
+  --evolve           generations mode: each match starts from genomes bred from
+                     the previous match's survivors
+  --genomes FILE     genome document every match starts from (the first one with
+                     --evolve); the final genomes are written back to it
+  --policy KEY       brain movement policy: grid (default) | rl (Q-learning, RLPolicy)
+  --learn            brains carry over from match to match (otherwise every match
+                     starts fresh) — watch the reward column climb with --policy rl
+  --brains FILE      brain document the first match starts from (implies --learn);
+                     the final brains are written back to it
+`;
+
+// Options that take no value; every other known option takes one
+const SWITCHES = new Set(['evolve', 'learn']);
+const OPTIONS = new Set([
+  ...SWITCHES, 'matches', 'duration', 'seed', 'provider', 'module', 'agents', 'profiles', 'mode',
+  'round', 'level', 'threshold', 'out', 'record', 'genomes', 'policy', 'brains',
+]);
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    const key = arg.startsWith('--') ? arg.slice(2) : null;
+    if (!OPTIONS.has(key)) throw new Error(`unknown option "${arg}" (see --help)`);
+    if (SWITCHES.has(key)) {
+      args[key] = true;
+      continue;
+    }
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) throw new Error(`option "${arg}" needs a value`);
+    args[key] = argv[++i];
+  }
+  return args;
+}
+
+function buildProfiles(file, count) {
+  const roster = buildRoster(count);
+  if (!file) return roster;
+  const overrides = parseProfilesFile(JSON.parse(readFileSync(file, 'utf8')));
+  return roster.map((p, i) => ({ ...p, ...(overrides[i] || {}) }));
+}
+
+function applyThresholds(spec) {
+  if (!spec) return;
+  spec.split(',').forEach(pair => {
+    const [key, value] = pair.split('=');
+    if (!ABILITIES[key]) throw new Error(`unknown ability "${key}"`);
+    ABILITIES[key].threshold = Number(value);
+  });
+}
+
+function buildRouter(args, agentCount) {
+  const router = new DecisionRouter();
+  const provider = args.provider || 'heuristic';
+  if (args.module) {
+    const url = /^[a-z]+:/i.test(args.module) ? args.module : pathToFileURL(resolve(args.module)).href;
+    router.setModuleUrl(url);
+  }
+  for (let id = 0; id < agentCount; id++) router.setProvider(id, provider);
+  return router;
+}
+
+function summarize(matches) {
+  const byName = new Map();
+  matches.forEach(m => m.agents.forEach(a => {
+    if (!byName.has(a.name)) {
+      byName.set(a.name, { name: a.name, survival: 0, tagsMade: 0, timesTagged: 0, abilityUses: 0, abilities: 0, warps: 0, tipsHeard: 0, reward: null });
+    }
+    const s = byName.get(a.name);
+    s.survival += a.survival;
+    s.tagsMade += a.tagsMade;
+    s.timesTagged += a.timesTagged;
+    s.abilityUses += a.abilityUses;
+    s.abilities += a.abilities.length;
+    s.warps += a.warps;
+    s.tipsHeard += a.tipsHeard;
+    if (a.policy) s.reward = a.policy.avgReward; // the last match: how far it got
+  }));
+  const n = matches.length || 1;
+  return {
+    matches: matches.length,
+    avgTags: matches.reduce((s, m) => s + m.tags, 0) / n,
+    avgRescues: matches.reduce((s, m) => s + m.rescues, 0) / n,
+    avgStuck: matches.reduce((s, m) => s + m.stuck, 0) / n,
+    avgWarps: matches.reduce((s, m) => s + m.agents.reduce((w, a) => w + a.warps, 0), 0) / n,
+    agents: [...byName.values()].map(s => ({
+      name: s.name,
+      avgSurvival: s.survival / n,
+      avgTagsMade: s.tagsMade / n,
+      avgTimesTagged: s.timesTagged / n,
+      avgAbilityUses: s.abilityUses / n,
+      avgAbilitiesUnlocked: s.abilities / n,
+      avgWarps: s.warps / n,
+      avgTipsHeard: s.tipsHeard / n,
+      finalReward: s.reward,
+    })),
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const matchCount = Number(args.matches) || 10;
+  const duration = Number(args.duration) || 300;
+  const firstSeed = args.seed !== undefined ? Number(args.seed) : randomSeed();
+  const profiles = buildProfiles(args.profiles, args.agents !== undefined ? Number(args.agents) : undefined);
+  const level = args.level ? validateLevel(JSON.parse(readFileSync(args.level, 'utf8'))) : null;
+  if (args.mode && !GAME_MODES[args.mode]) throw new Error(`unknown game mode "${args.mode}"`);
+  if (args.policy && !BRAIN_POLICIES.includes(args.policy)) throw new Error(`unknown policy "${args.policy}"`);
+  applyThresholds(args.threshold);
+  if (args.record) mkdirSync(args.record, { recursive: true });
+  const startGenomes = args.genomes && existsSync(args.genomes) ? JSON.parse(readFileSync(args.genomes, 'utf8')) : null;
+  let genomeDoc = startGenomes;
+  const learn = args.learn || !!args.brains;
+  let brainDoc = args.brains && existsSync(args.brains) ? JSON.parse(readFileSync(args.brains, 'utf8')) : null;
+
+  const matches = [];
+  const started = Date.now();
+  for (let i = 0; i < matchCount; i++) {
+    const simulation = new Simulation({
+      seed: firstSeed + i,
+      profiles,
+      level,
+      mode: args.mode,
+      roundLength: args.round !== undefined ? Number(args.round) : undefined,
+      decisionRouter: buildRouter(args, profiles.length),
+      policy: args.policy,
+    });
+    const genomeStore = new GenomeStore(simulation);
+    if (args.evolve) genomeStore.setMode('generations');
+    const parents = args.evolve ? genomeDoc : startGenomes;
+    if (parents) genomeStore.fromDocument({ ...parents, mode: genomeStore.mode });
+    const brainStore = new BrainStore(simulation.agentManager);
+    if (learn && brainDoc) brainStore.fromDocument(brainDoc);
+    if (args.record) simulation.recorder = new MatchRecorder(simulation);
+    simulation.start();
+    await simulation.runFor(duration);
+    const stats = simulation.getStats();
+    genomeDoc = genomeStore.toDocument();
+    stats.generation = genomeDoc.generation;
+    if (learn) brainDoc = brainStore.toDocument();
+    if (args.record) {
+      writeFileSync(join(args.record, `match-${stats.seed}.sifa.json`), JSON.stringify(simulation.recorder.finish()));
+    }
+    matches.push(stats);
+    const rewards = stats.agents.filter(a => a.policy).map(a => a.policy.avgReward);
+    console.log(`match ${i + 1}/${matchCount} seed=${stats.seed} gen=${stats.generation} tags=${stats.tags} rescues=${stats.rescues} stuck=${stats.stuck} shares=${stats.shares}` +
+      (stats.rounds.length > 0 ? ` rounds=${stats.rounds.length}` : '') +
+      (rewards.length > 0 ? ` reward=${(rewards.reduce((s, r) => s + r, 0) / rewards.length).toFixed(4)}` : ''));
+  }
+
+  const elapsed = (Date.now() - started) / 1000;
+  const summary = summarize(matches);
+  console.log(`\n${matchCount} × ${duration}s simulated in ${elapsed.toFixed(1)}s ` +
+    `(${((matchCount * duration) / elapsed).toFixed(0)}x real time), avg tags ${summary.avgTags.toFixed(1)}, ` +
+    `stuck ${summary.avgStuck.toFixed(1)}, rescues ${summary.avgRescues.toFixed(1)}, warps ${summary.avgWarps.toFixed(1)}`);
+  console.table(summary.agents.map(a => ({
+    name: a.name,
+    survival: a.avgSurvival.toFixed(1),
+    tagsMade: a.avgTagsMade.toFixed(2),
+    tagged: a.avgTimesTagged.toFixed(2),
+    abilityUses: a.avgAbilityUses.toFixed(1),
+    unlocked: a.avgAbilitiesUnlocked.toFixed(2),
+    warps: a.avgWarps.toFixed(2),
+    tips: a.avgTipsHeard.toFixed(1),
+    ...(a.finalReward !== null ? { reward: a.finalReward.toFixed(4) } : {}),
+  })));
+
+  if (args.genomes && genomeDoc) {
+    writeFileSync(args.genomes, JSON.stringify(genomeDoc, null, 2));
+    console.log(`Genomes (generation ${genomeDoc.generation}) written to ${args.genomes}`);
+  }
+
+  if (args.brains && brainDoc) {
+    writeFileSync(args.brains, JSON.stringify(brainDoc));
+    console.log(`Brains written to ${args.brains}`);
+  }
+
+  if (args.out) {
+    const config = { matches: matchCount, duration, firstSeed, mode: args.mode || 'classic', round: args.round ?? null, provider: args.provider || 'heuristic', threshold: args.threshold || null, policy: args.policy || 'grid', learn };
+    writeFileSync(args.out, JSON.stringify({ config, summary, matches }, null, 2));
+    console.log(`Stats written to ${args.out}`);
+  }
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
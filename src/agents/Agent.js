@@ -2,62 +2,101 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { AgentBrain } from './AgentBrain.js';
 import { createChildModel } from '../renderer/ChildModel.js';
+import { createSimContext } from '../engine/SimContext.js';
+import { sanitizeProfile } from './Personalities.js';
+import { getAbility, abilitySpeech } from '../game/AbilityRegistry.js';
+import { Perception } from './Perception.js';
+import { Pursuit } from './Pursuit.js';
+import { Navigator } from './Navigator.js';
 
 const STATES = {
   ROAM: 'roam',
   FLEE: 'flee',
   HUNT: 'hunt',
   TAUNT: 'taunt',
+  FROZEN: 'frozen',
+  DOWN: 'down',
 };
 
-const BOUND = 16;
-
-// Obstacle positions for steering avoidance (center x,z + avoidance radius)
-const OBSTACLES = [
-  { x: -8,  z: -6.5, r: 2.2 },  // Горка
-  { x: 6,   z: -7,   r: 2.5 },  // Качели
-  { x: 0,   z: 7,    r: 2.5 },  // Песочница
-  { x: -7,  z: 5,    r: 2.0 },  // Рукоход
-  { x: 8,   z: 5,    r: 2.0 },  // Карусель
-  { x: -12, z: 0,    r: 1.3 },  // Скамейка1
-  { x: 12,  z: -2,   r: 1.3 },  // Скамейка2
-  { x: 3,   z: -13,  r: 1.3 },  // Скамейка3
-  // Деревья
-  { x:-14, z:-14, r: 0.8 }, { x:14, z:-14, r: 0.8 },
-  { x:-14, z:10,  r: 0.8 }, { x:13, z:12,  r: 0.8 },
-  { x:-10, z:14,  r: 0.8 }, { x:10, z:-12, r: 0.8 },
-  { x:-15, z:0,   r: 0.8 }, { x:15, z:3,   r: 0.8 },
-];
+const KNOCK_DECAY = 4; // 1/s — how fast a shove from an ability dies out
+
+// Contact material of a kid on its feet: steering sets the velocity every
+// tick, so no ground friction (Simulation). Knocked over, the body has none
+// and the ground drags on it as on anything else.
+export const RUN_MATERIAL = new CANNON.Material('run');
+
+// How far ahead a wander / flee direction is checked for equipment (Navigator)
+const ROAM_LOOKAHEAD = 3;
+const FLEE_LOOKAHEAD = 5;
+
+const ALARM_PANIC = 1.5; // panic distance multiplier after a warning call
+
+const SPAWN_JITTER = 0.6; // metres a kid lands off its spawn point (seeded)
 
 export class Agent {
-  constructor(id, profile, scene, world) {
+  constructor(id, profile, scene, world, sim = createSimContext(), rosterSize = 5) {
     this.id = id;
     this.profile = profile;
+    this.rosterSize = rosterSize; // spreads spawn points and flee scatter evenly
+    this.rng = sim.rng;      // seeded RNG (deterministic mode)
+    this.clock = sim.clock;  // simulation clock, replaces Date.now() in gameplay
+    this.obstacles = sim.level.steeringObstacles; // { x, z, r } from the level
+    this.bound = sim.level.bound;                 // arena half-size agents stay inside
     this.state = STATES.ROAM;
-    this.isIt = false;
+    this.isIt = false;       // set by SifaRules / the game mode (several in infection)
+    this.frozen = false;     // freeze tag: can't move until a friend touches them
+    this.safe = false;       // standing in a safe base (can't be tagged)
+    this.goal = null;        // { x, z } the game mode wants us to head for
     this.score = 0;
     this.cooldownUntil = 0;
     this.tauntTimer = 0;
     this.stuckFrames = 0;
+    this.stepFrom = { x: 0, z: 0 }; // where the coming physics step starts …
+    this.stepSpeed = 0;             // … and the speed it was asked for
     this.speechText = '';
     this.speechTimer = 0;
 
+    // Seeded wander phases: each seed sends the kids on different strolls
+    this.wanderX = this.rng.range(0, Math.PI * 2);
+    this.wanderZ = this.rng.range(0, Math.PI * 2);
+
     // AI decision (from Groq or heuristic)
     this.decision = { moveX: 0, moveZ: 0, sprint: false };
 
+    // Player input while possessed (PlayerControl): { moveX, moveZ, sprint, ability }
+    // replaces the AI steering and ability choice; null = AI drives
+    this.control = null;
+
+    // What we see as IT: sight, view cone, cover, last known position
+    this.perception = new Perception(this, sim.level);
+    this.pursuit = new Pursuit(this, sim.level); // intercept point instead of tail-chasing
+    this.navigator = new Navigator(this, sim.nav); // A* around equipment instead of into it
+
     // Learning brain
-    this.brain = new AgentBrain(id, profile);
+    this.brain = new AgentBrain(id, profile, sim.clock);
     this.decayTimer = 0;
 
     // Evolution system (set externally by GameEngine)
     this.geneSystem = null;
     this.evolutionFx = null;
-    this.shielded = false;   // true when shield ability active (immune to tag)
-    this.flying = false;     // true when fly ability active
+    this.flying = false;     // true while an airborne ability (fly) is active
+    this.shownAbilities = new Set(); // active ability keys, to catch their end
+
+    // What other kids' abilities do to us (freeze ray, magnet, ground slam)
+    this.slowTimer = 0;      // seconds left at slowFactor speed
+    this.slowFactor = 1;
+    this.knock = { x: 0, z: 0 }; // shove velocity, decays by itself
+    this.downTimer = 0;      // knocked over: lying still
+
+    // Somebody shouted that IT is coming (SocialChannel): flee from further off
+    this.alarmTimer = 0;
 
     // Stuck diagnostic (set externally by GameEngine)
     this.stuckDiag = null;
 
+    // Decoy clones IT may chase instead of a real kid (set by Simulation)
+    this.decoys = null;
+
     // Previous position for interpolation
     this.prevPosition = new THREE.Vector3();
     this.renderPosition = new THREE.Vector3();
@@ -73,13 +112,14 @@ export class Agent {
       linearDamping: 0.9,
       angularDamping: 1.0,
       fixedRotation: true, // don't tumble
+      allowSleep: false,   // steering sets velocity every tick; a sleeping body would ignore it
+      material: RUN_MATERIAL,
     });
-    const angle = (id / 5) * Math.PI * 2;
-    const spawnRadius = 5;
+    const spawn = this.jitter(sim.level.spawnPoint(id, rosterSize));
     this.body.position.set(
-      Math.cos(angle) * spawnRadius,
+      spawn.x,
       0.3, // slightly above ground, gravity will settle it
-      Math.sin(angle) * spawnRadius
+      spawn.z
     );
     world.addBody(this.body);
 
@@ -137,6 +177,15 @@ export class Agent {
 
     group.add(this.auraGroup);
 
+    // Ice block for freeze tag (hidden by default)
+    this.iceMesh = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.45, 0.45, 1.4, 12),
+      new THREE.MeshBasicMaterial({ color: 0x99ddff, transparent: true, opacity: 0.35, depthWrite: false })
+    );
+    this.iceMesh.position.y = 0.7;
+    this.iceMesh.visible = false;
+    group.add(this.iceMesh);
+
     // Blob shadow (bigger for child)
     const shadowGeo = new THREE.CircleGeometry(0.25, 8);
     const shadowMat = new THREE.MeshBasicMaterial({
@@ -160,13 +209,14 @@ export class Agent {
       this.body.position.z
     );
 
-    // Update state
-    this.isIt = this.id === itAgentId;
+    // Update state (roles come from the game mode)
     this.auraGroup.visible = this.isIt;
+    this.iceMesh.visible = this.frozen;
 
     // Animate aura pulsing
+    const now = this.clock.now();
     if (this.isIt) {
-      const pulse = Math.sin(Date.now() * 0.005) * 0.5 + 0.5; // 0..1
+      const pulse = Math.sin(now * 0.005) * 0.5 + 0.5; // 0..1
       const scale = 1.0 + pulse * 0.3;
       this.auraMesh.scale.setScalar(scale);
       this.outerAura.scale.setScalar(scale * 1.2);
@@ -174,10 +224,35 @@ export class Agent {
       this.outerAura.material.opacity = 0.05 + pulse * 0.06;
       this.pillar.material.opacity = 0.1 + pulse * 0.1;
       // Crown floats up and down
-      this.crown.position.y = 0.7 + Math.sin(Date.now() * 0.003) * 0.1;
+      this.crown.position.y = 0.7 + Math.sin(now * 0.003) * 0.1;
       this.crown.rotation.y += 0.02;
     }
 
+    // Frozen: stand still until thawed
+    if (this.frozen) {
+      this.state = STATES.FROZEN;
+      this.body.velocity.x = 0;
+      this.body.velocity.z = 0;
+      this.updateSpeech(dt);
+      return;
+    }
+    if (this.state === STATES.FROZEN) this.state = STATES.ROAM;
+
+    // Knocked over: slide with the shove (the ground drags), get up when
+    // the timer runs out
+    if (this.downTimer > 0) {
+      this.downTimer -= dt;
+      this.state = STATES.DOWN;
+      this.body.material = null;
+      this.body.velocity.x = this.knock.x;
+      this.body.velocity.z = this.knock.z;
+      this.decayKnock(dt);
+      this.updateSpeech(dt);
+      return;
+    }
+    if (this.state === STATES.DOWN) this.state = STATES.ROAM;
+    this.body.material = RUN_MATERIAL;
+
     // Taunt timer
     if (this.state === STATES.TAUNT) {
       this.tauntTimer -= dt;
@@ -191,48 +266,76 @@ export class Agent {
     if (this.isIt) {
       this.state = STATES.HUNT;
     } else {
-      const itAgent = allAgents.find(a => a.id === itAgentId);
+      this.perception.forget();
+      this.pursuit.forget();
+      const itAgent = this.nearestHunter(allAgents);
+      if (this.alarmTimer > 0) this.alarmTimer -= dt;
       if (itAgent) {
         const dist = this.distanceTo(itAgent);
-        this.state = dist < this.profile.panicDistance ? STATES.FLEE : STATES.ROAM;
+        const panic = this.profile.panicDistance * (this.alarmTimer > 0 ? ALARM_PANIC : 1);
+        this.state = dist < panic ? STATES.FLEE : STATES.ROAM;
       }
     }
 
     // Compute velocity based on state and decision
-    const speed = (this.decision.sprint ? this.profile.speed * 1.4 : this.profile.speed) * speedMul;
+    const sprint = this.control ? this.control.sprint : this.decision.sprint;
+    let speed = (sprint ? this.profile.speed * 1.4 : this.profile.speed) * speedMul;
+    if (this.slowTimer > 0) {
+      this.slowTimer -= dt;
+      speed *= this.slowFactor;
+    }
     let vx = 0, vz = 0;
 
     switch (this.state) {
       case STATES.HUNT: {
-        // Chase nearest non-IT agent (skip who just tagged us)
-        const target = this.findNearestRunner(allAgents, itAgentId, prevItAgentId);
-        if (target) {
-          const dx = target.body.position.x - this.body.position.x;
-          const dz = target.body.position.z - this.body.position.z;
+        // Cut off the nearest runner in sight (skip who just tagged us);
+        // nobody in sight → search where one was last seen, then sweep
+        const goal = this.perception.huntGoal(this.findNearestRunner(allAgents, prevItAgentId), dt);
+        if (!goal || !goal.target) this.pursuit.forget();
+        if (goal) {
+          const aim = goal.target ? this.pursuit.aim(goal.target, speed, dt) : goal;
+          const way = this.navigator.steer(aim.x, aim.z, dt, this.pursuit.cornerMargin());
+          const dx = way.x - this.body.position.x;
+          const dz = way.z - this.body.position.z;
           const d = Math.sqrt(dx * dx + dz * dz) || 1;
-          vx = (dx / d) * speed;
-          vz = (dz / d) * speed;
+          const pace = goal.target ? speed : speed * 0.8;
+          vx = (dx / d) * pace;
+          vz = (dz / d) * pace;
           // Mix in AI decision
           vx = vx * 0.7 + this.decision.moveX * speed * 0.3;
           vz = vz * 0.7 + this.decision.moveZ * speed * 0.3;
+        } else {
+          // Sweep: wander the playground like a roaming kid, a bit quicker
+          vx = this.decision.moveX * speed * 0.8;
+          vz = this.decision.moveZ * speed * 0.8;
+          vx += (Math.sin(now * 0.001 + this.wanderX) * 0.5) * speed * 0.4;
+          vz += (Math.cos(now * 0.0013 + this.wanderZ) * 0.5) * speed * 0.4;
+          ({ x: vx, z: vz } = this.routeAlong(vx, vz, ROAM_LOOKAHEAD, dt));
         }
         break;
       }
       case STATES.FLEE: {
-        // Run from IT
-        const it = allAgents.find(a => a.id === itAgentId);
+        // Run from the nearest IT
+        const it = this.nearestHunter(allAgents);
         if (it) {
           const dx = this.body.position.x - it.body.position.x;
           const dz = this.body.position.z - it.body.position.z;
           const d = Math.sqrt(dx * dx + dz * dz) || 1;
           // Add scatter based on agent ID
-          const scatter = (this.id / 5) * Math.PI * 2;
+          const scatter = (this.id / this.rosterSize) * Math.PI * 2;
           vx = (dx / d + Math.cos(scatter) * 0.3) * speed;
           vz = (dz / d + Math.sin(scatter) * 0.3) * speed;
           // Mix in AI decision
           vx = vx * 0.6 + this.decision.moveX * speed * 0.4;
           vz = vz * 0.6 + this.decision.moveZ * speed * 0.4;
         }
+        // Game mode goal (e.g. a safe base) pulls while fleeing
+        if (this.goal) {
+          const g = this.towardGoal(speed);
+          vx += g.x * 0.6;
+          vz += g.z * 0.6;
+        }
+        ({ x: vx, z: vz } = this.routeAlong(vx, vz, FLEE_LOOKAHEAD, dt));
         break;
       }
       case STATES.ROAM:
@@ -241,35 +344,49 @@ export class Agent {
         vx = this.decision.moveX * speed * 0.6;
         vz = this.decision.moveZ * speed * 0.6;
         // Add gentle random wander
-        vx += (Math.sin(Date.now() * 0.001 + this.id * 7) * 0.5) * speed * 0.3;
-        vz += (Math.cos(Date.now() * 0.0013 + this.id * 11) * 0.5) * speed * 0.3;
+        vx += (Math.sin(now * 0.001 + this.wanderX) * 0.5) * speed * 0.3;
+        vz += (Math.cos(now * 0.0013 + this.wanderZ) * 0.5) * speed * 0.3;
+        // Game mode goal (e.g. a frozen friend to thaw) leads the wander
+        if (this.goal) {
+          const g = this.towardGoal(speed);
+          vx = vx * 0.4 + g.x * 0.8;
+          vz = vz * 0.4 + g.z * 0.8;
+        }
+        ({ x: vx, z: vz } = this.routeAlong(vx, vz, ROAM_LOOKAHEAD, dt));
         break;
       }
     }
 
+    // Possessed: the player's stick replaces the AI steering
+    if (this.control) {
+      vx = this.control.moveX * speed;
+      vz = this.control.moveZ * speed;
+    }
+
     // === EVOLUTION: ability decision + effects ===
     if (this.geneSystem) {
-      this._updateAbilities(dt, allAgents, itAgentId, speed);
-
-      // Dash: 2.5x speed multiplier
-      if (this.geneSystem.isActive(this.id, 'dash')) {
-        vx *= 2.5;
-        vz *= 2.5;
-        // Spawn trail
-        if (this.evolutionFx && Math.random() > 0.5) {
-          this.evolutionFx.spawnDashTrail(
-            this.body.position.x, this.body.position.y, this.body.position.z,
-            this.profile.color
-          );
-        }
-      }
+      this._updateAbilities(dt, allAgents, speed);
+
+      // Active abilities shape the desired velocity (dash…)
+      const v = { x: vx, z: vz };
+      this.geneSystem.activeDefs(this.id).forEach(def => {
+        if (def.move) def.move(this, v, dt, allAgents);
+      });
+      vx = v.x;
+      vz = v.z;
     }
 
+    // Shoves from other kids' abilities (magnet, slam) ride on top of steering
+    vx += this.knock.x;
+    vz += this.knock.z;
+    this.decayKnock(dt);
+
     // Brain: apply learned spatial bias
     const myX = this.body.position.x;
     const myZ = this.body.position.z;
-    const bias = this.brain.getMovementBias(myX, myZ, this.isIt);
-    if (bias.confidence > 0.05) {
+    const senses = this.brain.policy && !this.control ? this.senses(allAgents, prevItAgentId, dt) : null;
+    const bias = this.brain.getMovementBias(myX, myZ, this.isIt, senses);
+    if (!this.control && bias.confidence > 0.05) {
       vx += bias.x * speed * 1.5;
       vz += bias.z * speed * 1.5;
     }
@@ -303,7 +420,7 @@ export class Agent {
     // Push velocity away from nearby obstacles so agents steer around them
     const px = this.body.position.x;
     const pz = this.body.position.z;
-    for (const obs of OBSTACLES) {
+    for (const obs of this.obstacles) {
       const dx = px - obs.x;
       const dz = pz - obs.z;
       const dist = Math.sqrt(dx * dx + dz * dz);
@@ -319,23 +436,20 @@ export class Agent {
     }
 
     // Keep inside arena bounds (hard clamp + strong push)
-    if (px > BOUND) { vx -= (px - BOUND) * 6; this.body.position.x = Math.min(px, BOUND + 0.5); }
-    if (px < -BOUND) { vx -= (px + BOUND) * 6; this.body.position.x = Math.max(px, -BOUND - 0.5); }
-    if (pz > BOUND) { vz -= (pz - BOUND) * 6; this.body.position.z = Math.min(pz, BOUND + 0.5); }
-    if (pz < -BOUND) { vz -= (pz + BOUND) * 6; this.body.position.z = Math.max(pz, -BOUND - 0.5); }
+    const bound = this.bound;
+    if (px > bound) { vx -= (px - bound) * 6; this.body.position.x = Math.min(px, bound + 0.5); }
+    if (px < -bound) { vx -= (px + bound) * 6; this.body.position.x = Math.max(px, -bound - 0.5); }
+    if (pz > bound) { vz -= (pz - bound) * 6; this.body.position.z = Math.min(pz, bound + 0.5); }
+    if (pz < -bound) { vz -= (pz + bound) * 6; this.body.position.z = Math.max(pz, -bound - 0.5); }
 
     // Apply velocity
     this.body.velocity.x = vx;
     this.body.velocity.z = vz;
 
-    // Flying: lift above ground, otherwise clamp to ground
-    if (this.flying) {
-      const targetY = 2.5;
-      if (this.body.position.y < targetY) {
-        this.body.velocity.y = 4;
-      } else {
-        this.body.velocity.y = Math.sin(Date.now() * 0.003) * 0.5; // gentle hover
-      }
+    // Airborne abilities lift (fly…), otherwise clamp to ground
+    const lift = this.abilityLift(now);
+    if (lift !== null) {
+      this.body.velocity.y = lift;
     } else {
       // Force landing if above ground (post-fly or physics glitch)
       if (this.body.position.y > 0.5) {
@@ -352,32 +466,30 @@ export class Agent {
       this.mesh.rotation.y = targetAngle;
     }
 
-    // Stuck detection + smart escape
-    if (this.stuckDiag) {
-      const escape = this.stuckDiag.diagnose(this, allAgents);
+    // Stuck detection + smart escape (a player pushing into a wall means it)
+    if (this.stuckDiag && !this.control) {
+      const escape = this.stuckDiag.diagnose(this, allAgents, dt);
       if (escape) {
         this.body.velocity.x = escape.x;
         this.body.velocity.z = escape.z;
       }
     }
-    // Fallback stuck counter (for SupervisorBot)
-    const moved = this.prevPosition.distanceTo(
-      new THREE.Vector3(this.body.position.x, this.body.position.y, this.body.position.z)
-    );
-    if (moved < 0.01) {
+    // Fallback stuck counter (for SupervisorBot): last tick's physics step
+    // (stepFrom → prevPosition) moved us far less than the speed we asked for
+    const moved = Math.hypot(this.prevPosition.x - this.stepFrom.x, this.prevPosition.z - this.stepFrom.z);
+    if (this.stepSpeed > 0.5 && moved < this.stepSpeed * dt * 0.25) {
       this.stuckFrames++;
     } else {
       this.stuckFrames = Math.max(0, this.stuckFrames - 1);
     }
+    this.stepFrom.x = this.body.position.x;
+    this.stepFrom.z = this.body.position.z;
+    this.stepSpeed = Math.hypot(this.body.velocity.x, this.body.velocity.z);
 
-    // Speech timer
-    if (this.speechTimer > 0) {
-      this.speechTimer -= dt;
-      if (this.speechTimer <= 0) this.speechText = '';
-    }
+    this.updateSpeech(dt);
 
     // Score (survival time as non-IT)
-    if (!this.isIt) {
+    if (!this.isIt && !this.frozen) {
       this.score += dt;
     }
   }
@@ -403,7 +515,15 @@ export class Agent {
 
     const { leftArm, rightArm, leftLeg, rightLeg } = this.mesh.userData;
 
-    if (actualSpeed > 0.5) {
+    if (this.state === STATES.DOWN) {
+      // Knocked over — flat on the back, arms and legs spread
+      this.mesh.rotation.x = -Math.PI / 2;
+      this.mesh.position.y += 0.15;
+      if (leftArm) leftArm.rotation.x = -1.2;
+      if (rightArm) rightArm.rotation.x = -1.2;
+      if (leftLeg) leftLeg.rotation.x = 0.3;
+      if (rightLeg) rightLeg.rotation.x = -0.3;
+    } else if (actualSpeed > 0.5) {
       // Running animation — speed matches real movement
       const freq = 0.012 * (actualSpeed / 3);
       const t = Date.now() * freq;
@@ -443,80 +563,246 @@ export class Agent {
     return Math.sqrt(dx * dx + dz * dz);
   }
 
-  findNearestRunner(allAgents, itAgentId, skipAgentId) {
+  // Round intro / results: no movement, no learning, no score.
+  // Standing still would let the physics put the body to sleep — keep it awake
+  hold(dt) {
+    this.body.wakeUp();
+    this.prevPosition.set(this.body.position.x, this.body.position.y, this.body.position.z);
+    this.body.velocity.x = 0;
+    this.body.velocity.z = 0;
+    this.auraGroup.visible = this.isIt;
+    this.iceMesh.visible = this.frozen;
+    this.updateSpeech(dt);
+  }
+
+  // A spawn point nudged by up to SPAWN_JITTER in a seeded direction
+  jitter(spawn) {
+    const angle = this.rng.range(0, Math.PI * 2);
+    const r = this.rng.range(0, SPAWN_JITTER);
+    return { x: spawn.x + Math.cos(angle) * r, z: spawn.z + Math.sin(angle) * r };
+  }
+
+  respawn(point) {
+    const spawn = this.jitter(point);
+    this.body.position.set(spawn.x, 0.3, spawn.z);
+    this.body.velocity.set(0, 0, 0);
+    this.body.wakeUp();
+    this.prevPosition.copy(this.body.position);
+    this.state = STATES.ROAM;
+    this.goal = null;
+    this.safe = false;
+    this.stuckFrames = 0;
+    this.stepSpeed = 0;
+    this.slowTimer = 0;
+    this.knock.x = 0;
+    this.knock.z = 0;
+    this.downTimer = 0;
+    this.alarmTimer = 0;
+    this.perception.forget();
+    this.pursuit.forget();
+    this.navigator.clear();
+    this.brain.onRespawn();
+  }
+
+  updateSpeech(dt) {
+    if (this.speechTimer > 0) {
+      this.speechTimer -= dt;
+      if (this.speechTimer <= 0) this.speechText = '';
+    }
+  }
+
+  // Same speed, but if equipment blocks the way `lookahead` metres along
+  // the velocity, head for the next corner of the path around it
+  routeAlong(vx, vz, lookahead, dt) {
+    const v = Math.sqrt(vx * vx + vz * vz);
+    if (v < 0.01) return { x: vx, z: vz };
+    const p = this.body.position;
+    const limit = this.bound;
+    const tx = Math.max(-limit, Math.min(limit, p.x + (vx / v) * lookahead));
+    const tz = Math.max(-limit, Math.min(limit, p.z + (vz / v) * lookahead));
+    const way = this.navigator.steer(tx, tz, dt);
+    if (way.direct) return { x: vx, z: vz };
+    const dx = way.x - p.x;
+    const dz = way.z - p.z;
+    const d = Math.sqrt(dx * dx + dz * dz) || 1;
+    return { x: (dx / d) * v, z: (dz / d) * v };
+  }
+
+  // Velocity toward the game mode's goal at full speed
+  towardGoal(speed) {
+    const dx = this.goal.x - this.body.position.x;
+    const dz = this.goal.z - this.body.position.z;
+    const d = Math.sqrt(dx * dx + dz * dz);
+    if (d < 0.3) return { x: 0, z: 0 };
+    return { x: (dx / d) * speed, z: (dz / d) * speed };
+  }
+
+  // What the RL policy (AgentBrain.setPolicy) gets to see this tick: the kid
+  // that matters — nearest IT for a runner, nearest runner in sight for IT —
+  // and our own spot in the arena
+  senses(allAgents, prevItAgentId, dt) {
+    const p = this.body.position;
+    const other = this.isIt ? this.findNearestRunner(allAgents, prevItAgentId) : this.nearestHunter(allAgents);
+    const dx = other ? other.body.position.x - p.x : 0;
+    const dz = other ? other.body.position.z - p.z : 0;
+    return {
+      dt,
+      seen: !!other,
+      dx,
+      dz,
+      dist: Math.sqrt(dx * dx + dz * dz),
+      x: p.x,
+      z: p.z,
+      bound: this.bound,
+    };
+  }
+
+  // Closest IT other than us (infection mode can have several)
+  nearestHunter(allAgents) {
     let nearest = null;
     let minDist = Infinity;
     allAgents.forEach(a => {
-      if (a.id === itAgentId) return;
+      if (!a.isIt || a.id === this.id) return;
+      const d = this.distanceTo(a);
+      if (d < minDist) {
+        minDist = d;
+        nearest = a;
+      }
+    });
+    return nearest;
+  }
+
+  // Closest kid in sight still in play: not IT, not frozen, not hiding in a
+  // base. A decoy clone that is closer fools us just the same.
+  findNearestRunner(allAgents, skipAgentId) {
+    let nearest = null;
+    let minDist = Infinity;
+    allAgents.forEach(a => {
+      if (a.isIt || a.frozen || a.safe) return;
       if (a.id === skipAgentId) return; // can't chase who just tagged us
+      if (!this.perception.canSee(a)) return;
       const d = this.distanceTo(a);
       if (d < minDist) {
         minDist = d;
         nearest = a;
       }
     });
+    if (this.decoys) {
+      this.decoys.list.forEach(decoy => {
+        if (!this.perception.canSee(decoy)) return;
+        const d = this.distanceTo(decoy);
+        if (d < minDist) {
+          minDist = d;
+          nearest = decoy;
+        }
+      });
+    }
     return nearest;
   }
 
+  // Live profile edit (personality editor / loaded preset). The profile
+  // object is shared with the brain, so trait changes apply next tick.
+  applyProfile(patch) {
+    const clean = sanitizeProfile(patch);
+    Object.assign(this.profile, clean);
+    if (clean.color !== undefined) {
+      (this.mesh.userData.accentMaterials || []).forEach(mat => mat.color.setHex(clean.color));
+    }
+  }
+
+  // --- Effects of other kids' abilities ---
+
+  // Run at `factor` speed for `duration` seconds (freeze ray)
+  slowDown(duration, factor) {
+    this.slowTimer = Math.max(this.slowTimer, duration);
+    this.slowFactor = factor;
+  }
+
+  // Add to the shove velocity (magnet pull, slam knockback)
+  shove(x, z) {
+    this.knock.x += x;
+    this.knock.z += z;
+  }
+
+  // Fall over and lie still for `duration` seconds (ground slam)
+  knockDown(duration) {
+    this.downTimer = Math.max(this.downTimer, duration);
+    this.state = STATES.DOWN;
+  }
+
+  get isDown() { return this.downTimer > 0; }
+
+  decayKnock(dt) {
+    const k = Math.max(0, 1 - KNOCK_DECAY * dt);
+    this.knock.x *= k;
+    this.knock.z *= k;
+  }
+
   say(text, duration = 2.0) {
     this.speechText = text;
     this.speechTimer = duration;
   }
 
+  // A friend's warning call: on edge for `duration` seconds
+  hearAlarm(duration) {
+    this.alarmTimer = Math.max(this.alarmTimer, duration);
+  }
+
   startTaunt(duration = 1.2) {
     this.state = STATES.TAUNT;
     this.tauntTimer = duration;
   }
 
   // --- Evolution ability logic ---
-  _updateAbilities(dt, allAgents, itAgentId, speed) {
+  _updateAbilities(dt, allAgents, speed) {
     const gs = this.geneSystem;
     const fx = this.evolutionFx;
 
     // Determine situation for AI decision
-    const itAgent = allAgents.find(a => a.id === itAgentId);
+    // IT is its own reference point (0); runners measure to the nearest IT
+    const itAgent = this.isIt ? this : this.nearestHunter(allAgents);
     const distToIt = itAgent ? this.distanceTo(itAgent) : 999;
     const px = this.body.position.x;
     const pz = this.body.position.z;
-    const isCorner = (Math.abs(px) > BOUND - 3) && (Math.abs(pz) > BOUND - 3);
+    const isCorner = (Math.abs(px) > this.bound - 3) && (Math.abs(pz) > this.bound - 3);
 
-    // AI decides to use ability
-    const choice = gs.decideAbility(this.id, this.isIt, distToIt, isCorner);
+    // AI decides to use ability — or the player pressed an ability key
+    let choice;
+    if (this.control) {
+      choice = this.control.ability;
+      this.control.ability = null;
+    } else {
+      choice = gs.decideAbility(this.id, { agent: this, agents: allAgents, isIt: this.isIt, distToIt, isCorner });
+    }
     if (choice && gs.activateAbility(this.id, choice)) {
+      const def = getAbility(choice);
+      this.shownAbilities.add(choice);
       if (fx) fx.show(this.id, choice);
-
-      // Ability activation speech
-      const abilityNames = {
-        dash: 'Рывок!', scream: 'АААА!!!', fly: 'Я лечу!',
-        stealth: 'Исчезаю...', shield: 'Щит!'
-      };
-      this.say(abilityNames[choice] || choice, 1.5);
-
-      // Scream: push nearby agents away
-      if (choice === 'scream') {
-        allAgents.forEach(other => {
-          if (other.id === this.id) return;
-          const dx = other.body.position.x - this.body.position.x;
-          const dz = other.body.position.z - this.body.position.z;
-          const dist = Math.sqrt(dx * dx + dz * dz);
-          if (dist < 5 && dist > 0) {
-            const force = (5 - dist) / 5 * 8;
-            other.body.velocity.x += (dx / dist) * force;
-            other.body.velocity.z += (dz / dist) * force;
-          }
-        });
-      }
+      this.say(abilitySpeech(choice), 1.5);
+      if (def.onStart) def.onStart(this, allAgents);
     }
 
-    // Track active states
-    this.shielded = gs.isActive(this.id, 'shield');
-    this.flying = gs.isActive(this.id, 'fly');
+    // Abilities that ran out: their end hook, then hide the effect
+    this.shownAbilities.forEach(key => {
+      if (gs.isActive(this.id, key)) return;
+      this.shownAbilities.delete(key);
+      const def = getAbility(key);
+      if (def.onEnd) def.onEnd(this);
+      if (fx) fx.hide(this.id, key);
+    });
+
+    this.flying = gs.activeDefs(this.id).some(def => def.airborne);
+  }
 
-    // Hide effects when abilities expire
-    ['shield', 'fly', 'stealth', 'dash'].forEach(key => {
-      if (fx && !gs.isActive(this.id, key) && fx.effects.get(this.id)?.active[key]) {
-        fx.hide(this.id, key);
+  // Vertical velocity from the first active ability with a lift hook, or null
+  abilityLift(now) {
+    if (!this.geneSystem) return null;
+    for (const def of this.geneSystem.activeDefs(this.id)) {
+      if (def.lift) {
+        const lift = def.lift(this, now);
+        if (lift !== null && lift !== undefined) return lift;
       }
-    });
+    }
+    return null;
   }
 }
@@ -6,23 +6,79 @@
  * - Which areas are safe hideouts (survived there)
  * - Which directions work for escaping
  * - Which targets are easier to catch
- * - Which obstacles are useful for cutting corners
+ * - Which obstacles are useful for cutting corners (the cutting itself: Pursuit + Navigator)
  *
  * Spatial memory: arena divided into grid cells (2x2 units).
  * Each cell has a "danger score" and "success score".
  * Agents use these scores to modify their movement decisions.
  *
  * The learning is VISIBLE — agents clearly get smarter over 5-10 minutes.
+ *
+ * serialize()/restore() carry the learned state between sessions
+ * (see BrainStore); BRAIN_SCHEMA_VERSION guards the saved layout.
+ *
+ * Kids also learn from each other (game/SocialChannel.js): hearDanger()
+ * marks a danger cell somebody saw or told about, weighted by how much this
+ * kid trusts the teller. A warning that comes true (tagged there, or a tag
+ * seen there) raises that trust; calm time spent in a warned cell lowers it.
+ *
+ * setPolicy('rl') swaps the grid scoring in getMovementBias for a Q-learning
+ * policy (RLPolicy) trained from the same learning events; the grids keep
+ * learning either way, so switching back loses nothing.
  */
 
+import { SimClock } from '../engine/SimContext.js';
+import { RLPolicy } from './RLPolicy.js';
+
 const GRID_SIZE = 2;       // cell size in world units
 const GRID_CELLS = 20;     // 20x20 grid covering -20..+20 arena
 const GRID_OFFSET = 20;    // offset so array indices are positive
 
+export const BRAIN_SCHEMA_VERSION = 1;
+
+// Grid layout for whoever draws the maps (renderer/BrainHeatmap.js)
+export const BRAIN_GRID = { size: GRID_SIZE, cells: GRID_CELLS, offset: GRID_OFFSET };
+
+// Movement policies: hand-weighted grid scores, or learned from rewards
+export const BRAIN_POLICIES = ['grid', 'rl'];
+export const DEFAULT_BRAIN_POLICY = 'grid';
+
+const TAG_REWARD = 1;
+
+// Trust in other kids' warnings (SocialChannel)
+const DEFAULT_TRUST = 0.5;
+const MIN_TRUST = 0.1;
+const TRUST_GAIN = 0.1;          // a warning came true
+const TRUST_LOSS = 0.02;         // per second spent calmly in a warned cell
+const WARNING_TTL = 60000;       // ms (clock.now) a warning waits to come true
+const MAX_WARNINGS = 20;
+
 export class AgentBrain {
-  constructor(agentId, personality) {
+  constructor(agentId, personality, clock = new SimClock()) {
     this.agentId = agentId;
     this.personality = personality;
+    this.clock = clock; // SimClock — timestamps follow simulation time
+    this.policy = null; // RLPolicy when setPolicy('rl'), else grid scoring
+    this.savedPolicy = null; // saved RL table kept while the grid drives
+    this.reset();
+  }
+
+  // 'grid' | 'rl'; a saved RL table is picked up when the policy comes back
+  setPolicy(kind, rng) {
+    if (kind !== 'rl') {
+      if (this.policy) this.savedPolicy = this.policy.serialize();
+      this.policy = null;
+      return;
+    }
+    if (this.policy) return;
+    this.policy = new RLPolicy(rng);
+    if (this.savedPolicy) this.policy.restore(this.savedPolicy);
+    this.savedPolicy = null;
+  }
+
+  // Forget everything learned — fresh generation-1 brain
+  reset() {
+    const personality = this.personality;
 
     // Spatial memory grids (GRID_CELLS x GRID_CELLS)
     // dangerMap: how often I got tagged at this cell (0..1)
@@ -43,6 +99,12 @@ export class AgentBrain {
     this.LEARN_RATE = 0.1 + personality.aggression * 0.05;
     this.DECAY_RATE = 0.995; // slow decay so memories persist
 
+    // What other kids told us: speaker's profile name → trust 0.1..1 (names,
+    // like BrainStore, so trust survives a reordered roster), open warnings
+    this.trust = {};
+    this.warnings = [];      // { gx, gz, from, time }
+    this.tipsHeard = 0;
+
     // Stats for display
     this.totalLessons = 0;
     this.smartMoves = 0;     // times brain overrode default behavior
@@ -50,6 +112,78 @@ export class AgentBrain {
 
     // Position sampling timer
     this.sampleTimer = 0;
+
+    if (this.policy) this.policy.reset();
+    this.savedPolicy = null;
+  }
+
+  // === PERSISTENCE ===
+
+  // Plain JSON snapshot of learned state (grids flattened row by row)
+  serialize() {
+    const flat = grid => grid.flat().map(v => Math.round(v * 1e4) / 1e4);
+    return {
+      version: BRAIN_SCHEMA_VERSION,
+      gridCells: GRID_CELLS,
+      dangerMap: flat(this.dangerMap),
+      safeMap: flat(this.safeMap),
+      chaseMap: flat(this.chaseMap),
+      targetSuccess: this.targetSuccess,
+      totalLessons: this.totalLessons,
+      smartMoves: this.smartMoves,
+      generation: this.generation,
+      learnRate: this.LEARN_RATE,
+      trust: this.trust,
+      tipsHeard: this.tipsHeard,
+      policy: this.policy ? this.policy.serialize() : this.savedPolicy,
+    };
+  }
+
+  // Load a serialize() snapshot; returns false (brain untouched) if it doesn't fit.
+  // knownNames (Set of profile names): trust in anyone else is dropped
+  restore(data, knownNames = null) {
+    if (!data || data.version !== BRAIN_SCHEMA_VERSION || data.gridCells !== GRID_CELLS) return false;
+    const size = GRID_CELLS * GRID_CELLS;
+    const maps = [data.dangerMap, data.safeMap, data.chaseMap];
+    if (maps.some(m => !Array.isArray(m) || m.length !== size)) return false;
+
+    const unflat = flat => {
+      const grid = this.createGrid(0);
+      flat.forEach((v, i) => {
+        grid[Math.floor(i / GRID_CELLS)][i % GRID_CELLS] = Math.max(0, Math.min(1, Number(v) || 0));
+      });
+      return grid;
+    };
+    this.dangerMap = unflat(data.dangerMap);
+    this.safeMap = unflat(data.safeMap);
+    this.chaseMap = unflat(data.chaseMap);
+
+    this.targetSuccess = {};
+    Object.entries(data.targetSuccess || {}).forEach(([id, s]) => {
+      this.targetSuccess[id] = { attempts: s.attempts | 0, catches: s.catches | 0 };
+    });
+    this.totalLessons = data.totalLessons | 0;
+    this.smartMoves = data.smartMoves | 0;
+    this.generation = Math.max(1, data.generation | 0);
+    if (Number.isFinite(data.learnRate)) this.LEARN_RATE = Math.min(0.3, data.learnRate);
+
+    // Social memory (older snapshots have none)
+    this.trust = {};
+    Object.entries(data.trust || {}).forEach(([name, t]) => {
+      if (knownNames && !knownNames.has(name)) return;
+      if (Number.isFinite(t)) this.trust[name] = Math.max(MIN_TRUST, Math.min(1, t));
+    });
+    this.warnings = [];
+    this.tipsHeard = Math.max(0, data.tipsHeard | 0);
+
+    // Optional RL table (older snapshots have none)
+    this.savedPolicy = null;
+    if (this.policy) {
+      if (!data.policy || !this.policy.restore(data.policy)) this.policy.reset();
+    } else if (data.policy) {
+      this.savedPolicy = data.policy;
+    }
+    return true;
   }
 
   createGrid(defaultVal) {
@@ -89,8 +223,10 @@ export class AgentBrain {
       this.dangerMap[rx][rz] = Math.min(1, this.dangerMap[rx][rz] + weight);
     });
 
+    this.confirmWarnings(gx, gz);
     this.totalLessons++;
     this.checkGeneration();
+    if (this.policy) this.policy.reward(-TAG_REWARD, true);
   }
 
   // Called when this agent successfully tags someone
@@ -110,6 +246,74 @@ export class AgentBrain {
     this.totalLessons++;
     this.smartMoves += 2;
     this.checkGeneration();
+    if (this.policy) this.policy.reward(TAG_REWARD, true);
+  }
+
+  // Danger somebody else found: seen first-hand (fromName null) or told by
+  // the kid named fromName, then weighted by trust in them. amount 1 = as
+  // bad as being tagged there. Returns how much actually went into the map;
+  // a tip that adds nothing is no news and isn't remembered as a warning.
+  hearDanger(x, z, amount, fromName = null) {
+    const [gx, gz] = this.worldToGrid(x, z);
+    const weight = fromName === null ? amount : amount * this.trustIn(fromName);
+    const added = Math.min(1 - this.dangerMap[gx][gz], this.LEARN_RATE * 2 * weight);
+    this.dangerMap[gx][gz] += added;
+
+    if (fromName === null) {
+      this.confirmWarnings(gx, gz);
+      return added;
+    }
+    if (added <= 0) return 0;
+    this.warnings.push({ gx, gz, from: fromName, time: this.clock.now() });
+    if (this.warnings.length > MAX_WARNINGS) this.warnings.shift();
+    this.tipsHeard++;
+    return added;
+  }
+
+  trustIn(name) {
+    return this.trust[name] ?? DEFAULT_TRUST;
+  }
+
+  adjustTrust(name, delta) {
+    this.trust[name] = Math.max(MIN_TRUST, Math.min(1, this.trustIn(name) + delta));
+  }
+
+  // A tag happened at (gx, gz): warnings about it (or next door) were right
+  confirmWarnings(gx, gz) {
+    const now = this.clock.now();
+    this.warnings = this.warnings.filter(w => {
+      if (now - w.time > WARNING_TTL) return false;
+      if (Math.abs(w.gx - gx) > 1 || Math.abs(w.gz - gz) > 1) return true;
+      this.adjustTrust(w.from, TRUST_GAIN);
+      return false;
+    });
+  }
+
+  // Most dangerous cell I know of → { x, z, value } (cell centre), or null
+  hottestDanger() {
+    let best = null;
+    for (let gx = 0; gx < GRID_CELLS; gx++) {
+      for (let gz = 0; gz < GRID_CELLS; gz++) {
+        const value = this.dangerMap[gx][gz];
+        if (value > 0 && (!best || value > best.value)) best = { gx, gz, value };
+      }
+    }
+    if (!best) return null;
+    return {
+      x: (best.gx + 0.5) * GRID_SIZE - GRID_OFFSET,
+      z: (best.gz + 0.5) * GRID_SIZE - GRID_OFFSET,
+      value: best.value,
+    };
+  }
+
+  dangerAt(x, z) {
+    const [gx, gz] = this.worldToGrid(x, z);
+    return this.dangerMap[gx][gz];
+  }
+
+  // Teleported (new round): the last move didn't lead here, don't score it
+  onRespawn() {
+    if (this.policy) this.policy.interrupt();
   }
 
   // Called when chase attempt fails (target escapes)
@@ -130,8 +334,15 @@ export class AgentBrain {
     const [gx, gz] = this.worldToGrid(x, z);
     this.safeMap[gx][gz] = Math.min(1, this.safeMap[gx][gz] + this.LEARN_RATE * 0.5);
 
+    // Nothing happened in a warned cell: the teller cried wolf a little
+    const now = this.clock.now();
+    this.warnings = this.warnings.filter(w => now - w.time <= WARNING_TTL);
+    this.warnings.forEach(w => {
+      if (w.gx === gx && w.gz === gz) this.adjustTrust(w.from, -TRUST_LOSS);
+    });
+
     // Track position history
-    this.positionHistory.push({ x, z, time: Date.now() });
+    this.positionHistory.push({ x, z, time: this.clock.now() });
     if (this.positionHistory.length > this.HISTORY_MAX) {
       this.positionHistory.shift();
     }
@@ -139,9 +350,17 @@ export class AgentBrain {
 
   // === DECISION MAKING ===
 
-  // Returns movement bias based on learned spatial memory
+  // Returns movement bias based on learned spatial memory, or from the RL
+  // policy when one is set (senses: Agent.senses(), null while possessed)
   // Output: { x: -1..1, z: -1..1, confidence: 0..1 }
-  getMovementBias(myX, myZ, isIt) {
+  getMovementBias(myX, myZ, isIt, senses = null) {
+    if (this.policy) {
+      if (!senses) return { x: 0, z: 0, confidence: 0 };
+      const bias = this.policy.act(isIt, senses);
+      if (bias.confidence > 0) this.smartMoves++;
+      return bias;
+    }
+
     const [gx, gz] = this.worldToGrid(myX, myZ);
 
     // Sample 8 neighboring cells + current
@@ -156,15 +375,7 @@ export class AgentBrain {
         const nz = gz + dz;
         if (nx < 0 || nx >= GRID_CELLS || nz < 0 || nz >= GRID_CELLS) continue;
 
-        let score;
-        if (isIt) {
-          // As IT: prefer cells where I've caught people, avoid dead zones
-          score = this.chaseMap[nx][nz] * 2 - this.safeMap[nx][nz] * 0.5;
-        } else {
-          // As runner: prefer safe cells, strongly avoid danger cells
-          score = this.safeMap[nx][nz] * 1.5 - this.dangerMap[nx][nz] * 3;
-        }
-
+        const score = this.cellScore(nx, nz, isIt);
         if (score > bestScore) {
           bestScore = score;
           bestDx = dx;
@@ -190,6 +401,16 @@ export class AgentBrain {
     };
   }
 
+  // How attractive a cell is for the role (> 0 pulls, < 0 pushes away)
+  cellScore(gx, gz, isIt) {
+    if (isIt) {
+      // As IT: prefer cells where I've caught people, avoid dead zones
+      return this.chaseMap[gx][gz] * 2 - this.safeMap[gx][gz] * 0.5;
+    }
+    // As runner: prefer safe cells, strongly avoid danger cells
+    return this.safeMap[gx][gz] * 1.5 - this.dangerMap[gx][gz] * 3;
+  }
+
   // Which target should I chase? Returns best targetId or null
   getBestTarget(candidates) {
     if (candidates.length === 0) return null;
@@ -248,6 +469,8 @@ export class AgentBrain {
       dangerZones: this.countHighCells(this.dangerMap, 0.3),
       safeZones: this.countHighCells(this.safeMap, 0.3),
       huntZones: this.countHighCells(this.chaseMap, 0.3),
+      tipsHeard: this.tipsHeard,
+      policy: this.policy ? this.policy.getStats() : null,
     };
   }
 
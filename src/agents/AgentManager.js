@@ -1,13 +1,16 @@
 import { Agent } from './Agent.js';
-import { AGENT_PROFILES } from './Personalities.js';
+import { buildRoster } from './Personalities.js';
+import { createSimContext } from '../engine/SimContext.js';
+import { ABILITY_KEYS, FLAG_IT, FLAG_FROZEN, FLAG_SAFE, abilityFlag } from '../game/MatchRecorder.js';
 
 export class AgentManager {
-  constructor(scene, world) {
+  constructor(scene, world, sim = createSimContext(), profiles = buildRoster()) {
     this.agents = [];
     this.speedMultiplier = 1.0; // UI slider coefficient
-    for (let i = 0; i < 5; i++) {
-      this.agents.push(new Agent(i, AGENT_PROFILES[i], scene, world));
-    }
+    this.bound = sim.level.bound; // arena half-size, sent to decision providers
+    profiles.forEach((profile, i) => {
+      this.agents.push(new Agent(i, profile, scene, world, sim, profiles.length));
+    });
   }
 
   fixedUpdate(dt, prevItAgentId) {
@@ -15,20 +18,61 @@ export class AgentManager {
     this.agents.forEach(a => a.fixedUpdate(dt, this.agents, itId, prevItAgentId, this.speedMultiplier));
   }
 
+  // Between rounds: everyone stands still (speech bubbles keep ticking)
+  hold(dt) {
+    this.agents.forEach(a => a.hold(dt));
+  }
+
+  // New round: back to the level's spawn points
+  respawn(level) {
+    this.agents.forEach((a, i) => a.respawn(level.spawnPoint(i, this.agents.length)));
+  }
+
   interpolate(alpha) {
     this.agents.forEach(a => a.interpolate(alpha));
   }
 
-  compressState(itAgentId) {
+  // Short form for decision providers. `detail` is the LAN snapshot
+  // (net/NetHost.js): cm positions, facing, velocity, flag bits as in
+  // MatchRecorder, score and speech — everything a client needs to draw.
+  compressState(itAgentId, { detail = false, geneSystem = null } = {}) {
+    if (!detail) {
+      return {
+        agentIds: this.agents.map(a => a.id),
+        itId: itAgentId,
+        bound: this.bound,
+        positions: this.agents.map(a => ({
+          id: a.id,
+          x: Math.round(a.body.position.x * 10) / 10,
+          z: Math.round(a.body.position.z * 10) / 10,
+          state: a.state,
+        })),
+      };
+    }
+    const cm = v => Math.round(v * 100) / 100;
     return {
       agentIds: this.agents.map(a => a.id),
       itId: itAgentId,
-      positions: this.agents.map(a => ({
-        id: a.id,
-        x: Math.round(a.body.position.x * 10) / 10,
-        z: Math.round(a.body.position.z * 10) / 10,
-        state: a.state,
-      })),
+      bound: this.bound,
+      positions: this.agents.map(a => {
+        const p = a.body.position;
+        const v = a.body.velocity;
+        let flags = (a.isIt ? FLAG_IT : 0) | (a.frozen ? FLAG_FROZEN : 0) | (a.safe ? FLAG_SAFE : 0);
+        ABILITY_KEYS.forEach(key => {
+          if (geneSystem && geneSystem.isActive(a.id, key)) flags |= abilityFlag(key);
+        });
+        return {
+          id: a.id,
+          x: cm(p.x), y: cm(p.y), z: cm(p.z),
+          rot: Math.round(a.mesh.rotation.y * 1000) / 1000,
+          vx: cm(v.x), vz: cm(v.z),
+          state: a.state,
+          flags,
+          score: Math.round(a.score * 10) / 10,
+          // Only while a bubble is up (JSON drops undefined)
+          speech: a.speechTimer > 0 ? [a.speechText, Math.round(a.speechTimer * 10) / 10] : undefined,
+        };
+      }),
     };
   }
 
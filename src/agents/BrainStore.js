@@ -0,0 +1,76 @@
+/**
+ * Brain persistence — learned spatial memory survives restarts.
+ *
+ * Saved as one 'brains' document: { version, savedAt, brains: { [name]: snapshot } }.
+ * Brains are keyed by profile name, so a roster change keeps whoever is still
+ * playing. Snapshots from another schema version are ignored (fresh brain).
+ * With the RL policy on, a snapshot also carries its Q table.
+ */
+import { BRAIN_SCHEMA_VERSION } from './AgentBrain.js';
+import { loadData, saveData } from '../engine/Storage.js';
+
+const STORAGE_NAME = 'brains';
+const AUTOSAVE_MS = 30000;
+
+export class BrainStore {
+  constructor(agentManager) {
+    this.agentManager = agentManager;
+    this.loaded = new Set(); // agent ids restored from disk
+    this.benched = {};       // saved brains of agents not in this roster
+    this.autosaveTimer = null;
+  }
+
+  async load() {
+    return this.fromDocument(await loadData(STORAGE_NAME));
+  }
+
+  async save() {
+    return saveData(STORAGE_NAME, this.toDocument());
+  }
+
+  // Restore every playing agent found in a saved document (also used by
+  // scripts/simulate.mjs --brains); returns how many were restored
+  fromDocument(data) {
+    if (!data || data.version !== BRAIN_SCHEMA_VERSION || !data.brains) return 0;
+
+    const playing = new Set(this.agentManager.agents.map(a => a.profile.name));
+    Object.entries(data.brains).forEach(([name, snapshot]) => {
+      if (!playing.has(name)) this.benched[name] = snapshot;
+    });
+    // Trust is kept in kids this roster or the saved one knows by name
+    const known = new Set([...playing, ...Object.keys(data.brains)]);
+    this.agentManager.agents.forEach(agent => {
+      const snapshot = data.brains[agent.profile.name];
+      if (snapshot && agent.brain.restore(snapshot, known)) this.loaded.add(agent.id);
+    });
+    return this.loaded.size;
+  }
+
+  toDocument() {
+    const brains = { ...this.benched };
+    this.agentManager.agents.forEach(agent => {
+      brains[agent.profile.name] = agent.brain.serialize();
+    });
+    return {
+      version: BRAIN_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      brains,
+    };
+  }
+
+  // Wipe one agent's learning and persist right away
+  async resetAgent(agentId) {
+    const agent = this.agentManager.agents.find(a => a.id === agentId);
+    if (!agent) return;
+    agent.brain.reset();
+    this.loaded.delete(agentId);
+    await this.save();
+  }
+
+  startAutosave() {
+    if (this.autosaveTimer) return;
+    this.autosaveTimer = setInterval(() => this.save(), AUTOSAVE_MS);
+    // Best effort on close; the interval covers crashes
+    globalThis.window?.addEventListener('beforeunload', () => this.save());
+  }
+}
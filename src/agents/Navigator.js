@@ -0,0 +1,87 @@
+/**
+ * Navigator — one kid following a NavGrid path.
+ *
+ * steer(goal) gives the point to run at this tick: the goal itself while
+ * the straight run there is free (most of the time, and free of charge),
+ * otherwise the next corner of an A* path around the equipment. Paths are
+ * reused while the goal stays close to where they lead and are refreshed
+ * every REPATH_TIME, so a moving goal (a fleeing runner, a look-ahead point)
+ * costs a few searches a second, not one per tick.
+ *
+ * A margin swings wider around each corner (a hunter's riskTaking, via
+ * Pursuit.cornerMargin); 0 runs the path as tight as the grid allows.
+ */
+
+const REPATH_TIME = 0.5;          // seconds a path is trusted
+const REPATH_DISTANCE = 1.5;      // goal drift that invalidates it sooner
+const REACHED = 0.6;              // waypoint counts as reached within this
+
+export class Navigator {
+  constructor(agent, nav) {
+    this.agent = agent;
+    this.nav = nav;
+    this.clear();
+  }
+
+  clear() {
+    this.path = null;             // [{ x, z }], the last one is the goal
+    this.goal = null;             // goal the path was planned for
+    this.age = 0;
+  }
+
+  // → { x, z, direct }: direct = the goal itself, nothing in the way
+  steer(goalX, goalZ, dt, margin = 0) {
+    const p = this.agent.body.position;
+    this.age += dt;
+    if (this.nav.lineClear(p.x, p.z, goalX, goalZ)) {
+      this.clear();
+      return { x: goalX, z: goalZ, direct: true };
+    }
+
+    const drift = this.goal ? Math.hypot(goalX - this.goal.x, goalZ - this.goal.z) : Infinity;
+    if (!this.path || this.age > REPATH_TIME || drift > REPATH_DISTANCE) {
+      this.path = this.nav.findPath(p.x, p.z, goalX, goalZ);
+      this.goal = { x: goalX, z: goalZ };
+      this.age = 0;
+      if (!this.path) return { x: goalX, z: goalZ, direct: true }; // walled in: old steering
+    }
+
+    // Drop reached corners, and any the next one makes pointless
+    while (this.path.length > 1) {
+      const after = this.path[1];
+      const corner = this.corner(p, margin);
+      const close = Math.hypot(corner.x - p.x, corner.z - p.z) < REACHED;
+      if (!close && !this.nav.lineClear(p.x, p.z, after.x, after.z)) break;
+      this.path.shift();
+    }
+    const next = this.corner(p, margin);
+    return { x: next.x, z: next.z, direct: false };
+  }
+
+  // The next waypoint, a turn in the path swung `margin` wider
+  corner(p, margin) {
+    const next = this.path[0];
+    if (margin <= 0 || this.path.length < 2) return next;
+    return this.widen(p, next, this.path[1], margin) || next;
+  }
+
+  // Corner pushed `margin` out of the turn (away from the equipment it
+  // wraps around); null when that spot isn't free
+  widen(p, corner, after, margin) {
+    const ax = p.x - corner.x;
+    const az = p.z - corner.z;
+    const bx = after.x - corner.x;
+    const bz = after.z - corner.z;
+    const la = Math.hypot(ax, az);
+    const lb = Math.hypot(bx, bz);
+    if (la < 1e-3 || lb < 1e-3) return null;
+    // Both legs leave the corner; their sum points into the turn
+    const ix = ax / la + bx / lb;
+    const iz = az / la + bz / lb;
+    const li = Math.hypot(ix, iz);
+    if (li < 1e-3) return null; // no real turn
+    const x = corner.x - (ix / li) * margin;
+    const z = corner.z - (iz / li) * margin;
+    return this.nav.isFree(x, z) ? { x, z } : null;
+  }
+}
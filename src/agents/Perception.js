@@ -0,0 +1,128 @@
+/**
+ * Perception — what a hunter actually sees.
+ *
+ * A kid is seen when it is inside SIGHT_RANGE and the view cone (FOV around
+ * the way the hunter faces), or close enough to be heard (NEAR_RANGE, any
+ * direction), and no sight-blocking equipment (Level.sightObstacles: slide,
+ * trees…) stands in between. Active abilities with `concealment` (stealth)
+ * shrink both ranges for the kid using them.
+ *
+ * When every runner is out of sight the hunter walks to the last place it
+ * saw one, circles there for a while (search) and then gives up (sweep).
+ * Runners don't flee by it — everybody always knows who is IT and where,
+ * the whole playground hears the shouting — but what they witness and warn
+ * each other about goes through canSee too (SocialChannel).
+ */
+
+const SIGHT_RANGE = 14;
+const NEAR_RANGE = 2.2;           // heard, not seen — works behind our back
+const HALF_FOV = 75 * Math.PI / 180;
+const MEMORY_TIME = 7;            // seconds a last known position stays worth checking
+const SEARCH_RADIUS = 2;          // circling around the last known position
+const ARRIVE_DISTANCE = 1.2;
+
+export class Perception {
+  constructor(agent, level) {
+    this.agent = agent;
+    this.occluders = level.sightObstacles;
+    this.mode = 'chase';          // chase | search | sweep (mirrors never leave 'chase')
+    this.memory = null;           // { x, z, age } — where a runner was last seen
+    this.circling = false;        // reached the spot, now walking around it
+    this.searchAngle = 0;
+  }
+
+  // Facing from the mesh (Agent turns it toward its velocity)
+  get facing() {
+    return this.agent.mesh.rotation.y;
+  }
+
+  // Sight and hearing shrink for concealed kids (0 = fully visible)
+  concealment(other) {
+    const gs = other.geneSystem;
+    if (!gs) return 0;
+    return gs.activeDefs(other.id).reduce((c, def) => Math.max(c, def.concealment || 0), 0);
+  }
+
+  // Anyone with a body.position: agents and decoys alike
+  canSee(other) {
+    const a = this.agent.body.position;
+    const b = other.body.position;
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const clarity = 1 - this.concealment(other);
+
+    if (dist > SIGHT_RANGE * clarity) return false;
+    if (dist > NEAR_RANGE * clarity) {
+      let angle = Math.atan2(dx, dz) - this.facing;
+      angle = Math.atan2(Math.sin(angle), Math.cos(angle));
+      if (Math.abs(angle) > HALF_FOV) return false;
+    }
+    return !this.occluded(a.x, a.z, b.x, b.z);
+  }
+
+  // Does any sight blocker cross the segment? Ones we stand in don't count.
+  occluded(ax, az, bx, bz) {
+    const sx = bx - ax;
+    const sz = bz - az;
+    const len2 = sx * sx + sz * sz || 1;
+    return this.occluders.some(o => {
+      const ox = o.x - ax;
+      const oz = o.z - az;
+      if (ox * ox + oz * oz < o.r * o.r) return false;
+      if ((bx - o.x) ** 2 + (bz - o.z) ** 2 < o.r * o.r) return false;
+      const t = Math.max(0, Math.min(1, (ox * sx + oz * sz) / len2));
+      const cx = ax + sx * t - o.x;
+      const cz = az + sz * t - o.z;
+      return cx * cx + cz * cz < o.r * o.r;
+    });
+  }
+
+  // Hunter's goal this tick: { target } while someone is in sight,
+  // { x, z } while searching, null while sweeping
+  huntGoal(target, dt) {
+    const agent = this.agent;
+    if (target) {
+      if (this.mode === 'search') agent.say('Вижу тебя!', 1.2);
+      this.mode = 'chase';
+      this.circling = false;
+      this.memory = { x: target.body.position.x, z: target.body.position.z, age: 0 };
+      return { target };
+    }
+
+    if (!this.memory) {
+      this.mode = 'sweep';
+      return null;
+    }
+    this.memory.age += dt;
+    if (this.memory.age > MEMORY_TIME) {
+      this.forget();
+      agent.say('Где все?', 1.2);
+      return null;
+    }
+    if (this.mode === 'chase') {
+      this.mode = 'search';
+      agent.say('Куда делся?', 1.2);
+    }
+
+    // Walk to the spot, then circle it
+    const p = agent.body.position;
+    const m = this.memory;
+    if (!this.circling) {
+      if (Math.hypot(m.x - p.x, m.z - p.z) > SEARCH_RADIUS + ARRIVE_DISTANCE) return { x: m.x, z: m.z };
+      this.circling = true;
+      this.searchAngle = Math.atan2(p.z - m.z, p.x - m.x);
+    }
+    this.searchAngle += dt * 1.5;
+    return {
+      x: m.x + Math.cos(this.searchAngle) * SEARCH_RADIUS,
+      z: m.z + Math.sin(this.searchAngle) * SEARCH_RADIUS,
+    };
+  }
+
+  forget() {
+    this.mode = 'sweep';
+    this.memory = null;
+    this.circling = false;
+  }
+}
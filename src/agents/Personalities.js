@@ -1,3 +1,5 @@
+import { SeededRandom } from '../engine/SimContext.js';
+
 export const AGENT_COLORS = [0xE74C3C, 0xFF69B4, 0x3498DB, 0xF39C12, 0x2ECC71];
 
 export const AGENT_PROFILES = [
@@ -9,6 +11,7 @@ export const AGENT_PROFILES = [
     riskTaking: 0.8,
     playfulness: 0.4,
     panicDistance: 4.0,
+    sociability: 0.4,
     description: 'Агрессивный — любит догонять',
   },
   {
@@ -19,6 +22,7 @@ export const AGENT_PROFILES = [
     riskTaking: 0.2,
     playfulness: 0.9,
     panicDistance: 7.0,
+    sociability: 0.6,
     description: 'Нервная — прячется за горкой',
   },
   {
@@ -29,6 +33,7 @@ export const AGENT_PROFILES = [
     riskTaking: 0.9,
     playfulness: 0.6,
     panicDistance: 4.5,
+    sociability: 0.3,
     description: 'Стратег — использует препятствия',
   },
   {
@@ -39,6 +44,7 @@ export const AGENT_PROFILES = [
     riskTaking: 0.5,
     playfulness: 0.8,
     panicDistance: 5.5,
+    sociability: 0.95,
     description: 'Социальная — держится рядом с другими',
   },
   {
@@ -49,6 +55,105 @@ export const AGENT_PROFILES = [
     riskTaking: 0.3,
     playfulness: 1.0,
     panicDistance: 8.0,
+    sociability: 0.7,
     description: 'Клоун — убегает со смехом',
   },
 ];
+
+// === ROSTER SIZE ===
+// The five hand-made kids above come first; extra agents get generated
+// profiles. Generation is seeded by roster index (not the match seed), so
+// "agent #7" is the same kid in every match and keeps its saved brain/genes.
+
+export const MIN_AGENTS = 2;
+export const MAX_AGENTS = 12;
+export const DEFAULT_AGENT_COUNT = AGENT_PROFILES.length;
+
+const EXTRA_NAMES = ['Оля', 'Саша', 'Лиза', 'Миша', 'Аня', 'Гоша', 'Катя', 'Тёма', 'Соня', 'Лёва', 'Вика'];
+const EXTRA_COLORS = [0x9B59B6, 0x1ABC9C, 0xE67E22, 0x34495E, 0xF1C40F, 0x16A085, 0xC0392B, 0x8E44AD, 0x2980B9, 0xD35400, 0x7F8C8D];
+
+// Dominant trait → description, same voice as the hand-made ones
+const TRAIT_DESCRIPTIONS = {
+  aggression: 'Охотник — не отстаёт от цели',
+  riskTaking: 'Смельчак — бегает у самого водящего',
+  playfulness: 'Непоседа — всё время дурачится',
+  caution: 'Осторожный — держится подальше',
+  sociability: 'Болтушка — всем рассказывает, где опасно',
+};
+
+export function generateProfile(index) {
+  const rng = new SeededRandom(index * 7919 + 17);
+  const extra = index - AGENT_PROFILES.length;
+  const name = EXTRA_NAMES[extra % EXTRA_NAMES.length] +
+    (extra >= EXTRA_NAMES.length ? ` ${Math.floor(extra / EXTRA_NAMES.length) + 1}` : '');
+
+  const profile = {
+    name,
+    color: EXTRA_COLORS[extra % EXTRA_COLORS.length],
+    speed: Math.round(rng.range(3.8, 5.2) * 10) / 10,
+    aggression: Math.round(rng.range(0.2, 0.9) * 10) / 10,
+    riskTaking: Math.round(rng.range(0.2, 0.9) * 10) / 10,
+    playfulness: Math.round(rng.range(0.3, 1.0) * 10) / 10,
+    panicDistance: Math.round(rng.range(4.0, 8.0) * 2) / 2,
+    sociability: Math.round(rng.range(0.2, 0.9) * 10) / 10,
+  };
+
+  const traits = {
+    aggression: profile.aggression,
+    riskTaking: profile.riskTaking,
+    playfulness: profile.playfulness,
+    caution: profile.panicDistance / 8,
+    sociability: profile.sociability,
+  };
+  const dominant = Object.keys(traits).reduce((a, b) => (traits[b] > traits[a] ? b : a));
+  profile.description = TRAIT_DESCRIPTIONS[dominant];
+  return profile;
+}
+
+// First `count` profiles: hand-made ones, then generated. Copies, so live
+// edits (personality editor) never touch the constants above.
+export function buildRoster(count = DEFAULT_AGENT_COUNT) {
+  const n = Math.max(MIN_AGENTS, Math.min(MAX_AGENTS, Math.round(count) || DEFAULT_AGENT_COUNT));
+  const roster = [];
+  for (let i = 0; i < n; i++) {
+    roster.push(i < AGENT_PROFILES.length ? { ...AGENT_PROFILES[i] } : generateProfile(i));
+  }
+  return roster;
+}
+
+// === EDITABLE FIELDS ===
+// Ranges for the personality editor and for validating JSON presets
+
+export const PROFILE_TRAITS = {
+  speed:         { label: 'Скорость',         min: 3.0, max: 6.5, step: 0.1 },
+  aggression:    { label: 'Агрессия',         min: 0,   max: 1,   step: 0.05 },
+  riskTaking:    { label: 'Риск',             min: 0,   max: 1,   step: 0.05 },
+  playfulness:   { label: 'Игривость',        min: 0,   max: 1,   step: 0.05 },
+  panicDistance: { label: 'Дистанция паники', min: 2,   max: 10,  step: 0.5 },
+  sociability:   { label: 'Общительность',    min: 0,   max: 1,   step: 0.05 },
+};
+
+export const PROFILES_FORMAT = 'sifa-profiles';
+export const PROFILES_VERSION = 1;
+
+// Clean partial profile data: known fields only, numbers clamped to range
+export function sanitizeProfile(data) {
+  const clean = {};
+  if (!data || typeof data !== 'object') return clean;
+  if (typeof data.name === 'string' && data.name.trim()) clean.name = data.name.trim().slice(0, 16);
+  if (typeof data.description === 'string') clean.description = data.description.slice(0, 60);
+  const color = typeof data.color === 'string' ? parseInt(data.color.replace('#', ''), 16) : data.color;
+  if (Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF) clean.color = color;
+  Object.entries(PROFILE_TRAITS).forEach(([key, range]) => {
+    const v = Number(data[key]);
+    if (Number.isFinite(v)) clean[key] = Math.max(range.min, Math.min(range.max, v));
+  });
+  return clean;
+}
+
+// Preset file: { format, version, profiles: [...] } or a bare array of profiles
+export function parseProfilesFile(data) {
+  const list = Array.isArray(data) ? data : data && data.format === PROFILES_FORMAT ? data.profiles : null;
+  if (!Array.isArray(list)) throw new Error('not a profiles preset');
+  return list.map(sanitizeProfile);
+}
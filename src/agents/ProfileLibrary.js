@@ -0,0 +1,80 @@
+/**
+ * Personality presets + the edited roster.
+ *
+ * 'roster'          — current per-slot profiles, re-applied at startup so
+ *                     editor tweaks survive restarts.
+ * 'profile-presets' — named single profiles designers saved for reuse.
+ *
+ * Both use the preset file layout { format, version, profiles: [...] } that
+ * the editor exports and scripts/simulate.mjs --profiles reads.
+ */
+import { PROFILES_FORMAT, PROFILES_VERSION, parseProfilesFile, sanitizeProfile } from './Personalities.js';
+import { loadData, saveData } from '../engine/Storage.js';
+
+const ROSTER_NAME = 'roster';
+const PRESETS_NAME = 'profile-presets';
+
+export function toProfilesFile(profiles) {
+  return {
+    format: PROFILES_FORMAT,
+    version: PROFILES_VERSION,
+    profiles: profiles.map(p => ({ ...p })),
+  };
+}
+
+export class ProfileLibrary {
+  constructor(agentManager) {
+    this.agentManager = agentManager;
+    this.presets = []; // sanitized profiles, unique by name
+  }
+
+  async load() {
+    const roster = await loadData(ROSTER_NAME);
+    if (roster) {
+      try {
+        this.applyRoster(parseProfilesFile(roster));
+      } catch (e) {
+        console.warn('[Profiles] saved roster ignored:', e.message);
+      }
+    }
+    const presets = await loadData(PRESETS_NAME);
+    if (presets) {
+      try {
+        this.presets = parseProfilesFile(presets).filter(p => p.name);
+      } catch (e) {
+        console.warn('[Profiles] saved presets ignored:', e.message);
+      }
+    }
+  }
+
+  // Slot i gets profiles[i]; extra entries are ignored, missing slots untouched
+  applyRoster(profiles) {
+    this.agentManager.agents.forEach((agent, i) => {
+      if (profiles[i]) agent.applyProfile(profiles[i]);
+    });
+  }
+
+  saveRoster() {
+    return saveData(ROSTER_NAME, toProfilesFile(this.agentManager.agents.map(a => a.profile)));
+  }
+
+  // === PRESETS ===
+
+  savePreset(profile) {
+    const clean = sanitizeProfile(profile);
+    if (!clean.name) return Promise.resolve(false);
+    this.presets = this.presets.filter(p => p.name !== clean.name);
+    this.presets.push(clean);
+    this.presets.sort((a, b) => a.name.localeCompare(b.name));
+    return saveData(PRESETS_NAME, toProfilesFile(this.presets));
+  }
+
+  deletePreset(name) {
+    this.presets = this.presets.filter(p => p.name !== name);
+    return saveData(PRESETS_NAME, toProfilesFile(this.presets));
+  }
+
+  getPreset(name) {
+    return this.presets.find(p => p.name === name) || null;
+  }
+}
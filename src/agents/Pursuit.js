@@ -0,0 +1,100 @@
+/**
+ * Pursuit — where IT runs when it has somebody in sight.
+ *
+ * Aiming at a runner's current spot always leaves IT a step behind, so IT
+ * aims at an intercept point instead: the runner's velocity is estimated
+ * from what IT saw over the last ticks, bent toward the way it will most
+ * likely flee (straight away from IT), and IT solves for the spot where
+ * its own speed meets that path. When equipment stands between IT and the
+ * aim point, the Navigator's path leads around it and IT cuts its corners:
+ * cornerMargin() is how much room it leaves them (Navigator.steer).
+ *
+ * aggression sets how far ahead IT dares to lead; riskTaking how much it
+ * trusts its flee guess over what it saw, and how tight it cuts corners.
+ */
+
+const TRACK_RATE = 8;             // 1/s, how fast the velocity estimate follows
+const DIRECT_RANGE = 2;           // closer than this: just grab
+const MIN_LEAD = 0.3;             // seconds ahead at aggression 0 …
+const MAX_LEAD = 1.0;             // … and at aggression 1
+const FLEE_GUESS = 0.6;           // weight of the flee guess at riskTaking 1
+const AGENT_RADIUS = 0.4;         // keeps the aim off the fence
+const SAFE_MARGIN = 0.6;          // room left at a corner at riskTaking 0 …
+const RISKY_MARGIN = 0;           // … and at riskTaking 1 (scrapes past it)
+
+export class Pursuit {
+  constructor(agent, level) {
+    this.agent = agent;
+    this.bound = level.bound;
+    this.forget();
+  }
+
+  forget() {
+    this.target = null;
+    this.last = null;             // { x, z } where the target was last tick
+    this.vx = 0;                  // estimated target velocity
+    this.vz = 0;
+  }
+
+  // Smoothed velocity from the target's position change (decoys too)
+  track(target, dt) {
+    const p = target.body.position;
+    if (target !== this.target || !this.last || dt <= 0) {
+      this.forget();
+      this.target = target;
+      this.last = { x: p.x, z: p.z };
+      return;
+    }
+    const k = Math.min(1, TRACK_RATE * dt);
+    this.vx += ((p.x - this.last.x) / dt - this.vx) * k;
+    this.vz += ((p.z - this.last.z) / dt - this.vz) * k;
+    this.last.x = p.x;
+    this.last.z = p.z;
+  }
+
+  // Point to run at this tick to catch `target` running at `speed`
+  aim(target, speed, dt) {
+    this.track(target, dt);
+    const me = this.agent.body.position;
+    const p = target.body.position;
+    const dx = p.x - me.x;
+    const dz = p.z - me.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist < DIRECT_RANGE) return { x: p.x, z: p.z };
+
+    const { aggression = 0.5, riskTaking = 0.5 } = this.agent.profile;
+
+    // What we saw, bent toward "runs straight away from me"
+    const seen = Math.sqrt(this.vx * this.vx + this.vz * this.vz);
+    const guess = riskTaking * FLEE_GUESS;
+    const rvx = this.vx * (1 - guess) + (dx / dist) * seen * guess;
+    const rvz = this.vz * (1 - guess) + (dz / dist) * seen * guess;
+
+    const lead = MIN_LEAD + aggression * (MAX_LEAD - MIN_LEAD);
+    const t = Math.min(lead, interceptTime(dx, dz, rvx, rvz, speed));
+    const limit = this.bound - AGENT_RADIUS;
+    const ax = Math.max(-limit, Math.min(limit, p.x + rvx * t));
+    const az = Math.max(-limit, Math.min(limit, p.z + rvz * t));
+    return { x: ax, z: az };
+  }
+
+  // Extra room around the corners of the way there: bold kids cut them
+  cornerMargin() {
+    const { riskTaking = 0.5 } = this.agent.profile;
+    return SAFE_MARGIN - riskTaking * (SAFE_MARGIN - RISKY_MARGIN);
+  }
+}
+
+// Earliest t > 0 with |d + v·t| = speed·t (Infinity if it can't be caught)
+function interceptTime(dx, dz, vx, vz, speed) {
+  const a = vx * vx + vz * vz - speed * speed;
+  const b = 2 * (dx * vx + dz * vz);
+  const c = dx * dx + dz * dz;
+  if (Math.abs(a) < 1e-6) return b < 0 ? -c / b : Infinity;
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return Infinity;
+  const root = Math.sqrt(disc);
+  const t1 = (-b - root) / (2 * a);
+  const t2 = (-b + root) / (2 * a);
+  return Math.min(t1 > 0 ? t1 : Infinity, t2 > 0 ? t2 : Infinity);
+}
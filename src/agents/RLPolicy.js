@@ -0,0 +1,211 @@
+/**
+ * RL policy — tabular Q-learning, the optional replacement for AgentBrain's
+ * hand-weighted grid scores (Simulation option policy: 'rl').
+ *
+ * State (coarse on purpose, so a few matches fill the table):
+ *   role         runner / IT
+ *   sector       where the kid that matters is — a runner watches the nearest
+ *                IT, IT the nearest runner in sight — in 8 directions, or nobody
+ *   band         how far it is: close / mid / far
+ *   wall         which arena edge is near, if any
+ * Action: lean toward one of 8 directions, or don't lean at all.
+ *
+ * Every DECIDE_INTERVAL the last action is scored (one Q update) and the next
+ * one picked ε-greedily with the seeded RNG. Rewards: runners earn for time
+ * survived and for opening distance, IT pays for time spent IT and earns for
+ * closing in; getting tagged is -1 and tagging +1, both end the episode
+ * (AgentBrain's learning hooks deliver them).
+ *
+ * Untrained, every Q is 0 and ties go to "no lean", so a fresh policy only
+ * moves a kid while exploring. serialize()/restore() carry the table with
+ * the brain (BrainStore); avgReward is what tells whether it is learning.
+ */
+
+const SECTORS = 9;                // 8 directions + nobody in sight
+const BANDS = 3;
+const WALLS = 5;                  // none, +x, -x, +z, -z
+const STATE_COUNT = 2 * SECTORS * BANDS * WALLS;
+const ACTIONS = 9;                // 0 = no lean, 1..8 = sector 0..7
+
+const DECIDE_INTERVAL = 0.5;      // seconds an action is held
+const ALPHA = 0.1;
+const GAMMA = 0.9;
+const EPSILON_START = 0.3;
+const EPSILON_MIN = 0.05;
+const EPSILON_DECAY = 0.999;      // per update
+const LEAN = 0.6;                 // bias of a chosen direction (grid brain caps at 0.8)
+
+const CLOSE = 3;                  // distance bands, metres
+const MID = 7;
+const WALL_MARGIN = 4;
+
+const SURVIVAL_REWARD = 0.05;     // per second as a runner
+const IT_PENALTY = 0.05;          // per second as IT
+const DISTANCE_REWARD = 0.05;     // per metre opened (runner) / closed (IT)
+const MAX_STEP_DISTANCE = 3;      // ignore jumps (new nearest kid, warp)
+const REWARD_WINDOW = 200;        // decisions in the running average
+
+export const POLICY_SCHEMA_VERSION = 1;
+
+export class RLPolicy {
+  constructor(rng) {
+    this.rng = rng; // SeededRandom — exploration stays reproducible
+    this.reset();
+  }
+
+  reset() {
+    this.q = new Array(STATE_COUNT * ACTIONS).fill(0);
+    this.visits = new Array(STATE_COUNT).fill(0);
+    this.updates = 0;
+    this.episodes = 0;
+    this.totalReward = 0;
+    this.avgReward = 0;     // running average per decision
+    this.interrupt();
+  }
+
+  // Drop the transition in flight without scoring it (respawn, round reset)
+  interrupt() {
+    this.prev = null;       // { state, action, isIt, seen, dist }
+    this.action = 0;
+    this.pending = 0;       // reward collected since the last decision
+    this.elapsed = DECIDE_INTERVAL;
+  }
+
+  get epsilon() {
+    return Math.max(EPSILON_MIN, EPSILON_START * Math.pow(EPSILON_DECAY, this.updates));
+  }
+
+  // Every tick: senses = { dt, seen, dx, dz, dist, x, z, bound } (Agent.senses).
+  // Returns the movement bias of the action being held.
+  act(isIt, senses) {
+    this.pending += (isIt ? -IT_PENALTY : SURVIVAL_REWARD) * senses.dt;
+    this.elapsed += senses.dt;
+    if (this.elapsed >= DECIDE_INTERVAL) {
+      this.elapsed = 0;
+      const state = this.encode(isIt, senses);
+      if (this.prev) {
+        const prev = this.prev;
+        if (prev.isIt === isIt && prev.seen && senses.seen) {
+          const opened = Math.max(-MAX_STEP_DISTANCE, Math.min(MAX_STEP_DISTANCE, senses.dist - prev.dist));
+          this.pending += (isIt ? -opened : opened) * DISTANCE_REWARD;
+        }
+        this.learn(state);
+      }
+      this.action = this.choose(state);
+      this.visits[state]++;
+      this.prev = { state, action: this.action, isIt, seen: senses.seen, dist: senses.dist };
+    }
+    return this.lean(this.action);
+  }
+
+  // Tagged (-1) / tagging (+1): scored right away, the episode ends
+  reward(value, terminal = false) {
+    this.pending += value;
+    if (!terminal) return;
+    if (this.prev) this.learn(null);
+    this.episodes++;
+    this.interrupt();
+  }
+
+  // One Q update for the previous decision; nextState null = terminal
+  learn(nextState) {
+    const { state, action } = this.prev;
+    const i = state * ACTIONS + action;
+    const future = nextState === null ? 0 : GAMMA * this.maxQ(nextState);
+    this.q[i] += ALPHA * (this.pending + future - this.q[i]);
+
+    this.totalReward += this.pending;
+    this.avgReward += (this.pending - this.avgReward) / REWARD_WINDOW;
+    this.updates++;
+    this.pending = 0;
+  }
+
+  choose(state) {
+    if (this.rng.next() < this.epsilon) return this.rng.int(ACTIONS);
+    let best = 0;
+    for (let a = 1; a < ACTIONS; a++) {
+      if (this.q[state * ACTIONS + a] > this.q[state * ACTIONS + best]) best = a;
+    }
+    return best;
+  }
+
+  maxQ(state) {
+    let best = -Infinity;
+    for (let a = 0; a < ACTIONS; a++) best = Math.max(best, this.q[state * ACTIONS + a]);
+    return best;
+  }
+
+  encode(isIt, { seen, dx, dz, dist, x, z, bound }) {
+    let sector = SECTORS - 1;
+    let band = BANDS - 1;
+    if (seen) {
+      sector = ((Math.round(Math.atan2(dz, dx) / (Math.PI / 4)) % 8) + 8) % 8;
+      band = dist < CLOSE ? 0 : dist < MID ? 1 : 2;
+    }
+
+    // Nearest edge within the margin
+    const edges = [bound - x, bound + x, bound - z, bound + z];
+    let wall = 0;
+    let nearest = WALL_MARGIN;
+    edges.forEach((d, i) => {
+      if (d < nearest) {
+        nearest = d;
+        wall = i + 1;
+      }
+    });
+
+    return (((isIt ? 1 : 0) * SECTORS + sector) * BANDS + band) * WALLS + wall;
+  }
+
+  // Action → { x, z, confidence } in AgentBrain.getMovementBias terms
+  lean(action) {
+    if (action === 0) return { x: 0, z: 0, confidence: 0 };
+    const angle = (action - 1) * Math.PI / 4;
+    return { x: Math.cos(angle) * LEAN, z: Math.sin(angle) * LEAN, confidence: LEAN };
+  }
+
+  // === PERSISTENCE ===
+
+  serialize() {
+    return {
+      version: POLICY_SCHEMA_VERSION,
+      states: STATE_COUNT,
+      actions: ACTIONS,
+      q: this.q.map(v => Math.round(v * 1e4) / 1e4),
+      visits: [...this.visits],
+      updates: this.updates,
+      episodes: this.episodes,
+      totalReward: Math.round(this.totalReward * 1e3) / 1e3,
+      avgReward: Math.round(this.avgReward * 1e5) / 1e5,
+    };
+  }
+
+  // Returns false (policy untouched) if the snapshot doesn't fit this table
+  restore(data) {
+    if (!data || data.version !== POLICY_SCHEMA_VERSION) return false;
+    if (data.states !== STATE_COUNT || data.actions !== ACTIONS) return false;
+    if (!Array.isArray(data.q) || data.q.length !== STATE_COUNT * ACTIONS) return false;
+    if (!Array.isArray(data.visits) || data.visits.length !== STATE_COUNT) return false;
+
+    this.q = data.q.map(v => Number(v) || 0);
+    this.visits = data.visits.map(v => Math.max(0, v | 0));
+    this.updates = Math.max(0, data.updates | 0);
+    this.episodes = Math.max(0, data.episodes | 0);
+    this.totalReward = Number(data.totalReward) || 0;
+    this.avgReward = Number(data.avgReward) || 0;
+    this.interrupt();
+    return true;
+  }
+
+  getStats() {
+    return {
+      updates: this.updates,
+      episodes: this.episodes,
+      states: this.visits.filter(v => v > 0).length,
+      stateCount: STATE_COUNT,
+      epsilon: this.epsilon,
+      avgReward: this.avgReward,
+      totalReward: this.totalReward,
+    };
+  }
+}
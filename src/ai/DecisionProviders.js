@@ -0,0 +1,192 @@
+/**
+ * Pluggable decision providers — every agent slot can be driven by its own backend.
+ *
+ * Provider contract:
+ *   { key, name, decide(state, agentIds) → Promise<[{ id, moveX, moveZ, sprint }]> }
+ * `state` is AgentManager.compressState(); `agentIds` are the slots this
+ * provider is responsible for in this tick. Decisions are intent modifiers
+ * (-1..1), Agent.fixedUpdate mixes them into its own steering.
+ *
+ * Built-in backends:
+ *   heuristic — local chase/flee rules, no IPC
+ *   scripted  — deterministic patrol policy (same input → same output)
+ *   llm       — Groq via the main process (window.electronAPI.askGroq)
+ *   module    — user JS module exporting decide(state, agentIds), and
+ *               optionally subscribe(events) to listen to the match's
+ *               EventBus (tags, abilities, evolutions, stuck, warps, rescues)
+ */
+
+const ARENA_BOUND = 16;
+
+// === HEURISTIC ===
+
+function toward(id, dx, dz, sprint) {
+  const len = Math.hypot(dx, dz) || 1;
+  return { id, moveX: dx / len, moveZ: dz / len, sprint };
+}
+
+export const heuristicProvider = {
+  key: 'heuristic',
+  name: 'Эвристика',
+
+  async decide(state, agentIds) {
+    return agentIds.map(id => this.decideOne(state, id));
+  },
+
+  decideOne(state, id) {
+    const positions = state.positions || [];
+    const me = positions.find(p => p.id === id);
+    const it = positions.find(p => p.id === state.itId);
+    if (!me || !it) return { id, moveX: 0, moveZ: 0, sprint: false };
+
+    if (id === state.itId) {
+      let target = null, best = Infinity;
+      positions.forEach(p => {
+        if (p.id === id) return;
+        const d = Math.hypot(p.x - me.x, p.z - me.z);
+        if (d < best) { best = d; target = p; }
+      });
+      if (!target) return { id, moveX: 0, moveZ: 0, sprint: false };
+      return toward(id, target.x - me.x, target.z - me.z, best < 6);
+    }
+
+    const dx = me.x - it.x;
+    const dz = me.z - it.z;
+    const dist = Math.hypot(dx, dz) || 1;
+    const bound = state.bound ?? ARENA_BOUND;
+    if (dist < 7) {
+      // Pull back toward the middle when pinned against the fence
+      const edgeX = Math.abs(me.x) > bound - 3 ? -Math.sign(me.x) : 0;
+      const edgeZ = Math.abs(me.z) > bound - 3 ? -Math.sign(me.z) : 0;
+      return toward(id, dx / dist + edgeX, dz / dist + edgeZ, dist < 4);
+    }
+    // Drift toward the centre, keep the Agent's own wander in charge
+    return { id, moveX: -me.x / bound * 0.3, moveZ: -me.z / bound * 0.3, sprint: false };
+  },
+};
+
+// === SCRIPTED ===
+
+// Waypoint loop around the equipment; runners walk it, IT cuts straight across
+const PATROL_ROUTE = [
+  [-11, -10], [0, -11], [11, -10], [12, 0], [11, 10], [0, 11], [-11, 10], [-12, 0],
+];
+
+export class ScriptedProvider {
+  constructor() {
+    this.key = 'scripted';
+    this.name = 'Скрипт';
+    this.waypoint = new Map(); // agentId → index in PATROL_ROUTE
+  }
+
+  async decide(state, agentIds) {
+    const positions = state.positions || [];
+    return agentIds.map(id => {
+      const me = positions.find(p => p.id === id);
+      if (!me) return { id, moveX: 0, moveZ: 0, sprint: false };
+      if (id === state.itId) return heuristicProvider.decideOne(state, id);
+
+      // Each agent starts on a different waypoint so they spread out
+      let idx = this.waypoint.has(id) ? this.waypoint.get(id) : (id * 3) % PATROL_ROUTE.length;
+      let [wx, wz] = PATROL_ROUTE[idx];
+      if (Math.hypot(wx - me.x, wz - me.z) < 2.5) {
+        idx = (idx + 1) % PATROL_ROUTE.length;
+        [wx, wz] = PATROL_ROUTE[idx];
+      }
+      this.waypoint.set(id, idx);
+
+      const it = positions.find(p => p.id === state.itId);
+      const near = it && Math.hypot(it.x - me.x, it.z - me.z) < 5;
+      return toward(id, wx - me.x, wz - me.z, !!near);
+    });
+  }
+}
+
+// === LLM (main process) ===
+
+export const llmProvider = {
+  key: 'llm',
+  name: 'LLM (Groq)',
+
+  async decide(state, agentIds) {
+    // Headless (simulate, lan-test): no main process to ask, the router's
+    // heuristic takes every slot
+    if (typeof window === 'undefined') return [];
+    if (!window.electronAPI?.askGroq) throw new Error('electronAPI unavailable');
+    const decisions = await window.electronAPI.askGroq({ ...state, agentIds });
+    return decisions.filter(d => agentIds.includes(d.id));
+  },
+};
+
+// === USER MODULE ===
+
+export class ModuleProvider {
+  constructor(url = '') {
+    this.key = 'module';
+    this.name = 'JS-модуль';
+    this.url = url;
+    this.loadedUrl = null;
+    this.impl = null;
+    this.lastError = null;
+    this.events = null;       // the Simulation's EventBus, handed to subscribe()
+    this.unsubscribe = null;  // what the loaded module's subscribe() returned
+  }
+
+  setUrl(url) {
+    this.url = url;
+  }
+
+  setEvents(events) {
+    this.events = events;
+  }
+
+  async decide(state, agentIds) {
+    if (!this.url) throw new Error('module URL not set');
+    if (this.loadedUrl !== this.url) {
+      const mod = await import(/* @vite-ignore */ this.url);
+      const decide = mod.decide || mod.default?.decide || mod.default;
+      if (typeof decide !== 'function') throw new Error('module must export decide(state, agentIds)');
+      this.impl = decide;
+      this.loadedUrl = this.url;
+      // The previous module stops listening; the new one may start
+      if (typeof this.unsubscribe === 'function') this.unsubscribe();
+      this.unsubscribe = null;
+      const subscribe = mod.subscribe || mod.default?.subscribe;
+      if (this.events && typeof subscribe === 'function') this.unsubscribe = subscribe(this.events);
+    }
+    return this.impl(state, agentIds);
+  }
+}
+
+// === REGISTRY ===
+
+export class DecisionProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (!provider?.key || typeof provider.decide !== 'function') {
+      throw new Error('provider needs a key and decide(state, agentIds)');
+    }
+    this.providers.set(provider.key, provider);
+    return provider;
+  }
+
+  get(key) {
+    return this.providers.get(key) || null;
+  }
+
+  list() {
+    return [...this.providers.values()].map(p => ({ key: p.key, name: p.name || p.key }));
+  }
+}
+
+export function createDefaultRegistry(moduleUrl = '') {
+  const registry = new DecisionProviderRegistry();
+  registry.register(heuristicProvider);
+  registry.register(new ScriptedProvider());
+  registry.register(llmProvider);
+  registry.register(new ModuleProvider(moduleUrl));
+  return registry;
+}
@@ -0,0 +1,87 @@
+import { createDefaultRegistry, heuristicProvider } from './DecisionProviders.js';
+
+const STORAGE_KEY = 'sifa.decisionProviders';
+const DEFAULT_PROVIDER = 'llm';
+
+/**
+ * Routes each agent slot to its chosen decision provider.
+ * One decision tick = group agent ids by provider, ask every provider in
+ * parallel, merge. A provider that throws is replaced by the heuristic for
+ * its slots so a broken backend never freezes an agent.
+ */
+export class DecisionRouter {
+  constructor(registry = createDefaultRegistry()) {
+    this.registry = registry;
+    this.assignments = new Map(); // agentId → provider key
+    this.moduleUrl = '';
+    this.errors = new Map();      // provider key → last error message
+    this.load();
+  }
+
+  getProviderKey(agentId) {
+    return this.assignments.get(agentId) || DEFAULT_PROVIDER;
+  }
+
+  setProvider(agentId, key) {
+    if (!this.registry.get(key)) return;
+    this.assignments.set(agentId, key);
+    this.save();
+  }
+
+  // Decision modules may listen to game events (see ModuleProvider)
+  setEvents(events) {
+    this.registry.get('module')?.setEvents(events);
+  }
+
+  setModuleUrl(url) {
+    this.moduleUrl = url;
+    this.registry.get('module')?.setUrl(url);
+    this.save();
+  }
+
+  async decide(state) {
+    const groups = new Map(); // provider key → agent ids
+    (state.agentIds || []).forEach(id => {
+      const key = this.getProviderKey(id);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(id);
+    });
+
+    const results = await Promise.all([...groups].map(async ([key, ids]) => {
+      const provider = this.registry.get(key) || heuristicProvider;
+      try {
+        const decisions = await provider.decide(state, ids);
+        this.errors.delete(key);
+        // Fill slots the provider skipped
+        return ids.map(id => decisions.find(d => d && d.id === id) || heuristicProvider.decideOne(state, id));
+      } catch (e) {
+        this.errors.set(key, e.message);
+        return ids.map(id => heuristicProvider.decideOne(state, id));
+      }
+    }));
+    return results.flat();
+  }
+
+  // === SETTINGS PERSISTENCE ===
+
+  load() {
+    try {
+      const raw = globalThis.localStorage?.getItem(STORAGE_KEY);
+      if (!raw) return;
+      const data = JSON.parse(raw);
+      Object.entries(data.assignments || {}).forEach(([id, key]) => {
+        if (this.registry.get(key)) this.assignments.set(Number(id), key);
+      });
+      if (data.moduleUrl) this.setModuleUrl(data.moduleUrl);
+    } catch (_) { /* corrupted settings — keep defaults */ }
+  }
+
+  save() {
+    try {
+      globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify({
+        assignments: Object.fromEntries(this.assignments),
+        moduleUrl: this.moduleUrl,
+      }));
+    } catch (_) { /* storage unavailable */ }
+  }
+}
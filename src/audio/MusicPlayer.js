@@ -9,7 +9,11 @@
  *   2 Коля  (blue)   — cool synth, steady beat, pentatonic funk
  *   3 Даша  (yellow) — warm bouncy, major key, cheerful xylophone
  *   4 Петя  (green)  — silly circus, chromatic runs, kazoo-like lead
+ *   5+ generated     — one of the five, transposed, re-tempoed and with
+ *                      its phrases reshuffled (stable per agent id)
  */
+const TRANSPOSE_STEPS = [-3, 2, 5, -5, 3, 7, -2]; // semitones for generated themes
+
 export class MusicPlayer {
   constructor() {
     this.ctx = null;
@@ -24,6 +28,7 @@ export class MusicPlayer {
 
     this.currentBeat = 0;
     this.currentPhrase = 0;
+    this.generatedThemes = new Map(); // agentId → theme for agents 5+
 
     // === 5 AGENT THEMES ===
     this.themes = [
@@ -177,7 +182,7 @@ export class MusicPlayer {
 
   /** Call from game loop to set which agent's theme to play */
   setAgent(agentId) {
-    if (agentId < 0 || agentId >= this.themes.length) return;
+    if (agentId < 0) return;
     if (agentId !== this.targetAgentId) {
       this.targetAgentId = agentId;
       this.crossfade = 0;
@@ -186,7 +191,26 @@ export class MusicPlayer {
 
   getTheme() {
     const id = this.currentAgentId >= 0 ? this.currentAgentId : 0;
-    return this.themes[id % this.themes.length];
+    return this.themeFor(id);
+  }
+
+  themeFor(agentId) {
+    if (this.themes[agentId]) return this.themes[agentId];
+    if (!this.generatedThemes.has(agentId)) {
+      const extra = agentId - this.themes.length;
+      const base = this.themes[agentId % this.themes.length];
+      const ratio = Math.pow(2, TRANSPOSE_STEPS[extra % TRANSPOSE_STEPS.length] / 12);
+      const shift = 1 + (extra % (base.melodies.length - 1));
+      this.generatedThemes.set(agentId, {
+        ...base,
+        name: `${base.name} #${agentId + 1}`,
+        tempo: Math.round(base.tempo * (0.9 + (extra % 5) * 0.05)),
+        scale: base.scale.map(f => f * ratio),
+        melodies: base.melodies.map((_, i) => base.melodies[(i + shift) % base.melodies.length]),
+        bass: [...base.bass.slice(shift), ...base.bass.slice(0, shift)],
+      });
+    }
+    return this.generatedThemes.get(agentId);
   }
 
   scheduleBeat() {
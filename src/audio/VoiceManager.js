@@ -2,6 +2,8 @@
  * Children's voices using Web Speech API (SpeechSynthesis).
  * Each agent gets a unique pitch/rate to sound like different kids.
  */
+import { SeededRandom } from '../engine/SimContext.js';
+
 export class VoiceManager {
   constructor() {
     this.synth = window.speechSynthesis;
@@ -19,6 +21,7 @@ export class VoiceManager {
       { pitch: 1.7, rate: 1.15, volume: 0.75 }, // Даша — cheerful girl
       { pitch: 1.8, rate: 1.3, volume: 0.85 },  // Петя — energetic boy
     ];
+    this.generatedVoices = new Map(); // agentId → profile for agents 5+
 
     // Sound effects using Web Audio API
     this.audioCtx = null;
@@ -47,7 +50,7 @@ export class VoiceManager {
     // Don't stack too many
     if (this.queue.length > 3) return;
 
-    const profile = this.voiceProfiles[agentId] || this.voiceProfiles[0];
+    const profile = this.voiceFor(agentId);
     const utterance = new SpeechSynthesisUtterance(text);
     utterance.voice = this.russianVoice;
     utterance.pitch = profile.pitch;
@@ -68,6 +71,20 @@ export class VoiceManager {
     if (!this.speaking) this.processQueue();
   }
 
+  // Hand-made voices for the first five, then a stable pitch/rate spread
+  voiceFor(agentId) {
+    if (this.voiceProfiles[agentId]) return this.voiceProfiles[agentId];
+    if (!this.generatedVoices.has(agentId)) {
+      const rng = new SeededRandom(agentId * 15485863 + 11);
+      this.generatedVoices.set(agentId, {
+        pitch: 1.3 + rng.next() * 0.7,
+        rate: 0.95 + rng.next() * 0.4,
+        volume: 0.7 + rng.next() * 0.2,
+      });
+    }
+    return this.generatedVoices.get(agentId);
+  }
+
   processQueue() {
     if (this.queue.length === 0) return;
     if (this.speaking) return;
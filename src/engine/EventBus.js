@@ -0,0 +1,97 @@
+/**
+ * Game event bus — modules publish what happened, anyone may listen.
+ *
+ * Publishers: SifaRules (tag), GeneSystem (ability:start, ability:end,
+ * evolution), StuckDiagnostic (stuck, warp), SupervisorBot (rescue),
+ * SocialChannel (share).
+ * Listeners — UI, audio, recorders, LAN, decision modules — subscribe
+ * through sim.events and never need a reference to the publisher.
+ *
+ * Event names are fixed (GAME_EVENTS): emitting or subscribing to an unknown
+ * name throws, and a payload missing one of its fields throws too, so a typo
+ * fails at once instead of going quiet. '*' listens to everything.
+ *
+ * Events are delivered synchronously from inside the fixed step. A throwing
+ * listener is logged and skipped — it never breaks the match.
+ */
+
+/**
+ * @typedef {{ type: 'tag', tick: number, from: number, to: number, time: number }} TagEvent
+ * @typedef {{ type: 'ability:start', tick: number, agentId: number, ability: string, duration: number }} AbilityStartEvent
+ * @typedef {{ type: 'ability:end', tick: number, agentId: number, ability: string }} AbilityEndEvent
+ * @typedef {{ type: 'evolution', tick: number, agentId: number, ability: string, gene: string }} EvolutionEvent
+ * @typedef {{ type: 'stuck', tick: number, agentId: number, reason: string, x: number, z: number }} StuckEvent
+ * @typedef {{ type: 'warp', tick: number, agentId: number, x: number, z: number }} WarpEvent
+ * @typedef {{ type: 'rescue', tick: number, agentId: number, count: number }} RescueEvent
+ * @typedef {{ type: 'share', tick: number, from: number, to: number, kind: 'tip' | 'call', text: string, x: number, z: number }} ShareEvent
+ * @typedef {TagEvent | AbilityStartEvent | AbilityEndEvent | EvolutionEvent | StuckEvent | WarpEvent | RescueEvent | ShareEvent} GameEvent
+ */
+
+// Event name → required payload fields (`type` and `tick` are added by emit)
+export const GAME_EVENTS = {
+  tag: ['from', 'to', 'time'],
+  'ability:start': ['agentId', 'ability', 'duration'],
+  'ability:end': ['agentId', 'ability'],
+  evolution: ['agentId', 'ability', 'gene'],
+  stuck: ['agentId', 'reason', 'x', 'z'],
+  warp: ['agentId', 'x', 'z'],
+  rescue: ['agentId', 'count'],
+  share: ['from', 'to', 'kind', 'text', 'x', 'z'],
+};
+
+const ANY = '*';
+
+function checkType(type) {
+  if (type !== ANY && !GAME_EVENTS[type]) throw new Error(`unknown game event "${type}"`);
+}
+
+export class EventBus {
+  constructor(clock = null) {
+    this.clock = clock;          // SimClock — stamps every event with its tick
+    this.listeners = new Map();  // type or '*' → Set of handlers
+  }
+
+  // handler(event) — returns the unsubscribe function
+  on(type, handler) {
+    checkType(type);
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  once(type, handler) {
+    const off = this.on(type, event => {
+      off();
+      handler(event);
+    });
+    return off;
+  }
+
+  off(type, handler) {
+    const set = this.listeners.get(type);
+    if (set) set.delete(handler);
+  }
+
+  emit(type, fields) {
+    checkType(type);
+    if (type === ANY) throw new Error('emit needs a concrete event type');
+    const missing = GAME_EVENTS[type].filter(f => fields[f] === undefined);
+    if (missing.length > 0) throw new Error(`"${type}" event without ${missing.join(', ')}`);
+
+    const event = { type, tick: this.clock ? this.clock.tick : 0, ...fields };
+    this.deliver(this.listeners.get(type), event);
+    this.deliver(this.listeners.get(ANY), event);
+    return event;
+  }
+
+  deliver(set, event) {
+    if (!set) return;
+    [...set].forEach(handler => {
+      try {
+        handler(event);
+      } catch (e) {
+        console.warn(`[EventBus] ${event.type} listener failed:`, e.message);
+      }
+    });
+  }
+}
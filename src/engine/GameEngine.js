@@ -1,22 +1,84 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import * as CANNON from 'cannon-es';
-import { Playground } from '../game/Playground.js';
-import { AgentManager } from '../agents/AgentManager.js';
-import { SifaRules } from '../game/SifaRules.js';
 import { UIOverlay } from '../renderer/UIOverlay.js';
 import { MusicPlayer } from '../audio/MusicPlayer.js';
 import { VoiceManager } from '../audio/VoiceManager.js';
 import { SmartCamera } from '../renderer/SmartCamera.js';
-import { SupervisorBot } from '../game/SupervisorBot.js';
-import { GeneSystem } from '../game/GeneSystem.js';
+import { createDecoyModel } from '../renderer/ChildModel.js';
 import { EvolutionEffects } from '../renderer/EvolutionEffects.js';
-import { StuckDiagnostic } from '../game/StuckDiagnostic.js';
+import { SettingsPanel, AGENT_COUNT_KEY, GAME_MODE_KEY, ROUND_LENGTH_KEY, BRAIN_POLICY_KEY } from '../renderer/SettingsPanel.js';
+import { ReplayBar } from '../renderer/ReplayBar.js';
+import { PersonalityEditor } from '../renderer/PersonalityEditor.js';
+import { LevelEditor } from '../renderer/LevelEditor.js';
+import { RoundResults } from '../renderer/RoundResults.js';
+import { SplitScreen } from '../renderer/SplitScreen.js';
+import { BrainHeatmap } from '../renderer/BrainHeatmap.js';
+import { downloadJson, pickJsonFile } from '../renderer/JsonFiles.js';
+import { Simulation, FIXED_STEP } from './Simulation.js';
+import { LanSession } from '../net/LanSession.js';
+import { simulationOptions } from '../net/NetClient.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { MatchRecorder } from '../game/MatchRecorder.js';
+import { BrainStore } from '../agents/BrainStore.js';
+import { GenomeStore } from '../game/GenomeStore.js';
+import { ProfileLibrary } from '../agents/ProfileLibrary.js';
+import { SeasonStore } from '../game/SeasonStore.js';
+import { PlayerControl } from './PlayerControl.js';
+import { DEFAULT_AGENT_COUNT } from '../agents/Personalities.js';
+import { Level } from '../game/Level.js';
+
+const CAMERA_MODES = ['ai', 'first', 'spectator', 'cycle', 'free', 'editor'];
+const ORBIT_MODES = ['free', 'editor']; // camera driven by OrbitControls
+
+// ?seed=123 replays a match; otherwise a fresh random seed
+function readSeedParam() {
+  const raw = new URLSearchParams(window.location.search).get('seed');
+  const seed = raw === null ? NaN : parseInt(raw, 10);
+  return Number.isFinite(seed) ? seed : undefined;
+}
+
+// ?agents=8, else the count picked last time in settings
+function readAgentCount() {
+  const raw = new URLSearchParams(window.location.search).get('agents') ??
+    globalThis.localStorage?.getItem(AGENT_COUNT_KEY);
+  const count = raw == null ? NaN : parseInt(raw, 10);
+  return Number.isFinite(count) ? count : DEFAULT_AGENT_COUNT;
+}
+
+// ?mode=freeze, else the mode picked last time in settings
+function readGameMode() {
+  return new URLSearchParams(window.location.search).get('mode') ??
+    globalThis.localStorage?.getItem(GAME_MODE_KEY) ?? undefined;
+}
+
+// ?round=90 (seconds, 0 = endless), else the length picked in settings
+function readRoundLength() {
+  const raw = new URLSearchParams(window.location.search).get('round') ??
+    globalThis.localStorage?.getItem(ROUND_LENGTH_KEY);
+  const seconds = raw == null ? NaN : parseInt(raw, 10);
+  return Number.isFinite(seconds) ? seconds : undefined;
+}
+
+// ?policy=rl, else the brain policy picked in settings
+function readBrainPolicy() {
+  return new URLSearchParams(window.location.search).get('policy') ??
+    globalThis.localStorage?.getItem(BRAIN_POLICY_KEY) ?? undefined;
+}
 
-const CAMERA_MODES = ['ai', 'first', 'spectator', 'cycle', 'free'];
+// Saved custom level (main.js loads it), default playground if missing/broken
+function readLevel(data) {
+  if (!data) return null;
+  try {
+    return new Level(data);
+  } catch (e) {
+    console.warn('[Level] saved level ignored:', e.message);
+    return null;
+  }
+}
 
 export class GameEngine {
-  constructor() {
+  // joined: LanSession.join() result when main.js connected to a LAN host
+  constructor({ level = null, joined = null, lanError = '' } = {}) {
     // Three.js
     this.canvas = document.getElementById('game-canvas');
     this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, antialias: true });
@@ -53,46 +115,149 @@ export class GameEngine {
     // Lighting
     this.setupLighting();
 
-    // Physics
-    this.world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
-    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
-    this.world.allowSleep = true;
-
-    // Game modules
-    this.playground = new Playground(this.scene, this.world);
-    this.agentManager = new AgentManager(this.scene, this.world);
+    // Audio
     this.music = new MusicPlayer();
     this.voice = new VoiceManager();
-    this.sifaRules = new SifaRules(this.agentManager, this.voice);
-    // Supervisor rescue bot
-    this.supervisorBot = new SupervisorBot(this.scene);
 
-    // Evolution system
-    this.geneSystem = new GeneSystem();
+    // Headless core: physics, agents, rules, evolution, stuck diagnostic,
+    // supervisor bot and per-agent decision backends (seeded, see SimContext).
+    // A LAN client builds the host's match and only draws it (net/NetClient.js)
+    const options = joined ? simulationOptions(joined.welcome) : {
+      seed: readSeedParam(),
+      agentCount: readAgentCount(),
+      mode: readGameMode(),
+      roundLength: readRoundLength(),
+      policy: readBrainPolicy(),
+      level: readLevel(level),
+    };
+    this.simulation = new Simulation({ ...options, scene: this.scene, voice: this.voice });
+    this.sim = this.simulation.sim;
+    this.level = this.simulation.level;
+    this.world = this.simulation.world;
+    this.playground = this.simulation.playground;
+    this.agentManager = this.simulation.agentManager;
+    this.sifaRules = this.simulation.sifaRules;
+    this.supervisorBot = this.simulation.supervisorBot;
+    this.geneSystem = this.simulation.geneSystem;
+    this.stuckDiag = this.simulation.stuckDiag;
+    this.decisionRouter = this.simulation.decisionRouter;
+    this.events = this.sim.events; // tag / ability / evolution / stuck / warp / rescue / share (EventBus.js)
+    this.stuckDiag.attachDebugPanel();
+    this.smartCamera.setObstacles(this.level.cameraObstacles);
+
+    // Decoy clones look like their owner, only see-through
+    this.simulation.decoys.createMesh = owner => createDecoyModel(owner.id, owner.profile.color);
+
+    // Evolution visual effects (renderer only)
     this.evolutionFx = new EvolutionEffects(this.scene);
-    this.sifaRules.geneSystem = this.geneSystem;
-
-    // Stuck diagnostic
-    this.stuckDiag = new StuckDiagnostic(this.scene);
-
-    // Initialize genes + effects + diagnostics for each agent
     this.agentManager.agents.forEach(agent => {
-      this.geneSystem.initAgent(agent.id);
       this.evolutionFx.initAgent(agent.id, agent.mesh);
-      this.stuckDiag.initAgent(agent.id);
-      agent.geneSystem = this.geneSystem;
       agent.evolutionFx = this.evolutionFx;
-      agent.stuckDiag = this.stuckDiag;
     });
 
-    this.ui = new UIOverlay(this.agentManager, this.sifaRules, this.smartCamera, this.supervisorBot, this.geneSystem);
+    // Edited profiles, learned brains and genomes persist between sessions
+    // (loaded in start(); profiles first — brains/genomes are keyed by name)
+    this.profileLibrary = new ProfileLibrary(this.agentManager);
+    this.brainStore = new BrainStore(this.agentManager);
+    this.genomeStore = new GenomeStore(this.simulation);
+
+    // Rounds: season totals persist, results screen between rounds
+    this.seasonStore = new SeasonStore();
+    this.roundResults = new RoundResults(this.seasonStore);
+    this.sifaRules.mode.onRoundEnd = (entry) => {
+      this.seasonStore.record(entry);
+      this.seasonStore.save();
+    };
+
+    this.settingsPanel = new SettingsPanel(this.agentManager, this.decisionRouter, this.sim, this.brainStore, this.genomeStore, this.seasonStore);
+    this.settingsPanel.modeKey = this.sifaRules.mode.key;
+    this.settingsPanel.roundLength = readRoundLength();
+
+    this.personalityEditor = new PersonalityEditor(this.agentManager, this.profileLibrary);
+
+    // Level editor (camera mode 'editor') — edits the running playground
+    this.levelEditor = new LevelEditor({
+      canvas: this.canvas,
+      camera: this.camera,
+      scene: this.scene,
+      orbitControls: this.orbitControls,
+      playground: this.playground,
+    });
+
+    // Possession: drive the first-person kid with keyboard / gamepad
+    this.playerControl = new PlayerControl({
+      geneSystem: this.geneSystem,
+      smartCamera: this.smartCamera,
+      onJump: (agent) => this.jumpAgent(agent),
+      onToggle: () => this.togglePossession(),
+    });
+
+    this.ui = new UIOverlay(this.agentManager, this.sifaRules, this.smartCamera, this.supervisorBot, this.geneSystem, this.decisionRouter, this.events);
+    this.ui.genomeStore = this.genomeStore;
+
+    // Knowledge passed between kids: a short beam from teller to listener
+    this.events.on('share', ev => {
+      const from = this.agentManager.agents.find(a => a.id === ev.from);
+      const to = this.agentManager.agents.find(a => a.id === ev.to);
+      if (!from || !to) return;
+      const color = ev.kind === 'call' ? 0xffcc33 : 0x66ccff;
+      this.evolutionFx.spawnBeam(from.mesh.position, to.mesh.position, { color, maxAge: 0.8 });
+    });
+
+    // Learned danger / safe / chase maps of one kid on the ground (M)
+    this.heatmap = new BrainHeatmap({ scene: this.scene, agentManager: this.agentManager });
+
+    // Local split-screen: one first-person view per player (settings panel)
+    this.splitScreen = new SplitScreen({
+      renderer: this.renderer,
+      scene: this.scene,
+      agentManager: this.agentManager,
+      geneSystem: this.geneSystem,
+      ui: this.ui,
+      obstacles: this.level.cameraObstacles,
+      onJump: (agent, smartCamera) => this.jumpAgent(agent, smartCamera),
+      onChange: (active) => {
+        if (active) this.playerControl.release();
+        else this.smartCamera.restoreAllMeshes(); // first-person re-hides its own kid
+        this.settingsPanel.render();
+      },
+    });
+    this.settingsPanel.splitScreen = this.splitScreen;
+
+    // LAN: host this match for other machines, or mirror a host's (main.js joins)
+    this.lan = new LanSession({
+      simulation: this.simulation,
+      joined,
+      error: lanError,
+      onJump: (agent) => this.jumpAgent(agent, null),
+      onChange: () => this.settingsPanel.render(),
+    });
+    this.netClient = this.lan.netClient;
+    if (this.netClient) {
+      this.netClient.attach(this.simulation, this.evolutionFx);
+      this.ui.decisionRouter = null; // backends run on the host
+      this.netClient.onPossess = (agentId) => { if (agentId < 0) this.playerControl.release(); };
+      this.netClient.onClose = () => {
+        this.playerControl.release();
+        this.settingsPanel.render();
+      };
+    }
+    this.settingsPanel.lan = this.lan;
+    this.ui.lan = this.lan;
+
+    // Match recording / replay (live simulation is paused while replaying)
+    this.replay = null;
+    this.replayBar = new ReplayBar({
+      onTogglePause: () => this.replay && this.replay.togglePause(),
+      onSpeed: () => this.replay && this.replay.cycleSpeed(),
+      onSeek: (t) => this.replay && this.replay.seek(t),
+      onExit: () => this.stopReplay(),
+    });
 
     // Game loop
-    this.fixedStep = 1 / 60;
+    this.fixedStep = FIXED_STEP;
     this.accumulator = 0;
     this.lastTime = 0;
-    this.aiTimer = 0;
-    this.AI_INTERVAL = 0.6;
 
     // Resize
     window.addEventListener('resize', () => this.onResize());
@@ -120,8 +285,17 @@ export class GameEngine {
     this.scene.add(fill);
   }
 
-  start() {
-    this.sifaRules.initialize();
+  async start() {
+    // A LAN client's kids live on the host — nothing of theirs to load or save
+    if (!this.netClient) {
+      await this.profileLibrary.load();
+      await this.brainStore.load();
+      await this.genomeStore.load();
+      this.brainStore.startAutosave();
+      this.genomeStore.startAutosave();
+    }
+    await this.seasonStore.load();
+    if (!this.netClient) this.simulation.start();
     this.lastTime = performance.now() / 1000;
 
     const hint = document.getElementById('start-hint');
@@ -147,6 +321,11 @@ export class GameEngine {
     // Control buttons
     const btnMusic = document.getElementById('btn-music');
     const btnVoice = document.getElementById('btn-voice');
+    const btnSettings = document.getElementById('btn-settings');
+    const btnProfiles = document.getElementById('btn-profiles');
+    const btnRecord = document.getElementById('btn-record');
+    const btnReplay = document.getElementById('btn-replay');
+    const btnHeatmap = document.getElementById('btn-heatmap');
     let musicOn = true, voiceOn = true;
 
     btnMusic.addEventListener('click', (e) => {
@@ -166,6 +345,29 @@ export class GameEngine {
       this.nextCameraMode();
       this.updateCameraButton(btnCamera);
     });
+    btnSettings.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.settingsPanel.toggle();
+    });
+    btnProfiles.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.personalityEditor.toggle();
+    });
+    btnRecord.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleRecording(btnRecord);
+    });
+    btnReplay.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openReplay();
+    });
+    btnHeatmap.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.heatmap.toggle();
+    });
+    this.heatmap.onToggle = (on) => {
+      btnHeatmap.textContent = on ? 'Карта мозга: ВКЛ' : 'Карта мозга: ВЫКЛ';
+    };
 
     // Speed slider
     const speedSlider = document.getElementById('speed-slider');
@@ -182,6 +384,12 @@ export class GameEngine {
     document.addEventListener('keydown', (e) => {
       if (e.ctrlKey || e.altKey) return;
 
+      // Split-screen: the keyboard belongs to the players, Escape ends it
+      if (this.splitScreen.active) {
+        if (e.code === 'Escape') this.splitScreen.stop();
+        return;
+      }
+
       switch (e.code) {
         // C = next camera mode
         case 'KeyC':
@@ -189,15 +397,29 @@ export class GameEngine {
           this.updateCameraButton(btnCamera);
           break;
 
-        // 1-5 = first-person view of specific agent
+        // 1-9, 0 = first-person view of specific agent (0 = tenth)
         case 'Digit1': case 'Digit2': case 'Digit3':
-        case 'Digit4': case 'Digit5': {
-          const agentId = parseInt(e.code.charAt(5)) - 1;
+        case 'Digit4': case 'Digit5': case 'Digit6':
+        case 'Digit7': case 'Digit8': case 'Digit9': case 'Digit0': {
+          const digit = parseInt(e.code.charAt(5));
+          const agentId = digit === 0 ? 9 : digit - 1;
+          if (agentId >= this.agentManager.agents.length) break;
           this.switchToFirstPerson(agentId);
           this.updateCameraButton(btnCamera);
           break;
         }
 
+        // [ ] = previous / next agent in first-person (any roster size)
+        case 'BracketLeft':
+        case 'BracketRight': {
+          const count = this.agentManager.agents.length;
+          const step = e.code === 'BracketLeft' ? -1 : 1;
+          const current = this.smartCamera.mode === 'first' ? this.smartCamera.fpAgentId : 0;
+          this.switchToFirstPerson((current + step + count) % count);
+          this.updateCameraButton(btnCamera);
+          break;
+        }
+
         // V = spectator overview
         case 'KeyV':
           this.setCameraMode('spectator');
@@ -217,7 +439,37 @@ export class GameEngine {
         // Space = high side-jump to escape
         case 'Space':
           e.preventDefault();
-          this.playerJump();
+          if (!this.replay) this.playerJump();
+          break;
+
+        // F = take / release control of the first-person kid
+        case 'KeyF':
+          if (!this.replay) this.togglePossession();
+          this.updateCameraButton(btnCamera);
+          break;
+
+        // M = learned map (heatmap) on the ground
+        case 'KeyM':
+          this.heatmap.toggle();
+          break;
+
+        // R = start/stop recording
+        case 'KeyR':
+          this.toggleRecording(btnRecord);
+          break;
+
+        // Replay: P = pause, arrows = scrub ±5s, Escape = back to live
+        case 'KeyP':
+          if (this.replay) this.replay.togglePause();
+          break;
+        case 'ArrowLeft':
+        case 'ArrowRight':
+          if (this.replay) {
+            this.replay.seek(this.replay.time + (e.code === 'ArrowLeft' ? -5 : 5));
+          }
+          break;
+        case 'Escape':
+          if (this.replay) this.stopReplay();
           break;
       }
     });
@@ -243,66 +495,136 @@ export class GameEngine {
     this.lastTime = now;
     this.accumulator += frameDt;
 
-    // Fixed timestep physics
-    while (this.accumulator >= this.fixedStep) {
-      this.world.step(this.fixedStep);
-      this.agentManager.fixedUpdate(this.fixedStep, this.sifaRules.prevItAgentId);
-      this.sifaRules.update(this.fixedStep);
-      this.accumulator -= this.fixedStep;
-    }
+    if (this.replay) {
+      // Replay poses the agents itself; the live match stays frozen
+      this.accumulator = 0;
+      this.replay.update(frameDt);
+      this.replayBar.update(this.replay);
+    } else if (this.netClient) {
+      // LAN client: the host simulates, we pose its snapshots and send our input
+      this.accumulator = 0;
+      this.playerControl.update(frameDt);
+      this.netClient.update(frameDt);
+    } else {
+      // Fixed timestep simulation — everything that changes game state lives here
+      while (this.accumulator >= this.fixedStep) {
+        this.simulation.step(this.fixedStep);
+        if (this.lan.hosting) this.lan.netHost.afterStep();
+        this.accumulator -= this.fixedStep;
+      }
 
-    // AI decisions (async, non-blocking)
-    this.aiTimer += frameDt;
-    if (this.aiTimer >= this.AI_INTERVAL) {
-      this.aiTimer = 0;
-      this.requestAIDecisions();
+      // Render
+      const alpha = this.accumulator / this.fixedStep;
+      this.agentManager.interpolate(alpha);
+      this.playerControl.update(frameDt);
     }
+    const itAgentId = this.replay ? this.replay.itAgentId : this.sifaRules.itAgentId;
 
-    // Render
-    const alpha = this.accumulator / this.fixedStep;
-    this.agentManager.interpolate(alpha);
-
-    // Supervisor bot update
-    this.supervisorBot.update(frameDt, this.agentManager.agents);
-
-    // Evolution system + visual effects + stuck diagnostic
-    this.geneSystem.update(frameDt);
+    // Visual effects + stuck diagnostic
     this.evolutionFx.update(frameDt);
     this.stuckDiag.update();
 
     // Camera update
     const mode = this.smartCamera.mode;
-    if (mode === 'free') {
+    if (this.splitScreen.active) {
+      this.splitScreen.update(frameDt, itAgentId, this.sifaRules);
+    } else if (ORBIT_MODES.includes(mode)) {
       this.orbitControls.update();
     } else {
       this.smartCamera.update(
         frameDt,
         this.agentManager.agents,
-        this.sifaRules.itAgentId,
+        itAgentId,
         this.sifaRules
       );
     }
 
     // Sync music theme to camera's current agent
     const camMode = this.smartCamera.mode;
-    if (camMode === 'first' || camMode === 'cycle') {
+    if (this.splitScreen.active) {
+      this.music.setAgent(this.splitScreen.views[0].agent.id);
+    } else if (camMode === 'first' || camMode === 'cycle') {
       this.music.setAgent(this.smartCamera.fpAgentId);
     } else if (camMode === 'ai') {
-      this.music.setAgent(this.sifaRules.itAgentId);
+      this.music.setAgent(itAgentId);
     }
 
+    // Heatmap follows the first-person / cycled kid, else IT
+    this.heatmap.update(camMode === 'first' || camMode === 'cycle' ? this.smartCamera.fpAgentId : itAgentId);
+
     this.ui.update();
-    this.renderer.render(this.scene, this.camera);
+    this.roundResults.update(this.sifaRules.mode, !!this.replay);
+    if (this.splitScreen.active) {
+      this.splitScreen.render();
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+  }
+
+  // === RECORDING & REPLAY ===
+
+  toggleRecording(btn) {
+    if (this.netClient) return; // the match is recorded where it runs
+    if (this.replay) return;    // posed from a file, nothing to record
+    if (this.simulation.recorder) {
+      const data = this.simulation.recorder.finish();
+      this.simulation.recorder = null;
+      btn.textContent = '● Запись';
+      this.saveReplay(data);
+    } else {
+      this.simulation.recorder = new MatchRecorder(this.simulation);
+      btn.textContent = '■ Стоп';
+    }
+  }
+
+  async saveReplay(data) {
+    if (window.electronAPI && window.electronAPI.saveReplay) {
+      try {
+        await window.electronAPI.saveReplay(data);
+      } catch (e) {
+        console.warn('[Replay] save failed:', e.message);
+      }
+      return;
+    }
+    // Browser: download as a file
+    downloadJson(data, `match-${data.seed}.sifa.json`, 0);
+  }
+
+  async openReplay() {
+    let data = null;
+    try {
+      if (window.electronAPI && window.electronAPI.openReplay) {
+        data = await window.electronAPI.openReplay();
+      } else {
+        data = await pickJsonFile();
+      }
+    } catch (e) {
+      console.warn('[Replay] open failed:', e.message);
+    }
+    if (data) this.startReplay(data);
   }
 
-  async requestAIDecisions() {
-    const gameState = this.agentManager.compressState(this.sifaRules.itAgentId);
+  startReplay(data) {
+    // Replays pause the live match — not while it is shared over LAN
+    if (this.lan.hosting || this.netClient) return;
+    if (this.replay) this.stopReplay();
+    this.playerControl.release();
+    this.splitScreen.stop();
     try {
-      const decisions = await window.electronAPI.askGroq(gameState);
-      this.agentManager.applyDecisions(decisions);
+      this.replay = new ReplayPlayer(data, this.agentManager, this.evolutionFx);
     } catch (e) {
-      // Fallback: agents continue with last decision
+      console.warn('[Replay] invalid file:', e.message);
+      return;
     }
+    this.replayBar.show(this.replay);
+  }
+
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay.stop(this.geneSystem);
+    this.replay = null;
+    this.replayBar.hide();
+    this.accumulator = 0;
   }
 
   // === CAMERA MODE MANAGEMENT ===
@@ -314,21 +636,24 @@ export class GameEngine {
 
   setCameraMode(mode) {
     const prevMode = this.smartCamera.mode;
+    const wasOrbit = ORBIT_MODES.includes(prevMode);
 
-    // Disable orbit when leaving free mode
-    if (prevMode === 'free') {
+    // Disable orbit when leaving free / editor mode
+    if (wasOrbit) {
       this.orbitControls.enabled = false;
     }
+    if (prevMode === 'editor' && mode !== 'editor') this.levelEditor.hide();
 
-    if (mode === 'free') {
+    if (ORBIT_MODES.includes(mode)) {
       this.orbitControls.enabled = true;
-      this.orbitControls.target.copy(this.smartCamera.currentLookAt);
-      this.smartCamera.setMode('free');
+      if (!wasOrbit) this.orbitControls.target.copy(this.smartCamera.currentLookAt);
+      this.smartCamera.setMode(mode);
+      if (mode === 'editor') this.levelEditor.show();
     } else {
       this.orbitControls.enabled = false;
       this.smartCamera.setMode(mode);
       // Init position from current camera
-      if (prevMode === 'free') {
+      if (wasOrbit) {
         this.smartCamera.currentPos.copy(this.camera.position);
       }
     }
@@ -343,6 +668,26 @@ export class GameEngine {
     this.smartCamera.setFirstPersonAgent(agentId);
   }
 
+  // Take over the kid we're looking through ('cycle' settles on its current kid)
+  togglePossession() {
+    if (this.splitScreen.active) return;
+    if (this.playerControl.active) {
+      this.playerControl.release();
+      return;
+    }
+    const mode = this.smartCamera.mode;
+    if (mode !== 'first' && mode !== 'cycle') return;
+    const agent = this.agentManager.agents.find(a => a.id === this.smartCamera.fpAgentId);
+    if (!agent) return;
+    if (agent.control) {
+      agent.say('Мной уже управляют!', 1.2); // a LAN player has this kid
+      return;
+    }
+    if (mode === 'cycle') this.switchToFirstPerson(agent.id);
+    this.playerControl.possess(agent);
+    if (this.netClient) this.netClient.possess(agent.id);
+  }
+
   // Space — high side-jump for the currently viewed agent
   playerJump() {
     const mode = this.smartCamera.mode;
@@ -356,10 +701,19 @@ export class GameEngine {
     if (agentId < 0) return;
 
     const agent = this.agentManager.agents.find(a => a.id === agentId);
-    if (!agent) return;
+    if (agent) this.jumpAgent(agent);
+  }
 
-    // Cooldown: 2 seconds between jumps
-    const now = Date.now();
+  // Side-jump for one kid (Space, gamepad A, split-screen jump keys, LAN
+  // players — smartCamera null: nobody here to shake)
+  jumpAgent(agent, smartCamera = this.smartCamera) {
+    if (this.netClient) {
+      // Only the host moves kids; ours jumps if we drive it
+      if (agent.id === this.netClient.agentId) this.netClient.jump();
+      return;
+    }
+    // Cooldown: 2 seconds of game time between jumps
+    const now = this.sim.clock.now();
     if (agent._lastJump && now - agent._lastJump < 2000) return;
     agent._lastJump = now;
 
@@ -371,7 +725,7 @@ export class GameEngine {
     let jumpX, jumpZ;
     if (speed > 0.5) {
       // Perpendicular to movement (random left or right)
-      const side = Math.random() > 0.5 ? 1 : -1;
+      const side = this.sim.rng.next() > 0.5 ? 1 : -1;
       jumpX = -vz * side;
       jumpZ = vx * side;
       const len = Math.sqrt(jumpX * jumpX + jumpZ * jumpZ) || 1;
@@ -379,7 +733,7 @@ export class GameEngine {
       jumpZ = (jumpZ / len) * 8;
     } else {
       // Random direction if standing still
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.sim.rng.range(0, Math.PI * 2);
       jumpX = Math.cos(angle) * 8;
       jumpZ = Math.sin(angle) * 8;
     }
@@ -391,7 +745,7 @@ export class GameEngine {
     agent.stuckFrames = 0;
 
     agent.say('Прыг!', 1.0);
-    this.smartCamera.shakeAmount = 0.15;
+    if (smartCamera) smartCamera.shakeAmount = 0.15;
   }
 
   updateCameraButton(btn) {
@@ -0,0 +1,258 @@
+/**
+ * Possession — a player drives one kid from the first-person camera.
+ *
+ * Every player reads one input device (INPUT_DEVICES): alone, the whole
+ * keyboard plus the first gamepad; in split-screen, one keyboard half or one
+ * gamepad each. The movement keys / stick run along the heading and turn
+ * it, sprint makes the kid faster, ability keys fire the kid's unlocked
+ * abilities. Leaving the 'first' camera or switching agents hands the kid
+ * back to the AI.
+ *
+ * While possessed, the device's keys are caught in the capture phase so
+ * A and D don't also trigger the auto-cycle camera and the diagnostic.
+ */
+import { ABILITIES } from '../game/GeneSystem.js';
+
+const TURN_SPEED = 2.6;     // rad/s at full A/D or stick
+const BACK_SPEED = 0.6;     // backing up is slower than running
+const STICK_DEADZONE = 0.2;
+
+const WASD = { KeyW: 'forward', KeyS: 'back', KeyA: 'left', KeyD: 'right' };
+const ARROWS = { ArrowUp: 'forward', ArrowDown: 'back', ArrowLeft: 'left', ArrowRight: 'right' };
+const LEFT_ABILITIES = {
+  dash: 'KeyZ', scream: 'KeyX', fly: 'KeyT', stealth: 'KeyG', shield: 'KeyB',
+  decoy: 'KeyQ', freeze: 'KeyE', magnet: 'KeyH', slam: 'KeyN',
+};
+
+// Gamepad, standard mapping: A jump, X Y B LB RB + d-pad abilities, RT sprint, Start = F
+const PAD_JUMP = 0;
+const PAD_SPRINT = 7;
+const PAD_TOGGLE = 9;
+const PAD_ABILITIES = {
+  dash: 2, scream: 3, fly: 1, stealth: 4, shield: 5,
+  decoy: 12, freeze: 13, magnet: 14, slam: 15,
+};
+
+function padDevice(index) {
+  return {
+    name: `Геймпад ${index + 1}`,
+    keys: {},
+    abilities: {},
+    pad: index,
+    hint: 'Стик: бег · RT: быстрее · A: прыжок · X Y B LB RB, крестовина: способности',
+  };
+}
+
+// keys: code → action; abilities: ability → code; pad: gamepad slot or null.
+// The full keyboard leaves Space to GameEngine's jump (works without possession).
+export const INPUT_DEVICES = {
+  keyboard: {
+    name: 'Клавиатура',
+    keys: { ...WASD, ...ARROWS, ShiftLeft: 'sprint', ShiftRight: 'sprint' },
+    abilities: LEFT_ABILITIES,
+    pad: 0,
+    hint: 'WASD: бег · Shift: быстрее · Пробел: прыжок · F: отпустить',
+  },
+  'keys-left': {
+    name: 'Клавиатура слева',
+    keys: { ...WASD, ShiftLeft: 'sprint', Space: 'jump' },
+    abilities: LEFT_ABILITIES,
+    pad: null,
+    hint: 'WASD: бег · Shift: быстрее · Пробел: прыжок',
+  },
+  'keys-right': {
+    name: 'Клавиатура справа',
+    keys: { ...ARROWS, ShiftRight: 'sprint', Enter: 'jump' },
+    abilities: {
+      dash: 'Comma', scream: 'Period', fly: 'Slash', stealth: 'Semicolon', shield: 'Quote',
+      decoy: 'KeyM', freeze: 'KeyK', magnet: 'KeyL', slam: 'KeyI',
+    },
+    pad: null,
+    hint: 'Стрелки: бег · Shift: быстрее · Enter: прыжок',
+  },
+  pad1: padDevice(0),
+  pad2: padDevice(1),
+  pad3: padDevice(2),
+  pad4: padDevice(3),
+};
+
+const KEY_LABELS = { Comma: ',', Period: '.', Slash: '/', Semicolon: ';', Quote: "'" };
+
+function keyLabel(code) {
+  return code.startsWith('Key') ? code.slice(3) : (KEY_LABELS[code] || code);
+}
+
+export class PlayerControl {
+  constructor({ geneSystem, smartCamera, device = 'keyboard', container = document.body, onJump = null, onToggle = null }) {
+    this.geneSystem = geneSystem;
+    this.smartCamera = smartCamera;
+    this.device = INPUT_DEVICES[device] || INPUT_DEVICES.keyboard;
+    this.onJump = onJump;       // (agent) — pad A / the device's jump key
+    this.onToggle = onToggle;   // gamepad Start → same as F
+    this.agent = null;          // possessed agent
+    this.heading = 0;           // radians, atan2(x, z) like the agent's mesh
+    this.pressed = new Set();   // held movement actions
+    this.padButtons = [];       // last frame's gamepad buttons (edge detect)
+    this.hudHtml = '';
+
+    this.hud = document.createElement('div');
+    this.hud.className = 'player-control';
+    this.hud.style.display = 'none';
+    container.appendChild(this.hud);
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = () => this.pressed.clear();
+    window.addEventListener('keydown', this.onKeyDown, true);
+    window.addEventListener('keyup', this.onKeyUp, true);
+    window.addEventListener('blur', this.onBlur);
+  }
+
+  get active() { return this.agent !== null; }
+
+  possess(agent) {
+    if (this.agent) this.release();
+    this.agent = agent;
+    const dir = this.smartCamera.fpSmoothDir;
+    this.heading = Math.atan2(dir.x, dir.z);
+    agent.control = { moveX: 0, moveZ: 0, sprint: false, ability: null };
+    agent.say('Я сам!', 1.5);
+    this.hud.style.display = 'block';
+  }
+
+  // AI takes over again from its next decision
+  release() {
+    if (!this.agent) return;
+    this.agent.control = null;
+    this.agent = null;
+    this.pressed.clear();
+    this.smartCamera.fpHeading = null;
+    this.hud.style.display = 'none';
+  }
+
+  // Split-screen player leaving: release and stop listening
+  dispose() {
+    this.release();
+    window.removeEventListener('keydown', this.onKeyDown, true);
+    window.removeEventListener('keyup', this.onKeyUp, true);
+    window.removeEventListener('blur', this.onBlur);
+    this.hud.remove();
+  }
+
+  // === INPUT ===
+
+  abilityForKey(code) {
+    const abilities = this.device.abilities;
+    return Object.keys(abilities).find(k => abilities[k] === code);
+  }
+
+  onKeyDown(e) {
+    if (!this.agent || e.ctrlKey || e.altKey) return;
+    if (e.target instanceof Element && e.target.closest('input, textarea, select')) return;
+    const action = this.device.keys[e.code];
+    const ability = this.abilityForKey(e.code);
+    if (!action && !ability) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    if (e.repeat) return;
+    if (action === 'jump') {
+      if (this.onJump) this.onJump(this.agent);
+    } else if (action) {
+      this.pressed.add(action);
+    }
+    if (ability) this.useAbility(ability);
+  }
+
+  onKeyUp(e) {
+    const action = this.device.keys[e.code];
+    if (action) this.pressed.delete(action);
+  }
+
+  // The device's gamepad slot (connected pads in order); null when there is none
+  readGamepad() {
+    if (this.device.pad === null || !navigator.getGamepads) return null;
+    const pads = [...navigator.getGamepads()].filter(p => p && p.connected);
+    const pad = pads[this.device.pad];
+    if (!pad) return null;
+
+    const buttons = pad.buttons.map(b => b.pressed);
+    const pressedNow = i => buttons[i] && !this.padButtons[i];
+    const stick = v => (Math.abs(v) > STICK_DEADZONE ? v : 0);
+    const state = {
+      turn: stick(pad.axes[0] || 0) + stick(pad.axes[2] || 0),
+      forward: -stick(pad.axes[1] || 0),
+      sprint: !!buttons[PAD_SPRINT],
+      jump: pressedNow(PAD_JUMP),
+      toggle: pressedNow(PAD_TOGGLE),
+      abilities: Object.keys(PAD_ABILITIES).filter(k => pressedNow(PAD_ABILITIES[k])),
+    };
+    this.padButtons = buttons;
+    return state;
+  }
+
+  useAbility(key) {
+    const gs = this.geneSystem;
+    const agent = this.agent;
+    if (!gs.getUnlockedAbilities(agent.id).some(a => a.key === key)) {
+      agent.say(`${ABILITIES[key].name}? Ещё не умею`, 1.2);
+    } else if (gs.canUseAbility(agent.id, key)) {
+      agent.control.ability = key; // fired on the next fixed step
+    }
+  }
+
+  // === PER FRAME ===
+
+  update(dt) {
+    const pad = this.readGamepad();
+    if (pad && pad.toggle && this.onToggle) this.onToggle();
+    if (!this.agent) return;
+
+    // Possession only lasts while we look through this kid's eyes
+    const cam = this.smartCamera;
+    if (cam.mode !== 'first' || cam.fpAgentId !== this.agent.id) {
+      this.release();
+      return;
+    }
+
+    let turn = (this.pressed.has('right') ? 1 : 0) - (this.pressed.has('left') ? 1 : 0);
+    let forward = (this.pressed.has('forward') ? 1 : 0) - (this.pressed.has('back') ? 1 : 0);
+    let sprint = this.pressed.has('sprint');
+    if (pad) {
+      turn = Math.max(-1, Math.min(1, turn + pad.turn));
+      forward = Math.max(-1, Math.min(1, forward + pad.forward));
+      sprint = sprint || pad.sprint;
+      if (pad.jump && this.onJump) this.onJump(this.agent);
+      pad.abilities.forEach(k => this.useAbility(k));
+    }
+    if (forward < 0) forward *= BACK_SPEED;
+
+    // Turning right = clockwise seen from above
+    this.heading -= turn * TURN_SPEED * dt;
+    const control = this.agent.control;
+    control.moveX = Math.sin(this.heading) * forward;
+    control.moveZ = Math.cos(this.heading) * forward;
+    control.sprint = sprint && forward > 0;
+    cam.fpHeading = this.heading;
+
+    this.renderHud();
+  }
+
+  renderHud() {
+    const agent = this.agent;
+    const gs = this.geneSystem;
+    const abilityKeys = this.device.abilities;
+    const abilities = gs.getUnlockedAbilities(agent.id).map(a => {
+      const ratio = gs.getCooldownRatio(agent.id, a.key);
+      const state = ratio < 0 ? ' ●' : ratio < 1 ? ` ${Math.round(ratio * 100)}%` : '';
+      const label = abilityKeys[a.key] ? `${keyLabel(abilityKeys[a.key])}: ` : '';
+      return `${label}${a.icon}${state}`;
+    }).join(' · ');
+    const html = `🎮 <b>${agent.profile.name}</b>${agent.isIt ? ' (СИФА)' : ''}<br>` +
+      `<small>${this.device.hint}</small>` +
+      (abilities ? `<br>${abilities}` : '<br><small>Способностей пока нет</small>');
+    if (html !== this.hudHtml) {
+      this.hudHtml = html;
+      this.hud.innerHTML = html;
+    }
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Replay playback — drives the live agents from a recorded match.
+ *
+ * The simulation is paused while a replay runs; agent bodies are posed from
+ * the recording so the renderer, SmartCamera modes and UIOverlay work as-is.
+ * Live state is snapshotted on start and restored on stop.
+ */
+import {
+  FIELD, STRIDE, STATE_CODES, ABILITY_KEYS, FLAG_IT, FLAG_FROZEN, FLAG_SAFE, abilityFlag, airborneFlag, validateReplay,
+} from '../game/MatchRecorder.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class ReplayPlayer {
+  constructor(data, agentManager, evolutionFx) {
+    this.data = validateReplay(data);
+    this.agentManager = agentManager;
+    this.evolutionFx = evolutionFx;
+    this.frameRate = data.frameRate;
+    this.duration = Math.max(0, (data.frameCount - 1) / this.frameRate);
+    this.agentCount = data.agents.length;
+
+    this.time = 0;
+    this.playing = true;
+    this.speed = 1;
+    this.itAgentId = 0;
+
+    // Recording slot → live agent (by id)
+    this.slots = data.agents.map(info => agentManager.agents.find(a => a.id === info.id) || null);
+    this.speechEvents = data.events.filter(e => e.type === 'speech');
+    this.itEvents = data.events.filter(e => e.type === 'it');
+
+    this.saved = this.snapshotLive();
+    this.shownFx = new Map(); // agentId → Set of ability keys currently shown
+
+    // Live ability visuals would leak into the replay
+    if (evolutionFx) {
+      agentManager.agents.forEach(a => ABILITY_KEYS.forEach(key => evolutionFx.hide(a.id, key)));
+    }
+  }
+
+  // === CONTROLS ===
+
+  togglePause() {
+    this.playing = !this.playing;
+  }
+
+  cycleSpeed() {
+    const i = REPLAY_SPEEDS.indexOf(this.speed);
+    this.speed = REPLAY_SPEEDS[(i + 1) % REPLAY_SPEEDS.length];
+    return this.speed;
+  }
+
+  seek(seconds) {
+    this.time = Math.max(0, Math.min(this.duration, seconds));
+  }
+
+  // === PLAYBACK ===
+
+  update(frameDt) {
+    if (this.playing) {
+      this.time += frameDt * this.speed;
+      if (this.time >= this.duration) {
+        this.time = this.duration;
+        this.playing = false;
+      }
+    }
+    this.applyPose(this.time);
+  }
+
+  applyPose(time) {
+    const f = time * this.frameRate;
+    const f0 = Math.min(Math.floor(f), this.data.frameCount - 1);
+    const f1 = Math.min(f0 + 1, this.data.frameCount - 1);
+    const t = f - f0;
+    // One sim tick earlier — gives Agent.interpolate() a real running speed
+    const fPrev = Math.max(0, f - this.frameRate / 60);
+    const p0 = Math.floor(fPrev);
+    const p1 = Math.min(p0 + 1, this.data.frameCount - 1);
+    const tp = fPrev - p0;
+
+    this.itAgentId = this.itAt(f0);
+
+    this.slots.forEach((agent, slot) => {
+      if (!agent) return;
+      const get = (frame, field) => this.data.frames[(frame * this.agentCount + slot) * STRIDE + field];
+      const lerp = (a, b, field, k) => get(a, field) + (get(b, field) - get(a, field)) * k;
+
+      agent.body.position.set(lerp(f0, f1, FIELD.X, t) / 100, lerp(f0, f1, FIELD.Y, t) / 100, lerp(f0, f1, FIELD.Z, t) / 100);
+      agent.body.velocity.set(get(f0, FIELD.VX) / 100, 0, get(f0, FIELD.VZ) / 100);
+      agent.prevPosition.set(lerp(p0, p1, FIELD.X, tp) / 100, lerp(p0, p1, FIELD.Y, tp) / 100, lerp(p0, p1, FIELD.Z, tp) / 100);
+      agent.mesh.rotation.y = get(f0, FIELD.ROT) / 1000;
+      agent.state = STATE_CODES[get(f0, FIELD.STATE)] || 'roam';
+      agent.score = get(f0, FIELD.SCORE) / 10;
+
+      const flags = get(f0, FIELD.FLAGS);
+      agent.isIt = !!(flags & FLAG_IT);
+      agent.frozen = !!(flags & FLAG_FROZEN);
+      agent.safe = !!(flags & FLAG_SAFE);
+      agent.auraGroup.visible = agent.isIt;
+      agent.iceMesh.visible = agent.frozen;
+      agent.flying = airborneFlag(flags);
+      this.syncEffects(agent, flags);
+
+      const speech = this.speechAt(agent.id, f0);
+      agent.speechText = speech ? speech.text : '';
+      agent.speechTimer = speech ? speech.remaining : 0;
+
+      agent.interpolate(1);
+    });
+  }
+
+  itAt(frame) {
+    let id = this.itAgentId;
+    for (const e of this.itEvents) {
+      if (e.f > frame) break;
+      id = e.agentId;
+    }
+    return id;
+  }
+
+  speechAt(agentId, frame) {
+    let found = null;
+    for (const e of this.speechEvents) {
+      if (e.f > frame) break;
+      if (e.agentId === agentId) found = e;
+    }
+    if (!found) return null;
+    const remaining = found.duration - (frame - found.f) / this.frameRate;
+    return remaining > 0 ? { text: found.text, remaining } : null;
+  }
+
+  syncEffects(agent, flags) {
+    if (!this.evolutionFx) return;
+    const shown = this.shownFx.get(agent.id) || new Set();
+    ABILITY_KEYS.forEach(key => {
+      const on = !!(flags & abilityFlag(key));
+      if (on && !shown.has(key)) { this.evolutionFx.show(agent.id, key); shown.add(key); }
+      if (!on && shown.has(key)) { this.evolutionFx.hide(agent.id, key); shown.delete(key); }
+    });
+    this.shownFx.set(agent.id, shown);
+  }
+
+  // === LIVE STATE ===
+
+  snapshotLive() {
+    return this.agentManager.agents.map(a => ({
+      agent: a,
+      position: a.body.position.clone(),
+      velocity: a.body.velocity.clone(),
+      prevPosition: a.prevPosition.clone(),
+      rotationY: a.mesh.rotation.y,
+      state: a.state,
+      isIt: a.isIt,
+      frozen: a.frozen,
+      safe: a.safe,
+      score: a.score,
+      speechText: a.speechText,
+      speechTimer: a.speechTimer,
+    }));
+  }
+
+  // Put the live match back exactly where it was paused
+  stop(geneSystem) {
+    this.shownFx.forEach((keys, agentId) => {
+      keys.forEach(key => this.evolutionFx.hide(agentId, key));
+    });
+    this.shownFx.clear();
+
+    this.saved.forEach(s => {
+      const a = s.agent;
+      a.body.position.copy(s.position);
+      a.body.velocity.copy(s.velocity);
+      a.prevPosition.copy(s.prevPosition);
+      a.mesh.rotation.y = s.rotationY;
+      a.state = s.state;
+      a.isIt = s.isIt;
+      a.frozen = s.frozen;
+      a.safe = s.safe;
+      a.auraGroup.visible = s.isIt;
+      a.iceMesh.visible = s.frozen;
+      a.score = s.score;
+      a.speechText = s.speechText;
+      a.speechTimer = s.speechTimer;
+
+      // Re-show live abilities that the replay may have hidden
+      if (geneSystem && this.evolutionFx) {
+        ABILITY_KEYS.forEach(key => {
+          if (geneSystem.isActive(a.id, key)) this.evolutionFx.show(a.id, key);
+        });
+      }
+      a.interpolate(1);
+    });
+  }
+}
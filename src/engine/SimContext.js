@@ -0,0 +1,75 @@
+/**
+ * Deterministic simulation context: seeded RNG + simulation clock.
+ *
+ * Gameplay code must use sim.rng instead of Math.random() and sim.clock
+ * instead of Date.now(), so the same seed + the same decisions replay a
+ * match tick for tick. Purely visual jitter (camera shake, idle animation,
+ * music) may keep using real time — it never feeds back into physics.
+ *
+ * The level (see game/Level.js) rides along so agents, diagnostics and the
+ * camera read the same obstacle lists the playground was built from, and
+ * the event bus (see EventBus.js) so every module publishes to one place.
+ * The navigation grid (game/NavGrid.js) is built from that level on first
+ * use and shared by every agent.
+ */
+import { Level, defaultLevel } from '../game/Level.js';
+import { EventBus } from './EventBus.js';
+import { NavGrid } from '../game/NavGrid.js';
+
+// mulberry32 — tiny, fast, good enough for gameplay randomness
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // 0..1 (like Math.random)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Integer 0..n-1
+  int(n) {
+    return Math.floor(this.next() * n);
+  }
+
+  pick(arr) {
+    return arr[this.int(arr.length)];
+  }
+}
+
+// Advanced only by the fixed-step loop; now() is a drop-in for Date.now()
+export class SimClock {
+  constructor() {
+    this.time = 0;  // seconds
+    this.tick = 0;  // fixed steps taken
+  }
+
+  advance(dt) {
+    this.time += dt;
+    this.tick++;
+  }
+
+  now() {
+    return this.time * 1000;
+  }
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x7fffffff);
+}
+
+// level: a Level, raw level JSON, or nothing for the default playground
+export function createSimContext(seed = randomSeed(), level = null) {
+  const lvl = level instanceof Level ? level : (level ? new Level(level) : defaultLevel());
+  const clock = new SimClock();
+  return { seed, rng: new SeededRandom(seed), clock, level: lvl, events: new EventBus(clock), nav: new NavGrid(lvl) };
+}
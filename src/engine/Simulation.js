@@ -0,0 +1,201 @@
+/**
+ * Headless simulation core — physics + agents + rules + evolution + learning.
+ *
+ * No renderer, DOM or audio: runs the same in the Electron window (GameEngine
+ * wraps it and adds camera/UI/music) and in plain Node (scripts/simulate.mjs).
+ * Three.js meshes are still built into a scene that nobody renders, so
+ * gameplay code doesn't need headless branches.
+ */
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { Playground, GROUND_MATERIAL } from '../game/Playground.js';
+import { AgentManager } from '../agents/AgentManager.js';
+import { RUN_MATERIAL } from '../agents/Agent.js';
+import { buildRoster, DEFAULT_AGENT_COUNT } from '../agents/Personalities.js';
+import { DEFAULT_BRAIN_POLICY } from '../agents/AgentBrain.js';
+import { SifaRules } from '../game/SifaRules.js';
+import { DEFAULT_GAME_MODE } from '../game/GameModes.js';
+import { GeneSystem } from '../game/GeneSystem.js';
+import { StuckDiagnostic } from '../game/StuckDiagnostic.js';
+import { SupervisorBot } from '../game/SupervisorBot.js';
+import { Decoys } from '../game/Decoys.js';
+import { SocialChannel } from '../game/SocialChannel.js';
+import { DecisionRouter } from '../ai/DecisionRouter.js';
+import { createSimContext } from './SimContext.js';
+
+export const FIXED_STEP = 1 / 60;
+const AI_INTERVAL = 0.6;
+
+// Decisions requested at tick T are applied at T + DECISION_DELAY_TICKS, so
+// local providers land on the same tick regardless of frame timing.
+const DECISION_DELAY_TICKS = 8;
+
+// Voice stand-in for headless runs
+export const SILENT_VOICE = {
+  speak() {},
+  playTagSound() {},
+  playLaughSound() {},
+};
+
+export class Simulation {
+  constructor({
+    seed,
+    scene = new THREE.Scene(),
+    voice = SILENT_VOICE,
+    agentCount = DEFAULT_AGENT_COUNT,
+    profiles = buildRoster(agentCount),
+    decisionRouter = new DecisionRouter(),
+    level = null,
+    mode = DEFAULT_GAME_MODE,
+    roundLength,
+    policy = DEFAULT_BRAIN_POLICY, // brain movement policy: 'grid' | 'rl' (AgentBrain.setPolicy)
+  } = {}) {
+    this.sim = createSimContext(seed, level);
+    this.level = this.sim.level;
+    this.scene = scene;
+
+    // Physics
+    this.world = new CANNON.World({ gravity: new CANNON.Vec3(0, -9.82, 0) });
+    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+    this.world.allowSleep = true;
+    // Kids on their feet don't drag on the ground: steering sets their
+    // velocity every tick and friction only ate ~70% of each step
+    this.world.addContactMaterial(new CANNON.ContactMaterial(RUN_MATERIAL, GROUND_MATERIAL, { friction: 0 }));
+
+    // Game modules
+    this.playground = new Playground(scene, this.world, this.level);
+    this.agentManager = new AgentManager(scene, this.world, this.sim, profiles);
+    this.sifaRules = new SifaRules(this.agentManager, voice, this.sim, { mode, scene, roundLength });
+    this.supervisorBot = new SupervisorBot(scene, this.sim);
+    this.geneSystem = new GeneSystem(this.sim);
+    this.sifaRules.geneSystem = this.geneSystem;
+    this.stuckDiag = new StuckDiagnostic(scene, this.sim);
+    this.decoys = new Decoys(scene, this.sim);
+    this.sifaRules.decoys = this.decoys;
+    this.social = new SocialChannel(this.agentManager, voice, this.sim);
+
+    this.agentManager.agents.forEach(agent => {
+      this.geneSystem.initAgent(agent.id, agent.profile);
+      this.stuckDiag.initAgent(agent.id);
+      agent.geneSystem = this.geneSystem;
+      agent.stuckDiag = this.stuckDiag;
+      agent.decoys = this.decoys;
+      agent.brain.setPolicy(policy, this.sim.rng);
+    });
+    this.policy = policy;
+
+    // Decisions
+    this.decisionRouter = decisionRouter;
+    this.decisionRouter.setEvents(this.sim.events);
+    this.aiIntervalTicks = Math.round(AI_INTERVAL / FIXED_STEP);
+    this.readyDecisions = []; // { applyTick, decisions } waiting for their tick
+    this.pendingDecisions = new Set(); // in-flight provider promises
+
+    // Optional MatchRecorder, captures after every step
+    this.recorder = null;
+  }
+
+  get clock() { return this.sim.clock; }
+  get rng() { return this.sim.rng; }
+  get seed() { return this.sim.seed; }
+
+  start() {
+    this.sifaRules.initialize();
+  }
+
+  // One fixed step — everything that changes game state lives here
+  step(dt = FIXED_STEP) {
+    const tick = this.sim.clock.tick;
+
+    // AI decisions (async, non-blocking) — requested and applied on fixed ticks
+    if (tick % this.aiIntervalTicks === 0) {
+      this.requestDecisions(tick + DECISION_DELAY_TICKS);
+    }
+    this.applyReadyDecisions(tick);
+
+    this.world.step(dt);
+    if (this.sifaRules.mode.playing) {
+      this.agentManager.fixedUpdate(dt, this.sifaRules.prevItAgentId);
+      this.decoys.update(dt);
+      this.social.update(dt);
+    } else {
+      this.agentManager.hold(dt);
+      this.decoys.clear();
+    }
+    this.sifaRules.update(dt);
+    this.supervisorBot.update(dt, this.agentManager.agents);
+    this.geneSystem.update(dt);
+    this.sim.clock.advance(dt);
+    if (this.recorder) this.recorder.capture();
+  }
+
+  requestDecisions(applyTick) {
+    const gameState = this.agentManager.compressState(this.sifaRules.itAgentId);
+    const request = this.decisionRouter.decide(gameState)
+      .then(decisions => { this.readyDecisions.push({ applyTick, decisions }); })
+      .catch(() => { /* agents continue with last decision */ })
+      .finally(() => { this.pendingDecisions.delete(request); });
+    this.pendingDecisions.add(request);
+  }
+
+  // Late answers (slow LLM) apply on the first tick after they arrive
+  applyReadyDecisions(tick) {
+    if (this.readyDecisions.length === 0) return;
+    this.readyDecisions = this.readyDecisions.filter(entry => {
+      if (entry.applyTick > tick) return true;
+      this.agentManager.applyDecisions(entry.decisions);
+      return false;
+    });
+  }
+
+  // Headless runners await this so decisions never arrive "late"
+  async flushDecisions() {
+    while (this.pendingDecisions.size > 0) {
+      await Promise.all([...this.pendingDecisions]);
+    }
+  }
+
+  // Run `seconds` of game time as fast as the CPU allows
+  async runFor(seconds) {
+    const ticks = Math.round(seconds / FIXED_STEP);
+    for (let i = 0; i < ticks; i++) {
+      this.step(FIXED_STEP);
+      if (this.pendingDecisions.size > 0) await this.flushDecisions();
+    }
+  }
+
+  // Per-agent summary for batch runs
+  getStats() {
+    const tags = this.sifaRules.tagHistory;
+    return {
+      seed: this.sim.seed,
+      duration: this.sim.clock.time,
+      tags: tags.length,
+      mode: this.sifaRules.mode.key,
+      rounds: this.sifaRules.mode.rounds.map(r => ({ ...r })),
+      rescues: this.supervisorBot.rescueCount,
+      stuck: this.stuckDiag.stuckCount,
+      shares: this.social.shared,
+      agents: this.agentManager.agents.map(a => {
+        const stuck = this.stuckDiag.agentData.get(a.id);
+        const brain = a.brain.getStats();
+        return {
+          id: a.id,
+          name: a.profile.name,
+          survival: a.score,
+          tagsMade: tags.filter(t => t.from === a.id).length,
+          timesTagged: tags.filter(t => t.to === a.id).length,
+          abilities: this.geneSystem.getUnlockedAbilities(a.id).map(ab => ab.key),
+          abilityUses: this.geneSystem.getUseCount(a.id),
+          genes: { ...this.geneSystem.getGenes(a.id) },
+          generation: brain.generation,
+          lessons: brain.lessons,
+          tipsHeard: brain.tipsHeard,
+          policy: brain.policy,
+          escapes: stuck ? stuck.escapedCount : 0,
+          warps: stuck ? stuck.warpedCount : 0,
+        };
+      }),
+    };
+  }
+}
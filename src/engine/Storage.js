@@ -0,0 +1,37 @@
+/**
+ * Persistent JSON storage for game data.
+ *
+ * Electron: files in the user data folder via the main process (storage-load /
+ * storage-save IPC). Browser dev server: localStorage. Headless Node: nothing
+ * is stored, loads return null.
+ */
+const LOCAL_PREFIX = 'sifa.data.';
+
+function electronApi() {
+  const api = globalThis.window?.electronAPI;
+  return api && api.loadData ? api : null;
+}
+
+export async function loadData(name) {
+  try {
+    const api = electronApi();
+    if (api) return await api.loadData(name);
+    const raw = globalThis.localStorage?.getItem(LOCAL_PREFIX + name);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn(`[Storage] load ${name} failed:`, e.message);
+    return null;
+  }
+}
+
+export async function saveData(name, data) {
+  try {
+    const api = electronApi();
+    if (api) return await api.saveData(name, data);
+    globalThis.localStorage?.setItem(LOCAL_PREFIX + name, JSON.stringify(data));
+    return true;
+  } catch (e) {
+    console.warn(`[Storage] save ${name} failed:`, e.message);
+    return false;
+  }
+}
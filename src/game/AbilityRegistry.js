@@ -0,0 +1,94 @@
+/**
+ * Ability plugins — everything an evolvable ability does, in one module.
+ *
+ * GeneSystem owns genes, cooldowns and timers; Agent, SifaRules and
+ * EvolutionEffects only call the hooks below. A new ability ships as a
+ * standalone module and is registered once, before the match starts:
+ *
+ *   registerAbility({
+ *     key: 'teleport', gene: 'teleport',       // an existing gene or a new one
+ *     threshold: 0.7, duration: 0.2, cooldown: 12,
+ *     name: 'Телепорт', icon: '✨', speech: 'Пуф!',
+ *     decide: s => !s.isIt && s.distToIt < 2,
+ *     onStart: (agent, agents) => { ... },
+ *   });
+ *
+ * Definition (data):
+ *   key, gene, threshold, duration, cooldown, name, icon — as before
+ *   speech      what the kid shouts on activation (default: name + '!')
+ *   airborne    true while active → Agent.flying (no ground clamp, StuckDiagnostic)
+ *   wards       true while active → other kids' abilities can't touch us (shield)
+ *   concealment 0..1 while active → hunters' sight shrinks by it (stealth, Perception)
+ *
+ * Behaviour hooks (all optional, called from the fixed step — use agent.rng,
+ * never Math.random, so seeded matches stay reproducible). Abilities that act
+ * on other kids use Agent.slowDown / shove / knockDown and should skip kids
+ * GeneSystem.isWarded() protects:
+ *   decide(s)                       AI: use it now? s = { agent, agents, isIt, distToIt, isCorner }
+ *   onStart(agent, agents)          once, the tick it fires
+ *   move(agent, v, dt, agents)      every tick while active; v = { x, z } desired velocity
+ *   lift(agent, now)                every tick while active; vertical velocity, or null = ground rules
+ *   onEnd(agent)                    once, the tick it runs out
+ *   blocksTag(target, tagger, rules) the target's active ability vetoes a tag
+ *
+ * Visual hooks (EvolutionEffects — never run headless):
+ *   show(fx, mesh, agentId)         create the effect; the return value is its handle
+ *   hide(fx, handle, mesh)          remove it (default: detach the handle from its parent)
+ *   animate(handle, now)            every frame while shown
+ *
+ * Keys are also replay / LAN flag bits (MatchRecorder.abilityFlag), in
+ * registration order — register in the same order on every machine.
+ */
+import { Dash } from './abilities/Dash.js';
+import { Scream } from './abilities/Scream.js';
+import { Fly } from './abilities/Fly.js';
+import { Stealth } from './abilities/Stealth.js';
+import { Shield } from './abilities/Shield.js';
+import { Decoy } from './abilities/Decoy.js';
+import { FreezeRay } from './abilities/FreezeRay.js';
+import { Magnet } from './abilities/Magnet.js';
+import { GroundSlam } from './abilities/GroundSlam.js';
+
+// Flag bits 1..MAX_ABILITIES; the bits above belong to MatchRecorder
+export const MAX_ABILITIES = 28;
+
+// key → definition (the plugin object itself)
+export const ABILITIES = {};
+
+// Registration order = unlock order shown in the UI = decision priority
+export const ABILITY_ORDER = [];
+
+// The base genome — order matters, seeded mutations pick from it by index.
+// registerAbility appends the gene of an ability that brings its own.
+export const GENES = ['speed', 'agility', 'scream', 'fly', 'shield', 'stealth', 'dash'];
+
+const REQUIRED = ['key', 'gene', 'threshold', 'duration', 'cooldown', 'name', 'icon'];
+
+export function registerAbility(plugin) {
+  const missing = REQUIRED.filter(f => plugin[f] === undefined);
+  if (missing.length > 0) throw new Error(`ability plugin without ${missing.join(', ')}`);
+  if (ABILITIES[plugin.key]) throw new Error(`ability "${plugin.key}" is already registered`);
+  if (ABILITY_ORDER.length >= MAX_ABILITIES) throw new Error(`more than ${MAX_ABILITIES} abilities`);
+
+  ABILITIES[plugin.key] = plugin;
+  ABILITY_ORDER.push(plugin.key);
+  if (!GENES.includes(plugin.gene)) GENES.push(plugin.gene);
+  return plugin;
+}
+
+export function getAbility(key) {
+  return ABILITIES[key] || null;
+}
+
+// What the kid shouts when it fires
+export function abilitySpeech(key) {
+  const def = ABILITIES[key];
+  if (!def) return key;
+  return def.speech || `${def.name}!`;
+}
+
+// Built-in abilities, easiest first
+[Dash, Scream, Fly, Stealth, Shield].forEach(registerAbility);
+
+// Second tier: genes of their own, they unlock later in a match
+[Decoy, FreezeRay, Magnet, GroundSlam].forEach(registerAbility);
@@ -0,0 +1,65 @@
+/**
+ * Genome breeding between matches — "generations" mode.
+ *
+ * Fitness = survival score of the match. The best genome survives unchanged
+ * (elitism); every other agent gets a child of two tournament-picked parents,
+ * built by uniform crossover and then mutated up OR down, so useless genes can
+ * fade instead of only ratcheting towards 1.0 like in-match mutations.
+ */
+import { GeneSystem } from './GeneSystem.js';
+
+const MUTATION_RATE = 0.25;     // chance per gene
+const MUTATION_STRENGTH = 0.08; // max ± change
+const GENE_MIN = 0.05;
+
+export function crossover(a, b, rng) {
+  const child = {};
+  GeneSystem.getGeneNames().forEach(g => {
+    child[g] = rng.next() < 0.5 ? (a[g] || 0) : (b[g] || 0);
+  });
+  return child;
+}
+
+export function mutate(genes, rng, rate = MUTATION_RATE, strength = MUTATION_STRENGTH) {
+  const out = { ...genes };
+  GeneSystem.getGeneNames().forEach(g => {
+    if (rng.next() >= rate) return;
+    const delta = (rng.next() * 2 - 1) * strength;
+    out[g] = Math.max(GENE_MIN, Math.min(1, (out[g] || 0) + delta));
+  });
+  return out;
+}
+
+// Better of two random entries
+function tournament(pool, rng) {
+  const a = rng.pick(pool);
+  const b = rng.pick(pool);
+  return a.fitness >= b.fitness ? a : b;
+}
+
+// genomes: { [name]: { genes, fitness } } → { [name]: genes } for the next match
+export function breedGeneration(genomes, rng) {
+  const pool = Object.entries(genomes).map(([name, g]) => ({ name, genes: g.genes, fitness: g.fitness || 0 }));
+  if (pool.length === 0) return {};
+  const best = pool.reduce((a, b) => (b.fitness > a.fitness ? b : a));
+
+  const next = {};
+  pool.forEach(entry => {
+    if (entry === best) {
+      next[entry.name] = { ...entry.genes };
+      return;
+    }
+    const child = crossover(tournament(pool, rng).genes, tournament(pool, rng).genes, rng);
+    next[entry.name] = mutate(child, rng);
+  });
+  return next;
+}
+
+export function fitnessSummary(genomes) {
+  const values = Object.values(genomes).map(g => g.fitness || 0);
+  if (values.length === 0) return { best: 0, avg: 0 };
+  return {
+    best: Math.max(...values),
+    avg: values.reduce((s, v) => s + v, 0) / values.length,
+  };
+}
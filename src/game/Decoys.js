@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import { createSimContext } from '../engine/SimContext.js';
+
+const DECOY_SPEED = 4.2;
+
+/**
+ * Decoys — see-through clones spawned by the decoy ability.
+ *
+ * A decoy runs off in a straight line (bouncing off the arena edge and
+ * around obstacles) until its owner's ability runs out. Hunters see it as
+ * one more runner (Agent.findNearestRunner); touching it pops it
+ * (SifaRules). Decoys are not agents: no physics body, no score, no brain —
+ * `body.position` is there only so distance code can treat them alike.
+ * The look is the renderer's business: it sets createMesh, headless runs
+ * leave it null and their decoys have no mesh.
+ */
+export class Decoys {
+  constructor(scene, sim = createSimContext()) {
+    this.scene = scene;
+    this.obstacles = sim.level.steeringObstacles;
+    this.bound = sim.level.bound;
+    this.list = [];   // { owner, body: { position }, vx, vz, mesh }
+    this.createMesh = null; // optional (owner) → Object3D, set by GameEngine
+  }
+
+  // A clone of `owner` running along (dirX, dirZ)
+  spawn(owner, dirX, dirZ) {
+    this.remove(owner);
+    const len = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+    const p = owner.body.position;
+
+    const mesh = this.createMesh ? this.createMesh(owner) : null;
+    if (mesh) {
+      mesh.position.set(p.x, 0, p.z);
+      this.scene.add(mesh);
+    }
+
+    const decoy = {
+      owner,
+      body: { position: new THREE.Vector3(p.x, p.y, p.z) },
+      vx: (dirX / len) * DECOY_SPEED,
+      vz: (dirZ / len) * DECOY_SPEED,
+      mesh,
+    };
+    this.list.push(decoy);
+    return decoy;
+  }
+
+  // Drop the owner's decoy, if it still runs
+  remove(owner) {
+    const decoy = this.list.find(d => d.owner === owner);
+    if (decoy) this.pop(decoy);
+  }
+
+  pop(decoy) {
+    const i = this.list.indexOf(decoy);
+    if (i >= 0) this.list.splice(i, 1);
+    const mesh = decoy.mesh;
+    if (!mesh) return;
+    if (mesh.parent) mesh.parent.remove(mesh);
+    // The model is the decoy's own, nothing in it is shared
+    mesh.traverse(child => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  clear() {
+    [...this.list].forEach(decoy => this.pop(decoy));
+  }
+
+  update(dt) {
+    this.list.forEach(decoy => {
+      const p = decoy.body.position;
+
+      // Slide around obstacles: drop the velocity part pointing into them
+      for (const obs of this.obstacles) {
+        const dx = p.x - obs.x;
+        const dz = p.z - obs.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist < obs.r + 0.4 && dist > 0.01) {
+          const into = (decoy.vx * dx + decoy.vz * dz) / dist;
+          if (into < 0) {
+            decoy.vx -= (dx / dist) * into * 2;
+            decoy.vz -= (dz / dist) * into * 2;
+          }
+        }
+      }
+
+      // Bounce off the arena edge
+      if (Math.abs(p.x + decoy.vx * dt) > this.bound) decoy.vx = -decoy.vx;
+      if (Math.abs(p.z + decoy.vz * dt) > this.bound) decoy.vz = -decoy.vz;
+
+      p.x += decoy.vx * dt;
+      p.z += decoy.vz * dt;
+      this.place(decoy);
+    });
+  }
+
+  // Mesh follows body.position, facing along the velocity
+  place(decoy) {
+    if (!decoy.mesh) return;
+    const p = decoy.body.position;
+    decoy.mesh.position.set(p.x, Math.abs(Math.sin(p.x * 3 + p.z * 3)) * 0.05, p.z);
+    decoy.mesh.rotation.y = Math.atan2(decoy.vx, decoy.vz);
+  }
+
+  // LAN snapshot: [ownerId, x, z, vx, vz] per decoy
+  toJSON() {
+    const r = v => Math.round(v * 100) / 100;
+    return this.list.map(d => [d.owner.id, r(d.body.position.x), r(d.body.position.z), r(d.vx), r(d.vz)]);
+  }
+}
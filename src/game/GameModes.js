@@ -0,0 +1,437 @@
+/**
+ * Game modes — rule sets SifaRules runs on top of the shared tag loop.
+ *
+ * SifaRules keeps the engine-facing state (itAgentId, tagHistory, shouts,
+ * learning + evolution on every tag); the mode decides who may be tagged,
+ * what a tag does, when a round is over and what the HUD says.
+ *
+ *   classic   — one IT, no tag-back
+ *   timed     — short classic rounds; whoever is IT at the bell is named
+ *   freeze    — tagged kids freeze until a free runner touches them
+ *   infection — tagged kids join the IT team; last survivor wins
+ *   base      — classic with safe zones (short stays, no points inside)
+ *
+ * Modes only set flags on agents (isIt, frozen, safe, goal); Agent steering
+ * reads them, so a new mode needs no changes outside this file.
+ *
+ * Every round runs 'countdown' → 'play' → 'results'; outside 'play' nobody
+ * moves or tags. roundLength 0 plays a single endless round: classic keeps
+ * it, the other modes set a length of their own.
+ */
+import * as THREE from 'three';
+import { summarizeRound } from './RoundSummary.js';
+
+const COUNTDOWN_TIME = 3;   // seconds of "3, 2, 1" before a round
+const RESULTS_TIME = 6;     // seconds the results screen holds the game
+
+const BASE_RADIUS = 1.8;
+const BASE_MAX_STAY = 5;    // seconds in a base before being sent out
+const BASE_BAN_TIME = 4;    // seconds before the same kid may hide again
+
+function formatTime(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function names(agents) {
+  return agents.map(a => a.profile.name).join(', ');
+}
+
+export class GameMode {
+  constructor(rules, scene = null) {
+    this.rules = rules;
+    this.agentManager = rules.agentManager;
+    this.scene = scene;
+    this.round = 1;
+    this.roundTime = 0;
+    this.roundLength = 0;    // seconds of play, 0 = endless
+    this.passesIt = true;   // a tag hands IT over (used by the round summary)
+    this.phase = 'countdown';
+    this.phaseTime = COUNTDOWN_TIME;
+    this.roundScore = new Map(); // agentId → points this round
+    this.roundStart = 0;    // rules.gameTime when play started
+    this.startIts = [];     // IT ids when play started
+    this.abilityBase = new Map(); // agentId → ability uses before the round
+    this.rounds = [];       // finished rounds: { round, time, duration, winners, text, stats }
+    this.lastResult = null;
+    this.onRoundEnd = null; // optional callback(entry), set by GameEngine
+  }
+
+  get agents() { return this.agentManager.agents; }
+
+  get playing() { return this.phase === 'play'; }
+
+  // After SifaRules picked the first IT
+  start() {
+    this.startRound();
+  }
+
+  // Fresh round: counters reset, kids back on their spawn points, countdown
+  startRound() {
+    this.roundTime = 0;
+    this.roundScore.clear();
+    this.agents.forEach(a => this.roundScore.set(a.id, 0));
+    if (this.round > 1) this.agentManager.respawn(this.rules.level);
+    this.phase = 'countdown';
+    this.phaseTime = COUNTDOWN_TIME;
+  }
+
+  beginPlay() {
+    this.phase = 'play';
+    this.roundStart = this.rules.gameTime;
+    this.startIts = this.agents.filter(a => a.isIt).map(a => a.id);
+    const gs = this.rules.geneSystem;
+    this.agents.forEach(a => this.abilityBase.set(a.id, gs ? gs.getUseCount(a.id) : 0));
+  }
+
+  // Countdown / results timers; returns once the phase is over
+  updatePhase(dt) {
+    this.phaseTime -= dt;
+    if (this.phaseTime > 0) return;
+    if (this.phase === 'countdown') {
+      this.beginPlay();
+    } else if (this.phase === 'results') {
+      this.round++;
+      this.startRound();
+    }
+  }
+
+  canTag(hunter, target) {
+    const rules = this.rules;
+    return !target.isIt &&
+      target.id !== rules.prevItAgentId &&   // can't tag back who just tagged you
+      !rules.isOnCooldown(target.id) &&
+      !target.frozen &&
+      !target.safe;
+  }
+
+  // Classic: IT passes to the tagged kid
+  onTag(hunter, target) {
+    this.rules.executeTag(hunter, target);
+  }
+
+  // Whether the agent earns round points right now
+  scores(agent) {
+    return !agent.isIt && !agent.frozen;
+  }
+
+  update(dt) {
+    if (!this.playing) {
+      this.updatePhase(dt);
+      return;
+    }
+    this.roundTime += dt;
+    this.agents.forEach(a => {
+      if (this.scores(a)) this.roundScore.set(a.id, (this.roundScore.get(a.id) || 0) + dt);
+    });
+
+    const result = this.checkWin();
+    if (result) {
+      this.endRound(result);
+    } else if (this.roundLength > 0 && this.roundTime >= this.roundLength) {
+      this.endRound(this.timeoutResult());
+    }
+  }
+
+  // { winners: [agent], text } when the round is decided early, else null
+  checkWin() {
+    return null;
+  }
+
+  // Default timeout winner: most points this round
+  timeoutResult() {
+    let best = null;
+    this.agents.forEach(a => {
+      if (!best || this.roundScore.get(a.id) > this.roundScore.get(best.id)) best = a;
+    });
+    return { winners: best ? [best] : [], text: `Время! Победил ${best ? best.profile.name : '—'}` };
+  }
+
+  endRound(result) {
+    const gs = this.rules.geneSystem;
+    const abilityUses = new Map(this.agents.map(a => [
+      a.id, (gs ? gs.getUseCount(a.id) : 0) - (this.abilityBase.get(a.id) || 0),
+    ]));
+    const entry = {
+      round: this.round,
+      mode: this.key,
+      time: this.rules.gameTime,
+      duration: this.roundTime,
+      winners: result.winners.map(a => a.id),
+      text: result.text,
+      stats: summarizeRound({
+        agents: this.agents,
+        tagHistory: this.rules.tagHistory,
+        from: this.roundStart,
+        to: this.rules.gameTime,
+        startIts: this.startIts,
+        passesIt: this.passesIt,
+        roundScore: this.roundScore,
+        abilityUses,
+      }),
+    };
+    this.rounds.push(entry);
+    this.lastResult = entry;
+
+    result.winners.forEach(a => a.say('Победа!', 3.0));
+    if (result.winners[0]) this.rules.voice.speak(result.winners[0].id, 'Победа!');
+
+    this.phase = 'results';
+    this.phaseTime = RESULTS_TIME;
+    if (this.onRoundEnd) this.onRoundEnd(entry);
+  }
+
+  // Line under the scoreboard title
+  hudText() {
+    const it = this.agents.find(a => a.id === this.rules.itAgentId);
+    return `Водит: ${it ? it.profile.name : '—'}` + this.timerText();
+  }
+
+  timerText() {
+    return this.roundLength > 0
+      ? ` · раунд ${this.round} · ${formatTime(this.roundLength - this.roundTime)}`
+      : '';
+  }
+
+  // Seconds left of the countdown (0 when not counting down)
+  get countdown() {
+    return this.phase === 'countdown' ? Math.max(0, this.phaseTime) : 0;
+  }
+}
+
+// === CLASSIC ===
+
+// Base rules as they are: IT passes on every tag, most survival wins the round
+export class ClassicMode extends GameMode {}
+
+// === TIMED ===
+
+export class TimedMode extends GameMode {
+  constructor(rules, scene) {
+    super(rules, scene);
+    this.roundLength = 90;
+  }
+
+  timeoutResult() {
+    const result = super.timeoutResult();
+    const it = this.agents.find(a => a.id === this.rules.itAgentId);
+    if (it) result.text += ` · водит в конце: ${it.profile.name}`;
+    return result;
+  }
+}
+
+// === FREEZE ===
+
+export class FreezeMode extends GameMode {
+  constructor(rules, scene) {
+    super(rules, scene);
+    this.roundLength = 90;
+    this.passesIt = false;
+  }
+
+  startRound() {
+    super.startRound();
+    this.agents.forEach(a => { a.frozen = false; a.goal = null; });
+    // Later rounds: a random kid starts as IT
+    if (this.round > 1) this.rules.setIt(this.rules.rng.int(this.agents.length));
+  }
+
+  onTag(hunter, target) {
+    this.rules.recordTag(hunter, target);
+    target.frozen = true;
+    target.say('Замёрз!', 2.0);
+  }
+
+  update(dt) {
+    if (!this.playing) return super.update(dt);
+    const runners = this.agents.filter(a => !a.isIt && !a.frozen);
+    const frozen = this.agents.filter(a => a.frozen);
+
+    // Touching a frozen friend thaws them (short cooldown so IT can't refreeze at once)
+    frozen.forEach(f => {
+      const rescuer = runners.find(r => r.distanceTo(f) < this.rules.TAG_DISTANCE);
+      if (!rescuer) return;
+      f.frozen = false;
+      this.rules.cooldowns.set(f.id, this.rules.gameTime + this.rules.COOLDOWN_TIME);
+      rescuer.say('Отмораживаю!', 1.5);
+      f.say('Спасибо!', 1.5);
+    });
+
+    // Free runners head for the nearest frozen friend
+    const stillFrozen = this.agents.filter(a => a.frozen);
+    runners.forEach(r => {
+      let goal = null, best = Infinity;
+      stillFrozen.forEach(f => {
+        const d = r.distanceTo(f);
+        if (d < best) { best = d; goal = f.body.position; }
+      });
+      r.goal = goal;
+    });
+
+    super.update(dt);
+  }
+
+  checkWin() {
+    const runners = this.agents.filter(a => !a.isIt);
+    if (runners.length === 0 || runners.some(a => !a.frozen)) return null;
+    const hunters = this.agents.filter(a => a.isIt);
+    return { winners: hunters, text: `Все заморожены! Победил ${names(hunters)}` };
+  }
+
+  timeoutResult() {
+    const free = this.agents.filter(a => !a.isIt && !a.frozen);
+    return { winners: free, text: `Время! Не замёрзли: ${names(free)}` };
+  }
+
+  hudText() {
+    const runners = this.agents.filter(a => !a.isIt);
+    const frozen = runners.filter(a => a.frozen).length;
+    return `Заморожено ${frozen}/${runners.length}` + this.timerText();
+  }
+}
+
+// === INFECTION ===
+
+export class InfectionMode extends GameMode {
+  constructor(rules, scene) {
+    super(rules, scene);
+    this.roundLength = 120;
+    this.passesIt = false;
+  }
+
+  startRound() {
+    // Last round's survivor starts as IT, first round keeps the random pick
+    const survivor = this.lastResult && this.lastResult.winners.length === 1 ? this.lastResult.winners[0] : null; // agent id
+    super.startRound();
+    if (this.round > 1) {
+      this.rules.setIt(survivor ?? this.rules.rng.int(this.agents.length));
+    }
+  }
+
+  onTag(hunter, target) {
+    this.rules.recordTag(hunter, target);
+    target.isIt = true;
+    target.say('Теперь я тоже вожу!', 2.0);
+  }
+
+  checkWin() {
+    const survivors = this.agents.filter(a => !a.isIt);
+    if (survivors.length > 1) return null;
+    if (survivors.length === 1) {
+      return { winners: survivors, text: `Последний выживший: ${survivors[0].profile.name}` };
+    }
+    const first = this.agents.find(a => a.id === this.rules.itAgentId);
+    return { winners: first ? [first] : [], text: 'Заразились все!' };
+  }
+
+  timeoutResult() {
+    const survivors = this.agents.filter(a => !a.isIt);
+    return { winners: survivors, text: `Время! Выжили: ${names(survivors)}` };
+  }
+
+  hudText() {
+    const hunters = this.agents.filter(a => a.isIt).length;
+    return `Водят ${hunters}/${this.agents.length}` + this.timerText();
+  }
+}
+
+// === BASE ===
+
+export class BaseMode extends GameMode {
+  constructor(rules, scene) {
+    super(rules, scene);
+    this.roundLength = 120;
+    const level = rules.level;
+    this.bases = level.bases.length > 0
+      ? level.bases.map(b => ({ x: b.x, z: b.z, r: b.r || BASE_RADIUS }))
+      : [-1, 1].map(side => ({ x: side * level.bound * 0.6, z: 0, r: BASE_RADIUS }));
+    this.stay = new Map();      // agentId → seconds in base this visit
+    this.bannedUntil = new Map(); // agentId → roundTime when they may hide again
+    if (scene) this.buildMarkers(scene);
+  }
+
+  buildMarkers(scene) {
+    const mat = new THREE.MeshBasicMaterial({ color: 0x44ddff, transparent: true, opacity: 0.35, side: THREE.DoubleSide });
+    this.bases.forEach(b => {
+      const ring = new THREE.Mesh(new THREE.RingGeometry(b.r - 0.15, b.r, 32), mat);
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.set(b.x, 0.03, b.z);
+      scene.add(ring);
+    });
+  }
+
+  startRound() {
+    super.startRound();
+    this.stay.clear();
+    this.bannedUntil.clear();
+    this.agents.forEach(a => { a.safe = false; a.goal = null; });
+  }
+
+  nearestBase(agent) {
+    let best = null, bestDist = Infinity;
+    this.bases.forEach(b => {
+      const d = Math.hypot(agent.body.position.x - b.x, agent.body.position.z - b.z);
+      if (d < bestDist) { bestDist = d; best = b; }
+    });
+    return { base: best, dist: bestDist };
+  }
+
+  update(dt) {
+    if (!this.playing) return super.update(dt);
+    this.agents.forEach(a => {
+      if (a.isIt) { a.safe = false; a.goal = null; return; }
+      const { base, dist } = this.nearestBase(a);
+      let banned = this.roundTime < (this.bannedUntil.get(a.id) || 0);
+      const inside = !!base && dist < base.r;
+
+      if (inside && !banned) {
+        const stay = (this.stay.get(a.id) || 0) + dt;
+        this.stay.set(a.id, stay);
+        if (stay > BASE_MAX_STAY) {
+          this.bannedUntil.set(a.id, this.roundTime + BASE_BAN_TIME);
+          this.stay.set(a.id, 0);
+          banned = true;
+          a.say('Выгнали с базы!', 1.5);
+        }
+      } else {
+        this.stay.set(a.id, 0);
+      }
+      a.safe = inside && !banned;
+      // Scared runners make for the nearest base unless they were just sent out
+      a.goal = a.state === 'flee' && !banned && base ? base : null;
+    });
+    super.update(dt);
+  }
+
+  // Hiding in a base doesn't count as survival
+  scores(agent) {
+    return super.scores(agent) && !agent.safe;
+  }
+
+  hudText() {
+    const hiding = this.agents.filter(a => a.safe).length;
+    return `На базе: ${hiding}` + this.timerText();
+  }
+}
+
+// === REGISTRY ===
+
+export const GAME_MODES = {
+  classic:   { name: 'Классика', create: (rules, scene) => new ClassicMode(rules, scene) },
+  timed:     { name: 'На время', create: (rules, scene) => new TimedMode(rules, scene) },
+  freeze:    { name: 'Заморозка', create: (rules, scene) => new FreezeMode(rules, scene) },
+  infection: { name: 'Зараза', create: (rules, scene) => new InfectionMode(rules, scene) },
+  base:      { name: 'С базой', create: (rules, scene) => new BaseMode(rules, scene) },
+};
+
+export const DEFAULT_GAME_MODE = 'classic';
+
+// roundLength: seconds of play per round (0 = endless), else the mode's default
+export function createGameMode(key, rules, scene = null, { roundLength } = {}) {
+  const entry = GAME_MODES[key] || GAME_MODES[DEFAULT_GAME_MODE];
+  const mode = entry.create(rules, scene);
+  mode.key = GAME_MODES[key] ? key : DEFAULT_GAME_MODE;
+  mode.name = entry.name;
+  if (Number.isFinite(roundLength) && roundLength >= 0) mode.roundLength = roundLength;
+  return mode;
+}
@@ -4,11 +4,14 @@
  * Genes unlock abilities when they cross thresholds.
  *
  * CONSTRAINT CODER: obvious = hardcode abilities as if/else per agent.
- * BANNED. Data-driven ability defs + generic executor instead.
- * WHY: adding new abilities = adding data, not touching movement code.
+ * BANNED. Ability plugins (AbilityRegistry) + generic executor instead.
+ * WHY: adding new abilities = adding a module, not touching movement code.
  */
 
-const GENES = ['speed', 'agility', 'scream', 'fly', 'shield', 'stealth', 'dash'];
+import { createSimContext } from '../engine/SimContext.js';
+import { ABILITIES, ABILITY_ORDER, GENES, registerAbility } from './AbilityRegistry.js';
+
+export { ABILITIES, registerAbility };
 
 // Personality-based initial gene biases (indexed by agentId)
 const PERSONALITY_GENES = [
@@ -19,34 +22,39 @@ const PERSONALITY_GENES = [
   { stealth: 0.15, fly: 0.2, agility: 0.15 },     // 4 Петя — clown
 ];
 
-// Data-driven ability definitions
-export const ABILITIES = {
-  dash:    { gene: 'dash',    threshold: 0.5,  duration: 1.5, cooldown: 8,  name: 'Рывок',       icon: '\u{1F4A8}' },
-  scream:  { gene: 'scream',  threshold: 0.6,  duration: 0.5, cooldown: 10, name: 'Крик',        icon: '\u{1F4E2}' },
-  fly:     { gene: 'fly',     threshold: 0.7,  duration: 3.0, cooldown: 15, name: 'Полёт',       icon: '\u{1F985}' },
-  stealth: { gene: 'stealth', threshold: 0.75, duration: 4.0, cooldown: 18, name: 'Невидимость', icon: '\u{1F47B}' },
-  shield:  { gene: 'shield',  threshold: 0.8,  duration: 2.0, cooldown: 20, name: 'Щит',         icon: '\u{1F6E1}' },
-};
-
-// Ability order for unlocking (easiest first)
-const ABILITY_ORDER = ['dash', 'scream', 'fly', 'stealth', 'shield'];
+// Generated agents (id 5+) get biases from their personality traits instead
+function biasFromProfile(profile) {
+  if (!profile) return {};
+  return {
+    speed: (profile.speed - 3.8) * 0.1,
+    dash: profile.aggression * 0.2,
+    scream: profile.playfulness * 0.15,
+    fly: profile.riskTaking * 0.2,
+    stealth: (1 - profile.riskTaking) * 0.15,
+    shield: Math.min(1, profile.panicDistance / 8) * 0.15,
+  };
+}
 
 export class GeneSystem {
-  constructor() {
+  constructor(sim = createSimContext()) {
+    this.rng = sim.rng;
+    this.clock = sim.clock;
+    this.events = sim.events;
     this.agentGenes = new Map();       // agentId -> { geneName: value }
     this.abilityCooldowns = new Map(); // agentId -> { abilityKey: remaining }
     this.activeAbilities = new Map();  // agentId -> { abilityKey: remaining }
+    this.useCounts = new Map();        // agentId -> total ability activations
     this.evolutionLog = [];            // { agentId, ability, name, icon, time }
     this.totalMutations = 0;
     this.bgTimer = 0;                  // background mutation timer
   }
 
-  initAgent(agentId) {
+  initAgent(agentId, profile = null) {
     const genes = {};
     GENES.forEach(g => {
-      genes[g] = 0.1 + Math.random() * 0.15;
+      genes[g] = 0.1 + this.rng.next() * 0.15;
     });
-    const bias = PERSONALITY_GENES[agentId] || {};
+    const bias = PERSONALITY_GENES[agentId] || biasFromProfile(profile);
     Object.entries(bias).forEach(([gene, bonus]) => {
       genes[gene] = (genes[gene] || 0) + bonus;
     });
@@ -59,6 +67,16 @@ export class GeneSystem {
     return this.agentGenes.get(agentId) || {};
   }
 
+  // Replace a genome (saved or bred) — unknown genes dropped, values clamped
+  setGenes(agentId, genes) {
+    const next = {};
+    GENES.forEach(g => {
+      const v = Number(genes[g]);
+      next[g] = Number.isFinite(v) ? Math.max(0, Math.min(1, v)) : 0.1;
+    });
+    this.agentGenes.set(agentId, next);
+  }
+
   getUnlockedAbilities(agentId) {
     const genes = this.getGenes(agentId);
     const result = [];
@@ -88,9 +106,15 @@ export class GeneSystem {
     const def = ABILITIES[abilityKey];
     const active = this.activeAbilities.get(agentId);
     active[abilityKey] = def.duration;
+    this.useCounts.set(agentId, this.getUseCount(agentId) + 1);
+    this.events.emit('ability:start', { agentId, ability: abilityKey, duration: def.duration });
     return true;
   }
 
+  getUseCount(agentId) {
+    return this.useCounts.get(agentId) || 0;
+  }
+
   isActive(agentId, abilityKey) {
     const active = this.activeAbilities.get(agentId) || {};
     return (active[abilityKey] || 0) > 0;
@@ -112,6 +136,7 @@ export class GeneSystem {
             abilities[key] = 0;
             const cd = this.abilityCooldowns.get(agentId);
             cd[key] = ABILITIES[key].cooldown;
+            this.events.emit('ability:end', { agentId, ability: key });
           }
         }
       });
@@ -140,12 +165,12 @@ export class GeneSystem {
   // Tagged agent gets stronger mutations (evolutionary pressure)
   mutateOnTagged(agentId) {
     const genes = this.getGenes(agentId);
-    const count = Math.random() > 0.6 ? 2 : 1;
+    const count = this.rng.next() > 0.6 ? 2 : 1;
     const mutations = [];
 
     for (let i = 0; i < count; i++) {
-      const gene = GENES[Math.floor(Math.random() * GENES.length)];
-      const amount = 0.05 + Math.random() * 0.1;
+      const gene = this.rng.pick(GENES);
+      const amount = 0.05 + this.rng.next() * 0.1;
       const oldVal = genes[gene] || 0;
       genes[gene] = Math.min(1.0, oldVal + amount);
       mutations.push({ gene, amount: genes[gene] - oldVal, newValue: genes[gene] });
@@ -165,46 +190,37 @@ export class GeneSystem {
     });
     if (strongest) {
       const oldVal = genes[strongest];
-      const amount = 0.02 + Math.random() * 0.03;
+      const amount = 0.02 + this.rng.next() * 0.03;
       genes[strongest] = Math.min(1.0, oldVal + amount);
       this._checkNewAbility(agentId, strongest, oldVal, genes[strongest]);
     }
   }
 
-  // AI decides which ability to use (situation-aware)
-  decideAbility(agentId, isIt, distToIt, isCorner) {
-    const unlocked = this.getUnlockedAbilities(agentId);
-    if (unlocked.length === 0) return null;
-
-    for (const ab of unlocked) {
-      if (!this.canUseAbility(agentId, ab.key)) continue;
-
-      switch (ab.key) {
-        case 'shield':
-          if (!isIt && distToIt < 1.8) return ab.key;
-          break;
-        case 'fly':
-          if (!isIt && (distToIt < 2.5 || isCorner)) return ab.key;
-          break;
-        case 'scream':
-          if (!isIt && distToIt < 3) return ab.key;
-          if (isIt && distToIt < 4) return ab.key;
-          break;
-        case 'stealth':
-          if (!isIt && distToIt < 6 && distToIt > 3) return ab.key;
-          break;
-        case 'dash':
-          if (!isIt && distToIt < 4) return ab.key;
-          if (isIt && distToIt > 2 && distToIt < 6) return ab.key;
-          break;
-      }
+  // AI decides which ability to use — the first unlocked, ready plugin whose
+  // decide() agrees. situation = { agent, agents, isIt, distToIt, isCorner }
+  decideAbility(agentId, situation) {
+    for (const key of ABILITY_ORDER) {
+      const def = ABILITIES[key];
+      if (!def.decide || !this.canUseAbility(agentId, key)) continue;
+      if (def.decide(situation)) return key;
     }
     return null;
   }
 
+  // Protected from other kids' abilities (shield)?
+  isWarded(agentId) {
+    return this.activeDefs(agentId).some(def => def.wards);
+  }
+
+  // Active abilities of one agent, as plugin definitions
+  activeDefs(agentId) {
+    const active = this.activeAbilities.get(agentId) || {};
+    return ABILITY_ORDER.filter(key => (active[key] || 0) > 0).map(key => ABILITIES[key]);
+  }
+
   // Recent evolution events for UI notifications
   getRecentEvolutions(maxAgeMs = 8000) {
-    const now = Date.now();
+    const now = this.clock.now();
     return this.evolutionLog.filter(e => now - e.time < maxAgeMs);
   }
 
@@ -223,9 +239,9 @@ export class GeneSystem {
   _backgroundMutate(agentId) {
     const genes = this.agentGenes.get(agentId);
     if (!genes) return;
-    const gene = GENES[Math.floor(Math.random() * GENES.length)];
+    const gene = this.rng.pick(GENES);
     const oldVal = genes[gene] || 0;
-    const amount = 0.01 + Math.random() * 0.02;
+    const amount = 0.01 + this.rng.next() * 0.02;
     genes[gene] = Math.min(1.0, oldVal + amount);
     this._checkNewAbility(agentId, gene, oldVal, genes[gene]);
   }
@@ -235,8 +251,9 @@ export class GeneSystem {
       if (def.gene === gene && newVal >= def.threshold && oldVal < def.threshold) {
         this.evolutionLog.push({
           agentId, ability: key, name: def.name, icon: def.icon,
-          time: Date.now(),
+          time: this.clock.now(),
         });
+        this.events.emit('evolution', { agentId, ability: key, gene });
       }
     });
   }
@@ -0,0 +1,139 @@
+/**
+ * Genome persistence + generations mode.
+ *
+ * Saved as one 'genomes' document:
+ *   { version, mode, generation, genomes: { [name]: { genes, fitness } }, history }
+ *
+ * mode 'persist'     — agents continue with exactly the genes they ended with.
+ * mode 'generations' — the saved genomes are parents: the next match starts
+ *                      from genomes bred by survival score (see Breeding.js).
+ *
+ * Genomes are keyed by profile name so roster changes keep known agents.
+ */
+import { loadData, saveData } from '../engine/Storage.js';
+import { breedGeneration, fitnessSummary } from './Breeding.js';
+
+export const GENOME_SCHEMA_VERSION = 1;
+export const GENOME_MODES = ['persist', 'generations'];
+
+const STORAGE_NAME = 'genomes';
+const AUTOSAVE_MS = 30000;
+const HISTORY_MAX = 200;
+
+export class GenomeStore {
+  constructor(simulation) {
+    this.geneSystem = simulation.geneSystem;
+    this.agentManager = simulation.agentManager;
+    this.rng = simulation.rng;
+
+    this.mode = 'persist';
+    this.generation = 1;
+    this.history = [];        // { generation, best, avg } per finished generation
+    this.scoreBase = new Map(); // agentId → score when this generation started
+    this.benched = {};          // saved genomes of agents not in this roster
+    this.autosaveTimer = null;
+  }
+
+  // Current genomes with fitness = survival earned during this generation
+  collect() {
+    const genomes = {};
+    this.agentManager.agents.forEach(agent => {
+      genomes[agent.profile.name] = {
+        genes: { ...this.geneSystem.getGenes(agent.id) },
+        fitness: Math.round((agent.score - (this.scoreBase.get(agent.id) || 0)) * 10) / 10,
+      };
+    });
+    return genomes;
+  }
+
+  // Apply { [name]: genes }; agents missing from the map keep their genes
+  apply(genesByName) {
+    let count = 0;
+    this.agentManager.agents.forEach(agent => {
+      const genes = genesByName[agent.profile.name];
+      if (!genes) return;
+      this.geneSystem.setGenes(agent.id, genes);
+      count++;
+    });
+    this.markGenerationStart();
+    return count;
+  }
+
+  markGenerationStart() {
+    this.agentManager.agents.forEach(agent => this.scoreBase.set(agent.id, agent.score));
+  }
+
+  toDocument() {
+    return {
+      version: GENOME_SCHEMA_VERSION,
+      mode: this.mode,
+      generation: this.generation,
+      genomes: { ...this.benched, ...this.collect() },
+      history: this.history,
+    };
+  }
+
+  // Start this match from a saved document (breeds first in generations mode)
+  fromDocument(doc) {
+    if (!doc || doc.version !== GENOME_SCHEMA_VERSION || !doc.genomes) return 0;
+    this.mode = GENOME_MODES.includes(doc.mode) ? doc.mode : 'persist';
+    this.generation = Math.max(1, doc.generation | 0);
+    this.history = Array.isArray(doc.history) ? doc.history.slice(-HISTORY_MAX) : [];
+    const playing = new Set(this.agentManager.agents.map(a => a.profile.name));
+    this.benched = {};
+    Object.entries(doc.genomes).forEach(([name, g]) => {
+      if (!playing.has(name)) this.benched[name] = g;
+    });
+
+    if (this.mode === 'generations') {
+      this.recordHistory(doc.genomes);
+      this.generation++;
+      return this.apply(breedGeneration(doc.genomes, this.rng));
+    }
+    const genes = {};
+    Object.entries(doc.genomes).forEach(([name, g]) => { genes[name] = g.genes; });
+    return this.apply(genes);
+  }
+
+  // Breed right now from the live match (generations mode button / round end)
+  nextGeneration() {
+    const genomes = this.collect();
+    this.recordHistory(genomes);
+    this.generation++;
+    this.apply(breedGeneration(genomes, this.rng));
+  }
+
+  recordHistory(genomes) {
+    const { best, avg } = fitnessSummary(genomes);
+    this.history.push({ generation: this.generation, best, avg: Math.round(avg * 10) / 10 });
+    if (this.history.length > HISTORY_MAX) this.history.shift();
+  }
+
+  setMode(mode) {
+    if (GENOME_MODES.includes(mode)) this.mode = mode;
+  }
+
+  // Back to fresh random genomes + personality biases
+  reset() {
+    this.agentManager.agents.forEach(agent => this.geneSystem.initAgent(agent.id, agent.profile));
+    this.generation = 1;
+    this.history = [];
+    this.markGenerationStart();
+  }
+
+  // === STORAGE ===
+
+  async load() {
+    return this.fromDocument(await loadData(STORAGE_NAME));
+  }
+
+  async save() {
+    return saveData(STORAGE_NAME, this.toDocument());
+  }
+
+  startAutosave() {
+    if (this.autosaveTimer) return;
+    this.autosaveTimer = setInterval(() => this.save(), AUTOSAVE_MS);
+    globalThis.window?.addEventListener('beforeunload', () => this.save());
+  }
+}
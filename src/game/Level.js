@@ -0,0 +1,173 @@
+/**
+ * Level format — one JSON description of a playground layout.
+ *
+ *   { format: 'sifa-level', version: 1, name,
+ *     ground: { size, color, pathRadius, pathColor },
+ *     fence:  { half, color },          // fence line + invisible walls at ±half
+ *     bound,                            // agents are steered back inside ±bound
+ *     pieces: [ { type, x, z, rotation?, ...type options } ],
+ *     spawns: [ { x, z } ],             // optional, else a circle around center
+ *     bases:  [ { x, z, r? } ] }        // optional safe zones for the "base" game mode
+ *
+ * Rotation is in degrees around Y. Playground builds meshes + cannon bodies
+ * from the pieces; everything gameplay needs to know about them (steering
+ * obstacles, stuck-diagnostic shapes, camera avoidance, sight blockers,
+ * navigation walls) is derived here, so a new map is a new JSON file and no code edits.
+ */
+import DEFAULT_LEVEL_DATA from '../levels/playground.js';
+
+export const LEVEL_FORMAT = 'sifa-level';
+export const LEVEL_VERSION = 1;
+
+const DEG = Math.PI / 180;
+const SPAWN_RADIUS = 5;
+
+// Piece types. `from` names the piece in kids' calls ("Водящий идёт от
+// качелей!", SocialChannel). footprint(piece) → steer radius, stuck shape
+// (r or rx/rz, before rotation), whether the camera should keep out of it
+// and the radius it hides kids behind (sight, 0 / none for low or open frames).
+export const PIECE_TYPES = {
+  slide:        { label: 'Горка',     from: 'горки', footprint: () => ({ steer: 2.2, stuck: { rx: 1.0, rz: 2.0 }, camera: true, sight: 1.4 }) },
+  swings:       { label: 'Качели',    from: 'качелей', footprint: () => ({ steer: 2.5, stuck: { rx: 2.3, rz: 0.8 }, camera: true }) },
+  sandbox:      { label: 'Песочница', from: 'песочницы', footprint: () => ({ steer: 2.5, stuck: { rx: 2.3, rz: 2.3 }, camera: false }) },
+  monkeyBars:   { label: 'Рукоход',   from: 'рукохода', footprint: () => ({ steer: 2.0, stuck: { rx: 1.8, rz: 0.8 }, camera: true }) },
+  merryGoRound: { label: 'Карусель',  from: 'карусели', footprint: () => ({ steer: 2.0, stuck: { r: 1.8 }, camera: true, sight: 0.9 }) },
+  bench:        { label: 'Скамейка',  from: 'скамейки', footprint: () => ({ steer: 1.3, stuck: { rx: 1.2, rz: 0.5 }, camera: false }) },
+  tree:         { label: 'Дерево',    from: 'дерева', footprint: () => ({ steer: 0.8, stuck: { r: 0.6 }, camera: true, sight: 0.5 }) },
+  // Generic shapes for custom maps: { width, depth, height, color } / { radius, height, color }
+  box: {
+    label: 'Блок',
+    from: 'блока',
+    footprint: p => ({
+      steer: Math.hypot(p.width || 2, p.depth || 2) / 2 + 0.3,
+      stuck: { rx: (p.width || 2) / 2, rz: (p.depth || 2) / 2 },
+      camera: (p.height || 1) > 1.5,
+      sight: (p.height || 1) > 1.2 ? Math.hypot(p.width || 2, p.depth || 2) / 2 : 0,
+    }),
+  },
+  cylinder: {
+    label: 'Столб',
+    from: 'столба',
+    footprint: p => ({
+      steer: (p.radius || 0.5) + 0.3,
+      stuck: { r: p.radius || 0.5 },
+      camera: (p.height || 2) > 1.5,
+      sight: (p.height || 2) > 1.2 ? p.radius || 0.5 : 0,
+    }),
+  },
+};
+
+export function validateLevel(data) {
+  if (!data || data.format !== LEVEL_FORMAT) throw new Error('not a sifa level file');
+  if (data.version > LEVEL_VERSION) throw new Error(`level version ${data.version} is newer than supported`);
+  if (!data.ground || !(data.ground.size > 0)) throw new Error('level ground.size must be positive');
+  if (!data.fence || !(data.fence.half > 0)) throw new Error('level fence.half must be positive');
+  if (!(data.bound > 0 && data.bound < data.fence.half)) throw new Error('level bound must be inside the fence');
+  if (!Array.isArray(data.pieces)) throw new Error('level pieces must be an array');
+  data.pieces.forEach((p, i) => {
+    if (!PIECE_TYPES[p.type]) throw new Error(`piece ${i}: unknown type "${p.type}"`);
+    if (!Number.isFinite(p.x) || !Number.isFinite(p.z)) throw new Error(`piece ${i}: x and z must be numbers`);
+  });
+  (data.spawns || []).forEach((s, i) => {
+    if (!Number.isFinite(s.x) || !Number.isFinite(s.z)) throw new Error(`spawn ${i}: x and z must be numbers`);
+  });
+  (data.bases || []).forEach((b, i) => {
+    if (!Number.isFinite(b.x) || !Number.isFinite(b.z)) throw new Error(`base ${i}: x and z must be numbers`);
+  });
+  return data;
+}
+
+export class Level {
+  constructor(data) {
+    validateLevel(data);
+    this.name = data.name || 'Без названия';
+    this.ground = { ...data.ground };
+    this.fence = { ...data.fence };
+    this.bound = data.bound;
+    this.pieces = data.pieces.map(p => ({ rotation: 0, ...p }));
+    this.spawns = (data.spawns || []).map(s => ({ x: s.x, z: s.z }));
+    this.bases = (data.bases || []).map(b => ({ ...b }));
+
+    // Derived lists — stable array references, refilled by refresh()
+    this.steeringObstacles = []; // { x, z, r } — Agent steering avoidance
+    this.stuckObstacles = [];    // { name, x, z, r | rx, rz } — StuckDiagnostic
+    this.cameraObstacles = [];   // [x, z] — SmartCamera keeps out of these
+    this.sightObstacles = [];    // { x, z, r } — Perception: blocks line of sight
+    this.navShapes = [];         // { x, z, r } | { x, z, rx, rz, angle } — NavGrid walls
+    this.revision = 0;           // bumped by refresh(), NavGrid rebuilds on change
+    this.refresh();
+  }
+
+  // Recompute derived obstacle lists after pieces changed
+  refresh() {
+    this.steeringObstacles.length = 0;
+    this.stuckObstacles.length = 0;
+    this.cameraObstacles.length = 0;
+    this.sightObstacles.length = 0;
+    this.navShapes.length = 0;
+    this.revision++;
+
+    const typeCounts = {};
+    this.pieces.forEach(p => { typeCounts[p.type] = (typeCounts[p.type] || 0) + 1; });
+    const typeIndex = {};
+
+    this.pieces.forEach(p => {
+      const type = PIECE_TYPES[p.type];
+      const fp = type.footprint(p);
+      typeIndex[p.type] = (typeIndex[p.type] || 0) + 1;
+      const name = p.name || (typeCounts[p.type] > 1 ? `${type.label}${typeIndex[p.type]}` : type.label);
+
+      this.steeringObstacles.push({ x: p.x, z: p.z, r: fp.steer });
+
+      if (fp.stuck.r) {
+        this.stuckObstacles.push({ name, x: p.x, z: p.z, r: fp.stuck.r });
+        this.navShapes.push({ x: p.x, z: p.z, r: fp.stuck.r });
+      } else {
+        this.navShapes.push({ x: p.x, z: p.z, rx: fp.stuck.rx, rz: fp.stuck.rz, angle: p.rotation * DEG });
+        // Axis-aligned bounds of the rotated rectangle
+        const c = Math.abs(Math.cos(p.rotation * DEG));
+        const s = Math.abs(Math.sin(p.rotation * DEG));
+        this.stuckObstacles.push({
+          name, x: p.x, z: p.z,
+          rx: c * fp.stuck.rx + s * fp.stuck.rz,
+          rz: s * fp.stuck.rx + c * fp.stuck.rz,
+        });
+      }
+
+      if (fp.camera) this.cameraObstacles.push([p.x, p.z]);
+      if (fp.sight) this.sightObstacles.push({ x: p.x, z: p.z, r: fp.sight });
+    });
+  }
+
+  // Start position for agent i of count
+  spawnPoint(i, count) {
+    if (this.spawns.length > 0) {
+      const s = this.spawns[i % this.spawns.length];
+      // More agents than spawns: stack extras in a small ring around the point
+      const lap = Math.floor(i / this.spawns.length);
+      if (lap === 0) return { x: s.x, z: s.z };
+      const a = lap * 2.1;
+      return { x: s.x + Math.cos(a) * 0.8, z: s.z + Math.sin(a) * 0.8 };
+    }
+    const angle = (i / count) * Math.PI * 2;
+    return { x: Math.cos(angle) * SPAWN_RADIUS, z: Math.sin(angle) * SPAWN_RADIUS };
+  }
+
+  toJSON() {
+    return {
+      format: LEVEL_FORMAT,
+      version: LEVEL_VERSION,
+      name: this.name,
+      ground: { ...this.ground },
+      fence: { ...this.fence },
+      bound: this.bound,
+      pieces: this.pieces.map(p => ({ ...p })),
+      spawns: this.spawns.map(s => ({ ...s })),
+      bases: this.bases.map(b => ({ ...b })),
+    };
+  }
+}
+
+export function defaultLevel() {
+  return new Level(DEFAULT_LEVEL_DATA);
+}
@@ -0,0 +1,133 @@
+/**
+ * Match recorder — compact per-tick trace of a running Simulation.
+ *
+ * File layout (JSON, numbers quantized to ints so it gzips well):
+ *   { format: 'sifa-replay', version, seed, frameRate, stride,
+ *     agents: [{ id, name, color }],
+ *     frames: [ ...per frame: for each agent STRIDE ints ],
+ *     events: [ { f, type: 'speech' | 'it' | 'ability', ... } ] }
+ *
+ * Per-agent frame fields (see FIELD): position in cm, facing in mrad,
+ * velocity in cm/s, state index, flag bits, score in 1/10 s.
+ */
+import { ABILITIES, ABILITY_ORDER, MAX_ABILITIES } from './AbilityRegistry.js';
+
+export const REPLAY_FORMAT = 'sifa-replay';
+// 2: frozen state and FLAG_FROZEN / FLAG_SAFE recorded; version 1 files
+// carry neither and play back with nobody frozen or safe
+export const REPLAY_VERSION = 2;
+
+// Append only: recorded files store the index
+export const STATE_CODES = ['roam', 'flee', 'hunt', 'taunt', 'down', 'frozen'];
+// Live registry order — plugins registered later get the next bits
+export const ABILITY_KEYS = ABILITY_ORDER;
+
+// Offsets inside one agent's slice of a frame
+export const FIELD = { X: 0, Y: 1, Z: 2, ROT: 3, VX: 4, VZ: 5, STATE: 6, FLAGS: 7, SCORE: 8 };
+export const STRIDE = 9;
+
+// Flag bits: IT + one bit per active ability
+export const FLAG_IT = 1;
+export function abilityFlag(key) {
+  return 1 << (1 + ABILITY_KEYS.indexOf(key));
+}
+
+// Is any airborne ability (fly…) among these flag bits?
+export function airborneFlag(flags) {
+  return ABILITY_KEYS.some(key => ABILITIES[key].airborne && (flags & abilityFlag(key)));
+}
+
+// Freeze tag / base bits above every possible ability bit (replays and
+// LAN snapshots, AgentManager.compressState)
+export const FLAG_FROZEN = 1 << (1 + MAX_ABILITIES);
+export const FLAG_SAFE = 1 << (2 + MAX_ABILITIES);
+
+const TICKS_PER_FRAME = 2; // 60 Hz sim → 30 Hz recording
+
+export class MatchRecorder {
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.agents = simulation.agentManager.agents;
+    this.frames = [];
+    this.events = [];
+    this.frameCount = 0;
+    this.tickCounter = 0;
+
+    // Edge detection state
+    this.lastItId = -1;
+    this.lastSpeech = new Map();  // agentId → { text, timer }
+    this.lastFlags = new Map();   // agentId → flag bits
+  }
+
+  // Called by Simulation after every fixed step
+  capture() {
+    if (this.tickCounter++ % TICKS_PER_FRAME !== 0) return;
+    const f = this.frameCount++;
+    const gs = this.simulation.geneSystem;
+    const itId = this.simulation.sifaRules.itAgentId;
+
+    if (itId !== this.lastItId) {
+      this.events.push({ f, type: 'it', agentId: itId });
+      this.lastItId = itId;
+    }
+
+    this.agents.forEach(a => {
+      const p = a.body.position;
+      const v = a.body.velocity;
+
+      let flags = (a.isIt ? FLAG_IT : 0) | (a.frozen ? FLAG_FROZEN : 0) | (a.safe ? FLAG_SAFE : 0);
+      ABILITY_KEYS.forEach(key => {
+        if (gs && gs.isActive(a.id, key)) flags |= abilityFlag(key);
+      });
+
+      this.frames.push(
+        Math.round(p.x * 100), Math.round(p.y * 100), Math.round(p.z * 100),
+        Math.round(a.mesh.rotation.y * 1000),
+        Math.round(v.x * 100), Math.round(v.z * 100),
+        Math.max(0, STATE_CODES.indexOf(a.state)),
+        flags,
+        Math.round(a.score * 10),
+      );
+
+      // Ability activations (rising edge)
+      const prevFlags = this.lastFlags.get(a.id) || 0;
+      ABILITY_KEYS.forEach(key => {
+        const bit = abilityFlag(key);
+        if ((flags & bit) && !(prevFlags & bit)) {
+          this.events.push({ f, type: 'ability', agentId: a.id, key });
+        }
+      });
+      this.lastFlags.set(a.id, flags);
+
+      // Speech: new text, or the same text said again (timer jumped up)
+      const last = this.lastSpeech.get(a.id) || { text: '', timer: 0 };
+      if (a.speechText && (a.speechText !== last.text || a.speechTimer > last.timer)) {
+        this.events.push({ f, type: 'speech', agentId: a.id, text: a.speechText, duration: Math.round(a.speechTimer * 10) / 10 });
+      }
+      this.lastSpeech.set(a.id, { text: a.speechText, timer: a.speechTimer });
+    });
+  }
+
+  finish() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      seed: this.simulation.seed,
+      frameRate: 60 / TICKS_PER_FRAME,
+      stride: STRIDE,
+      agents: this.agents.map(a => ({ id: a.id, name: a.profile.name, color: a.profile.color })),
+      frameCount: this.frameCount,
+      frames: this.frames,
+      events: this.events,
+    };
+  }
+}
+
+export function validateReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) throw new Error('not a sifa replay file');
+  if (data.version > REPLAY_VERSION) throw new Error(`replay version ${data.version} is newer than supported`);
+  if (data.frames.length !== data.frameCount * data.agents.length * data.stride) {
+    throw new Error('replay frames are truncated');
+  }
+  return data;
+}
@@ -0,0 +1,235 @@
+/**
+ * Navigation grid — where a kid can walk, and the way around equipment.
+ *
+ * The arena (±level.bound) is cut into CELL-sized squares; a square is a
+ * wall when its centre lies inside a piece's physical footprint
+ * (Level.navShapes, rotated boxes and circles) grown by CLEARANCE, so a
+ * path along free squares never scrapes the slide. The grid rebuilds
+ * itself whenever the level changed (Level.revision — the level editor).
+ *
+ * findPath() is A* over 8 neighbours (no squeezing diagonally between two
+ * walls), smoothed to the few corners where the way really turns.
+ * lineClear() tells whether a straight run is free, so callers only pay for
+ * a path when something is in the way (agents/Navigator.js).
+ */
+
+const CELL = 0.5;
+const CLEARANCE = 0.45;           // agent radius + a little air
+const SQRT2 = Math.SQRT2;
+
+export class NavGrid {
+  constructor(level) {
+    this.level = level;
+    this.revision = -1;
+  }
+
+  // Rebuild when the level changed since last time
+  ensure() {
+    if (this.revision === this.level.revision) return;
+    this.revision = this.level.revision;
+    this.build();
+  }
+
+  build() {
+    const bound = this.level.bound;
+    this.size = Math.max(1, Math.ceil((bound * 2) / CELL));
+    this.origin = -bound;
+    this.walls = new Uint8Array(this.size * this.size);
+    for (let gz = 0; gz < this.size; gz++) {
+      for (let gx = 0; gx < this.size; gx++) {
+        const x = this.origin + (gx + 0.5) * CELL;
+        const z = this.origin + (gz + 0.5) * CELL;
+        if (this.level.navShapes.some(shape => inside(shape, x, z, CLEARANCE))) {
+          this.walls[gz * this.size + gx] = 1;
+        }
+      }
+    }
+  }
+
+  cellOf(x, z) {
+    const clamp = v => Math.max(0, Math.min(this.size - 1, Math.floor((v - this.origin) / CELL)));
+    return [clamp(x), clamp(z)];
+  }
+
+  centre(gx, gz) {
+    return { x: this.origin + (gx + 0.5) * CELL, z: this.origin + (gz + 0.5) * CELL };
+  }
+
+  blocked(gx, gz) {
+    if (gx < 0 || gz < 0 || gx >= this.size || gz >= this.size) return true;
+    return this.walls[gz * this.size + gx] === 1;
+  }
+
+  isFree(x, z) {
+    this.ensure();
+    const [gx, gz] = this.cellOf(x, z);
+    return !this.blocked(gx, gz);
+  }
+
+  // Straight run from a to b touches no wall square (sampled every half cell)
+  lineClear(ax, az, bx, bz) {
+    this.ensure();
+    const dist = Math.sqrt((bx - ax) ** 2 + (bz - az) ** 2);
+    const steps = Math.ceil(dist / (CELL * 0.5));
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      const [gx, gz] = this.cellOf(ax + (bx - ax) * t, az + (bz - az) * t);
+      if (this.blocked(gx, gz)) return false;
+    }
+    return true;
+  }
+
+  // Closest free square to (gx, gz), searching outward ring by ring
+  nearestFree(gx, gz) {
+    if (!this.blocked(gx, gz)) return [gx, gz];
+    for (let ring = 1; ring < this.size; ring++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+          if (!this.blocked(gx + dx, gz + dz)) return [gx + dx, gz + dz];
+        }
+      }
+    }
+    return null;
+  }
+
+  // Waypoints from (fromX, fromZ) to (toX, toZ), the last one the goal (or
+  // the free spot nearest to it); null when there is no way at all
+  findPath(fromX, fromZ, toX, toZ) {
+    this.ensure();
+    const start = this.nearestFree(...this.cellOf(fromX, fromZ));
+    const goal = this.nearestFree(...this.cellOf(toX, toZ));
+    if (!start || !goal) return null;
+
+    const size = this.size;
+    const startIdx = start[1] * size + start[0];
+    const goalIdx = goal[1] * size + goal[0];
+    const cost = new Float64Array(size * size).fill(Infinity);
+    const from = new Int32Array(size * size).fill(-1);
+    const closed = new Uint8Array(size * size);
+    const open = new MinHeap();
+    const h = idx => {
+      const dx = Math.abs((idx % size) - goal[0]);
+      const dz = Math.abs(Math.floor(idx / size) - goal[1]);
+      return Math.max(dx, dz) + (SQRT2 - 1) * Math.min(dx, dz);
+    };
+
+    cost[startIdx] = 0;
+    open.push(startIdx, h(startIdx));
+    while (open.size > 0) {
+      const idx = open.pop();
+      if (idx === goalIdx) break;
+      if (closed[idx]) continue;
+      closed[idx] = 1;
+      const gx = idx % size;
+      const gz = Math.floor(idx / size);
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dz === 0) continue;
+          const nx = gx + dx;
+          const nz = gz + dz;
+          if (this.blocked(nx, nz)) continue;
+          // Diagonal only when both side squares are open
+          if (dx !== 0 && dz !== 0 && (this.blocked(gx + dx, gz) || this.blocked(gx, gz + dz))) continue;
+          const next = nz * size + nx;
+          const g = cost[idx] + (dx !== 0 && dz !== 0 ? SQRT2 : 1);
+          if (g < cost[next]) {
+            cost[next] = g;
+            from[next] = idx;
+            open.push(next, g + h(next));
+          }
+        }
+      }
+    }
+    if (startIdx !== goalIdx && from[goalIdx] < 0) return null;
+
+    // Squares back from the goal, then keep only the corners
+    const cells = [];
+    for (let idx = goalIdx; idx !== startIdx && idx >= 0; idx = from[idx]) cells.push(idx);
+    cells.reverse();
+    const points = cells.map(idx => this.centre(idx % size, Math.floor(idx / size)));
+    if (this.isFree(toX, toZ) || points.length === 0) {
+      points[Math.max(0, points.length - 1)] = { x: toX, z: toZ };
+    }
+    return this.smooth(fromX, fromZ, points);
+  }
+
+  // Skip every waypoint that the previous kept one can see past
+  smooth(fromX, fromZ, points) {
+    const kept = [];
+    let ax = fromX;
+    let az = fromZ;
+    let i = 0;
+    while (i < points.length) {
+      let j = points.length - 1;
+      while (j > i && !this.lineClear(ax, az, points[j].x, points[j].z)) j--;
+      kept.push(points[j]);
+      ax = points[j].x;
+      az = points[j].z;
+      i = j + 1;
+    }
+    return kept;
+  }
+}
+
+// Point inside a circle / rotated box grown by `grow`
+function inside(shape, x, z, grow) {
+  const dx = x - shape.x;
+  const dz = z - shape.z;
+  if (shape.r !== undefined) return dx * dx + dz * dz < (shape.r + grow) ** 2;
+  // World → piece-local (Playground turns pieces by `angle` around Y)
+  const c = Math.cos(shape.angle);
+  const s = Math.sin(shape.angle);
+  const lx = dx * c - dz * s;
+  const lz = dx * s + dz * c;
+  return Math.abs(lx) < shape.rx + grow && Math.abs(lz) < shape.rz + grow;
+}
+
+// Binary heap of (index, priority); ties pop in push order for stable paths
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.counter = 0;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority, order: this.counter++ });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(items[i], items[parent])) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < items.length && before(items[l], items[best])) best = l;
+        if (r < items.length && before(items[r], items[best])) best = r;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top.value;
+  }
+}
+
+function before(a, b) {
+  return a.priority < b.priority || (a.priority === b.priority && a.order < b.order);
+}
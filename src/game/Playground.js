@@ -1,65 +1,161 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
+import { defaultLevel } from './Level.js';
 
+const DEG = Math.PI / 180;
+
+// The ground's contact material — running kids don't drag on it (Simulation)
+export const GROUND_MATERIAL = new CANNON.Material('ground');
+const UP = new THREE.Vector3(0, 1, 0);
+
+function toColor(value, fallback) {
+  if (typeof value === 'string') return parseInt(value.replace('#', ''), 16);
+  return Number.isInteger(value) ? value : fallback;
+}
+
+/**
+ * Builds a level (see Level.js): ground, fence and every piece, as meshes
+ * + static cannon bodies. Piece builders work in piece-local coordinates;
+ * the piece group / bodies are then placed at (x, z) with its Y rotation,
+ * so the level editor can move, rotate, add and remove pieces live.
+ */
 export class Playground {
-  constructor(scene, world) {
+  constructor(scene, world, level = defaultLevel()) {
     this.scene = scene;
     this.world = world;
+    this.level = level;
+    this.pieceObjects = []; // per piece: { piece, group, bodies: [{ body, local }] }
+
     this.buildGround();
     this.buildFence();
-    this.buildSlide();
-    this.buildSwings();
-    this.buildSandbox();
-    this.buildMonkeyBars();
-    this.buildMerryGoRound();
-    this.buildTrees();
-    this.buildBenches();
+    level.pieces.forEach(piece => this.buildPiece(piece));
   }
 
-  // Helper: add mesh + physics body
-  addStatic(mesh, shape, position, quaternion) {
-    mesh.position.copy(position);
-    if (quaternion) mesh.quaternion.copy(quaternion);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    this.scene.add(mesh);
+  // Data-driven: piece.type → builder method
+  buildPiece(piece) {
+    const builders = {
+      slide: this.buildSlide,
+      swings: this.buildSwings,
+      sandbox: this.buildSandbox,
+      monkeyBars: this.buildMonkeyBars,
+      merryGoRound: this.buildMerryGoRound,
+      bench: this.buildBench,
+      tree: this.buildTree,
+      box: this.buildBox,
+      cylinder: this.buildCylinder,
+    };
+    const group = new THREE.Group();
+    this.scene.add(group);
+
+    const entry = { piece, group, bodies: [] };
+    this.current = entry;
+    builders[piece.type].call(this, group, piece);
+    this.current = null;
+    this.placePiece(entry);
+    this.pieceObjects.push(entry);
+    return entry;
+  }
 
-    const body = new CANNON.Body({ mass: 0, shape });
-    body.position.copy(position);
-    if (quaternion) body.quaternion.copy(quaternion);
+  // Static body at a piece-local position (rotation follows the piece)
+  addBody(shape, lx, ly, lz) {
+    const body = new CANNON.Body({ mass: 0 });
+    body.addShape(shape);
     this.world.addBody(body);
+    this.current.bodies.push({ body, local: new THREE.Vector3(lx, ly, lz) });
     return body;
   }
 
+  // Move group + bodies to the piece's current x, z, rotation
+  placePiece(entry) {
+    const { piece, group } = entry;
+    const angle = (piece.rotation || 0) * DEG;
+    group.position.set(piece.x, 0, piece.z);
+    group.rotation.y = angle;
+    entry.bodies.forEach(({ body, local }) => {
+      const offset = local.clone().applyAxisAngle(UP, angle);
+      body.position.set(piece.x + offset.x, offset.y, piece.z + offset.z);
+      body.quaternion.setFromEuler(0, angle, 0);
+    });
+  }
+
+  // === EDITING (LevelEditor) — keeps level.pieces and derived lists in sync ===
+
+  addPiece(piece) {
+    const clean = { rotation: 0, ...piece };
+    this.level.pieces.push(clean);
+    const entry = this.buildPiece(clean);
+    this.level.refresh();
+    return entry;
+  }
+
+  removePiece(entry) {
+    this.scene.remove(entry.group);
+    entry.group.traverse(obj => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+    entry.bodies.forEach(({ body }) => this.world.removeBody(body));
+    this.pieceObjects = this.pieceObjects.filter(e => e !== entry);
+    this.level.pieces = this.level.pieces.filter(p => p !== entry.piece);
+    this.level.refresh();
+  }
+
+  // After x / z / rotation changed: agents, diagnostics and camera see it next tick
+  movePiece(entry) {
+    this.placePiece(entry);
+    this.level.refresh();
+  }
+
+  // Piece entry owning a mesh (raycast hit), or null
+  entryFor(object) {
+    for (let obj = object; obj; obj = obj.parent) {
+      const entry = this.pieceObjects.find(e => e.group === obj);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  // Helper: mesh in the piece group with shadows on
+  addMesh(group, geo, mat, x, y, z) {
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.set(x, y, z);
+    mesh.castShadow = true;
+    group.add(mesh);
+    return mesh;
+  }
+
   buildGround() {
+    const { size, color, pathRadius, pathColor } = this.level.ground;
+
     // Visual ground
-    const groundGeo = new THREE.PlaneGeometry(40, 40);
-    const groundMat = new THREE.MeshLambertMaterial({ color: 0x7CBA5C });
+    const groundGeo = new THREE.PlaneGeometry(size, size);
+    const groundMat = new THREE.MeshLambertMaterial({ color: toColor(color, 0x7CBA5C) });
     const ground = new THREE.Mesh(groundGeo, groundMat);
     ground.rotation.x = -Math.PI / 2;
     ground.receiveShadow = true;
     this.scene.add(ground);
 
     // Dirt path area (central)
-    const pathGeo = new THREE.CircleGeometry(6, 32);
-    const pathMat = new THREE.MeshLambertMaterial({ color: 0xC4A96A });
-    const path = new THREE.Mesh(pathGeo, pathMat);
-    path.rotation.x = -Math.PI / 2;
-    path.position.y = 0.01;
-    this.scene.add(path);
+    if (pathRadius > 0) {
+      const pathGeo = new THREE.CircleGeometry(pathRadius, 32);
+      const pathMat = new THREE.MeshLambertMaterial({ color: toColor(pathColor, 0xC4A96A) });
+      const path = new THREE.Mesh(pathGeo, pathMat);
+      path.rotation.x = -Math.PI / 2;
+      path.position.y = 0.01;
+      this.scene.add(path);
+    }
 
     // Physics ground
-    const groundBody = new CANNON.Body({ mass: 0 });
+    const groundBody = new CANNON.Body({ mass: 0, material: GROUND_MATERIAL });
     groundBody.addShape(new CANNON.Plane());
     groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
     this.world.addBody(groundBody);
   }
 
   buildFence() {
-    const fenceMat = new THREE.MeshLambertMaterial({ color: 0x8B6914 });
+    const fenceMat = new THREE.MeshLambertMaterial({ color: toColor(this.level.fence.color, 0x8B6914) });
     const postGeo = new THREE.CylinderGeometry(0.08, 0.08, 1.2, 6);
-    const railGeo = new THREE.BoxGeometry(2, 0.08, 0.06);
-    const SIZE = 18;
+    const SIZE = this.level.fence.half;
 
     for (let side = 0; side < 4; side++) {
       for (let i = -SIZE; i <= SIZE; i += 2) {
@@ -85,62 +181,41 @@ export class Playground {
     });
   }
 
-  buildSlide() {
-    const mat = new THREE.MeshLambertMaterial({ color: 0xE74C3C });
+  // Anchor = collision box center
+  buildSlide(group, piece) {
+    const mat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0xE74C3C) });
     const metalMat = new THREE.MeshLambertMaterial({ color: 0x888888 });
 
     // Slide surface
-    const slideGeo = new THREE.BoxGeometry(1.4, 0.1, 3.5);
-    const slide = new THREE.Mesh(slideGeo, mat);
-    slide.position.set(-8, 1.8, -6);
+    const slide = this.addMesh(group, new THREE.BoxGeometry(1.4, 0.1, 3.5), mat, 0, 1.8, 0.5);
     slide.rotation.x = -0.45;
-    slide.castShadow = true;
-    this.scene.add(slide);
 
     // Support poles
     const poleGeo = new THREE.CylinderGeometry(0.06, 0.06, 3, 8);
-    [[-8.5, 1.5, -7.8], [-7.5, 1.5, -7.8]].forEach(([x, y, z]) => {
-      const pole = new THREE.Mesh(poleGeo, metalMat);
-      pole.position.set(x, y, z);
-      pole.castShadow = true;
-      this.scene.add(pole);
-    });
+    [[-0.5, -1.3], [0.5, -1.3]].forEach(([x, z]) => this.addMesh(group, poleGeo, metalMat, x, 1.5, z));
 
     // Platform at top
-    const platGeo = new THREE.BoxGeometry(1.6, 0.15, 1.2);
-    const plat = new THREE.Mesh(platGeo, metalMat);
-    plat.position.set(-8, 3, -8);
-    plat.castShadow = true;
-    this.scene.add(plat);
+    this.addMesh(group, new THREE.BoxGeometry(1.6, 0.15, 1.2), metalMat, 0, 3, -1.5);
 
     // Slide collision
-    const slideBody = new CANNON.Body({ mass: 0 });
-    slideBody.addShape(new CANNON.Box(new CANNON.Vec3(0.7, 1.5, 1.75)));
-    slideBody.position.set(-8, 1.5, -6.5);
-    this.world.addBody(slideBody);
+    this.addBody(new CANNON.Box(new CANNON.Vec3(0.7, 1.5, 1.75)), 0, 1.5, 0);
   }
 
-  buildSwings() {
+  buildSwings(group, piece) {
     const metalMat = new THREE.MeshLambertMaterial({ color: 0x666666 });
-    const seatMat = new THREE.MeshLambertMaterial({ color: 0x3498DB });
+    const seatMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0x3498DB) });
 
     // A-frame poles
     const poleGeo = new THREE.CylinderGeometry(0.06, 0.06, 3.5, 8);
     const topBarGeo = new THREE.CylinderGeometry(0.05, 0.05, 4, 8);
 
-    const topBar = new THREE.Mesh(topBarGeo, metalMat);
-    topBar.position.set(6, 3.2, -7);
+    const topBar = this.addMesh(group, topBarGeo, metalMat, 0, 3.2, 0);
     topBar.rotation.z = Math.PI / 2;
-    topBar.castShadow = true;
-    this.scene.add(topBar);
 
     // A-frame legs
     [[-1, 1], [1, 1], [-1, -1], [1, -1]].forEach(([xOff, zOff]) => {
-      const pole = new THREE.Mesh(poleGeo, metalMat);
-      pole.position.set(6 + xOff * 1.8, 1.75, -7 + zOff * 0.4);
+      const pole = this.addMesh(group, poleGeo, metalMat, xOff * 1.8, 1.75, zOff * 0.4);
       pole.rotation.z = xOff * 0.15;
-      pole.castShadow = true;
-      this.scene.add(pole);
     });
 
     // 2 swing seats
@@ -150,26 +225,20 @@ export class Playground {
       // Chains
       [-0.2, 0.2].forEach(cOff => {
         const chain = new THREE.Mesh(chainGeo, metalMat);
-        chain.position.set(6 + offset, 2, -7 + cOff);
-        this.scene.add(chain);
+        chain.position.set(offset, 2, cOff);
+        group.add(chain);
       });
       // Seat
-      const seat = new THREE.Mesh(seatGeo, seatMat);
-      seat.position.set(6 + offset, 0.7, -7);
-      seat.castShadow = true;
-      this.scene.add(seat);
+      this.addMesh(group, seatGeo, seatMat, offset, 0.7, 0);
     });
 
     // Swing collision (simplified box for the frame)
-    const swingBody = new CANNON.Body({ mass: 0 });
-    swingBody.addShape(new CANNON.Box(new CANNON.Vec3(2, 1.8, 0.5)));
-    swingBody.position.set(6, 1.8, -7);
-    this.world.addBody(swingBody);
+    this.addBody(new CANNON.Box(new CANNON.Vec3(2, 1.8, 0.5)), 0, 1.8, 0);
   }
 
-  buildSandbox() {
+  buildSandbox(group, piece) {
     const woodMat = new THREE.MeshLambertMaterial({ color: 0xA0784C });
-    const sandMat = new THREE.MeshLambertMaterial({ color: 0xF0D9A0 });
+    const sandMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0xF0D9A0) });
 
     // Frame (4 sides)
     const sideGeo = new THREE.BoxGeometry(4, 0.4, 0.2);
@@ -179,180 +248,114 @@ export class Playground {
       { geo: sideGeo, pos: [0, 0.2, 2] },
       { geo: shortGeo, pos: [-2, 0.2, 0] },
       { geo: shortGeo, pos: [2, 0.2, 0] },
-    ].forEach(({ geo, pos }) => {
-      const side = new THREE.Mesh(geo, woodMat);
-      side.position.set(pos[0] + 0, pos[1], pos[2] + 7);
-      side.castShadow = true;
-      this.scene.add(side);
-    });
+    ].forEach(({ geo, pos }) => this.addMesh(group, geo, woodMat, pos[0], pos[1], pos[2]));
 
     // Sand fill
-    const sandGeo = new THREE.BoxGeometry(3.8, 0.15, 3.8);
-    const sand = new THREE.Mesh(sandGeo, sandMat);
-    sand.position.set(0, 0.08, 7);
+    const sand = new THREE.Mesh(new THREE.BoxGeometry(3.8, 0.15, 3.8), sandMat);
+    sand.position.set(0, 0.08, 0);
     sand.receiveShadow = true;
-    this.scene.add(sand);
+    group.add(sand);
 
     // Low collision (agents can step over)
-    const sandBody = new CANNON.Body({ mass: 0 });
-    sandBody.addShape(new CANNON.Box(new CANNON.Vec3(2, 0.2, 2)));
-    sandBody.position.set(0, 0.2, 7);
-    this.world.addBody(sandBody);
+    this.addBody(new CANNON.Box(new CANNON.Vec3(2, 0.2, 2)), 0, 0.2, 0);
   }
 
-  buildMonkeyBars() {
-    const metalMat = new THREE.MeshLambertMaterial({ color: 0xEE8822 });
-    const baseX = -7, baseZ = 5;
+  buildMonkeyBars(group, piece) {
+    const metalMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0xEE8822) });
 
     // Upright poles (4)
     const poleGeo = new THREE.CylinderGeometry(0.06, 0.06, 3, 8);
     [[-1.5, -0.5], [-1.5, 0.5], [1.5, -0.5], [1.5, 0.5]].forEach(([xo, zo]) => {
-      const pole = new THREE.Mesh(poleGeo, metalMat);
-      pole.position.set(baseX + xo, 1.5, baseZ + zo);
-      pole.castShadow = true;
-      this.scene.add(pole);
+      this.addMesh(group, poleGeo, metalMat, xo, 1.5, zo);
     });
 
     // Top bars (rungs)
     const rungGeo = new THREE.CylinderGeometry(0.03, 0.03, 1, 6);
     for (let i = -1.2; i <= 1.2; i += 0.4) {
       const rung = new THREE.Mesh(rungGeo, metalMat);
-      rung.position.set(baseX + i, 3, baseZ);
+      rung.position.set(i, 3, 0);
       rung.rotation.x = Math.PI / 2;
-      this.scene.add(rung);
+      group.add(rung);
     }
 
     // Side rails
     const railGeo = new THREE.CylinderGeometry(0.04, 0.04, 3.2, 6);
     [-0.5, 0.5].forEach(zo => {
       const rail = new THREE.Mesh(railGeo, metalMat);
-      rail.position.set(baseX, 3, baseZ + zo);
+      rail.position.set(0, 3, zo);
       rail.rotation.z = Math.PI / 2;
-      this.scene.add(rail);
+      group.add(rail);
     });
 
     // Collision
-    const barsBody = new CANNON.Body({ mass: 0 });
-    barsBody.addShape(new CANNON.Box(new CANNON.Vec3(1.5, 1.5, 0.5)));
-    barsBody.position.set(baseX, 1.5, baseZ);
-    this.world.addBody(barsBody);
+    this.addBody(new CANNON.Box(new CANNON.Vec3(1.5, 1.5, 0.5)), 0, 1.5, 0);
   }
 
-  buildMerryGoRound() {
+  buildMerryGoRound(group, piece) {
     const metalMat = new THREE.MeshLambertMaterial({ color: 0x22AA44 });
-    const platMat = new THREE.MeshLambertMaterial({ color: 0xDD4444 });
-    const baseX = 8, baseZ = 5;
+    const platMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0xDD4444) });
 
     // Center pole
-    const poleGeo = new THREE.CylinderGeometry(0.1, 0.1, 0.8, 8);
-    const pole = new THREE.Mesh(poleGeo, metalMat);
-    pole.position.set(baseX, 0.4, baseZ);
-    pole.castShadow = true;
-    this.scene.add(pole);
+    this.addMesh(group, new THREE.CylinderGeometry(0.1, 0.1, 0.8, 8), metalMat, 0, 0.4, 0);
 
     // Platform disc
-    const discGeo = new THREE.CylinderGeometry(1.5, 1.5, 0.12, 16);
-    this.merryDisc = new THREE.Mesh(discGeo, platMat);
-    this.merryDisc.position.set(baseX, 0.35, baseZ);
-    this.merryDisc.castShadow = true;
-    this.scene.add(this.merryDisc);
+    const disc = this.addMesh(group, new THREE.CylinderGeometry(1.5, 1.5, 0.12, 16), platMat, 0, 0.35, 0);
 
     // Handles
     const handleGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.6, 6);
     for (let a = 0; a < Math.PI * 2; a += Math.PI / 2) {
       const handle = new THREE.Mesh(handleGeo, metalMat);
-      handle.position.set(
-        baseX + Math.cos(a) * 1.2,
-        0.6,
-        baseZ + Math.sin(a) * 1.2
-      );
-      this.merryDisc.add(handle);
-      handle.position.sub(this.merryDisc.position);
+      handle.position.set(Math.cos(a) * 1.2, 0.25, Math.sin(a) * 1.2);
+      disc.add(handle);
     }
 
     // Collision
-    const merryBody = new CANNON.Body({ mass: 0 });
-    merryBody.addShape(new CANNON.Cylinder(1.5, 1.5, 0.5, 8));
-    merryBody.position.set(baseX, 0.25, baseZ);
-    this.world.addBody(merryBody);
-
-    // Animate rotation
-    this.merryAngle = 0;
+    this.addBody(new CANNON.Cylinder(1.5, 1.5, 0.5, 8), 0, 0.25, 0);
   }
 
-  buildTrees() {
+  buildTree(group, piece) {
     const trunkMat = new THREE.MeshLambertMaterial({ color: 0x6B4226 });
-    const leafMat = new THREE.MeshLambertMaterial({ color: 0x2D8B2D });
-    const trunkGeo = new THREE.CylinderGeometry(0.2, 0.3, 2.5, 6);
-    const leafGeo = new THREE.SphereGeometry(1.5, 8, 6);
-
-    const positions = [
-      [-14, -14], [14, -14], [-14, 10], [13, 12],
-      [-10, 14], [10, -12], [-15, 0], [15, 3],
-    ];
-
-    positions.forEach(([x, z]) => {
-      const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-      trunk.position.set(x, 1.25, z);
-      trunk.castShadow = true;
-      this.scene.add(trunk);
-
-      const leaves = new THREE.Mesh(leafGeo, leafMat);
-      leaves.position.set(x, 3.2, z);
-      leaves.castShadow = true;
-      this.scene.add(leaves);
-
-      // Tree collision
-      const treeBody = new CANNON.Body({ mass: 0 });
-      treeBody.addShape(new CANNON.Cylinder(0.3, 0.3, 2.5, 6));
-      treeBody.position.set(x, 1.25, z);
-      this.world.addBody(treeBody);
-    });
+    const leafMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0x2D8B2D) });
+
+    this.addMesh(group, new THREE.CylinderGeometry(0.2, 0.3, 2.5, 6), trunkMat, 0, 1.25, 0);
+    this.addMesh(group, new THREE.SphereGeometry(1.5, 8, 6), leafMat, 0, 3.2, 0);
+
+    // Tree collision
+    this.addBody(new CANNON.Cylinder(0.3, 0.3, 2.5, 6), 0, 1.25, 0);
   }
 
-  buildBenches() {
-    const woodMat = new THREE.MeshLambertMaterial({ color: 0x8B6B3D });
+  buildBench(group, piece) {
+    const woodMat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0x8B6B3D) });
     const metalMat = new THREE.MeshLambertMaterial({ color: 0x555555 });
 
-    const benchPositions = [
-      { x: -12, z: 0, rot: Math.PI / 2 },
-      { x: 12, z: -2, rot: -Math.PI / 2 },
-      { x: 3, z: -13, rot: 0 },
-    ];
+    this.addMesh(group, new THREE.BoxGeometry(2, 0.1, 0.5), woodMat, 0, 0.5, 0);
+    this.addMesh(group, new THREE.BoxGeometry(2, 0.6, 0.08), woodMat, 0, 0.85, -0.2);
 
-    const seatGeo = new THREE.BoxGeometry(2, 0.1, 0.5);
-    const backGeo = new THREE.BoxGeometry(2, 0.6, 0.08);
     const legGeo = new THREE.BoxGeometry(0.08, 0.5, 0.4);
+    [[-0.8, 0], [0.8, 0]].forEach(([lx, lz]) => {
+      const leg = new THREE.Mesh(legGeo, metalMat);
+      leg.position.set(lx, 0.25, lz);
+      group.add(leg);
+    });
 
-    benchPositions.forEach(({ x, z, rot }) => {
-      const group = new THREE.Group();
-
-      const seat = new THREE.Mesh(seatGeo, woodMat);
-      seat.position.y = 0.5;
-      seat.castShadow = true;
-      group.add(seat);
-
-      const back = new THREE.Mesh(backGeo, woodMat);
-      back.position.set(0, 0.85, -0.2);
-      back.castShadow = true;
-      group.add(back);
-
-      [[-0.8, 0], [0.8, 0]].forEach(([lx, lz]) => {
-        const leg = new THREE.Mesh(legGeo, metalMat);
-        leg.position.set(lx, 0.25, lz);
-        group.add(leg);
-      });
+    // Bench collision
+    this.addBody(new CANNON.Box(new CANNON.Vec3(1, 0.5, 0.3)), 0, 0.5, 0);
+  }
 
-      group.position.set(x, 0, z);
-      group.rotation.y = rot;
-      this.scene.add(group);
+  // Generic block: { width, depth, height, color }
+  buildBox(group, piece) {
+    const w = piece.width || 2, d = piece.depth || 2, h = piece.height || 1;
+    const mat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0x95A5A6) });
+    const mesh = this.addMesh(group, new THREE.BoxGeometry(w, h, d), mat, 0, h / 2, 0);
+    mesh.receiveShadow = true;
+    this.addBody(new CANNON.Box(new CANNON.Vec3(w / 2, h / 2, d / 2)), 0, h / 2, 0);
+  }
 
-      // Bench collision
-      const benchBody = new CANNON.Body({ mass: 0 });
-      benchBody.addShape(new CANNON.Box(new CANNON.Vec3(1, 0.5, 0.3)));
-      benchBody.position.set(x, 0.5, z);
-      benchBody.quaternion.setFromEuler(0, rot, 0);
-      this.world.addBody(benchBody);
-    });
+  // Generic post / pillar: { radius, height, color }
+  buildCylinder(group, piece) {
+    const r = piece.radius || 0.5, h = piece.height || 2;
+    const mat = new THREE.MeshLambertMaterial({ color: toColor(piece.color, 0xBDC3C7) });
+    this.addMesh(group, new THREE.CylinderGeometry(r, r, h, 12), mat, 0, h / 2, 0);
+    this.addBody(new CANNON.Cylinder(r, r, h, 8), 0, h / 2, 0);
   }
 }
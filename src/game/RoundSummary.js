@@ -0,0 +1,48 @@
+/**
+ * End-of-round summary built from SifaRules.tagHistory (+ per-round points
+ * and ability use counts the game mode tracked).
+ *
+ * "Longest survivor" = longest stretch without being caught. Kids who start
+ * the round as IT begin caught; in modes where IT passes on (classic, timed,
+ * base) they are free again once they tag someone.
+ */
+export function summarizeRound({ agents, tagHistory, from, to, startIts, passesIt, roundScore, abilityUses }) {
+  const events = tagHistory.filter(t => t.time >= from && t.time <= to);
+
+  const players = agents.map(a => ({
+    id: a.id,
+    name: a.profile.name,
+    survival: roundScore.get(a.id) || 0,
+    tagsMade: events.filter(t => t.from === a.id).length,
+    timesTagged: events.filter(t => t.to === a.id).length,
+    longestStreak: longestStreak(a.id, events, from, to, startIts.includes(a.id), passesIt),
+    abilityUses: abilityUses.get(a.id) || 0,
+  }));
+
+  const top = key => players.reduce((best, p) => (!best || p[key] > best[key] ? p : best), null);
+  const survivor = top('longestStreak');
+  const tagger = top('tagsMade');
+
+  return {
+    players,
+    longestSurvivor: survivor ? { id: survivor.id, name: survivor.name, seconds: survivor.longestStreak } : null,
+    mostTags: tagger && tagger.tagsMade > 0 ? { id: tagger.id, name: tagger.name, tags: tagger.tagsMade } : null,
+    tags: events.length,
+    abilityUses: players.reduce((sum, p) => sum + p.abilityUses, 0),
+  };
+}
+
+function longestStreak(id, events, from, to, startsCaught, passesIt) {
+  let freeSince = startsCaught ? null : from;
+  let best = 0;
+  events.forEach(t => {
+    if (t.to === id && freeSince !== null) {
+      best = Math.max(best, t.time - freeSince);
+      freeSince = null;
+    } else if (t.from === id && freeSince === null && passesIt) {
+      freeSince = t.time;
+    }
+  });
+  if (freeSince !== null) best = Math.max(best, to - freeSince);
+  return best;
+}
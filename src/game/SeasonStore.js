@@ -0,0 +1,68 @@
+/**
+ * Season totals — every finished round adds to per-kid counters that
+ * survive restarts.
+ *
+ * Saved as one 'season' document: { version, rounds, players: { [name]: totals } }.
+ * Keyed by profile name like brains and genomes, so roster changes keep
+ * everyone's history.
+ */
+import { loadData, saveData } from '../engine/Storage.js';
+
+const STORAGE_NAME = 'season';
+const SEASON_VERSION = 1;
+
+function emptyTotals() {
+  return { rounds: 0, wins: 0, survival: 0, tagsMade: 0, timesTagged: 0, abilityUses: 0, bestStreak: 0 };
+}
+
+export class SeasonStore {
+  constructor() {
+    this.rounds = 0;
+    this.players = {}; // name → totals
+  }
+
+  // One finished round (GameMode round entry with stats)
+  record(entry) {
+    this.rounds++;
+    entry.stats.players.forEach(p => {
+      const t = this.players[p.name] || (this.players[p.name] = emptyTotals());
+      t.rounds++;
+      if (entry.winners.includes(p.id)) t.wins++;
+      t.survival += p.survival;
+      t.tagsMade += p.tagsMade;
+      t.timesTagged += p.timesTagged;
+      t.abilityUses += p.abilityUses;
+      t.bestStreak = Math.max(t.bestStreak, p.longestStreak);
+    });
+  }
+
+  // Most wins first, survival breaks ties
+  standings() {
+    return Object.entries(this.players)
+      .map(([name, t]) => ({ name, ...t }))
+      .sort((a, b) => b.wins - a.wins || b.survival - a.survival);
+  }
+
+  reset() {
+    this.rounds = 0;
+    this.players = {};
+  }
+
+  async load() {
+    const data = await loadData(STORAGE_NAME);
+    if (!data || data.version !== SEASON_VERSION || !data.players) return;
+    this.rounds = data.rounds || 0;
+    Object.entries(data.players).forEach(([name, t]) => {
+      this.players[name] = { ...emptyTotals(), ...t };
+    });
+  }
+
+  save() {
+    return saveData(STORAGE_NAME, {
+      version: SEASON_VERSION,
+      savedAt: new Date().toISOString(),
+      rounds: this.rounds,
+      players: this.players,
+    });
+  }
+}
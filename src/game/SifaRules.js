@@ -1,3 +1,6 @@
+import { createSimContext } from '../engine/SimContext.js';
+import { createGameMode, DEFAULT_GAME_MODE } from './GameModes.js';
+
 const SIFA_SHOUTS = [
   'СИФА!!!',
   'СИФА! Ты водишь!',
@@ -14,6 +17,8 @@ const FLEE_SHOUTS = [
   'За мной!',
 ];
 
+const DECOY_STUMBLE = 1.5; // seconds IT runs slowed after grabbing a decoy
+
 const HUNT_SHOUTS = [
   'Сейчас поймаю!',
   'Не убежишь!',
@@ -22,10 +27,14 @@ const HUNT_SHOUTS = [
   'Беги-беги!',
 ];
 
+// Shared tag loop; who may be tagged and what a tag does comes from the game mode
 export class SifaRules {
-  constructor(agentManager, voiceManager) {
+  constructor(agentManager, voiceManager, sim = createSimContext(), { mode = DEFAULT_GAME_MODE, scene = null, roundLength } = {}) {
     this.agentManager = agentManager;
     this.voice = voiceManager;
+    this.rng = sim.rng;
+    this.level = sim.level;
+    this.events = sim.events;
     this.itAgentId = 0;
     this.prevItAgentId = -1;     // who was IT before — can't tag them back
     this.cooldowns = new Map();  // agentId → expiry time
@@ -35,80 +44,125 @@ export class SifaRules {
     this.gameTime = 0;
     this.shoutTimer = 0;
     this.geneSystem = null;      // set by GameEngine
+    this.decoys = null;          // decoy clones (Simulation)
+    this.mode = createGameMode(mode, this, scene, { roundLength });
   }
 
   initialize() {
     // Random first IT
-    this.itAgentId = Math.floor(Math.random() * 5);
+    this.itAgentId = this.rng.int(this.agentManager.agents.length);
     const it = this.agentManager.agents[this.itAgentId];
     it.isIt = true;
     it.say('Я вожу!', 2.5);
     this.voice.speak(it.id, 'Я вожу!');
+    this.mode.start();
+  }
+
+  // New round / mode reset: only this agent is IT, no tag-back memory
+  setIt(agentId) {
+    this.agentManager.agents.forEach(a => { a.isIt = a.id === agentId; });
+    this.itAgentId = agentId;
+    this.prevItAgentId = -1;
+    this.cooldowns.clear();
+    const it = this.agentManager.agents.find(a => a.id === agentId);
+    if (it) it.say('Я вожу!', 2.5);
   }
 
   update(dt) {
     this.gameTime += dt;
+
+    // Round countdown / results screen: nobody tags
+    if (!this.mode.playing) {
+      this.mode.update(dt);
+      return;
+    }
     this.shoutTimer -= dt;
 
     const agents = this.agentManager.agents;
-    const it = agents[this.itAgentId];
-    if (!it) return;
+    const hunters = agents.filter(a => a.isIt);
+    if (hunters.length === 0) return;
 
     // Random shouts from agents
     if (this.shoutTimer <= 0) {
-      this.shoutTimer = 2 + Math.random() * 4;
-      const randomAgent = agents[Math.floor(Math.random() * agents.length)];
-      if (randomAgent.state === 'flee' && Math.random() > 0.5) {
-        const text = FLEE_SHOUTS[Math.floor(Math.random() * FLEE_SHOUTS.length)];
+      this.shoutTimer = this.rng.range(2, 6);
+      const randomAgent = this.rng.pick(agents);
+      if (randomAgent.state === 'flee' && this.rng.next() > 0.5) {
+        const text = this.rng.pick(FLEE_SHOUTS);
         randomAgent.say(text);
         this.voice.speak(randomAgent.id, text);
-      } else if (randomAgent.isIt && Math.random() > 0.5) {
-        const text = HUNT_SHOUTS[Math.floor(Math.random() * HUNT_SHOUTS.length)];
+      } else if (randomAgent.isIt && this.rng.next() > 0.5) {
+        const text = this.rng.pick(HUNT_SHOUTS);
         randomAgent.say(text);
         this.voice.speak(randomAgent.id, text);
       }
     }
 
-    // Check tag
-    agents.forEach(target => {
-      if (target.id === this.itAgentId) return;
-      if (target.id === this.prevItAgentId) return; // can't tag back who just tagged you
-      if (this.isOnCooldown(target.id)) return;
-
-      const dist = it.distanceTo(target);
-      if (dist < this.TAG_DISTANCE) {
-        // Evolution: shield blocks tag, flying blocks tag
-        if (target.shielded) {
-          if (!target._shieldBlockMsg) {
-            target.say('Щит держит!', 1.0);
-            target._shieldBlockMsg = true;
-            setTimeout(() => { target._shieldBlockMsg = false; }, 2000);
-          }
-          return;
-        }
-        if (target.flying) {
-          return; // can't tag someone in the air
+    // Check tag — a hunter knocked over by a ground slam reaches nobody
+    hunters.forEach(it => {
+      if (it.isDown) return;
+      this.checkDecoys(it);
+      agents.forEach(target => {
+        if (target === it) return;
+        if (!this.mode.canTag(it, target)) return;
+
+        const dist = it.distanceTo(target);
+        if (dist < this.TAG_DISTANCE) {
+          // Evolution: the target's active abilities may veto it (shield, fly…)
+          if (this.tagBlocked(target, it)) return;
+          this.mode.onTag(it, target);
         }
-        this.executeTag(it, target);
-      }
+      });
     });
 
+    this.mode.update(dt);
+
     // Update cooldowns
     this.cooldowns.forEach((expiry, agentId) => {
       if (this.gameTime >= expiry) this.cooldowns.delete(agentId);
     });
   }
 
+  // Every active blocker gets its say (shield speech), any one is enough
+  tagBlocked(target, tagger) {
+    if (!this.geneSystem) return false;
+    const blockers = this.geneSystem.activeDefs(target.id).filter(def => def.blocksTag);
+    return blockers.filter(def => def.blocksTag(target, tagger, this)).length > 0;
+  }
+
+  // IT caught a decoy clone: it pops, IT stumbles for a moment
+  checkDecoys(it) {
+    if (!this.decoys) return;
+    this.decoys.list.filter(decoy => it.distanceTo(decoy) < this.TAG_DISTANCE).forEach(decoy => {
+      this.decoys.pop(decoy);
+      it.slowDown(DECOY_STUMBLE, 0.3);
+      it.say('Эй, это обманка!', 1.5);
+      decoy.owner.say('Ха-ха, обманул!', 1.5);
+    });
+  }
+
+  // Classic tag: record it, then IT passes to the tagged kid
   executeTag(tagger, tagged) {
+    this.recordTag(tagger, tagged);
+
+    // Transfer IT
+    tagger.isIt = false;
+    tagged.isIt = true;
+    this.prevItAgentId = tagger.id;  // remember who just was IT — immune until new tag
+    this.itAgentId = tagged.id;
+
+    // Cooldown: tagger can't be tagged back immediately (backup timer)
+    this.cooldowns.set(tagger.id, this.gameTime + this.COOLDOWN_TIME);
+  }
+
+  // Every mode: history, shouts, learning, evolution — no change of roles
+  recordTag(tagger, tagged) {
     // Record
-    this.tagHistory.push({
-      from: tagger.id,
-      to: tagged.id,
-      time: this.gameTime,
-    });
+    const tag = { from: tagger.id, to: tagged.id, time: this.gameTime };
+    this.tagHistory.push(tag);
+    this.events.emit('tag', tag);
 
     // Shout СИФА! with voice
-    const shout = SIFA_SHOUTS[Math.floor(Math.random() * SIFA_SHOUTS.length)];
+    const shout = this.rng.pick(SIFA_SHOUTS);
     tagger.say(shout, 2.0);
     tagged.say('О нет!!!', 1.5);
     this.voice.playTagSound();
@@ -116,7 +170,7 @@ export class SifaRules {
 
     // Tagger celebrates briefly
     tagger.startTaunt(1.0);
-    if (Math.random() > 0.5) this.voice.playLaughSound();
+    if (this.rng.next() > 0.5) this.voice.playLaughSound();
 
     // Learning: tagger learned good chase spot, tagged learned danger spot
     tagger.brain.onTaggedSomeone(
@@ -141,15 +195,6 @@ export class SifaRules {
         }
       });
     }
-
-    // Transfer IT
-    tagger.isIt = false;
-    tagged.isIt = true;
-    this.prevItAgentId = tagger.id;  // remember who just was IT — immune until new tag
-    this.itAgentId = tagged.id;
-
-    // Cooldown: tagger can't be tagged back immediately (backup timer)
-    this.cooldowns.set(tagger.id, this.gameTime + this.COOLDOWN_TIME);
   }
 
   isOnCooldown(agentId) {
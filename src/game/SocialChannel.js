@@ -0,0 +1,191 @@
+/**
+ * SocialChannel — runners teach each other where it's dangerous.
+ *
+ * Three ways knowledge travels, all fed into AgentBrain.hearDanger:
+ *   witness  everyone who sees a tag up close (Perception.canSee: view
+ *            cone, cover behind equipment) learns that spot first-hand
+ *   tip      two runners side by side: the chattier one passes on its
+ *            worst danger cell if it's news to the other ("У горки опасно!")
+ *   call     a runner sees IT closing in (Perception.canSee again) and
+ *            shouts where it comes from ("Водящий идёт от качелей!");
+ *            runners in earshot get jumpy (Agent.hearAlarm) and mark the spot
+ * How much sticks depends on the listener's sociability (profile trait) and
+ * its trust in the speaker, which AgentBrain keeps score of. Tips and calls
+ * are published as 'share' events for the UI; witnessing is silent.
+ *
+ * Deterministic: no RNG, timers run on simulation time.
+ */
+import { createSimContext } from '../engine/SimContext.js';
+import { PIECE_TYPES } from './Level.js';
+
+// Witnesses: a tag seen up close is half a lesson of one's own
+const WITNESS_RANGE = 10;        // within sight (Perception) and this close
+const WITNESS_WEIGHT = 0.5;
+
+// Tips: runners standing together swap what they know
+const TIP_INTERVAL = 1.0;        // seconds between rounds of gossip
+const TIP_RANGE = 4;
+const TIP_COOLDOWN = 8;          // seconds before the same pair talks again
+const TIP_WEIGHT = 0.5;
+const TIP_MIN_DANGER = 0.2;      // speaker's cell must be at least this bad …
+const TIP_NEWS = 0.1;            // … and this much worse than the listener thinks
+const MIN_SOCIABILITY = 0.15;    // quieter kids keep it to themselves
+
+// Calls: a runner who sees IT coming shouts to everyone around
+const CALL_SIGHT = 9;
+const CALL_HEADING = 0.7;        // cos of how straight at the caller IT must run
+const CALL_ECHO = 2;             // seconds nobody repeats a fresh call
+const CALL_RANGE = 12;
+const CALL_WEIGHT = 0.3;
+const CALL_COOLDOWN = 4;         // seconds at sociability 1 …
+const CALL_COOLDOWN_SHY = 10;    // … plus this much at sociability 0
+const CALL_MIN_HEED = 0.15;      // trust × sociability a hearer needs to react
+const ALARM_TIME = 3;            // seconds a hearer stays on edge (Agent.hearAlarm)
+const LANDMARK_RANGE = 6;        // IT "comes from" equipment this close
+
+export class SocialChannel {
+  constructor(agentManager, voice, sim = createSimContext()) {
+    this.agentManager = agentManager;
+    this.voice = voice;
+    this.clock = sim.clock;
+    this.events = sim.events;
+    this.level = sim.level;
+    this.tipTimer = 0;
+    this.pairCooldowns = new Map(); // 'speaker:listener' → time (s) they may talk again
+    this.callCooldowns = new Map(); // agentId → time (s) it may call again
+    this.lastCall = -Infinity;      // time (s) of the latest call by anyone
+    this.shared = 0;                // tips + call hearers, for stats
+
+    this.events.on('tag', tag => this.witness(tag));
+  }
+
+  update(dt) {
+    const runners = this.agentManager.agents.filter(a => !a.isIt && !a.frozen);
+    const hunters = this.agentManager.agents.filter(a => a.isIt);
+    runners.forEach(agent => this.maybeCall(agent, hunters, runners));
+
+    this.tipTimer += dt;
+    if (this.tipTimer < TIP_INTERVAL) return;
+    this.tipTimer = 0;
+    runners.forEach(speaker => {
+      runners.forEach(listener => {
+        if (listener !== speaker) this.maybeTip(speaker, listener);
+      });
+    });
+  }
+
+  // Every runner near a tag (but the two involved) who had it in sight
+  // saw where it happened
+  witness(tag) {
+    const agents = this.agentManager.agents;
+    const tagged = agents.find(a => a.id === tag.to);
+    if (!tagged) return;
+    const p = tagged.body.position;
+    agents.forEach(agent => {
+      if (agent.isIt || agent.id === tag.from || agent.id === tag.to) return;
+      if (distance(agent, tagged) > WITNESS_RANGE || !agent.perception.canSee(tagged)) return;
+      agent.brain.hearDanger(p.x, p.z, WITNESS_WEIGHT);
+    });
+  }
+
+  maybeTip(speaker, listener) {
+    if (sociability(speaker) < MIN_SOCIABILITY) return;
+    if (distance(speaker, listener) > TIP_RANGE) return;
+    const key = `${speaker.id}:${listener.id}`;
+    const now = this.clock.time;
+    if ((this.pairCooldowns.get(key) ?? 0) > now) return;
+
+    const hot = speaker.brain.hottestDanger();
+    if (!hot || hot.value < TIP_MIN_DANGER) return;
+    if (hot.value - listener.brain.dangerAt(hot.x, hot.z) < TIP_NEWS) return;
+
+    this.pairCooldowns.set(key, now + TIP_COOLDOWN);
+    const weight = TIP_WEIGHT * sociability(listener);
+    if (listener.brain.hearDanger(hot.x, hot.z, weight, speaker.profile.name) <= 0) return;
+
+    const landmark = this.landmarkNear(hot.x, hot.z);
+    const text = landmark ? `У ${landmark} опасно!` : 'Там опасно!';
+    if (speaker.speechTimer <= 0) speaker.say(text, 1.5);
+    this.share(speaker, listener, 'tip', text, hot.x, hot.z);
+  }
+
+  // Sees IT within CALL_SIGHT and getting closer → shout, once per cooldown
+  maybeCall(caller, hunters, runners) {
+    const now = this.clock.time;
+    if (now - this.lastCall < CALL_ECHO) return;
+    if ((this.callCooldowns.get(caller.id) ?? 0) > now) return;
+    const it = nearest(caller, hunters);
+    const dist = it ? distance(caller, it) : Infinity;
+    if (dist > CALL_SIGHT || !caller.perception.canSee(it)) return;
+    const v = it.body.velocity;
+    const speed = Math.hypot(v.x, v.z);
+    const toCallerX = caller.body.position.x - it.body.position.x;
+    const toCallerZ = caller.body.position.z - it.body.position.z;
+    if (speed < 0.5 || v.x * toCallerX + v.z * toCallerZ < CALL_HEADING * speed * dist) return; // not coming our way
+
+    const soc = sociability(caller);
+    if (soc < MIN_SOCIABILITY) return;
+    this.callCooldowns.set(caller.id, now + CALL_COOLDOWN + (1 - soc) * CALL_COOLDOWN_SHY);
+    this.lastCall = now;
+
+    const p = it.body.position;
+    const landmark = this.landmarkNear(p.x, p.z);
+    const text = landmark ? `Водящий идёт от ${landmark}!` : 'Атас, водящий!';
+    caller.say(text, 2.0);
+
+    // Aloud only when somebody is there to listen (keeps the voice queue short)
+    const hearers = runners.filter(hearer => hearer !== caller &&
+      distance(caller, hearer) <= CALL_RANGE &&
+      hearer.brain.trustIn(caller.profile.name) * sociability(hearer) > CALL_MIN_HEED);
+    if (hearers.length > 0) this.voice.speak(caller.id, text);
+    hearers.forEach(hearer => {
+      hearer.hearAlarm(ALARM_TIME);
+      // Jumpy either way; only news about the spot counts as passed on
+      if (hearer.brain.hearDanger(p.x, p.z, CALL_WEIGHT, caller.profile.name) <= 0) return;
+      this.share(caller, hearer, 'call', text, p.x, p.z);
+    });
+  }
+
+  share(speaker, listener, kind, text, x, z) {
+    this.shared++;
+    this.events.emit('share', { from: speaker.id, to: listener.id, kind, text, x, z });
+  }
+
+  // "горки" / "качелей" … for the closest named piece within LANDMARK_RANGE
+  landmarkNear(x, z) {
+    let best = null;
+    let bestDist = LANDMARK_RANGE;
+    this.level.pieces.forEach(piece => {
+      const name = PIECE_TYPES[piece.type] && PIECE_TYPES[piece.type].from;
+      const d = Math.hypot(piece.x - x, piece.z - z);
+      if (name && d < bestDist) {
+        best = name;
+        bestDist = d;
+      }
+    });
+    return best;
+  }
+}
+
+function sociability(agent) {
+  return agent.profile.sociability ?? 0.5;
+}
+
+function distance(a, b) {
+  const pa = a.body.position;
+  const pb = b.body.position;
+  return Math.hypot(pa.x - pb.x, pa.z - pb.z);
+}
+
+function nearest(agent, others) {
+  let best = null;
+  let bestDist = Infinity;
+  others.forEach(other => {
+    const d = distance(agent, other);
+    if (other !== agent && d < bestDist) {
+      best = other;
+      bestDist = d;
+    }
+  });
+  return best;
+}
@@ -11,38 +11,32 @@
  * Smart escape: instead of random, find clearest direction.
  */
 import * as THREE from 'three';
+import { createSimContext } from '../engine/SimContext.js';
 
-// All physics obstacles on the playground (center x,z + radius or half-extents)
-const OBSTACLES = [
-  { name: 'Горка',     x: -8,  z: -6.5, rx: 1.0, rz: 2.0 },
-  { name: 'Качели',    x: 6,   z: -7,   rx: 2.3, rz: 0.8 },
-  { name: 'Песочница', x: 0,   z: 7,    rx: 2.3, rz: 2.3 },
-  { name: 'Рукоход',   x: -7,  z: 5,    rx: 1.8, rz: 0.8 },
-  { name: 'Карусель',  x: 8,   z: 5,    r: 1.8 },
-  { name: 'Скамейка1', x: -12, z: 0,    rx: 0.5, rz: 1.2 },
-  { name: 'Скамейка2', x: 12,  z: -2,   rx: 0.5, rz: 1.2 },
-  { name: 'Скамейка3', x: 3,   z: -13,  rx: 1.2, rz: 0.5 },
-];
-
-// Trees
-[[-14,-14],[14,-14],[-14,10],[13,12],[-10,14],[10,-12],[-15,0],[15,3]].forEach(([x,z], i) => {
-  OBSTACLES.push({ name: `Дерево${i+1}`, x, z, r: 0.6 });
-});
-
-const BOUND = 16;
 const STUCK_THRESHOLD = 8;      // frames before diagnosed as stuck
 const ESCAPE_THRESHOLD = 12;    // frames before smart escape kicks in
 const WARP_THRESHOLD = 35;      // frames before warp to safety
+const MIN_SPEED = 0.5;          // slower than this isn't "trying to move"
+const SLIP = 0.25;              // moved less than this share of the step = blocked
 
 export class StuckDiagnostic {
-  constructor(scene) {
+  constructor(scene, sim = createSimContext()) {
     this.scene = scene;
+    this.clock = sim.clock;
+    this.events = sim.events;
+    // Physics obstacles from the level (center x,z + radius or half-extents)
+    this.obstacles = sim.level.stuckObstacles;
+    this.bound = sim.level.bound;
     this.debugVisible = false;
     this.agentData = new Map();  // agentId -> { stuckFrames, reason, stuckPos, escapeDir }
     this.debugMarkers = [];
     this.stuckHistory = [];      // last N stuck events for UI
+    this.stuckCount = 0;         // every stuck event, for batch stats
+    this.panel = null;           // debug overlay (attachDebugPanel, renderer only)
+  }
 
-    // Debug overlay DOM
+  // Debug overlay DOM + D hotkey — skipped in headless runs
+  attachDebugPanel() {
     this.panel = document.createElement('div');
     this.panel.id = 'stuck-debug';
     this.panel.style.cssText = `
@@ -74,6 +68,7 @@ export class StuckDiagnostic {
       atBoundary: false,
       nearAgents: 0,
       lastPos: null,
+      lastSpeed: 0,      // speed asked for last tick — what the physics step should have moved
       escapedCount: 0,
       warpedCount: 0,
     });
@@ -82,8 +77,10 @@ export class StuckDiagnostic {
   /**
    * Main diagnostic + escape. Call from Agent.fixedUpdate AFTER velocity is set.
    * Returns escape velocity override if agent is stuck, or null.
+   * Stuck = last tick's physics step moved the kid far less than the speed
+   * it asked for (a slow stroll is not stuck).
    */
-  diagnose(agent, allAgents) {
+  diagnose(agent, allAgents, dt) {
     const data = this.agentData.get(agent.id);
     if (!data) return null;
 
@@ -99,7 +96,7 @@ export class StuckDiagnostic {
       const dz = pz - data.lastPos.z;
       const moved = Math.sqrt(dx * dx + dz * dz);
 
-      if (moved < 0.015 && speed > 0.5) {
+      if (data.lastSpeed > MIN_SPEED && moved < data.lastSpeed * dt * SLIP) {
         // Trying to move but can't = stuck
         data.stuckFrames++;
       } else {
@@ -107,6 +104,7 @@ export class StuckDiagnostic {
       }
     }
     data.lastPos = { x: px, z: pz };
+    data.lastSpeed = speed;
 
     // Diagnose reason
     data.reason = '';
@@ -116,7 +114,7 @@ export class StuckDiagnostic {
     data.nearAgents = 0;
 
     // Check obstacles
-    for (const obs of OBSTACLES) {
+    for (const obs of this.obstacles) {
       const dist = this._distToObstacle(px, pz, obs);
       if (dist < data.obstDist) {
         data.obstDist = dist;
@@ -125,7 +123,7 @@ export class StuckDiagnostic {
     }
 
     // Check boundary
-    if (Math.abs(px) > BOUND - 1 || Math.abs(pz) > BOUND - 1) {
+    if (Math.abs(px) > this.bound - 1 || Math.abs(pz) > this.bound - 1) {
       data.atBoundary = true;
     }
 
@@ -152,9 +150,11 @@ export class StuckDiagnostic {
           reason: data.reason,
           x: px.toFixed(1),
           z: pz.toFixed(1),
-          time: Date.now(),
+          time: this.clock.now(),
         });
         if (this.stuckHistory.length > 20) this.stuckHistory.shift();
+        this.stuckCount++;
+        this.events.emit('stuck', { agentId: agent.id, reason: data.reason, x: px, z: pz });
       }
     }
 
@@ -167,8 +167,11 @@ export class StuckDiagnostic {
       agent.body.position.y = 0.3;
       agent.body.velocity.set(0, 0, 0);
       data.stuckFrames = 0;
+      data.lastPos = { x: safe.x, z: safe.z };
+      data.lastSpeed = 0;
       data.warpedCount++;
       agent.say('Телепорт!', 1.5);
+      this.events.emit('warp', { agentId: agent.id, x: safe.x, z: safe.z });
       return { x: 0, z: 0 };
     }
 
@@ -177,6 +180,7 @@ export class StuckDiagnostic {
       const escape = this._findEscapeDir(px, pz, allAgents, agent.id);
       data.escapedCount++;
       data.stuckFrames = 0; // full reset after escape attempt
+      data.lastSpeed = Math.sqrt(escape.x * escape.x + escape.z * escape.z);
       return escape;
     }
 
@@ -184,7 +188,7 @@ export class StuckDiagnostic {
   }
 
   update() {
-    if (!this.debugVisible) return;
+    if (!this.debugVisible || !this.panel) return;
     this._updatePanel();
     this._updateMarkers();
   }
@@ -208,13 +212,13 @@ export class StuckDiagnostic {
       let score = 0;
 
       // Prefer directions away from obstacles
-      for (const obs of OBSTACLES) {
+      for (const obs of this.obstacles) {
         const dist = this._distToObstacle(testX, testZ, obs);
         score += Math.min(dist, 3);
       }
 
       // Prefer staying in bounds
-      if (Math.abs(testX) < BOUND - 2 && Math.abs(testZ) < BOUND - 2) {
+      if (Math.abs(testX) < this.bound - 2 && Math.abs(testZ) < this.bound - 2) {
         score += 5;
       }
 
@@ -243,10 +247,11 @@ export class StuckDiagnostic {
     let bestPos = { x: 0, z: 0 };
     let bestScore = -Infinity;
 
-    for (let x = -12; x <= 12; x += 3) {
-      for (let z = -12; z <= 12; z += 3) {
+    const reach = this.bound - 4;
+    for (let x = -reach; x <= reach; x += 3) {
+      for (let z = -reach; z <= reach; z += 3) {
         let score = 0;
-        for (const obs of OBSTACLES) {
+        for (const obs of this.obstacles) {
           score += Math.min(this._distToObstacle(x, z, obs), 4);
         }
         // Distance from current pos (don't warp too far if possible)
@@ -313,7 +318,7 @@ export class StuckDiagnostic {
     if (this.stuckHistory.length > 0) {
       html += '<br><b>HISTORY</b><br>';
       this.stuckHistory.slice(-8).reverse().forEach(ev => {
-        const ago = ((Date.now() - ev.time) / 1000).toFixed(0);
+        const ago = ((this.clock.now() - ev.time) / 1000).toFixed(0);
         html += `<span style="opacity:0.7">${ago}s ago: ${ev.name} @ (${ev.x},${ev.z}) — ${ev.reason}</span><br>`;
       });
     }
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { createSimContext } from '../engine/SimContext.js';
 
 const RESCUE_PHRASES = [
   'Помогу!', 'Держись!', 'Лечу на помощь!', 'Спасаю!',
@@ -12,8 +13,10 @@ const RESCUE_PHRASES = [
  * States: patrol → approach → rescue → returnToPatrol
  */
 export class SupervisorBot {
-  constructor(scene) {
+  constructor(scene, sim = createSimContext()) {
     this.scene = scene;
+    this.rng = sim.rng;
+    this.events = sim.events;
 
     // Position & movement
     this.position = new THREE.Vector3(0, 4, 0);
@@ -284,7 +287,7 @@ export class SupervisorBot {
     if (stuck) {
       this.targetAgent = stuck;
       this.state = 'approach';
-      this.say(RESCUE_PHRASES[Math.floor(Math.random() * RESCUE_PHRASES.length)]);
+      this.say(this.rng.pick(RESCUE_PHRASES));
     }
   }
 
@@ -350,6 +353,7 @@ export class SupervisorBot {
       this.targetAgent.stuckFrames = 0;
       this.cooldownMap.set(this.targetAgent.id, 8.0); // don't rescue again for 8s
       this.rescueCount++;
+      this.events.emit('rescue', { agentId: this.targetAgent.id, count: this.rescueCount });
       this.say('Готово! Беги!');
       this.targetAgent = null;
       this.state = 'returnToPatrol';
@@ -0,0 +1,39 @@
+/**
+ * Dash — a short burst at 2.5x speed, leaving a fading trail.
+ */
+import * as THREE from 'three';
+
+const SPEED_FACTOR = 2.5;
+
+export const Dash = {
+  key: 'dash', gene: 'dash', threshold: 0.5, duration: 1.5, cooldown: 8,
+  name: 'Рывок', icon: '\u{1F4A8}', speech: 'Рывок!',
+
+  // Run from a close IT; as IT, close a medium gap
+  decide: s => (!s.isIt && s.distToIt < 4) || (s.isIt && s.distToIt > 2 && s.distToIt < 6),
+
+  move(agent, v) {
+    v.x *= SPEED_FACTOR;
+    v.z *= SPEED_FACTOR;
+    const fx = agent.evolutionFx;
+    if (fx && agent.rng.next() > 0.5) {
+      const p = agent.body.position;
+      fx.spawnDashTrail(p.x, p.y, p.z, agent.profile.color);
+    }
+  },
+
+  // Cone aura pointing backward
+  show(fx, mesh) {
+    const geo = new THREE.ConeGeometry(0.25, 0.6, 6);
+    const mat = new THREE.MeshBasicMaterial({
+      color: 0xffaa00, transparent: true, opacity: 0.35,
+      depthWrite: false,
+    });
+    const cone = new THREE.Mesh(geo, mat);
+    cone.position.y = 0.3;
+    cone.rotation.x = Math.PI; // point backward
+    cone.position.z = -0.3;
+    mesh.add(cone);
+    return cone;
+  },
+};
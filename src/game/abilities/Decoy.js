@@ -0,0 +1,35 @@
+/**
+ * Decoy — leaves a see-through clone that runs off on its own; IT may chase
+ * it instead (Decoys, Agent.findNearestRunner). It pops when IT touches it
+ * (SifaRules) or when the ability runs out.
+ */
+
+export const Decoy = {
+  key: 'decoy', gene: 'decoy', threshold: 0.6, duration: 5.0, cooldown: 20,
+  name: 'Обманка', icon: '\u{1F465}', speech: 'Лови меня! (нет)',
+
+  // IT is coming, but there is still room to slip away
+  decide: s => !s.isIt && s.distToIt < 5 && s.distToIt > 2,
+
+  // The clone runs straight away from the nearest IT — the kid itself is free to turn
+  onStart(agent, agents) {
+    if (!agent.decoys) return;
+    const it = agent.nearestHunter(agents);
+    const p = agent.body.position;
+    let dx = it ? p.x - it.body.position.x : agent.body.velocity.x;
+    let dz = it ? p.z - it.body.position.z : agent.body.velocity.z;
+    if (Math.abs(dx) + Math.abs(dz) < 0.01) { dx = agent.rng.range(-1, 1); dz = agent.rng.range(-1, 1); }
+    // Sideways from our own flight so the two split up
+    agent.decoys.spawn(agent, dx - dz * 0.8, dz + dx * 0.8);
+  },
+
+  onEnd(agent) {
+    if (agent.decoys) agent.decoys.remove(agent);
+  },
+
+  // A puff where the clone appears
+  show(fx, mesh) {
+    fx.spawnRing(mesh, { color: 0xcc88ff, maxAge: 0.5 });
+    return null;
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Fly — lifts the kid out of reach; nobody can tag someone in the air.
+ */
+import * as THREE from 'three';
+
+const HOVER_HEIGHT = 2.5;
+const CLIMB_SPEED = 4;
+
+export const Fly = {
+  key: 'fly', gene: 'fly', threshold: 0.7, duration: 3.0, cooldown: 15,
+  name: 'Полёт', icon: '\u{1F985}', speech: 'Я лечу!',
+  airborne: true,
+
+  decide: s => !s.isIt && (s.distToIt < 2.5 || s.isCorner),
+
+  // Climb to hover height, then bob gently
+  lift(agent, now) {
+    if (agent.body.position.y < HOVER_HEIGHT) return CLIMB_SPEED;
+    return Math.sin(now * 0.003) * 0.5;
+  },
+
+  blocksTag: () => true,
+
+  show(fx, mesh) {
+    const group = new THREE.Group();
+    group.position.y = 0.45;
+
+    const wingShape = new THREE.Shape();
+    wingShape.moveTo(0, 0);
+    wingShape.quadraticCurveTo(0.2, 0.2, 0.5, 0.15);
+    wingShape.quadraticCurveTo(0.3, 0, 0.4, -0.15);
+    wingShape.quadraticCurveTo(0.15, -0.05, 0, 0);
+
+    const wingGeo = new THREE.ShapeGeometry(wingShape);
+    const wingMat = new THREE.MeshBasicMaterial({
+      color: 0xffffff, transparent: true, opacity: 0.7,
+      side: THREE.DoubleSide, depthWrite: false,
+    });
+
+    const leftWing = new THREE.Mesh(wingGeo, wingMat);
+    leftWing.position.x = 0.15;
+    leftWing.rotation.y = Math.PI / 2;
+    group.add(leftWing);
+
+    const rightWing = new THREE.Mesh(wingGeo, wingMat.clone());
+    rightWing.position.x = -0.15;
+    rightWing.rotation.y = -Math.PI / 2;
+    rightWing.scale.x = -1;
+    group.add(rightWing);
+
+    mesh.add(group);
+    return group;
+  },
+
+  // Wing flap
+  animate(group, now) {
+    const flap = Math.sin(now * 0.015) * 0.4;
+    const wings = group.children;
+    if (wings[0]) wings[0].rotation.z = 0.3 + flap;
+    if (wings[1]) wings[1].rotation.z = -0.3 - flap;
+  },
+};
@@ -0,0 +1,61 @@
+/**
+ * Freeze ray — IT chills the nearest runner in range: slowed for SLOW_TIME.
+ */
+import * as THREE from 'three';
+
+const RANGE = 8;
+const SLOW_TIME = 3.0;
+const SLOW_FACTOR = 0.4;
+
+// Nearest runner the ray can hit: in sight, in play, on the ground, not shielded
+function rayTarget(agent, agents) {
+  let best = null;
+  let bestDist = RANGE;
+  agents.forEach(other => {
+    if (other === agent || other.isIt || other.frozen || other.safe || other.flying) return;
+    if (agent.geneSystem.isWarded(other.id) || !agent.perception.canSee(other)) return;
+    const d = agent.distanceTo(other);
+    if (d < bestDist) { bestDist = d; best = other; }
+  });
+  return best;
+}
+
+export const FreezeRay = {
+  key: 'freeze', gene: 'freeze', threshold: 0.65, duration: 0.6, cooldown: 14,
+  name: 'Замораживатель', icon: '❄️', speech: 'Замри!',
+
+  // IT: the runner is too far to catch, but in range
+  decide(s) {
+    if (!s.isIt) return false;
+    const target = rayTarget(s.agent, s.agents);
+    return !!target && s.agent.distanceTo(target) > 3;
+  },
+
+  onStart(agent, agents) {
+    const target = rayTarget(agent, agents);
+    if (!target) return;
+    target.slowDown(SLOW_TIME, SLOW_FACTOR);
+    target.say('Брр! Ноги не идут!', 1.5);
+    const fx = agent.evolutionFx;
+    if (fx) {
+      fx.spawnBeam(agent.mesh.position, target.mesh.position, { color: 0x88ddff });
+      fx.spawnRing(target.mesh, { color: 0x88ddff, maxAge: 0.6 });
+    }
+  },
+
+  // A spinning ice crystal over the head while the ray fires
+  show(fx, mesh) {
+    const geo = new THREE.OctahedronGeometry(0.15);
+    const mat = new THREE.MeshBasicMaterial({
+      color: 0xaaeeff, transparent: true, opacity: 0.8, depthWrite: false,
+    });
+    const crystal = new THREE.Mesh(geo, mat);
+    crystal.position.y = 1.1;
+    mesh.add(crystal);
+    return crystal;
+  },
+
+  animate(crystal, now) {
+    crystal.rotation.y = now * 0.01;
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Ground slam — stomps the ground: everyone within RADIUS falls over and
+ * slides away. A knocked-over IT can't tag (SifaRules), a knocked-over
+ * runner can't run. Flying and shielded kids aren't touched.
+ */
+
+const RADIUS = 3.5;
+const KNOCKBACK = 6;
+const DOWN_TIME = 1.2;
+
+export const GroundSlam = {
+  key: 'slam', gene: 'slam', threshold: 0.75, duration: 0.4, cooldown: 16,
+  name: 'Удар о землю', icon: '\u{1F4A5}', speech: 'БАБАХ!',
+
+  // Runner: knock down an IT that is about to tag; IT: floor the runner next to it
+  decide(s) {
+    if (!s.isIt) return s.distToIt < 2;
+    const target = s.agent.findNearestRunner(s.agents, -1);
+    return !!target && s.agent.distanceTo(target) < 2.5;
+  },
+
+  onStart(agent, agents) {
+    const p = agent.body.position;
+    agents.forEach(other => {
+      if (other === agent || other.frozen || other.flying) return;
+      if (agent.geneSystem.isWarded(other.id)) return;
+      const dx = other.body.position.x - p.x;
+      const dz = other.body.position.z - p.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist < RADIUS && dist > 0) {
+        const force = (1 - dist / RADIUS) * KNOCKBACK;
+        other.knockDown(DOWN_TIME);
+        other.shove((dx / dist) * force, (dz / dist) * force);
+        other.say('Ой!', 1.0);
+      }
+    });
+  },
+
+  // A wide dusty shockwave
+  show(fx, mesh) {
+    fx.spawnRing(mesh, { color: 0xaa7744, maxAge: 0.6 });
+    fx.spawnRing(mesh, { color: 0xddbb88, maxAge: 0.9 });
+    return null;
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Magnet — IT pulls every runner within RADIUS toward itself while active,
+ * harder the closer they are. Shielded, flying and safe kids don't budge.
+ */
+import * as THREE from 'three';
+
+const RADIUS = 7;
+const PULL = 10; // m/s² at point blank; Agent.knock decay caps the drift speed
+
+function pullable(agent, other) {
+  if (other === agent || other.isIt || other.frozen || other.safe || other.flying) return false;
+  return !agent.geneSystem.isWarded(other.id);
+}
+
+export const Magnet = {
+  key: 'magnet', gene: 'magnet', threshold: 0.7, duration: 2.5, cooldown: 18,
+  name: 'Магнит', icon: '\u{1F9F2}', speech: 'Иди сюда!',
+
+  // IT: two or more runners in reach
+  decide(s) {
+    if (!s.isIt) return false;
+    const inReach = s.agents.filter(o => pullable(s.agent, o) && s.agent.distanceTo(o) < RADIUS - 1);
+    return inReach.length >= 2;
+  },
+
+  move(agent, v, dt, agents) {
+    const p = agent.body.position;
+    agents.forEach(other => {
+      if (!pullable(agent, other)) return;
+      const dx = p.x - other.body.position.x;
+      const dz = p.z - other.body.position.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist < RADIUS && dist > 0.5) {
+        const pull = (1 - dist / RADIUS) * PULL * dt;
+        other.shove((dx / dist) * pull, (dz / dist) * pull);
+      }
+    });
+  },
+
+  // Red-and-blue horseshoe spinning over the head
+  show(fx, mesh) {
+    const group = new THREE.Group();
+    group.position.y = 1.15;
+    const halves = [0xff3333, 0x3366ff];
+    halves.forEach((color, i) => {
+      const geo = new THREE.TorusGeometry(0.16, 0.05, 6, 12, Math.PI / 2);
+      const mat = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.85 });
+      const arc = new THREE.Mesh(geo, mat);
+      arc.rotation.z = Math.PI + i * Math.PI / 2;
+      group.add(arc);
+    });
+    mesh.add(group);
+    return group;
+  },
+
+  animate(group, now) {
+    group.rotation.y = now * 0.006;
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Scream — pushes everyone within RADIUS away, harder the closer they are.
+ */
+
+const RADIUS = 5;
+const PUSH = 8;
+
+export const Scream = {
+  key: 'scream', gene: 'scream', threshold: 0.6, duration: 0.5, cooldown: 10,
+  name: 'Крик', icon: '\u{1F4E2}', speech: 'АААА!!!',
+
+  // Runner: scare off a close IT; IT: scatter the crowd around it
+  decide: s => (!s.isIt && s.distToIt < 3) || (s.isIt && s.distToIt < 4),
+
+  onStart(agent, agents) {
+    const p = agent.body.position;
+    agents.forEach(other => {
+      if (other.id === agent.id) return;
+      const dx = other.body.position.x - p.x;
+      const dz = other.body.position.z - p.z;
+      const dist = Math.sqrt(dx * dx + dz * dz);
+      if (dist < RADIUS && dist > 0) {
+        const force = (RADIUS - dist) / RADIUS * PUSH;
+        other.body.velocity.x += (dx / dist) * force;
+        other.body.velocity.z += (dz / dist) * force;
+      }
+    });
+  },
+
+  // One expanding ring — fx owns it, nothing to hide later
+  show(fx, mesh) {
+    fx.spawnRing(mesh, { color: 0xff4400 });
+    return null;
+  },
+};
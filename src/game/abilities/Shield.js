@@ -0,0 +1,42 @@
+/**
+ * Shield — a bubble that blocks tags, freeze rays, magnets and slams for a moment.
+ */
+import * as THREE from 'three';
+
+const BLOCK_SPEECH_GAP = 2.0; // seconds between "Щит держит!" lines
+
+export const Shield = {
+  key: 'shield', gene: 'shield', threshold: 0.8, duration: 2.0, cooldown: 20,
+  name: 'Щит', icon: '\u{1F6E1}', speech: 'Щит!',
+  wards: true,
+
+  // Last resort — IT is almost touching
+  decide: s => !s.isIt && s.distToIt < 1.8,
+
+  blocksTag(target, tagger, rules) {
+    // Sim-time throttle (not setTimeout) so seeded matches stay reproducible
+    if (!(rules.gameTime < target._shieldBlockUntil)) {
+      target.say('Щит держит!', 1.0);
+      target._shieldBlockUntil = rules.gameTime + BLOCK_SPEECH_GAP;
+    }
+    return true;
+  },
+
+  show(fx, mesh) {
+    const geo = new THREE.SphereGeometry(0.65, 16, 12);
+    const mat = new THREE.MeshBasicMaterial({
+      color: 0x44aaff, transparent: true, opacity: 0.25,
+      side: THREE.DoubleSide, depthWrite: false,
+    });
+    const shield = new THREE.Mesh(geo, mat);
+    shield.position.y = 0.35;
+    mesh.add(shield);
+    return shield;
+  },
+
+  // Pulse
+  animate(shield, now) {
+    shield.scale.setScalar(1 + Math.sin(now * 0.008) * 0.08);
+    shield.material.opacity = 0.2 + Math.sin(now * 0.006) * 0.08;
+  },
+};
@@ -0,0 +1,38 @@
+/**
+ * Stealth — the kid turns see-through: hunters only notice it from close by
+ * (Perception), so it can slip out of a chase.
+ */
+
+function setGhost(mesh, enable) {
+  mesh.traverse(child => {
+    if (child.material) {
+      if (enable) {
+        child._origOpacity = child.material.opacity;
+        child._origTransparent = child.material.transparent;
+        child.material.transparent = true;
+        child.material.opacity = 0.15;
+      } else {
+        child.material.opacity = child._origOpacity ?? 1;
+        child.material.transparent = child._origTransparent ?? false;
+      }
+    }
+  });
+}
+
+export const Stealth = {
+  key: 'stealth', gene: 'stealth', threshold: 0.75, duration: 4.0, cooldown: 18,
+  name: 'Невидимость', icon: '\u{1F47B}', speech: 'Исчезаю...',
+  concealment: 0.8,
+
+  // Vanish while IT is coming but not yet close
+  decide: s => !s.isIt && s.distToIt < 6 && s.distToIt > 3,
+
+  show(fx, mesh) {
+    setGhost(mesh, true);
+    return true;
+  },
+
+  hide(fx, handle, mesh) {
+    setGhost(mesh, false);
+  },
+};
@@ -0,0 +1,33 @@
+/**
+ * Default map — the original playground, in the level format (see Level.js).
+ * Kept as a JS module so both Vite and plain Node import it without JSON
+ * import attributes; the object itself is plain JSON.
+ */
+export default {
+  format: 'sifa-level',
+  version: 1,
+  name: 'Детская площадка',
+  ground: { size: 40, color: '#7CBA5C', pathRadius: 6, pathColor: '#C4A96A' },
+  fence: { half: 18, color: '#8B6914' },
+  bound: 16,
+  pieces: [
+    { type: 'slide', x: -8, z: -6.5 },
+    { type: 'swings', x: 6, z: -7 },
+    { type: 'sandbox', x: 0, z: 7 },
+    { type: 'monkeyBars', x: -7, z: 5 },
+    { type: 'merryGoRound', x: 8, z: 5 },
+    { type: 'bench', x: -12, z: 0, rotation: 90 },
+    { type: 'bench', x: 12, z: -2, rotation: -90 },
+    { type: 'bench', x: 3, z: -13, rotation: 0 },
+    { type: 'tree', x: -14, z: -14 },
+    { type: 'tree', x: 14, z: -14 },
+    { type: 'tree', x: -14, z: 10 },
+    { type: 'tree', x: 13, z: 12 },
+    { type: 'tree', x: -10, z: 14 },
+    { type: 'tree', x: 10, z: -12 },
+    { type: 'tree', x: -15, z: 0 },
+    { type: 'tree', x: 15, z: 3 },
+  ],
+  // Empty = agents start on a circle of radius 5 around the center
+  spawns: [],
+};
@@ -1,4 +1,30 @@
 import { GameEngine } from './engine/GameEngine.js';
+import { loadData } from './engine/Storage.js';
+import { LanSession } from './net/LanSession.js';
+import { ElectronLan } from './net/ElectronLan.js';
 
-const engine = new GameEngine();
-engine.start();
+// Custom level (Settings → Уровень) replaces the default playground
+function localGame(lanError = '') {
+  return loadData('level').then(level => ({ level, lanError }));
+}
+
+// ?join=192.168.1.5:47800 mirrors a LAN host's match (Settings → Игра по сети)
+const join = new URLSearchParams(window.location.search).get('join');
+let options;
+if (!join) {
+  options = localGame();
+} else if (!ElectronLan.available()) {
+  options = localGame('Игра по сети работает только в приложении');
+} else {
+  options = LanSession.join(join)
+    .then(joined => ({ joined }))
+    .catch(e => {
+      console.warn('[LAN] join failed:', e.message);
+      return localGame(`Не удалось подключиться к ${join}: ${e.message}`);
+    });
+}
+
+options.then(opts => {
+  const engine = new GameEngine(opts);
+  engine.start();
+});
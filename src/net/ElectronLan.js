@@ -0,0 +1,99 @@
+/**
+ * Renderer side of the Electron LAN transport (electron/lan.js).
+ *
+ * Turns the IPC connection ids into message endpoints { send, close,
+ * onMessage, onClose } that NetHost / NetClient understand. Only exists in
+ * the app — a plain browser has no sockets.
+ */
+import { DEFAULT_LAN_PORT } from './NetProtocol.js';
+
+class LanEndpoint {
+  constructor(api, id) {
+    this.api = api;
+    this.id = id;
+    this.handler = null;
+    this.queued = [];   // messages that came before anyone listened
+    this.onClose = null;
+  }
+
+  get onMessage() { return this.handler; }
+
+  set onMessage(handler) {
+    this.handler = handler;
+    const queued = this.queued;
+    this.queued = [];
+    if (handler) queued.forEach(msg => handler(msg));
+  }
+
+  deliver(msg) {
+    if (this.handler) this.handler(msg);
+    else this.queued.push(msg);
+  }
+
+  send(msg) {
+    this.api.lanSend(this.id, msg);
+  }
+
+  close() {
+    this.api.lanClose(this.id);
+  }
+}
+
+export class ElectronLan {
+  static available() {
+    return typeof window !== 'undefined' && !!(window.electronAPI && window.electronAPI.lanHost);
+  }
+
+  constructor() {
+    this.api = window.electronAPI;
+    this.endpoints = new Map(); // connection id → LanEndpoint
+    this.early = new Map();     // id → messages that beat lanJoin's answer
+    this.onConnection = null;   // host side: (endpoint, address)
+    this.api.onLanEvent(event => this.onEvent(event));
+  }
+
+  // Resolves with { port, addresses }
+  host(port = DEFAULT_LAN_PORT) {
+    return this.api.lanHost(port);
+  }
+
+  async join(address, port = DEFAULT_LAN_PORT) {
+    const id = await this.api.lanJoin(address, port);
+    const endpoint = this.open(id);
+    // The host greets right away — its welcome may beat lanJoin's answer
+    (this.early.get(id) || []).forEach(msg => endpoint.deliver(msg));
+    this.early.delete(id);
+    return endpoint;
+  }
+
+  stop() {
+    return this.api.lanStop();
+  }
+
+  open(id) {
+    const endpoint = new LanEndpoint(this.api, id);
+    this.endpoints.set(id, endpoint);
+    return endpoint;
+  }
+
+  onEvent(event) {
+    if (event.type === 'connection') {
+      const endpoint = this.open(event.id);
+      if (this.onConnection) this.onConnection(endpoint, event.address);
+      return;
+    }
+    const endpoint = this.endpoints.get(event.id);
+    if (event.type === 'message') {
+      if (endpoint) {
+        endpoint.deliver(event.msg);
+      } else {
+        if (!this.early.has(event.id)) this.early.set(event.id, []);
+        this.early.get(event.id).push(event.msg);
+      }
+    } else if (event.type === 'close') {
+      this.endpoints.delete(event.id);
+      this.early.delete(event.id);
+      if (endpoint && endpoint.onClose) endpoint.onClose();
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * The app's LAN state — hosting the running match, or mirroring someone
+ * else's (main.js joins before GameEngine exists: the client's Simulation
+ * is built from the host's welcome).
+ *
+ * GameEngine steps the match and calls netHost.afterStep() / netClient.update();
+ * the settings panel starts and stops hosting and joins through ?join=.
+ */
+import { ElectronLan } from './ElectronLan.js';
+import { NetHost } from './NetHost.js';
+import { NetClient } from './NetClient.js';
+import { DEFAULT_LAN_PORT, parseLanAddress } from './NetProtocol.js';
+
+export class LanSession {
+  constructor({ simulation, joined = null, error = '', onJump = null, onChange = null }) {
+    this.simulation = simulation;
+    this.lan = joined ? joined.lan : null;
+    this.netClient = joined ? joined.client : null;
+    this.address = joined ? joined.address : '';
+    this.netHost = null;
+    this.hostInfo = null;          // { port, addresses } while hosting
+    this.error = error;            // last failure, shown in the settings panel
+    this.onJump = onJump;          // (agent) — a remote player's jump on the host
+    this.onChange = onChange;      // hosting started / stopped, clients came or went
+  }
+
+  // Connect to "address[:port]" and wait for the welcome
+  static async join(text) {
+    const { address, port } = parseLanAddress(text);
+    const lan = new ElectronLan();
+    const client = new NetClient(await lan.join(address, port));
+    const welcome = await client.ready;
+    return { lan, client, welcome, address: `${address}:${port}` };
+  }
+
+  get available() { return ElectronLan.available(); }
+  get hosting() { return this.netHost !== null; }
+  get joined() { return this.netClient !== null; }
+
+  async startHost(port = DEFAULT_LAN_PORT) {
+    if (this.hosting || this.joined) return;
+    if (!this.lan) this.lan = new ElectronLan();
+    try {
+      this.hostInfo = await this.lan.host(port);
+    } catch (e) {
+      this.error = `Не удалось открыть порт ${port}: ${e.message}`;
+      this.changed();
+      return;
+    }
+    this.error = '';
+    this.netHost = new NetHost(this.simulation, { onJump: this.onJump });
+    this.lan.onConnection = endpoint => {
+      this.netHost.addClient(endpoint);
+      const onClose = endpoint.onClose;
+      endpoint.onClose = () => { onClose(); this.changed(); };
+      this.changed();
+    };
+    this.changed();
+  }
+
+  stopHost() {
+    if (!this.hosting) return;
+    this.netHost.close();
+    this.lan.stop();
+    this.netHost = null;
+    this.hostInfo = null;
+    this.changed();
+  }
+
+  changed() {
+    if (this.onChange) this.onChange();
+  }
+
+  // Scoreboard line, empty when there is no LAN match
+  statusText() {
+    if (this.netHost) return this.netHost.statusText();
+    if (this.netClient) return `${this.netClient.statusText()} · ${this.address}`;
+    return '';
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * In-process network for LAN tests — no sockets, same message semantics.
+ *
+ * Messages are JSON-encoded on send and decoded on delivery, so nothing is
+ * shared by reference, and arrive `latency` seconds later in send order.
+ * Time only moves when advance() is called, which keeps runs deterministic.
+ */
+class LoopbackEndpoint {
+  constructor(network) {
+    this.network = network;
+    this.peer = null;
+    this.open = true;
+    this.onMessage = null;
+    this.onClose = null;
+  }
+
+  send(msg) {
+    if (!this.open) return;
+    const wire = JSON.stringify(msg);
+    const peer = this.peer;
+    this.network.sentBytes += wire.length;
+    this.network.schedule(() => {
+      if (peer.open && peer.onMessage) peer.onMessage(JSON.parse(wire));
+    });
+  }
+
+  close() {
+    if (!this.open) return;
+    this.open = false;
+    const peer = this.peer;
+    this.network.schedule(() => {
+      if (!peer.open) return;
+      peer.open = false;
+      if (peer.onClose) peer.onClose();
+    });
+  }
+}
+
+export class LoopbackNetwork {
+  constructor({ latency = 0 } = {}) {
+    this.latency = latency;   // seconds, one way
+    this.time = 0;
+    this.queue = [];          // { at, deliver } in send order
+    this.onConnection = null; // host side: (endpoint)
+    this.sentBytes = 0;       // JSON characters sent, both ways
+  }
+
+  // Host listens for clients
+  listen(onConnection) {
+    this.onConnection = onConnection;
+  }
+
+  // Client side: a connected endpoint (the host hears about it right away)
+  connect() {
+    const client = new LoopbackEndpoint(this);
+    const server = new LoopbackEndpoint(this);
+    client.peer = server;
+    server.peer = client;
+    if (this.onConnection) this.onConnection(server);
+    return client;
+  }
+
+  schedule(deliver) {
+    this.queue.push({ at: this.time + this.latency, deliver });
+  }
+
+  // Move the clock and deliver everything that is due
+  advance(dt) {
+    this.time += dt;
+    while (this.queue.length > 0 && this.queue[0].at <= this.time + 1e-9) {
+      this.queue.shift().deliver();
+    }
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * LAN client — mirrors a match that runs on the host.
+ *
+ * The client builds the same Simulation from the welcome message (seed,
+ * level, roster, mode) but never steps it: agents are posed from the host's
+ * snapshots, drawn INTERP_DELAY behind the newest one so there is always a
+ * pair to blend between. Like ReplayPlayer, each pose also sets
+ * prevPosition one tick earlier and lets Agent.interpolate() place the mesh.
+ *
+ * The kid this client possesses is driven locally by PlayerControl (it
+ * fills agent.control); update() forwards that control to the host.
+ * The host's game events are re-published on the mirror's EventBus, so the
+ * UI listens the same way on both sides.
+ */
+import { FIXED_STEP } from '../engine/Simulation.js';
+import {
+  STATE_CODES, ABILITY_KEYS, FLAG_IT, FLAG_FROZEN, FLAG_SAFE, abilityFlag, airborneFlag,
+} from '../game/MatchRecorder.js';
+import { MSG, NET_VERSION } from './NetProtocol.js';
+
+const INTERP_DELAY = 0.1;    // seconds behind the newest snapshot (two snapshots at 20 Hz)
+const MAX_DRIFT = 0.5;       // further off than this → jump instead of easing
+const CATCH_UP = 2;          // 1/s — how fast the render clock eases back to its target
+const BUFFER_TIME = 1;       // seconds of snapshots kept
+const WELCOME_TIMEOUT = 8000;
+
+// Simulation options for the mirror of a host's match
+export function simulationOptions(welcome) {
+  return {
+    seed: welcome.seed,
+    profiles: welcome.profiles,
+    mode: welcome.mode,
+    roundLength: welcome.roundLength,
+    level: welcome.level,
+  };
+}
+
+export class NetClient {
+  constructor(transport, { name = '' } = {}) {
+    this.transport = transport;
+    this.welcome = null;
+    this.clientId = -1;
+    this.connected = true;
+    this.simulation = null;
+    this.evolutionFx = null;
+    this.snapshots = [];          // STATE messages, oldest first
+    this.renderTime = null;       // host clock time being drawn
+    this.agentId = -1;            // possessed kid, once the host agreed
+    this.jumpPending = false;
+    this.shownFx = new Map();     // agentId → Set of shown ability effects
+    this.onPossess = null;        // (agentId) — granted, or -1 when refused
+    this.onClose = null;
+
+    // Resolves with the welcome message
+    this.ready = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    this.welcomeTimer = setTimeout(() => this.rejectReady(new Error('хост не ответил')), WELCOME_TIMEOUT);
+
+    transport.onMessage = msg => this.onMessage(msg);
+    transport.onClose = () => {
+      this.connected = false;
+      this.rejectReady(new Error('соединение закрыто'));
+      if (this.onClose) this.onClose();
+    };
+    transport.send({ type: MSG.HELLO, name });
+  }
+
+  // The Simulation built from simulationOptions(welcome)
+  attach(simulation, evolutionFx = null) {
+    this.simulation = simulation;
+    this.evolutionFx = evolutionFx;
+    const rules = simulation.sifaRules;
+    rules.tagHistory.push(...this.welcome.tags);
+    rules.mode.rounds.push(...this.welcome.rounds);
+    rules.mode.lastResult = rules.mode.rounds[rules.mode.rounds.length - 1] || null;
+  }
+
+  get agents() { return this.simulation.agentManager.agents; }
+
+  // === HOST MESSAGES ===
+
+  onMessage(msg) {
+    if (!msg || typeof msg !== 'object') return;
+    switch (msg.type) {
+      case MSG.WELCOME:
+        clearTimeout(this.welcomeTimer);
+        if (msg.version !== NET_VERSION) {
+          this.rejectReady(new Error(`другая версия игры (${msg.version})`));
+          this.transport.close();
+          return;
+        }
+        this.welcome = msg;
+        this.clientId = msg.clientId;
+        this.resolveReady(msg);
+        break;
+      case MSG.STATE:
+        this.snapshots.push(msg);
+        while (this.snapshots.length > 2 && this.snapshots[0].time < msg.time - BUFFER_TIME) {
+          this.snapshots.shift();
+        }
+        if (msg.abilities && this.simulation) this.applyAbilities(msg.abilities);
+        break;
+      case MSG.EVENT:
+        if (this.simulation) this.publish(msg.event);
+        break;
+      case MSG.ROUND:
+        if (this.simulation) {
+          const mode = this.simulation.sifaRules.mode;
+          mode.rounds.push(msg.entry);
+          mode.lastResult = msg.entry;
+        }
+        break;
+      case MSG.POSSESSED:
+        this.agentId = msg.agentId;
+        if (this.onPossess) this.onPossess(msg.agentId);
+        break;
+    }
+  }
+
+  publish(event) {
+    const sim = this.simulation;
+    if (event.type === 'tag') {
+      sim.sifaRules.tagHistory.push({ from: event.from, to: event.to, time: event.time });
+    }
+    try {
+      sim.sim.events.emit(event.type, event);
+    } catch (e) {
+      console.warn('[LAN] unknown event from host:', e.message);
+    }
+  }
+
+  applyAbilities(list) {
+    const gs = this.simulation.geneSystem;
+    list.forEach(entry => {
+      gs.setGenes(entry.id, entry.genes);
+      gs.abilityCooldowns.set(entry.id, { ...entry.cooldowns });
+      gs.activeAbilities.set(entry.id, { ...entry.active });
+    });
+  }
+
+  // === POSSESSION ===
+
+  possess(agentId) {
+    this.transport.send({ type: MSG.POSSESS, agentId });
+  }
+
+  release() {
+    if (this.agentId < 0) return;
+    this.agentId = -1;
+    this.transport.send({ type: MSG.RELEASE });
+  }
+
+  // Jump is the host's to do (GameEngine.jumpAgent there)
+  jump() {
+    if (this.agentId >= 0) this.jumpPending = true;
+  }
+
+  // The possessed kid's control → host. Ability presses and jumps are sent once.
+  sendInput() {
+    if (this.agentId < 0) return;
+    const agent = this.agents.find(a => a.id === this.agentId);
+    if (!agent || !agent.control) {
+      this.release(); // PlayerControl let go (camera switched away)
+      return;
+    }
+    const c = agent.control;
+    this.transport.send({
+      type: MSG.INPUT, moveX: c.moveX, moveZ: c.moveZ, sprint: c.sprint, ability: c.ability, jump: this.jumpPending,
+    });
+    c.ability = null;
+    this.jumpPending = false;
+  }
+
+  // === PER FRAME ===
+
+  update(frameDt) {
+    if (!this.simulation || this.snapshots.length === 0) return;
+    if (this.connected) this.sendInput();
+
+    const target = this.snapshots[this.snapshots.length - 1].time - INTERP_DELAY;
+    if (this.renderTime === null || Math.abs(target - this.renderTime) > MAX_DRIFT) {
+      this.renderTime = target;
+    } else {
+      this.renderTime += frameDt + (target - this.renderTime) * Math.min(1, frameDt * CATCH_UP);
+    }
+    this.applyPose(this.renderTime);
+  }
+
+  // Snapshots around `time` and the blend factor between them
+  bracket(time) {
+    const snaps = this.snapshots;
+    let i = snaps.length - 1;
+    while (i > 0 && snaps[i].time > time) i--;
+    const a = snaps[i];
+    const b = snaps[Math.min(i + 1, snaps.length - 1)];
+    const k = b.time > a.time ? Math.max(0, Math.min(1, (time - a.time) / (b.time - a.time))) : 0;
+    return { a, b, k };
+  }
+
+  applyPose(time) {
+    const { a, b, k } = this.bracket(time);
+    const prev = this.bracket(time - FIXED_STEP);
+    const lerp = (x, y, t) => x + (y - x) * t;
+
+    const rules = this.simulation.sifaRules;
+    rules.itAgentId = a.it;
+    rules.gameTime = lerp(a.gameTime, b.gameTime, k);
+    const mode = rules.mode;
+    mode.phase = a.mode.phase;
+    mode.phaseTime = a.mode.phaseTime - (time - a.time);
+    mode.round = a.mode.round;
+    mode.roundTime = lerp(a.mode.roundTime, b.mode.roundTime, a.mode.round === b.mode.round ? k : 0);
+
+    this.agents.forEach((agent, slot) => {
+      const pa = a.state.positions[slot];
+      const pb = b.state.positions[slot];
+      const qa = prev.a.state.positions[slot];
+      const qb = prev.b.state.positions[slot];
+      if (!pa || pa.id !== agent.id) return;
+
+      agent.body.position.set(lerp(pa.x, pb.x, k), lerp(pa.y, pb.y, k), lerp(pa.z, pb.z, k));
+      agent.prevPosition.set(lerp(qa.x, qb.x, prev.k), lerp(qa.y, qb.y, prev.k), lerp(qa.z, qb.z, prev.k));
+      agent.body.velocity.set(pa.vx, 0, pa.vz);
+      agent.mesh.rotation.y = pa.rot;
+      agent.state = STATE_CODES.includes(pa.state) ? pa.state : 'roam';
+      agent.score = pa.score;
+
+      const flags = pa.flags;
+      agent.isIt = !!(flags & FLAG_IT);
+      agent.frozen = !!(flags & FLAG_FROZEN);
+      agent.safe = !!(flags & FLAG_SAFE);
+      agent.flying = airborneFlag(flags);
+      agent.auraGroup.visible = agent.isIt;
+      agent.iceMesh.visible = agent.frozen;
+      this.syncEffects(agent, flags);
+
+      agent.speechText = pa.speech ? pa.speech[0] : '';
+      agent.speechTimer = pa.speech ? Math.max(0, pa.speech[1] - (time - a.time)) : 0;
+
+      agent.interpolate(1);
+    });
+    this.syncDecoys(a.decoys || [], b.decoys || [], k);
+  }
+
+  // Host's decoy clones: spawn / drop to match, then blend like the agents
+  syncDecoys(listA, listB, k) {
+    const decoys = this.simulation.decoys;
+    decoys.list.filter(d => !listA.some(e => e[0] === d.owner.id)).forEach(d => decoys.pop(d));
+    listA.forEach(([ownerId, x, z, vx, vz]) => {
+      const owner = this.agents.find(a => a.id === ownerId);
+      if (!owner) return;
+      const decoy = decoys.list.find(d => d.owner === owner) || decoys.spawn(owner, vx, vz);
+      const next = listB.find(e => e[0] === ownerId) || [ownerId, x, z];
+      decoy.body.position.set(x + (next[1] - x) * k, 0, z + (next[2] - z) * k);
+      decoy.vx = vx;
+      decoy.vz = vz;
+      decoys.place(decoy);
+    });
+  }
+
+  syncEffects(agent, flags) {
+    if (!this.evolutionFx) return;
+    const shown = this.shownFx.get(agent.id) || new Set();
+    ABILITY_KEYS.forEach(key => {
+      const on = !!(flags & abilityFlag(key));
+      if (on && !shown.has(key)) { this.evolutionFx.show(agent.id, key); shown.add(key); }
+      if (!on && shown.has(key)) { this.evolutionFx.hide(agent.id, key); shown.delete(key); }
+    });
+    this.shownFx.set(agent.id, shown);
+  }
+
+  close() {
+    clearTimeout(this.welcomeTimer);
+    this.transport.close();
+  }
+
+  statusText() {
+    if (!this.connected) return 'связь с хостом потеряна';
+    return `клиент ${this.clientId}` + (this.agentId >= 0 ? ' · управляю' : '');
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * LAN host — the authoritative side of a network match.
+ *
+ * The host runs the whole Simulation (physics, SifaRules, GeneSystem);
+ * clients only draw what it streams. GameEngine calls afterStep() after
+ * every fixed step: a detailed compressState() snapshot goes out every
+ * SNAPSHOT_TICKS, finished rounds as soon as they happen. Game events
+ * (EventBus: tags, abilities, evolutions…) are forwarded as they fire.
+ *
+ * A client may possess one kid nobody else drives: its input messages fill
+ * that agent's `control`, exactly like a local PlayerControl would.
+ *
+ * Transports are message endpoints { send, close, onMessage, onClose } —
+ * TCP through Electron (ElectronLan) or in-process (LoopbackNetwork).
+ */
+import { MSG, NET_VERSION, SNAPSHOT_TICKS, ABILITY_TICKS, sanitizeInput } from './NetProtocol.js';
+
+export class NetHost {
+  constructor(simulation, { onJump = null } = {}) {
+    this.simulation = simulation;
+    this.onJump = onJump;     // (agent) — a remote player's jump (GameEngine.jumpAgent)
+    this.clients = new Map(); // clientId → { id, name, transport, agentId }
+    this.nextClientId = 1;
+    this.tickCounter = 0;
+    this.sentRounds = simulation.sifaRules.mode.rounds.length;
+    this.unsubscribe = simulation.sim.events.on('*', event => {
+      if (this.clients.size > 0) this.broadcast({ type: MSG.EVENT, event });
+    });
+  }
+
+  addClient(transport) {
+    const client = { id: this.nextClientId++, name: '', transport, agentId: -1 };
+    this.clients.set(client.id, client);
+    transport.onMessage = msg => this.onMessage(client, msg);
+    transport.onClose = () => this.removeClient(client);
+    transport.send(this.welcome(client));
+    transport.send(this.snapshot(true));
+    return client;
+  }
+
+  removeClient(client) {
+    this.releaseAgent(client);
+    this.clients.delete(client.id);
+  }
+
+  // Everything a client needs to build the same match before the first snapshot
+  welcome(client) {
+    const sim = this.simulation;
+    const rules = sim.sifaRules;
+    return {
+      type: MSG.WELCOME,
+      version: NET_VERSION,
+      clientId: client.id,
+      seed: sim.seed,
+      mode: rules.mode.key,
+      roundLength: rules.mode.roundLength,
+      level: sim.level.toJSON(),
+      profiles: sim.agentManager.agents.map(a => a.profile),
+      tags: rules.tagHistory,
+      rounds: rules.mode.rounds,
+    };
+  }
+
+  // === CLIENT MESSAGES ===
+
+  onMessage(client, msg) {
+    if (!msg || typeof msg !== 'object') return;
+    switch (msg.type) {
+      case MSG.HELLO:
+        client.name = String(msg.name || '').slice(0, 24);
+        break;
+      case MSG.POSSESS:
+        this.possess(client, msg.agentId);
+        break;
+      case MSG.RELEASE:
+        this.releaseAgent(client);
+        break;
+      case MSG.INPUT: {
+        const agent = this.agentOf(client);
+        if (!agent) break;
+        const { jump, ...input } = sanitizeInput(msg);
+        // An ability press waits for the step that consumes it
+        agent.control = { ...input, ability: input.ability || agent.control.ability };
+        if (jump && this.onJump) this.onJump(agent);
+        break;
+      }
+    }
+  }
+
+  agentOf(client) {
+    if (client.agentId < 0) return null;
+    return this.simulation.agentManager.agents.find(a => a.id === client.agentId) || null;
+  }
+
+  // Only a kid nobody drives — not another client's, not the host player's
+  possess(client, agentId) {
+    const agent = this.simulation.agentManager.agents.find(a => a.id === agentId);
+    if (!agent || (agent.control && client.agentId !== agentId)) {
+      client.transport.send({ type: MSG.POSSESSED, agentId: -1, reason: agent ? 'busy' : 'unknown' });
+      return;
+    }
+    this.releaseAgent(client);
+    client.agentId = agent.id;
+    agent.control = { moveX: 0, moveZ: 0, sprint: false, ability: null };
+    agent.say('Я сам!', 1.5);
+    client.transport.send({ type: MSG.POSSESSED, agentId: agent.id });
+  }
+
+  releaseAgent(client) {
+    const agent = this.agentOf(client);
+    if (agent) agent.control = null;
+    client.agentId = -1;
+  }
+
+  // === STREAM ===
+
+  // Called after every Simulation.step
+  afterStep() {
+    const rules = this.simulation.sifaRules;
+    const rounds = rules.mode.rounds;
+    while (this.sentRounds < rounds.length) {
+      this.broadcast({ type: MSG.ROUND, entry: rounds[this.sentRounds++] });
+    }
+    const tick = this.tickCounter++;
+    if (tick % SNAPSHOT_TICKS === 0 && this.clients.size > 0) {
+      this.broadcast(this.snapshot(tick % ABILITY_TICKS === 0));
+    }
+  }
+
+  snapshot(withAbilities = false) {
+    const sim = this.simulation;
+    const rules = sim.sifaRules;
+    const mode = rules.mode;
+    const msg = {
+      type: MSG.STATE,
+      tick: sim.clock.tick,
+      time: sim.clock.time,
+      gameTime: rules.gameTime,
+      it: rules.itAgentId,
+      mode: { phase: mode.phase, phaseTime: mode.phaseTime, round: mode.round, roundTime: mode.roundTime },
+      state: sim.agentManager.compressState(rules.itAgentId, { detail: true, geneSystem: sim.geneSystem }),
+      decoys: sim.decoys.toJSON(),
+    };
+    if (withAbilities) {
+      const gs = sim.geneSystem;
+      msg.abilities = sim.agentManager.agents.map(a => ({
+        id: a.id,
+        genes: gs.getGenes(a.id),
+        cooldowns: gs.abilityCooldowns.get(a.id) || {},
+        active: gs.activeAbilities.get(a.id) || {},
+      }));
+    }
+    return msg;
+  }
+
+  broadcast(msg) {
+    this.clients.forEach(client => client.transport.send(msg));
+  }
+
+  close() {
+    this.unsubscribe();
+    this.clients.forEach(client => {
+      this.releaseAgent(client);
+      client.transport.close();
+    });
+    this.clients.clear();
+  }
+
+  statusText() {
+    const players = [...this.clients.values()].filter(c => c.agentId >= 0).length;
+    return `хост · подключено: ${this.clients.size}, играют: ${players}`;
+  }
+}
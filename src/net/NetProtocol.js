@@ -0,0 +1,57 @@
+/**
+ * LAN match protocol — message types shared by NetHost and NetClient.
+ *
+ * Every message is one JSON object with a `type`:
+ *   host → client
+ *     welcome   { version, clientId, seed, mode, roundLength, level, profiles,
+ *                 tags, rounds }  — enough to build the same Simulation
+ *     state     { tick, time, gameTime, it, mode: { phase, phaseTime, round,
+ *                 roundTime }, state: AgentManager.compressState(detail),
+ *                 abilities? }  — every SNAPSHOT_TICKS, abilities every ABILITY_TICKS
+ *     event     { event }  — a game event from the host's EventBus (tags too)
+ *     round     { entry }  — a finished round (GameMode.rounds entry)
+ *     possessed { agentId, reason? }  — possession granted, or -1 when refused
+ *   client → host
+ *     hello     { name }
+ *     possess   { agentId }
+ *     release   {}
+ *     input     { moveX, moveZ, sprint, ability, jump }  — the possessed kid's control
+ */
+import { ABILITIES } from '../game/GeneSystem.js';
+
+export const NET_VERSION = 2;
+export const DEFAULT_LAN_PORT = 47800;
+
+export const MSG = {
+  WELCOME: 'welcome',
+  STATE: 'state',
+  EVENT: 'event',
+  ROUND: 'round',
+  POSSESSED: 'possessed',
+  HELLO: 'hello',
+  POSSESS: 'possess',
+  RELEASE: 'release',
+  INPUT: 'input',
+};
+
+export const SNAPSHOT_TICKS = 3;    // 60 Hz sim → 20 Hz snapshots
+export const ABILITY_TICKS = 15;    // genes / cooldowns four times a second
+
+// Remote input is trusted only this far: unit-range stick, known abilities
+export function sanitizeInput(msg) {
+  const axis = v => (Number.isFinite(v) ? Math.max(-1, Math.min(1, v)) : 0);
+  return {
+    moveX: axis(msg.moveX),
+    moveZ: axis(msg.moveZ),
+    sprint: !!msg.sprint,
+    ability: typeof msg.ability === 'string' && ABILITIES[msg.ability] ? msg.ability : null,
+    jump: !!msg.jump,
+  };
+}
+
+// "192.168.1.5" / "192.168.1.5:47800" → { address, port }
+export function parseLanAddress(text) {
+  const [address, port] = String(text).trim().split(':');
+  const n = parseInt(port, 10);
+  return { address, port: n > 0 && n < 65536 ? n : DEFAULT_LAN_PORT };
+}
@@ -0,0 +1,204 @@
+/**
+ * Brain heatmap — what one kid has learned, drawn on the playground.
+ *
+ * Colored tiles over AgentBrain's grids: where the kid got tagged (danger),
+ * survived (safe), tagged someone (chase), or the combined score its
+ * movement bias steers by for its current role (AgentBrain.cellScore) —
+ * green pulls, red pushes away. Toggle with M or the "Карта мозга" button;
+ * the panel picks the kid (or follows the camera) and the view. The tiles
+ * are one texture, redrawn from the live brain a few times a second.
+ */
+import * as THREE from 'three';
+import { BRAIN_GRID } from '../agents/AgentBrain.js';
+
+const TEXELS = 4;           // texels per cell; the last row/column stays clear (tile gaps)
+const REFRESH_FRAMES = 15;
+const MIN_VALUE = 0.02;     // fainter cells aren't drawn
+const MAX_ALPHA = 190;
+
+const RED = [255, 68, 68];
+const GREEN = [68, 255, 102];
+const ORANGE = [255, 170, 34];
+
+const VIEWS = {
+  danger: { name: 'Опасно', color: RED, text: 'где меня осалили' },
+  safe: { name: 'Безопасно', color: GREEN, text: 'где я продержался' },
+  chase: { name: 'Охота', color: ORANGE, text: 'где я осалил' },
+  combined: { name: 'Итог', text: 'куда тянет память сейчас' },
+};
+const GRID_KEYS = { danger: 'dangerMap', safe: 'safeMap', chase: 'chaseMap' };
+const CAMERA = 'camera';    // agent select: follow the camera's kid
+
+const css = ([r, g, b], a = 1) => `rgba(${r},${g},${b},${a})`;
+
+export class BrainHeatmap {
+  constructor({ scene, agentManager }) {
+    this.agentManager = agentManager;
+    this.enabled = false;
+    this.view = 'combined';
+    this.agentId = CAMERA;    // or a fixed agent id
+    this.frame = 0;
+    this.onToggle = null;     // (enabled) => void, keeps the button label in sync
+
+    const cells = BRAIN_GRID.cells;
+    this.width = cells * TEXELS;
+    this.texture = new THREE.DataTexture(new Uint8Array(this.width * this.width * 4), this.width, this.width);
+    this.texture.magFilter = THREE.NearestFilter;
+    this.texture.minFilter = THREE.NearestFilter;
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+
+    const span = cells * BRAIN_GRID.size;
+    const offset = span / 2 - BRAIN_GRID.offset; // grid centre in world units
+    this.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(span, span),
+      new THREE.MeshBasicMaterial({ map: this.texture, transparent: true, depthWrite: false }),
+    );
+    this.mesh.rotation.x = -Math.PI / 2;
+    this.mesh.position.set(offset, 0.04, offset);
+    this.mesh.renderOrder = 1;
+    this.mesh.visible = false;
+    scene.add(this.mesh);
+
+    this.buildPanel();
+  }
+
+  buildPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'heatmap-panel';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+
+    // Keep clicks and keys inside the panel away from game hotkeys
+    this.panel.addEventListener('click', e => e.stopPropagation());
+    this.panel.addEventListener('keydown', e => e.stopPropagation());
+
+    const title = document.createElement('b');
+    title.textContent = 'КАРТА МОЗГА';
+    this.panel.appendChild(title);
+
+    this.agentSelect = document.createElement('select');
+    const follow = document.createElement('option');
+    follow.value = CAMERA;
+    follow.textContent = 'За камерой';
+    this.agentSelect.appendChild(follow);
+    this.agentManager.agents.forEach(agent => {
+      const opt = document.createElement('option');
+      opt.value = String(agent.id);
+      opt.textContent = agent.profile.name;
+      this.agentSelect.appendChild(opt);
+    });
+    this.agentSelect.addEventListener('change', () => {
+      this.agentId = this.agentSelect.value === CAMERA ? CAMERA : parseInt(this.agentSelect.value, 10);
+      this.frame = 0;
+    });
+    this.panel.appendChild(this.agentSelect);
+
+    const views = document.createElement('div');
+    views.className = 'heatmap-views';
+    this.viewButtons = {};
+    Object.entries(VIEWS).forEach(([key, view]) => {
+      const btn = document.createElement('button');
+      btn.textContent = view.name;
+      btn.addEventListener('click', () => this.setView(key));
+      views.appendChild(btn);
+      this.viewButtons[key] = btn;
+    });
+    this.panel.appendChild(views);
+
+    this.legend = document.createElement('div');
+    this.legend.className = 'heatmap-legend';
+    this.panel.appendChild(this.legend);
+    this.setView(this.view);
+  }
+
+  toggle() {
+    this.setEnabled(!this.enabled);
+  }
+
+  setEnabled(on) {
+    this.enabled = on;
+    this.mesh.visible = on;
+    this.panel.style.display = on ? 'block' : 'none';
+    this.frame = 0;
+    if (this.onToggle) this.onToggle(on);
+  }
+
+  setView(key) {
+    this.view = key;
+    Object.entries(this.viewButtons).forEach(([k, btn]) => btn.classList.toggle('active', k === key));
+    this.frame = 0;
+  }
+
+  // Every frame; focusId = the camera's kid (used while following the camera)
+  update(focusId) {
+    if (!this.enabled) return;
+    if (this.frame++ % REFRESH_FRAMES !== 0) return;
+    const id = this.agentId === CAMERA ? focusId : this.agentId;
+    const agent = this.agentManager.agents.find(a => a.id === id);
+    if (!agent) return;
+    this.paint(agent);
+    this.renderLegend(agent);
+  }
+
+  // Grids → texels; row 0 of the texture is the far (+z) edge of the plane
+  paint(agent) {
+    const brain = agent.brain;
+    const cells = BRAIN_GRID.cells;
+    const data = this.texture.image.data;
+    for (let gx = 0; gx < cells; gx++) {
+      for (let gz = 0; gz < cells; gz++) {
+        const [r, g, b, a] = this.cellColor(brain, gx, gz, agent.isIt);
+        const row = cells - 1 - gz;
+        for (let tz = 0; tz < TEXELS; tz++) {
+          for (let tx = 0; tx < TEXELS; tx++) {
+            const i = ((row * TEXELS + tz) * this.width + gx * TEXELS + tx) * 4;
+            const gap = tx === TEXELS - 1 || tz === TEXELS - 1;
+            data[i] = r;
+            data[i + 1] = g;
+            data[i + 2] = b;
+            data[i + 3] = gap ? 0 : a;
+          }
+        }
+      }
+    }
+    this.texture.needsUpdate = true;
+  }
+
+  // [r, g, b, alpha] of one cell in the current view
+  cellColor(brain, gx, gz, isIt) {
+    let value;
+    let color;
+    if (this.view === 'combined') {
+      const score = Math.max(-1, Math.min(1, brain.cellScore(gx, gz, isIt)));
+      value = Math.abs(score);
+      color = score >= 0 ? GREEN : RED;
+    } else {
+      value = brain[GRID_KEYS[this.view]][gx][gz];
+      color = VIEWS[this.view].color;
+    }
+    if (value < MIN_VALUE) return [0, 0, 0, 0];
+    // sqrt: young memories (small values) still show up
+    return [...color, Math.round(Math.sqrt(Math.min(1, value)) * MAX_ALPHA)];
+  }
+
+  renderLegend(agent) {
+    const view = VIEWS[this.view];
+    const stats = agent.brain.getStats();
+    const colorHex = '#' + agent.profile.color.toString(16).padStart(6, '0');
+    const gradient = this.view === 'combined'
+      ? `linear-gradient(to right, ${css(RED)}, transparent, ${css(GREEN)})`
+      : `linear-gradient(to right, transparent, ${css(view.color)})`;
+    const ends = this.view === 'combined' ? ['избегает', 'тянет'] : ['0', '1'];
+
+    let html = `<span style="color:${colorHex}">●</span> ${agent.profile.name}` +
+      ` <small>(${agent.isIt ? 'водит' : 'убегает'})</small><br>`;
+    html += `<small>${view.name}: ${view.text}</small>`;
+    html += `<div class="heatmap-gradient" style="background:${gradient}"></div>`;
+    html += `<small class="heatmap-ends"><span>${ends[0]}</span><span>${ends[1]}</span></small>`;
+    html += `<small style="color:${css(RED)}">${stats.dangerZones} опасн</small> · ` +
+      `<small style="color:${css(GREEN)}">${stats.safeZones} безоп</small> · ` +
+      `<small style="color:${css(ORANGE)}">${stats.huntZones} охотн</small>`;
+    if (stats.policy) html += `<br><small style="opacity:0.6">ведёт RL-политика, карта — для справки</small>`;
+    this.legend.innerHTML = html;
+  }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { SeededRandom } from '../engine/SimContext.js';
 
 /**
  * Procedural stylized child character model (Meta Horizon / Rec Room style)
@@ -64,8 +65,43 @@ const CHILD_STYLES = [
   },
 ];
 
+// Generated look for agents beyond the hand-made five (stable per id)
+const SKIN_COLORS = [0xFFDBAC, 0xF1C27D, 0xE0AC69, 0xD2A67D, 0xC68642, 0x8D5524];
+const HAIR_COLORS = [0x222222, 0x654321, 0x8B4513, 0xB7410E, 0xDAA520, 0xF4E3B1];
+const PANTS_COLORS = [0x2C3E50, 0x34495E, 0x2980B9, 0x8E44AD, 0x7F8C8D, 0x16A085];
+const SHOE_COLORS = [0x333333, 0xFFFFFF, 0xE74C3C, 0xF39C12, 0x2C3E50];
+const HAIR_STYLES = ['spiky', 'pigtails', 'cap', 'ponytail', 'messy'];
+
+function generateStyle(agentId, accentColor) {
+  const rng = new SeededRandom(agentId * 104729 + 3);
+  return {
+    skinColor: rng.pick(SKIN_COLORS),
+    hairColor: rng.pick(HAIR_COLORS),
+    hairStyle: rng.pick(HAIR_STYLES),
+    shirtColor: accentColor,
+    pantsColor: rng.pick(PANTS_COLORS),
+    shoeColor: rng.pick(SHOE_COLORS),
+    eyeSize: 0.95 + rng.next() * 0.25,
+    headScale: 0.95 + rng.next() * 0.13,
+  };
+}
+
+const DECOY_OPACITY = 0.55;
+
+// See-through copy of a kid for the decoy ability (Decoys.createMesh)
+export function createDecoyModel(agentId, accentColor) {
+  const model = createChildModel(agentId, accentColor);
+  model.traverse(child => {
+    if (child.material) {
+      child.material.transparent = true;
+      child.material.opacity = DECOY_OPACITY;
+    }
+  });
+  return model;
+}
+
 export function createChildModel(agentId, accentColor) {
-  const style = CHILD_STYLES[agentId % CHILD_STYLES.length];
+  const style = CHILD_STYLES[agentId] || generateStyle(agentId, accentColor);
   const group = new THREE.Group();
 
   const skinMat = new THREE.MeshLambertMaterial({ color: style.skinColor });
@@ -233,6 +269,9 @@ export function createChildModel(agentId, accentColor) {
   stripe.position.y = 0.34;
   group.add(stripe);
 
+  // Team-color materials, recolored when the profile color is edited
+  group.userData.accentMaterials = [shirtMat, stripeMat];
+
   // === NAME TAG (number on back) ===
   // Small circle with number color
   const tagGeo = new THREE.CircleGeometry(0.06, 8);
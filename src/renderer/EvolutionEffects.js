@@ -2,18 +2,24 @@
  * Visual effects for evolution abilities.
  * Each effect is a Three.js Object3D attached to an agent's mesh.
  *
+ * What each effect looks like lives in its ability plugin (show / hide /
+ * animate, see AbilityRegistry); this class keeps the handles and the
+ * shared particles (rings, dash trails).
+ *
  * CONSTRAINT CODER: obvious = add effects as inline code in Agent.js.
  * BANNED. Separate visual layer — Agent only calls show/hide.
  * WHY: keeps physics clean, effects can be swapped without touching movement.
  */
 import * as THREE from 'three';
+import { getAbility } from '../game/AbilityRegistry.js';
 
 export class EvolutionEffects {
   constructor(scene) {
     this.scene = scene;
     this.effects = new Map();  // agentId -> { type -> mesh/group }
-    this.screamRings = [];     // expanding rings to update
+    this.rings = [];           // expanding rings to update
     this.dashTrails = [];      // fading trail particles
+    this.beams = [];           // fading rays between two points
   }
 
   // Initialize effect holders for an agent
@@ -24,18 +30,14 @@ export class EvolutionEffects {
   // Show an ability effect
   show(agentId, abilityKey) {
     const data = this.effects.get(agentId);
-    if (!data) return;
+    const def = getAbility(abilityKey);
+    if (!data || !def || !def.show) return;
 
     // Don't recreate if already active
     if (data.active[abilityKey]) return;
 
-    switch (abilityKey) {
-      case 'shield': data.active.shield = this._createShield(data.mesh); break;
-      case 'fly': data.active.fly = this._createWings(data.mesh); break;
-      case 'scream': this._createScreamRing(data.mesh); break;
-      case 'stealth': this._applyStealth(data.mesh, true); data.active.stealth = true; break;
-      case 'dash': data.active.dash = this._createDashAura(data.mesh); break;
-    }
+    const handle = def.show(this, data.mesh, agentId);
+    if (handle) data.active[abilityKey] = handle;
   }
 
   // Hide an ability effect
@@ -43,19 +45,12 @@ export class EvolutionEffects {
     const data = this.effects.get(agentId);
     if (!data) return;
 
-    const obj = data.active[abilityKey];
-    if (!obj) return;
-
-    switch (abilityKey) {
-      case 'shield':
-      case 'fly':
-      case 'dash':
-        if (obj.parent) obj.parent.remove(obj);
-        break;
-      case 'stealth':
-        this._applyStealth(data.mesh, false);
-        break;
-    }
+    const handle = data.active[abilityKey];
+    if (!handle) return;
+
+    const def = getAbility(abilityKey);
+    if (def && def.hide) def.hide(this, handle, data.mesh);
+    else if (handle.parent) handle.parent.remove(handle);
     delete data.active[abilityKey];
   }
 
@@ -63,9 +58,9 @@ export class EvolutionEffects {
   update(dt) {
     const now = Date.now();
 
-    // Scream rings: expand and fade
-    for (let i = this.screamRings.length - 1; i >= 0; i--) {
-      const ring = this.screamRings[i];
+    // Rings: expand and fade
+    for (let i = this.rings.length - 1; i >= 0; i--) {
+      const ring = this.rings[i];
       ring.age += dt;
       const t = ring.age / ring.maxAge;
       const scale = 1 + t * 12;
@@ -73,7 +68,7 @@ export class EvolutionEffects {
       ring.mesh.material.opacity = 0.6 * (1 - t);
       if (t >= 1) {
         if (ring.mesh.parent) ring.mesh.parent.remove(ring.mesh);
-        this.screamRings.splice(i, 1);
+        this.rings.splice(i, 1);
       }
     }
 
@@ -90,21 +85,41 @@ export class EvolutionEffects {
       }
     }
 
-    // Shield pulse
-    this.effects.forEach(data => {
-      if (data.active.shield) {
-        const s = 1 + Math.sin(now * 0.008) * 0.08;
-        data.active.shield.scale.setScalar(s);
-        data.active.shield.material.opacity = 0.2 + Math.sin(now * 0.006) * 0.08;
-      }
-      if (data.active.fly) {
-        // Wing flap
-        const flap = Math.sin(now * 0.015) * 0.4;
-        const wings = data.active.fly.children;
-        if (wings[0]) wings[0].rotation.z = 0.3 + flap;
-        if (wings[1]) wings[1].rotation.z = -0.3 - flap;
+    // Beams: fade and remove
+    for (let i = this.beams.length - 1; i >= 0; i--) {
+      const beam = this.beams[i];
+      beam.age += dt;
+      const t = beam.age / beam.maxAge;
+      beam.mesh.material.opacity = 0.8 * (1 - t);
+      if (t >= 1) {
+        this.scene.remove(beam.mesh);
+        this.beams.splice(i, 1);
       }
+    }
+
+    // Plugin animations (shield pulse, wing flap…)
+    this.effects.forEach(data => {
+      Object.entries(data.active).forEach(([key, handle]) => {
+        const def = getAbility(key);
+        if (def && def.animate) def.animate(handle, now);
+      });
+    });
+  }
+
+  // Straight ray from one point to another, fading out (freeze ray…)
+  spawnBeam(from, to, { color = 0x88ddff, maxAge = 0.5 } = {}) {
+    const a = new THREE.Vector3(from.x, from.y + 0.5, from.z);
+    const b = new THREE.Vector3(to.x, to.y + 0.5, to.z);
+    const length = a.distanceTo(b);
+    const geo = new THREE.CylinderGeometry(0.05, 0.05, length, 6);
+    const mat = new THREE.MeshBasicMaterial({
+      color, transparent: true, opacity: 0.8, depthWrite: false,
     });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.position.copy(a).lerp(b, 0.5);
+    mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), b.clone().sub(a).normalize());
+    this.scene.add(mesh);
+    this.beams.push({ mesh, age: 0, maxAge });
   }
 
   // Spawn dash trail particle at position
@@ -119,91 +134,17 @@ export class EvolutionEffects {
     this.dashTrails.push({ mesh, age: 0, maxAge: 0.6 });
   }
 
-  // --- Private effect creators ---
-
-  _createShield(parentMesh) {
-    const geo = new THREE.SphereGeometry(0.65, 16, 12);
-    const mat = new THREE.MeshBasicMaterial({
-      color: 0x44aaff, transparent: true, opacity: 0.25,
-      side: THREE.DoubleSide, depthWrite: false,
-    });
-    const shield = new THREE.Mesh(geo, mat);
-    shield.position.y = 0.35;
-    parentMesh.add(shield);
-    return shield;
-  }
-
-  _createWings(parentMesh) {
-    const group = new THREE.Group();
-    group.position.y = 0.45;
-
-    const wingShape = new THREE.Shape();
-    wingShape.moveTo(0, 0);
-    wingShape.quadraticCurveTo(0.2, 0.2, 0.5, 0.15);
-    wingShape.quadraticCurveTo(0.3, 0, 0.4, -0.15);
-    wingShape.quadraticCurveTo(0.15, -0.05, 0, 0);
-
-    const wingGeo = new THREE.ShapeGeometry(wingShape);
-    const wingMat = new THREE.MeshBasicMaterial({
-      color: 0xffffff, transparent: true, opacity: 0.7,
-      side: THREE.DoubleSide, depthWrite: false,
-    });
-
-    const leftWing = new THREE.Mesh(wingGeo, wingMat);
-    leftWing.position.x = 0.15;
-    leftWing.rotation.y = Math.PI / 2;
-    group.add(leftWing);
-
-    const rightWing = new THREE.Mesh(wingGeo, wingMat.clone());
-    rightWing.position.x = -0.15;
-    rightWing.rotation.y = -Math.PI / 2;
-    rightWing.scale.x = -1;
-    group.add(rightWing);
-
-    parentMesh.add(group);
-    return group;
-  }
-
-  _createScreamRing(parentMesh) {
+  // Expanding, fading ground ring around an agent (scream…)
+  spawnRing(parentMesh, { color = 0xff4400, maxAge = 0.8 } = {}) {
     const geo = new THREE.RingGeometry(0.3, 0.5, 24);
     const mat = new THREE.MeshBasicMaterial({
-      color: 0xff4400, transparent: true, opacity: 0.6,
+      color, transparent: true, opacity: 0.6,
       side: THREE.DoubleSide, depthWrite: false,
     });
     const ring = new THREE.Mesh(geo, mat);
     ring.rotation.x = -Math.PI / 2;
     ring.position.y = 0.3;
     parentMesh.add(ring);
-    this.screamRings.push({ mesh: ring, age: 0, maxAge: 0.8 });
-  }
-
-  _applyStealth(mesh, enable) {
-    mesh.traverse(child => {
-      if (child.material) {
-        if (enable) {
-          child._origOpacity = child.material.opacity;
-          child._origTransparent = child.material.transparent;
-          child.material.transparent = true;
-          child.material.opacity = 0.15;
-        } else {
-          child.material.opacity = child._origOpacity ?? 1;
-          child.material.transparent = child._origTransparent ?? false;
-        }
-      }
-    });
-  }
-
-  _createDashAura(parentMesh) {
-    const geo = new THREE.ConeGeometry(0.25, 0.6, 6);
-    const mat = new THREE.MeshBasicMaterial({
-      color: 0xffaa00, transparent: true, opacity: 0.35,
-      depthWrite: false,
-    });
-    const cone = new THREE.Mesh(geo, mat);
-    cone.position.y = 0.3;
-    cone.rotation.x = Math.PI; // point backward
-    cone.position.z = -0.3;
-    parentMesh.add(cone);
-    return cone;
+    this.rings.push({ mesh: ring, age: 0, maxAge });
   }
 }
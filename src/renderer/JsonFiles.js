@@ -0,0 +1,27 @@
+/**
+ * Browser-side JSON file helpers (download / pick), used where Electron has
+ * no dedicated dialog IPC or the app runs on the Vite dev server.
+ */
+export function downloadJson(data, filename, indent = 2) {
+  const blob = new Blob([JSON.stringify(data, null, indent)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// Resolves parsed JSON, or null if the user picked nothing
+export function pickJsonFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) { resolve(null); return; }
+      file.text().then(text => resolve(JSON.parse(text))).catch(reject);
+    });
+    input.click();
+  });
+}
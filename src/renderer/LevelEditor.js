@@ -0,0 +1,321 @@
+/**
+ * Level editor (camera mode 'editor', orbit camera like 'free').
+ *
+ * Click a piece to select it, drag it over the ground, Q / E rotate,
+ * Delete removes it; the panel adds new pieces and saves the layout. Every
+ * change goes through Playground, which keeps the level's obstacle lists in
+ * sync — agents steer around the new layout on the next tick.
+ */
+import * as THREE from 'three';
+import { Level, PIECE_TYPES } from '../game/Level.js';
+import { saveData } from '../engine/Storage.js';
+import { downloadJson, pickJsonFile } from './JsonFiles.js';
+
+const LEVEL_NAME = 'level';
+const ROTATE_STEP = 15; // degrees per Q / E
+const SNAP_STEPS = [0, 0.5, 1, 2];
+const EDGE_MARGIN = 1;  // pieces stay this far inside the fence
+
+export class LevelEditor {
+  constructor({ canvas, camera, scene, orbitControls, playground }) {
+    this.canvas = canvas;
+    this.camera = camera;
+    this.orbitControls = orbitControls;
+    this.playground = playground;
+    this.level = playground.level;
+    this.active = false;
+    this.selected = null;   // Playground piece entry
+    this.dragging = false;
+    this.dragOffset = new THREE.Vector2();
+    this.snap = 1;
+    this.newType = 'tree';
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+    // Selection ring on the ground (radius = steering footprint)
+    this.marker = new THREE.Mesh(
+      new THREE.RingGeometry(0.9, 1, 32),
+      new THREE.MeshBasicMaterial({ color: 0xffdd33, side: THREE.DoubleSide, transparent: true, opacity: 0.8 })
+    );
+    this.marker.rotation.x = -Math.PI / 2;
+    this.marker.position.y = 0.03;
+    this.marker.visible = false;
+    scene.add(this.marker);
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'level-editor';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+    this.panel.addEventListener('click', e => e.stopPropagation());
+    this.panel.addEventListener('keydown', e => e.stopPropagation());
+
+    // Capture phase: decide before OrbitControls whether this click drags a piece
+    canvas.addEventListener('pointerdown', e => this.onPointerDown(e), true);
+    window.addEventListener('pointermove', e => this.onPointerMove(e));
+    window.addEventListener('pointerup', () => this.onPointerUp());
+    document.addEventListener('keydown', e => this.onKeyDown(e));
+  }
+
+  show() {
+    this.active = true;
+    this.panel.style.display = 'block';
+    this.render();
+  }
+
+  hide() {
+    this.active = false;
+    this.onPointerUp();
+    this.select(null);
+    this.panel.style.display = 'none';
+  }
+
+  // === POINTER ===
+
+  groundPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((e.clientX - rect.left) / rect.width) * 2 - 1,
+      -((e.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+    const point = new THREE.Vector3();
+    return this.raycaster.ray.intersectPlane(this.groundPlane, point) ? point : null;
+  }
+
+  onPointerDown(e) {
+    if (!this.active || e.button !== 0) return;
+    const ground = this.groundPoint(e);
+    const hits = this.raycaster.intersectObjects(this.playground.pieceObjects.map(p => p.group), true);
+    const entry = hits.length > 0 ? this.playground.entryFor(hits[0].object) : null;
+    this.select(entry);
+    if (!entry || !ground) return;
+
+    // Grab: camera stays put while the piece follows the pointer
+    this.dragging = true;
+    this.orbitControls.enabled = false;
+    this.dragOffset.set(entry.piece.x - ground.x, entry.piece.z - ground.z);
+  }
+
+  onPointerMove(e) {
+    if (!this.dragging || !this.selected) return;
+    const ground = this.groundPoint(e);
+    if (!ground) return;
+    const piece = this.selected.piece;
+    const x = this.clampToFence(this.snapValue(ground.x + this.dragOffset.x));
+    const z = this.clampToFence(this.snapValue(ground.z + this.dragOffset.y));
+    if (x === piece.x && z === piece.z) return;
+    piece.x = x;
+    piece.z = z;
+    this.changed();
+  }
+
+  onPointerUp() {
+    if (!this.dragging) return;
+    this.dragging = false;
+    this.orbitControls.enabled = this.active;
+    this.render();
+  }
+
+  onKeyDown(e) {
+    if (!this.active || e.ctrlKey || e.altKey) return;
+    switch (e.code) {
+      case 'KeyQ': this.rotate(-ROTATE_STEP); break;
+      case 'KeyE': this.rotate(ROTATE_STEP); break;
+      case 'Delete':
+      case 'Backspace':
+        e.preventDefault();
+        this.deleteSelected();
+        break;
+    }
+  }
+
+  // === EDITS ===
+
+  select(entry) {
+    this.selected = entry;
+    this.updateMarker();
+    if (this.active) this.render();
+  }
+
+  rotate(step) {
+    if (!this.selected) return;
+    const piece = this.selected.piece;
+    piece.rotation = ((Math.round((piece.rotation + step) / ROTATE_STEP) * ROTATE_STEP) % 360 + 360) % 360;
+    this.changed();
+    this.render();
+  }
+
+  addPiece() {
+    const target = this.orbitControls.target;
+    const entry = this.playground.addPiece({
+      type: this.newType,
+      x: this.clampToFence(this.snapValue(target.x)),
+      z: this.clampToFence(this.snapValue(target.z)),
+    });
+    this.select(entry);
+  }
+
+  deleteSelected() {
+    if (!this.selected) return;
+    this.playground.removePiece(this.selected);
+    this.select(null);
+  }
+
+  // Selected piece moved / rotated: physics, obstacle lists, marker
+  changed() {
+    this.playground.movePiece(this.selected);
+    this.updateMarker();
+  }
+
+  updateMarker() {
+    const entry = this.selected;
+    this.marker.visible = !!entry;
+    if (!entry) return;
+    const radius = PIECE_TYPES[entry.piece.type].footprint(entry.piece).steer;
+    this.marker.position.x = entry.piece.x;
+    this.marker.position.z = entry.piece.z;
+    this.marker.scale.set(radius, radius, 1);
+  }
+
+  snapValue(v) {
+    return this.snap > 0 ? Math.round(v / this.snap) * this.snap : Math.round(v * 100) / 100;
+  }
+
+  clampToFence(v) {
+    const limit = this.level.fence.half - EDGE_MARGIN;
+    return Math.max(-limit, Math.min(limit, v));
+  }
+
+  // === PANEL ===
+
+  render() {
+    this.panel.innerHTML = '';
+    const title = document.createElement('b');
+    title.textContent = 'РЕДАКТОР УРОВНЯ';
+    this.panel.appendChild(title);
+
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.value = this.level.name;
+    name.addEventListener('change', () => { this.level.name = name.value.trim() || this.level.name; });
+    this.addRow('Название', name);
+
+    // Add
+    const addRow = document.createElement('div');
+    addRow.className = 'settings-row';
+    const typeSelect = document.createElement('select');
+    Object.entries(PIECE_TYPES).forEach(([key, type]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = type.label;
+      typeSelect.appendChild(opt);
+    });
+    typeSelect.value = this.newType;
+    typeSelect.addEventListener('change', () => { this.newType = typeSelect.value; });
+    addRow.appendChild(typeSelect);
+    const btnAdd = document.createElement('button');
+    btnAdd.textContent = 'Добавить';
+    btnAdd.title = 'Поставить в центр обзора';
+    btnAdd.addEventListener('click', () => this.addPiece());
+    addRow.appendChild(btnAdd);
+    this.panel.appendChild(addRow);
+
+    // Snap
+    const snapSelect = document.createElement('select');
+    SNAP_STEPS.forEach(step => {
+      const opt = document.createElement('option');
+      opt.value = String(step);
+      opt.textContent = step === 0 ? 'Выкл' : `${step} м`;
+      snapSelect.appendChild(opt);
+    });
+    snapSelect.value = String(this.snap);
+    snapSelect.addEventListener('change', () => { this.snap = parseFloat(snapSelect.value); });
+    this.addRow('Сетка', snapSelect);
+
+    this.renderSelection();
+    this.renderFileRow();
+
+    const hint = document.createElement('small');
+    hint.style.opacity = '0.6';
+    hint.textContent = 'Мышь: выбрать / тащить · Q/E: поворот · Del: удалить';
+    this.panel.appendChild(hint);
+  }
+
+  renderSelection() {
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    this.panel.appendChild(section);
+    if (!this.selected) {
+      section.textContent = 'Ничего не выбрано';
+      return;
+    }
+    const piece = this.selected.piece;
+    section.textContent = `${PIECE_TYPES[piece.type].label} (${piece.x}, ${piece.z}) · ${piece.rotation}°`;
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    [['⟲', -ROTATE_STEP], ['⟳', ROTATE_STEP]].forEach(([text, step]) => {
+      const btn = document.createElement('button');
+      btn.textContent = `${text} ${ROTATE_STEP}°`;
+      btn.addEventListener('click', () => this.rotate(step));
+      row.appendChild(btn);
+    });
+    const btnDelete = document.createElement('button');
+    btnDelete.textContent = 'Удалить';
+    btnDelete.addEventListener('click', () => this.deleteSelected());
+    row.appendChild(btnDelete);
+    this.panel.appendChild(row);
+  }
+
+  // Save = the level the game starts on next time; export / open = share files
+  renderFileRow() {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const status = document.createElement('small');
+
+    const btnSave = document.createElement('button');
+    btnSave.textContent = 'Сохранить';
+    btnSave.addEventListener('click', async () => {
+      const ok = await saveData(LEVEL_NAME, this.level.toJSON());
+      status.textContent = ok ? 'Сохранено' : 'Ошибка сохранения';
+    });
+    row.appendChild(btnSave);
+
+    const btnExport = document.createElement('button');
+    btnExport.textContent = 'Экспорт JSON';
+    btnExport.addEventListener('click', () => {
+      downloadJson(this.level.toJSON(), 'sifa-level.json');
+    });
+    row.appendChild(btnExport);
+
+    // Fence / bounds can differ per level, so a loaded level restarts the match
+    const btnOpen = document.createElement('button');
+    btnOpen.textContent = 'Открыть…';
+    btnOpen.addEventListener('click', async () => {
+      try {
+        const data = await pickJsonFile();
+        if (!data) return;
+        await saveData(LEVEL_NAME, new Level(data).toJSON());
+        window.location.reload();
+      } catch (e) {
+        status.textContent = e.message;
+      }
+    });
+    row.appendChild(btnOpen);
+    this.panel.appendChild(row);
+    this.panel.appendChild(status);
+  }
+
+  addRow(label, control) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const span = document.createElement('span');
+    span.textContent = label;
+    row.appendChild(span);
+    row.appendChild(control);
+    this.panel.appendChild(row);
+  }
+}
@@ -0,0 +1,278 @@
+/**
+ * Personality editor (toggle with the "Характеры" button).
+ *
+ * Edits the running agents' profiles in place — speed, traits, name, color,
+ * description apply on the next tick. Tweaks are kept in the saved roster;
+ * single profiles go to named presets; the whole roster exports as JSON
+ * (same file scripts/simulate.mjs --profiles accepts).
+ */
+import { AGENT_PROFILES, PROFILE_TRAITS, generateProfile, parseProfilesFile } from '../agents/Personalities.js';
+import { toProfilesFile } from '../agents/ProfileLibrary.js';
+import { downloadJson, pickJsonFile } from './JsonFiles.js';
+
+const SAVE_DELAY_MS = 500;
+
+function hexColor(color) {
+  return '#' + color.toString(16).padStart(6, '0');
+}
+
+export class PersonalityEditor {
+  constructor(agentManager, library) {
+    this.agentManager = agentManager;
+    this.library = library;
+    this.selectedId = 0;
+    this.visible = false;
+    this.saveTimer = null;
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'profile-editor';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+
+    // Keep clicks and typing inside the panel away from game hotkeys
+    this.panel.addEventListener('click', e => e.stopPropagation());
+    this.panel.addEventListener('keydown', e => e.stopPropagation());
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.panel.style.display = this.visible ? 'block' : 'none';
+    if (this.visible) this.render();
+  }
+
+  get selected() {
+    return this.agentManager.agents.find(a => a.id === this.selectedId) || this.agentManager.agents[0];
+  }
+
+  // Apply to the live agent, persist the roster shortly after
+  apply(agent, patch) {
+    agent.applyProfile(patch);
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.library.saveRoster(), SAVE_DELAY_MS);
+  }
+
+  render() {
+    this.panel.innerHTML = '';
+    const title = document.createElement('b');
+    title.textContent = 'ХАРАКТЕРЫ';
+    this.panel.appendChild(title);
+
+    this.panel.appendChild(this.buildAgentTabs());
+    this.renderFields(this.selected);
+    this.renderActions(this.selected);
+    this.renderPresets(this.selected);
+    this.renderFileRow();
+  }
+
+  buildAgentTabs() {
+    const row = document.createElement('div');
+    row.className = 'editor-tabs';
+    this.agentManager.agents.forEach(agent => {
+      const tab = document.createElement('button');
+      tab.textContent = agent.profile.name;
+      tab.style.borderColor = hexColor(agent.profile.color);
+      if (agent.id === this.selected.id) tab.classList.add('active');
+      tab.addEventListener('click', () => {
+        this.selectedId = agent.id;
+        this.render();
+      });
+      row.appendChild(tab);
+    });
+    return row;
+  }
+
+  renderFields(agent) {
+    const profile = agent.profile;
+
+    this.addRow('Имя', this.textInput(profile.name, value => {
+      this.apply(agent, { name: value });
+      this.renderTabsOnly();
+    }));
+
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = hexColor(profile.color);
+    color.addEventListener('input', () => {
+      this.apply(agent, { color: color.value });
+      this.renderTabsOnly();
+    });
+    this.addRow('Цвет', color);
+
+    this.addRow('Описание', this.textInput(profile.description || '', value => {
+      this.apply(agent, { description: value });
+    }));
+
+    Object.entries(PROFILE_TRAITS).forEach(([key, range]) => {
+      const wrap = document.createElement('span');
+      wrap.className = 'editor-slider';
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(range.min);
+      slider.max = String(range.max);
+      slider.step = String(range.step);
+      slider.value = String(profile[key]);
+      const value = document.createElement('small');
+      value.textContent = Number(profile[key]).toFixed(2);
+      slider.addEventListener('input', () => {
+        this.apply(agent, { [key]: parseFloat(slider.value) });
+        value.textContent = Number(agent.profile[key]).toFixed(2);
+      });
+      wrap.appendChild(slider);
+      wrap.appendChild(value);
+      this.addRow(range.label, wrap);
+    });
+  }
+
+  // First generated profile past the roster whose name no kid has yet
+  // (brains and trust are kept by name, looks follow the index)
+  nextGeneratedIndex() {
+    const agents = this.agentManager.agents;
+    const names = new Set(agents.map(a => a.profile.name));
+    let index = Math.max(agents.length, AGENT_PROFILES.length);
+    while (names.has(generateProfile(index).name)) index++;
+    return index;
+  }
+
+  renderActions(agent) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    // New: fresh generated traits, look and name for this slot
+    const btnNew = document.createElement('button');
+    btnNew.textContent = 'Новый';
+    btnNew.title = 'Случайный новый характер';
+    btnNew.addEventListener('click', () => {
+      this.apply(agent, generateProfile(this.nextGeneratedIndex()));
+      this.render();
+    });
+    row.appendChild(btnNew);
+
+    // Clone: copy this behaviour onto another agent (target keeps its name)
+    const clone = document.createElement('select');
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Клонировать в…';
+    clone.appendChild(placeholder);
+    this.agentManager.agents.forEach(other => {
+      if (other.id === agent.id) return;
+      const opt = document.createElement('option');
+      opt.value = String(other.id);
+      opt.textContent = other.profile.name;
+      clone.appendChild(opt);
+    });
+    clone.addEventListener('change', () => {
+      const target = this.agentManager.agents.find(a => a.id === Number(clone.value));
+      if (!target) return;
+      const { name, ...rest } = agent.profile;
+      this.apply(target, rest);
+      this.selectedId = target.id;
+      this.render();
+    });
+    row.appendChild(clone);
+    this.panel.appendChild(row);
+  }
+
+  renderPresets(agent) {
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Пресеты';
+    this.panel.appendChild(section);
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const select = document.createElement('select');
+    this.library.presets.forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.name;
+      opt.textContent = p.name;
+      select.appendChild(opt);
+    });
+    row.appendChild(select);
+
+    const btnLoad = document.createElement('button');
+    btnLoad.textContent = 'Загрузить';
+    btnLoad.disabled = this.library.presets.length === 0;
+    btnLoad.addEventListener('click', () => {
+      const preset = this.library.getPreset(select.value);
+      if (!preset) return;
+      this.apply(agent, preset);
+      this.render();
+    });
+    row.appendChild(btnLoad);
+
+    const btnDelete = document.createElement('button');
+    btnDelete.textContent = '✕';
+    btnDelete.title = 'Удалить пресет';
+    btnDelete.disabled = this.library.presets.length === 0;
+    btnDelete.addEventListener('click', async () => {
+      await this.library.deletePreset(select.value);
+      this.render();
+    });
+    row.appendChild(btnDelete);
+
+    const btnSave = document.createElement('button');
+    btnSave.textContent = 'В пресеты';
+    btnSave.title = `Сохранить «${agent.profile.name}» как пресет`;
+    btnSave.addEventListener('click', async () => {
+      await this.library.savePreset(agent.profile);
+      this.render();
+    });
+    row.appendChild(btnSave);
+    this.panel.appendChild(row);
+  }
+
+  // Whole roster as a JSON file (share with the team / use in batch runs)
+  renderFileRow() {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const btnExport = document.createElement('button');
+    btnExport.textContent = 'Экспорт JSON';
+    btnExport.addEventListener('click', () => {
+      downloadJson(toProfilesFile(this.agentManager.agents.map(a => a.profile)), 'sifa-profiles.json');
+    });
+    row.appendChild(btnExport);
+
+    const btnImport = document.createElement('button');
+    btnImport.textContent = 'Импорт JSON';
+    btnImport.addEventListener('click', async () => {
+      try {
+        const data = await pickJsonFile();
+        if (!data) return;
+        this.library.applyRoster(parseProfilesFile(data));
+        await this.library.saveRoster();
+      } catch (e) {
+        console.warn('[Profiles] import failed:', e.message);
+      }
+      this.render();
+    });
+    row.appendChild(btnImport);
+    this.panel.appendChild(row);
+  }
+
+  // --- helpers ---
+
+  addRow(label, control) {
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const span = document.createElement('span');
+    span.textContent = label;
+    row.appendChild(span);
+    row.appendChild(control);
+    this.panel.appendChild(row);
+  }
+
+  textInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = value;
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+  }
+
+  // Name/color edits: refresh tabs without rebuilding the focused inputs
+  renderTabsOnly() {
+    const old = this.panel.querySelector('.editor-tabs');
+    if (old) old.replaceWith(this.buildAgentTabs());
+  }
+}
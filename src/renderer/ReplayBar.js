@@ -0,0 +1,70 @@
+/**
+ * Replay controls (bottom bar, visible only while a replay plays).
+ * Play/pause, speed, timeline scrub, exit back to the live match.
+ */
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+export class ReplayBar {
+  constructor({ onTogglePause, onSpeed, onSeek, onExit }) {
+    this.bar = document.createElement('div');
+    this.bar.id = 'replay-bar';
+    this.bar.style.display = 'none';
+    document.body.appendChild(this.bar);
+
+    // Keep clicks away from the start-audio / game handlers
+    this.bar.addEventListener('click', e => e.stopPropagation());
+    this.bar.addEventListener('keydown', e => e.stopPropagation());
+
+    const label = document.createElement('b');
+    label.textContent = 'ПОВТОР';
+    this.bar.appendChild(label);
+
+    this.btnPlay = document.createElement('button');
+    this.btnPlay.addEventListener('click', onTogglePause);
+    this.bar.appendChild(this.btnPlay);
+
+    this.btnSpeed = document.createElement('button');
+    this.btnSpeed.addEventListener('click', onSpeed);
+    this.bar.appendChild(this.btnSpeed);
+
+    this.slider = document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.min = '0';
+    this.slider.step = '0.1';
+    this.slider.addEventListener('input', () => onSeek(parseFloat(this.slider.value)));
+    this.slider.addEventListener('pointerdown', () => { this.dragging = true; });
+    this.slider.addEventListener('pointerup', () => { this.dragging = false; });
+    this.dragging = false;
+    this.bar.appendChild(this.slider);
+
+    this.timeLabel = document.createElement('span');
+    this.bar.appendChild(this.timeLabel);
+
+    const btnExit = document.createElement('button');
+    btnExit.textContent = 'Выход';
+    btnExit.addEventListener('click', onExit);
+    this.bar.appendChild(btnExit);
+  }
+
+  show(player) {
+    this.slider.max = String(player.duration);
+    this.bar.style.display = 'flex';
+    this.update(player);
+  }
+
+  hide() {
+    this.bar.style.display = 'none';
+  }
+
+  update(player) {
+    this.btnPlay.textContent = player.playing ? '❚❚' : '▶';
+    this.btnSpeed.textContent = `${player.speed}x`;
+    // Don't fight the user while they drag the slider
+    if (!this.dragging) this.slider.value = String(player.time);
+    this.timeLabel.textContent = `${formatTime(player.time)} / ${formatTime(player.duration)}`;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Round intro + results screen.
+ *
+ * Countdown: big "3, 2, 1" while the game mode is in its 'countdown' phase.
+ * Results: shown for the mode's 'results' phase — winner, longest survivor,
+ * most tags, abilities used, the round table and the season standings.
+ */
+function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+const SEASON_ROWS = 5;
+
+export class RoundResults {
+  constructor(seasonStore = null) {
+    this.seasonStore = seasonStore;
+    this.shownRound = 0;
+
+    this.countdownEl = document.createElement('div');
+    this.countdownEl.id = 'round-countdown';
+    this.countdownEl.style.display = 'none';
+    document.body.appendChild(this.countdownEl);
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'round-results';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+  }
+
+  // Every frame: follow the mode's phase
+  update(mode, hidden = false) {
+    const countdown = !hidden && mode.phase === 'countdown';
+    this.countdownEl.style.display = countdown ? 'block' : 'none';
+    if (countdown) {
+      const text = String(Math.ceil(mode.countdown));
+      if (this.countdownEl.textContent !== text) this.countdownEl.textContent = text;
+    }
+
+    const results = !hidden && mode.phase === 'results' && mode.lastResult;
+    this.panel.style.display = results ? 'block' : 'none';
+    if (results && this.shownRound !== mode.lastResult.round) {
+      this.shownRound = mode.lastResult.round;
+      this.render(mode, mode.lastResult);
+    }
+  }
+
+  render(mode, entry) {
+    const { stats } = entry;
+    let html = `<b>РАУНД ${entry.round} · ${mode.name}</b>`;
+    html += `<div class="round-winner">🏆 ${entry.text}</div>`;
+
+    html += '<div class="round-awards">';
+    if (stats.longestSurvivor) {
+      html += `<div>⏱ Дольше всех без сифы: <b>${stats.longestSurvivor.name}</b> (${formatTime(stats.longestSurvivor.seconds)})</div>`;
+    }
+    html += stats.mostTags
+      ? `<div>🎯 Больше всех осалил: <b>${stats.mostTags.name}</b> (${stats.mostTags.tags})</div>`
+      : '<div>🎯 Никого не осалили</div>';
+    html += `<div>✨ Способностей использовано: <b>${stats.abilityUses}</b></div>`;
+    html += '</div>';
+
+    html += '<table><tr><th></th><th>Выживание</th><th>Осалил</th><th>Попался</th><th>Способн.</th></tr>';
+    [...stats.players].sort((a, b) => b.survival - a.survival).forEach(p => {
+      const win = entry.winners.includes(p.id) ? ' 🏆' : '';
+      html += `<tr><td>${p.name}${win}</td><td>${formatTime(p.survival)}</td>` +
+        `<td>${p.tagsMade}</td><td>${p.timesTagged}</td><td>${p.abilityUses}</td></tr>`;
+    });
+    html += '</table>';
+
+    if (this.seasonStore && this.seasonStore.rounds > 0) {
+      html += `<div class="round-season"><b>СЕЗОН</b> · раундов: ${this.seasonStore.rounds}<br>`;
+      this.seasonStore.standings().slice(0, SEASON_ROWS).forEach((p, i) => {
+        html += `${i + 1}. ${p.name} — побед ${p.wins}, осалил ${p.tagsMade}<br>`;
+      });
+      html += '</div>';
+    }
+    this.panel.innerHTML = html;
+  }
+}
@@ -0,0 +1,583 @@
+/**
+ * Settings panel (toggle with the "Настройки" button).
+ * Per-agent decision backend, URL of a user decision module, match seed,
+ * saved brain memory reset, genome mode (persist / generations), roster size,
+ * game mode, round length, brain policy, season totals, split-screen players,
+ * LAN match, level file.
+ */
+import { MIN_AGENTS, MAX_AGENTS } from '../agents/Personalities.js';
+import { BRAIN_POLICIES } from '../agents/AgentBrain.js';
+import { Level } from '../game/Level.js';
+import { GAME_MODES, DEFAULT_GAME_MODE } from '../game/GameModes.js';
+import { INPUT_DEVICES } from '../engine/PlayerControl.js';
+import { SPLIT_DEVICES, MIN_SPLIT_PLAYERS, MAX_SPLIT_PLAYERS } from './SplitScreen.js';
+import { DEFAULT_LAN_PORT } from '../net/NetProtocol.js';
+import { saveData } from '../engine/Storage.js';
+import { pickJsonFile } from './JsonFiles.js';
+
+const LEVEL_NAME = 'level';
+
+// Roster size survives restarts (GameEngine reads it when there's no ?agents=)
+export const AGENT_COUNT_KEY = 'sifa.agentCount';
+export const GAME_MODE_KEY = 'sifa.gameMode';
+export const ROUND_LENGTH_KEY = 'sifa.roundLength';
+export const BRAIN_POLICY_KEY = 'sifa.brainPolicy';
+
+const POLICY_NAMES = { grid: 'Карта опасностей', rl: 'Обучение с подкреплением' };
+
+export class SettingsPanel {
+  constructor(agentManager, decisionRouter, sim, brainStore, genomeStore, seasonStore = null) {
+    this.agentManager = agentManager;
+    this.router = decisionRouter;
+    this.sim = sim;
+    this.brainStore = brainStore;
+    this.genomeStore = genomeStore;
+    this.seasonStore = seasonStore;
+    this.modeKey = DEFAULT_GAME_MODE; // running game mode, set by GameEngine
+    this.roundLength = undefined;     // ?round= override (undefined = mode's own), set by GameEngine
+    this.splitScreen = null;          // SplitScreen, set by GameEngine
+    this.splitPlayers = [];           // split-screen form: [{ agentId, device }]
+    this.lan = null;                  // LanSession, set by GameEngine
+    this.visible = false;
+
+    this.panel = document.createElement('div');
+    this.panel.id = 'settings-panel';
+    this.panel.style.display = 'none';
+    document.body.appendChild(this.panel);
+
+    // Keep clicks and typing inside the panel away from game hotkeys
+    this.panel.addEventListener('click', e => e.stopPropagation());
+    this.panel.addEventListener('keydown', e => e.stopPropagation());
+
+    this.render();
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.panel.style.display = this.visible ? 'block' : 'none';
+    if (this.visible) this.render();
+  }
+
+  render() {
+    const providers = this.router.registry.list();
+    this.panel.innerHTML = '';
+
+    const title = document.createElement('b');
+    title.textContent = 'НАСТРОЙКИ';
+    this.panel.appendChild(title);
+
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Кто управляет агентом';
+    this.panel.appendChild(section);
+
+    this.agentManager.agents.forEach(agent => {
+      const row = document.createElement('div');
+      row.className = 'settings-row';
+
+      const name = document.createElement('span');
+      name.style.color = '#' + agent.profile.color.toString(16).padStart(6, '0');
+      name.textContent = `● ${agent.profile.name}`;
+      row.appendChild(name);
+
+      const select = document.createElement('select');
+      providers.forEach(p => {
+        const opt = document.createElement('option');
+        opt.value = p.key;
+        opt.textContent = p.name;
+        select.appendChild(opt);
+      });
+      select.value = this.router.getProviderKey(agent.id);
+      select.addEventListener('change', () => this.router.setProvider(agent.id, select.value));
+      row.appendChild(select);
+
+      const error = this.router.errors.get(select.value);
+      if (error) {
+        const warn = document.createElement('span');
+        warn.className = 'settings-error';
+        warn.title = error;
+        warn.textContent = '⚠';
+        row.appendChild(warn);
+      }
+
+      this.panel.appendChild(row);
+    });
+
+    const moduleRow = document.createElement('div');
+    moduleRow.className = 'settings-row';
+    const label = document.createElement('span');
+    label.textContent = 'JS-модуль:';
+    moduleRow.appendChild(label);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'file:///…/policy.js';
+    input.value = this.router.moduleUrl;
+    input.addEventListener('change', () => this.router.setModuleUrl(input.value.trim()));
+    moduleRow.appendChild(input);
+    this.panel.appendChild(moduleRow);
+
+    if (this.brainStore) this.renderBrainRows();
+    if (this.genomeStore) this.renderGenomeRows();
+    if (this.seasonStore) this.renderSeasonRow();
+    // A LAN client plays the host's match: one kid, no restarts of its own
+    const lanClient = !!(this.lan && this.lan.joined);
+    if (this.splitScreen && !lanClient) this.renderSplitScreenRows();
+    if (this.lan) this.renderLanRows();
+    if (this.sim && !lanClient) this.renderSeedRow();
+    if (this.sim && !lanClient) this.renderLevelRow();
+  }
+
+  // Learned memory is saved between sessions; reset wipes one agent
+  renderBrainRows() {
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Память агентов';
+    this.panel.appendChild(section);
+
+    this.agentManager.agents.forEach(agent => {
+      const row = document.createElement('div');
+      row.className = 'settings-row';
+
+      const stats = agent.brain.getStats();
+      const info = document.createElement('span');
+      info.style.color = '#' + agent.profile.color.toString(16).padStart(6, '0');
+      info.textContent = `● ${agent.profile.name}`;
+      const detail = document.createElement('small');
+      detail.style.opacity = '0.6';
+      detail.textContent = ` пок. ${stats.generation} · уроков ${stats.lessons}`;
+      info.appendChild(detail);
+      row.appendChild(info);
+
+      const button = document.createElement('button');
+      button.textContent = 'Сбросить';
+      button.addEventListener('click', async () => {
+        await this.brainStore.resetAgent(agent.id);
+        this.render();
+      });
+      row.appendChild(button);
+      this.panel.appendChild(row);
+    });
+  }
+
+  // Genes carry over between sessions; "generations" breeds from the best survivors
+  renderGenomeRows() {
+    const store = this.genomeStore;
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Гены между матчами';
+    this.panel.appendChild(section);
+
+    const modeRow = document.createElement('div');
+    modeRow.className = 'settings-row';
+    const label = document.createElement('span');
+    label.textContent = 'Режим:';
+    modeRow.appendChild(label);
+    const select = document.createElement('select');
+    [['persist', 'Сохранять гены'], ['generations', 'Поколения (отбор)']].forEach(([value, text]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    });
+    select.value = store.mode;
+    select.addEventListener('change', () => {
+      store.setMode(select.value);
+      store.save();
+      this.render();
+    });
+    modeRow.appendChild(select);
+    this.panel.appendChild(modeRow);
+
+    const genRow = document.createElement('div');
+    genRow.className = 'settings-row';
+    const info = document.createElement('span');
+    const last = store.history[store.history.length - 1];
+    info.textContent = `Поколение ${store.generation}` + (last ? ` · лучший ${Math.round(last.best)}с` : '');
+    genRow.appendChild(info);
+
+    if (store.mode === 'generations') {
+      const breed = document.createElement('button');
+      breed.textContent = 'Скрестить';
+      breed.title = 'Новое поколение из текущих выживших';
+      breed.addEventListener('click', () => {
+        store.nextGeneration();
+        store.save();
+        this.render();
+      });
+      genRow.appendChild(breed);
+    }
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Сбросить';
+    reset.addEventListener('click', () => {
+      store.reset();
+      store.save();
+      this.render();
+    });
+    genRow.appendChild(reset);
+    this.panel.appendChild(genRow);
+  }
+
+  // Season totals across rounds (and restarts); reset starts a new season
+  renderSeasonRow() {
+    const store = this.seasonStore;
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Сезон';
+    this.panel.appendChild(section);
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const info = document.createElement('span');
+    const leader = store.standings()[0];
+    info.textContent = `Раундов: ${store.rounds}` + (leader ? ` · лидер ${leader.name} (${leader.wins})` : '');
+    row.appendChild(info);
+
+    const reset = document.createElement('button');
+    reset.textContent = 'Новый сезон';
+    reset.addEventListener('click', async () => {
+      store.reset();
+      await store.save();
+      this.render();
+    });
+    row.appendChild(reset);
+    this.panel.appendChild(row);
+  }
+
+  // Split-screen: each player picks a kid and an input device, no restart needed
+  renderSplitScreenRows() {
+    const split = this.splitScreen;
+    const agents = this.agentManager.agents;
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Игра на одном экране';
+    this.panel.appendChild(section);
+
+    if (split.active) {
+      const row = document.createElement('div');
+      row.className = 'settings-row';
+      const info = document.createElement('span');
+      info.textContent = split.views.map(v => v.agent.profile.name).join(' · ');
+      row.appendChild(info);
+      const btnStop = document.createElement('button');
+      btnStop.textContent = 'Завершить (Esc)';
+      btnStop.addEventListener('click', () => split.stop());
+      row.appendChild(btnStop);
+      this.panel.appendChild(row);
+      return;
+    }
+
+    const maxPlayers = Math.min(MAX_SPLIT_PLAYERS, agents.length);
+    if (this.splitPlayers.length === 0) {
+      for (let i = 0; i < MIN_SPLIT_PLAYERS; i++) {
+        this.splitPlayers.push({ agentId: agents[i].id, device: SPLIT_DEVICES[i] });
+      }
+    }
+
+    const countRow = document.createElement('div');
+    countRow.className = 'settings-row';
+    const countLabel = document.createElement('span');
+    countLabel.textContent = 'Игроков:';
+    countRow.appendChild(countLabel);
+    const countSelect = document.createElement('select');
+    for (let n = MIN_SPLIT_PLAYERS; n <= maxPlayers; n++) {
+      const opt = document.createElement('option');
+      opt.value = String(n);
+      opt.textContent = String(n);
+      countSelect.appendChild(opt);
+    }
+    countSelect.value = String(this.splitPlayers.length);
+    countSelect.addEventListener('change', () => {
+      const count = parseInt(countSelect.value, 10);
+      this.splitPlayers.length = Math.min(this.splitPlayers.length, count);
+      for (let i = this.splitPlayers.length; i < count; i++) {
+        this.splitPlayers.push({ agentId: agents[i].id, device: SPLIT_DEVICES[i] });
+      }
+      this.render();
+    });
+    countRow.appendChild(countSelect);
+    this.panel.appendChild(countRow);
+
+    this.splitPlayers.forEach((player, i) => {
+      const row = document.createElement('div');
+      row.className = 'settings-row';
+      const label = document.createElement('span');
+      label.textContent = `${i + 1}:`;
+      row.appendChild(label);
+
+      const agentSelect = document.createElement('select');
+      agents.forEach(a => {
+        const opt = document.createElement('option');
+        opt.value = String(a.id);
+        opt.textContent = a.profile.name;
+        agentSelect.appendChild(opt);
+      });
+      agentSelect.value = String(player.agentId);
+      agentSelect.addEventListener('change', () => { player.agentId = parseInt(agentSelect.value, 10); });
+      row.appendChild(agentSelect);
+
+      const deviceSelect = document.createElement('select');
+      SPLIT_DEVICES.forEach(key => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = INPUT_DEVICES[key].name;
+        deviceSelect.appendChild(opt);
+      });
+      deviceSelect.value = player.device;
+      deviceSelect.addEventListener('change', () => { player.device = deviceSelect.value; });
+      row.appendChild(deviceSelect);
+      this.panel.appendChild(row);
+    });
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const status = document.createElement('small');
+    const btnStart = document.createElement('button');
+    btnStart.textContent = 'Начать';
+    btnStart.addEventListener('click', () => {
+      const kids = new Set(this.splitPlayers.map(p => p.agentId));
+      const devices = new Set(this.splitPlayers.map(p => p.device));
+      if (kids.size < this.splitPlayers.length) {
+        status.textContent = 'У каждого игрока свой агент';
+      } else if (devices.size < this.splitPlayers.length) {
+        status.textContent = 'У каждого игрока своё управление';
+      } else {
+        split.start(this.splitPlayers.map(p => ({ ...p })));
+      }
+    });
+    row.appendChild(btnStart);
+    row.appendChild(status);
+    this.panel.appendChild(row);
+  }
+
+  // LAN: host the running match, or reload into someone else's (?join=address)
+  renderLanRows() {
+    const lan = this.lan;
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Игра по сети (LAN)';
+    this.panel.appendChild(section);
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const info = document.createElement('span');
+    row.appendChild(info);
+    this.panel.appendChild(row);
+
+    if (!lan.available) {
+      info.textContent = 'Только в приложении';
+      return;
+    }
+
+    const leaveLan = () => {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('join');
+      window.location.search = params.toString();
+    };
+
+    if (lan.joined) {
+      info.textContent = lan.statusText();
+      const btnLeave = document.createElement('button');
+      btnLeave.textContent = 'Отключиться';
+      btnLeave.addEventListener('click', leaveLan);
+      row.appendChild(btnLeave);
+      return;
+    }
+
+    if (lan.hosting) {
+      const { port, addresses } = lan.hostInfo;
+      info.textContent = `Адрес: ${addresses.map(a => `${a}:${port}`).join(', ') || `порт ${port}`} · ${lan.statusText()}`;
+      const btnStop = document.createElement('button');
+      btnStop.textContent = 'Закрыть';
+      btnStop.addEventListener('click', () => lan.stopHost());
+      row.appendChild(btnStop);
+      return;
+    }
+
+    info.textContent = 'Другие смогут подключиться к этому матчу';
+    const btnHost = document.createElement('button');
+    btnHost.textContent = 'Открыть';
+    btnHost.addEventListener('click', () => lan.startHost());
+    row.appendChild(btnHost);
+
+    const joinRow = document.createElement('div');
+    joinRow.className = 'settings-row';
+    const joinInput = document.createElement('input');
+    joinInput.type = 'text';
+    joinInput.placeholder = `192.168.1.5:${DEFAULT_LAN_PORT}`;
+    joinInput.value = new URLSearchParams(window.location.search).get('join') || '';
+    joinRow.appendChild(joinInput);
+    const btnJoin = document.createElement('button');
+    btnJoin.textContent = 'Подключиться';
+    btnJoin.addEventListener('click', () => {
+      const address = joinInput.value.trim();
+      if (!address) return;
+      const params = new URLSearchParams(window.location.search);
+      params.set('join', address);
+      window.location.search = params.toString();
+    });
+    joinRow.appendChild(btnJoin);
+    this.panel.appendChild(joinRow);
+
+    if (lan.error) {
+      const error = document.createElement('div');
+      error.className = 'settings-row settings-error';
+      error.textContent = lan.error;
+      this.panel.appendChild(error);
+      const btnLocal = document.createElement('button');
+      btnLocal.textContent = 'Играть у себя';
+      btnLocal.addEventListener('click', leaveLan);
+      error.appendChild(btnLocal);
+    }
+  }
+
+  // Same seed + same decisions = same match; restarting reloads with ?seed=&agents=&mode=&round=&policy=
+  renderSeedRow() {
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Воспроизводимый матч';
+    this.panel.appendChild(section);
+
+    const countRow = document.createElement('div');
+    countRow.className = 'settings-row';
+    const countLabel = document.createElement('span');
+    countLabel.textContent = `Агентов (${MIN_AGENTS}-${MAX_AGENTS}):`;
+    countRow.appendChild(countLabel);
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = String(MIN_AGENTS);
+    countInput.max = String(MAX_AGENTS);
+    countInput.value = this.agentManager.agents.length;
+    countInput.style.width = '60px';
+    countRow.appendChild(countInput);
+    this.panel.appendChild(countRow);
+
+    const modeRow = document.createElement('div');
+    modeRow.className = 'settings-row';
+    const modeLabel = document.createElement('span');
+    modeLabel.textContent = 'Режим игры:';
+    modeRow.appendChild(modeLabel);
+    const modeSelect = document.createElement('select');
+    Object.entries(GAME_MODES).forEach(([key, mode]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = mode.name;
+      modeSelect.appendChild(opt);
+    });
+    modeSelect.value = this.modeKey;
+    modeRow.appendChild(modeSelect);
+    this.panel.appendChild(modeRow);
+
+    const roundRow = document.createElement('div');
+    roundRow.className = 'settings-row';
+    const roundLabel = document.createElement('span');
+    roundLabel.textContent = 'Раунд, сек (пусто — как в режиме, 0 — без конца):';
+    roundRow.appendChild(roundLabel);
+    const roundInput = document.createElement('input');
+    roundInput.type = 'number';
+    roundInput.min = '0';
+    roundInput.step = '10';
+    roundInput.value = this.roundLength === undefined ? '' : String(Math.round(this.roundLength));
+    roundInput.placeholder = 'режим';
+    roundInput.style.width = '60px';
+    roundRow.appendChild(roundInput);
+    this.panel.appendChild(roundRow);
+
+    // Brain policy: grid scores or RL (AgentBrain.setPolicy), every kid alike
+    const policyRow = document.createElement('div');
+    policyRow.className = 'settings-row';
+    const policyLabel = document.createElement('span');
+    policyLabel.textContent = 'Мозг:';
+    policyRow.appendChild(policyLabel);
+    const policySelect = document.createElement('select');
+    BRAIN_POLICIES.forEach(key => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = POLICY_NAMES[key];
+      policySelect.appendChild(opt);
+    });
+    policySelect.value = this.agentManager.agents[0]?.brain.policy ? 'rl' : 'grid';
+    policyRow.appendChild(policySelect);
+    this.panel.appendChild(policyRow);
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const label = document.createElement('span');
+    label.textContent = 'Сид:';
+    row.appendChild(label);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = this.sim.seed;
+    input.style.width = '110px';
+    row.appendChild(input);
+
+    const button = document.createElement('button');
+    button.textContent = 'Перезапуск';
+    button.addEventListener('click', () => {
+      const params = new URLSearchParams(window.location.search);
+      params.set('seed', String(parseInt(input.value, 10) || 0));
+      const count = Math.max(MIN_AGENTS, Math.min(MAX_AGENTS, parseInt(countInput.value, 10) || MIN_AGENTS));
+      params.set('agents', String(count));
+      params.set('mode', modeSelect.value);
+      // Empty field → each mode plays its own round length
+      const roundLength = roundInput.value.trim() === '' ? null : Math.max(0, parseInt(roundInput.value, 10) || 0);
+      if (roundLength === null) params.delete('round');
+      else params.set('round', String(roundLength));
+      params.set('policy', policySelect.value);
+      try {
+        localStorage.setItem(AGENT_COUNT_KEY, String(count));
+        localStorage.setItem(GAME_MODE_KEY, modeSelect.value);
+        if (roundLength === null) localStorage.removeItem(ROUND_LENGTH_KEY);
+        else localStorage.setItem(ROUND_LENGTH_KEY, String(roundLength));
+        localStorage.setItem(BRAIN_POLICY_KEY, policySelect.value);
+      } catch (_) { /* storage unavailable */ }
+      window.location.search = params.toString();
+    });
+    row.appendChild(button);
+    this.panel.appendChild(row);
+  }
+
+  // Level JSON (see game/Level.js) — saved, then the game reloads onto it
+  renderLevelRow() {
+    const section = document.createElement('div');
+    section.className = 'settings-section';
+    section.textContent = 'Уровень';
+    this.panel.appendChild(section);
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    const info = document.createElement('span');
+    info.textContent = this.sim.level.name;
+    row.appendChild(info);
+
+    const error = document.createElement('small');
+    error.style.color = '#f66';
+
+    const btnOpen = document.createElement('button');
+    btnOpen.textContent = 'Открыть…';
+    btnOpen.title = 'Загрузить уровень из JSON-файла';
+    btnOpen.addEventListener('click', async () => {
+      try {
+        const data = await pickJsonFile();
+        if (!data) return;
+        const level = new Level(data);
+        await saveData(LEVEL_NAME, level.toJSON());
+        window.location.reload();
+      } catch (e) {
+        error.textContent = e.message;
+      }
+    });
+    row.appendChild(btnOpen);
+
+    const btnDefault = document.createElement('button');
+    btnDefault.textContent = 'Стандартный';
+    btnDefault.addEventListener('click', async () => {
+      await saveData(LEVEL_NAME, null);
+      window.location.reload();
+    });
+    row.appendChild(btnDefault);
+    this.panel.appendChild(row);
+    this.panel.appendChild(error);
+  }
+}
@@ -1,26 +1,22 @@
 import * as THREE from 'three';
 
-// Known obstacle positions for camera avoidance
-const OBSTACLE_POSITIONS = [
-  [-14, -14], [14, -14], [-14, 10], [13, 12],
-  [-10, 14], [10, -12], [-15, 0], [15, 3],
-  [-8, -6], [6, -7], [-7, 5], [8, 5],
-];
 const OBSTACLE_RADIUS = 2.5;
 
 /**
  * Camera modes:
  *   'ai'       — AI chase cam: follows IT, frames runner (default)
- *   'first'    — First-person: through agent's eyes (1-5 to pick agent)
+ *   'first'    — First-person: through agent's eyes (1-9, 0, [ ] to pick agent)
  *   'spectator'— Overhead rotating view of entire arena
  *   'cycle'    — Auto-cycles first-person between all agents every 6s
  *   'free'     — OrbitControls (handled externally)
+ *   'editor'   — OrbitControls + level editor (handled externally)
  */
 export class SmartCamera {
   constructor(camera) {
     this.camera = camera;
     this.enabled = true;
     this.mode = 'ai'; // current mode
+    this.obstacles = []; // [x, z] the camera keeps out of (level.cameraObstacles)
 
     // Smooth values
     this.currentPos = new THREE.Vector3(0, 18, 22);
@@ -53,6 +49,7 @@ export class SmartCamera {
     this.fpPrevAgentId = -1;      // track for show/hide mesh
     this.fpBobPhase = 0;          // head bob animation
     this.fpSmoothDir = new THREE.Vector3(0, 0, 1);
+    this.fpHeading = null;        // radians; set while the player drives the viewed kid
     this.FP_EYE_HEIGHT = 0.35;   // eye level above body center
     this.FP_BOB_SPEED = 8;       // bob frequency
     this.FP_BOB_AMOUNT = 0.06;   // bob amplitude
@@ -183,8 +180,11 @@ export class SmartCamera {
     const vz = agent.body.velocity.z;
     const speed = Math.sqrt(vx * vx + vz * vz);
 
-    // Smooth facing direction
-    if (speed > 0.3) {
+    // Smooth facing direction (possessed: where the player steers, even backing up)
+    if (this.fpHeading !== null) {
+      const dir = this._v1.set(Math.sin(this.fpHeading), 0, Math.cos(this.fpHeading));
+      this.fpSmoothDir.lerp(dir, Math.min(1, dt * 12.0)).normalize();
+    } else if (speed > 0.3) {
       const dir = this._v1.set(vx, 0, vz).normalize();
       this.fpSmoothDir.lerp(dir, dt * 5.0).normalize();
     }
@@ -214,7 +214,7 @@ export class SmartCamera {
     );
 
     // Sprint = wider FOV
-    const isSprinting = agent.decision.sprint;
+    const isSprinting = (agent.control || agent.decision).sprint;
     this.targetFov = isSprinting ? 85 : 75;
 
     // Fast smoothing for responsive first-person feel
@@ -309,8 +309,12 @@ export class SmartCamera {
     this.chaseIntensity = THREE.MathUtils.clamp(this.chaseIntensity, 0, 1);
   }
 
+  setObstacles(list) {
+    this.obstacles = list;
+  }
+
   avoidObstacles(pos) {
-    for (const [ox, oz] of OBSTACLE_POSITIONS) {
+    for (const [ox, oz] of this.obstacles) {
       const dx = pos.x - ox;
       const dz = pos.z - oz;
       const dist2d = Math.sqrt(dx * dx + dz * dz);
@@ -343,7 +347,7 @@ export class SmartCamera {
       this.restoreAllMeshes();
     }
     this.mode = mode;
-    this.enabled = (mode !== 'free');
+    this.enabled = (mode !== 'free' && mode !== 'editor');
   }
 
   restoreAllMeshes() {
@@ -365,6 +369,7 @@ export class SmartCamera {
       case 'spectator': return 'Обзор';
       case 'cycle': return 'Глаза Сифы';
       case 'free': return 'Свободная';
+      case 'editor': return 'Редактор';
       default: return this.mode;
     }
   }
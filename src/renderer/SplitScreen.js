@@ -0,0 +1,141 @@
+/**
+ * Local split-screen — two to four players at one machine, each driving a
+ * kid through their own first-person viewport.
+ *
+ * Every view has its own camera + SmartCamera (locked to 'first' on the
+ * player's kid), its own PlayerControl bound to one input device (a keyboard
+ * half or a gamepad) and a first-person HUD built by UIOverlay. While it is
+ * on, GameEngine renders through render() instead of the main camera.
+ */
+import * as THREE from 'three';
+import { SmartCamera } from './SmartCamera.js';
+import { PlayerControl } from '../engine/PlayerControl.js';
+
+export const MIN_SPLIT_PLAYERS = 2;
+export const MAX_SPLIT_PLAYERS = 4;
+
+// Devices a split-screen player can pick (the full keyboard would eat both halves)
+export const SPLIT_DEVICES = ['keys-left', 'keys-right', 'pad1', 'pad2', 'pad3', 'pad4'];
+
+const HUD_INTERVAL = 6; // frames between first-person HUD rebuilds
+
+// View rectangles as window fractions (top-left origin): 2 side by side, 3-4 in a 2×2 grid
+function layoutFor(count) {
+  if (count === 2) {
+    return [{ x: 0, y: 0, w: 0.5, h: 1 }, { x: 0.5, y: 0, w: 0.5, h: 1 }];
+  }
+  return Array.from({ length: count }, (_, i) => ({
+    x: (i % 2) * 0.5, y: Math.floor(i / 2) * 0.5, w: 0.5, h: 0.5,
+  }));
+}
+
+export class SplitScreen {
+  constructor({ renderer, scene, agentManager, geneSystem, ui, obstacles = [], onJump = null, onChange = null }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.agentManager = agentManager;
+    this.geneSystem = geneSystem;
+    this.ui = ui;
+    this.obstacles = obstacles;   // level.cameraObstacles, like the main SmartCamera
+    this.onJump = onJump;         // (agent, smartCamera) → GameEngine.jumpAgent
+    this.onChange = onChange;     // (active) after start / stop
+    this.views = [];              // { agent, camera, smartCamera, control, el, hud, rect }
+    this.frame = 0;
+    this._size = new THREE.Vector2();
+  }
+
+  get active() { return this.views.length > 0; }
+
+  // players: [{ agentId, device }] — one view each, kids and devices distinct
+  start(players) {
+    this.stop();
+    const rects = layoutFor(players.length);
+    players.forEach((p, i) => {
+      const agent = this.agentManager.agents.find(a => a.id === p.agentId);
+      if (!agent) return;
+
+      const camera = new THREE.PerspectiveCamera(75, 1, 0.1, 200);
+      const smartCamera = new SmartCamera(camera);
+      smartCamera.setObstacles(this.obstacles);
+      smartCamera.setMode('first');
+      smartCamera.setFirstPersonAgent(agent.id);
+      smartCamera.fpSmoothDir.set(Math.sin(agent.mesh.rotation.y), 0, Math.cos(agent.mesh.rotation.y));
+
+      const el = document.createElement('div');
+      el.className = 'split-view';
+      const hud = document.createElement('div');
+      hud.className = 'fp-hud';
+      el.appendChild(hud);
+      const cross = document.createElement('div');
+      cross.className = 'split-cross';
+      cross.textContent = '+';
+      el.appendChild(cross);
+      document.body.appendChild(el);
+
+      const control = new PlayerControl({
+        geneSystem: this.geneSystem,
+        smartCamera,
+        device: p.device,
+        container: el,
+        onJump: this.onJump ? (a) => this.onJump(a, smartCamera) : null,
+      });
+      control.possess(agent);
+
+      const rect = rects[i];
+      el.style.left = `${rect.x * 100}%`;
+      el.style.top = `${rect.y * 100}%`;
+      el.style.width = `${rect.w * 100}%`;
+      el.style.height = `${rect.h * 100}%`;
+      this.views.push({ agent, camera, smartCamera, control, el, hud, rect });
+    });
+    document.body.classList.toggle('split-screen', this.active);
+    if (this.onChange) this.onChange(this.active);
+  }
+
+  stop() {
+    if (!this.active) return;
+    this.views.forEach(view => {
+      view.control.dispose();
+      view.el.remove();
+    });
+    this.views = [];
+    this.agentManager.agents.forEach(a => { a.mesh.visible = true; });
+    document.body.classList.remove('split-screen');
+    if (this.onChange) this.onChange(false);
+  }
+
+  // Per frame: input, cameras, HUDs
+  update(dt, itAgentId, sifaRules) {
+    const agents = this.agentManager.agents;
+    const refreshHud = this.frame++ % HUD_INTERVAL === 0;
+    this.views.forEach(view => {
+      view.control.update(dt);
+      view.smartCamera.update(dt, agents, itAgentId, sifaRules);
+      if (refreshHud) {
+        view.hud.innerHTML = this.ui.firstPersonHtml(view.agent, `🎮 ${view.control.device.name}`);
+      }
+    });
+  }
+
+  // One scissored render per view; each player's own kid is hidden in their view only
+  render() {
+    const renderer = this.renderer;
+    const size = renderer.getSize(this._size);
+    renderer.setScissorTest(true);
+    this.views.forEach(view => {
+      const { x, y, w, h } = view.rect;
+      const vx = x * size.x;
+      const vy = (1 - y - h) * size.y; // WebGL viewport origin is bottom-left
+      const vw = w * size.x;
+      const vh = h * size.y;
+      renderer.setViewport(vx, vy, vw, vh);
+      renderer.setScissor(vx, vy, vw, vh);
+      view.camera.aspect = vw / vh;
+      view.camera.updateProjectionMatrix();
+      this.agentManager.agents.forEach(a => { a.mesh.visible = a !== view.agent; });
+      renderer.render(this.scene, view.camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, size.x, size.y);
+  }
+}
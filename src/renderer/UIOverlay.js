@@ -1,12 +1,25 @@
-import { ABILITIES } from '../game/GeneSystem.js';
+import { ABILITIES, GeneSystem } from '../game/GeneSystem.js';
+
+// Seconds a finished round's result stays on the scoreboard
+const RESULT_SHOW_TIME = 8;
+
+// "Слухи" feed: what kids told each other lately (SocialChannel 'share')
+const SHARE_FEED_SIZE = 3;
+const SHARE_SHOW_MS = 15000;
+
+// Short scoreboard tags for decision backends
+const PROVIDER_TAGS = { heuristic: 'эвр', scripted: 'скр', llm: 'LLM', module: 'мод' };
 
 export class UIOverlay {
-  constructor(agentManager, sifaRules, smartCamera, supervisorBot, geneSystem) {
+  constructor(agentManager, sifaRules, smartCamera, supervisorBot, geneSystem, decisionRouter, events = null) {
     this.agentManager = agentManager;
     this.sifaRules = sifaRules;
     this.smartCamera = smartCamera;
     this.supervisorBot = supervisorBot;
     this.geneSystem = geneSystem;
+    this.decisionRouter = decisionRouter;
+    this.genomeStore = null; // set by GameEngine when genomes persist
+    this.lan = null;         // LanSession, set by GameEngine
     this.scoreboard = document.getElementById('scoreboard');
     this.overlay = document.getElementById('ui-overlay');
     this.speechContainer = document.getElementById('speech-container');
@@ -35,7 +48,17 @@ export class UIOverlay {
     this.evoNotify = document.createElement('div');
     this.evoNotify.id = 'evo-notify';
     document.body.appendChild(this.evoNotify);
-    this._shownEvolutions = new Set();
+    this.pendingEvolutions = []; // 'evolution' events waiting for the next frame
+    if (events) events.on('evolution', ev => this.pendingEvolutions.push(ev));
+
+    // Knowledge passed between kids, newest first: { from, to, kind, text, at }
+    this.shares = [];
+    if (events) {
+      events.on('share', ev => {
+        this.shares.unshift({ from: ev.from, to: ev.to, kind: ev.kind, text: ev.text, at: Date.now() });
+        this.shares.length = Math.min(this.shares.length, SHARE_FEED_SIZE);
+      });
+    }
   }
 
   update() {
@@ -51,24 +74,33 @@ export class UIOverlay {
     }
     this.updateSpeechBubbles();
     this.updateFirstPersonHud();
-    this.updateEvolutionNotifications();
+    this.showEvolutionNotifications();
   }
 
   updateScoreboard() {
     const agents = this.agentManager.agents;
     const sorted = [...agents].sort((a, b) => b.score - a.score);
 
+    // Game mode line: who's IT / round timer / mode-specific counters
+    const mode = this.sifaRules.mode;
     let html = '<b>СЧЁТ (выживание)</b><br>';
+    html += `<small>${mode.name}: ${mode.hudText()}</small><br>`;
+    if (mode.lastResult && this.sifaRules.gameTime - mode.lastResult.time < RESULT_SHOW_TIME) {
+      html += `<small style="color:#ffd54a">🏆 ${mode.lastResult.text}</small><br>`;
+    }
     sorted.forEach(a => {
       const mins = Math.floor(a.score / 60);
       const secs = Math.floor(a.score % 60);
       const time = `${mins}:${secs.toString().padStart(2, '0')}`;
-      const marker = a.isIt ? ' ВОДИТ' : '';
+      const marker = a.isIt ? ' ВОДИТ' : (a.frozen ? ' ❄' : (a.safe ? ' 🏠' : ''));
       const colorHex = '#' + a.profile.color.toString(16).padStart(6, '0');
-      html += `<span style="color:${colorHex}">●</span> ${a.profile.name}: ${time}${marker}<br>`;
+      const backend = this.decisionRouter ? ` <small style="opacity:0.5">[${PROVIDER_TAGS[this.decisionRouter.getProviderKey(a.id)] || '?'}]</small>` : '';
+      html += `<span style="color:${colorHex}">●</span> ${a.profile.name}: ${time}${marker}${backend}<br>`;
     });
 
     html += `<br><small>Тегов: ${this.sifaRules.tagHistory.length}</small>`;
+    const lanStatus = this.lan ? this.lan.statusText() : '';
+    if (lanStatus) html += `<br><small>🌐 ${lanStatus}</small>`;
 
     // Supervisor bot status
     if (this.supervisorBot) {
@@ -101,17 +133,45 @@ export class UIOverlay {
       html += `${stats.lessons} уроков · ${stats.smartMoves} решений`;
       if (stats.dangerZones > 0) html += ` · <span style="color:#f66">${stats.dangerZones} опасн</span>`;
       if (stats.safeZones > 0) html += ` · <span style="color:#6f6">${stats.safeZones} безоп</span>`;
+      if (stats.tipsHeard > 0) html += ` · <span style="color:#6cf">👂 ${stats.tipsHeard}</span>`;
       html += `</span><br>`;
+      if (stats.policy) html += `<span style="opacity:0.7; margin-left:14px">${this.policyText(stats.policy)}</span><br>`;
     });
 
     // Global stats
     const totalLessons = agents.reduce((s, a) => s + a.brain.totalLessons, 0);
     const avgGen = (agents.reduce((s, a) => s + a.brain.generation, 0) / agents.length).toFixed(1);
     html += `<br><small>Всего: ${totalLessons} уроков · Среднее поколение: ${avgGen}</small>`;
+    html += this.sharesText();
 
     this.learnPanel.innerHTML = html;
   }
 
+  // Latest tips / calls still fresh enough to show
+  sharesText() {
+    const now = Date.now();
+    const fresh = this.shares.filter(s => now - s.at < SHARE_SHOW_MS);
+    if (fresh.length === 0) return '';
+    const nameOf = id => {
+      const agent = this.agentManager.agents.find(a => a.id === id);
+      return agent ? agent.profile.name : '?';
+    };
+    let html = '<br><b>СЛУХИ</b>';
+    fresh.forEach(s => {
+      const icon = s.kind === 'call' ? '📢' : '🗣';
+      const color = s.kind === 'call' ? '#fc3' : '#6cf';
+      html += `<br><small><span style="color:${color}">${icon} ${nameOf(s.from)} → ${nameOf(s.to)}</span>: ${s.text}</small>`;
+    });
+    return html;
+  }
+
+  // RL policy progress: table coverage, running reward, exploration rate
+  policyText(policy) {
+    const reward = (policy.avgReward >= 0 ? '+' : '') + policy.avgReward.toFixed(3);
+    const color = policy.avgReward >= 0 ? '#6f6' : '#f66';
+    return `RL ${policy.states}/${policy.stateCount} сост. · награда <span style="color:${color}">${reward}</span> · ε ${policy.epsilon.toFixed(2)}`;
+  }
+
   updateSpeechBubbles() {
     const agents = this.agentManager.agents;
     // Hide speech bubbles in first-person mode (they'd be wrong position)
@@ -178,10 +238,16 @@ export class UIOverlay {
     }
 
     this.fpHud.style.display = 'block';
-    const agents = this.agentManager.agents;
-    const agent = agents.find(a => a.id === this.smartCamera.fpAgentId);
+    const agent = this.agentManager.agents.find(a => a.id === this.smartCamera.fpAgentId);
     if (!agent) return;
 
+    const footer = mode === 'cycle' ? 'Авто-переключение' : 'Клавиши 1-9, 0, [ ]: сменить агента';
+    this.fpHud.innerHTML = this.firstPersonHtml(agent, footer);
+  }
+
+  // First-person HUD contents for one kid (main view and split-screen views)
+  firstPersonHtml(agent, footer = '') {
+    const agents = this.agentManager.agents;
     const colorHex = '#' + agent.profile.color.toString(16).padStart(6, '0');
     const stats = agent.brain.getStats();
     const stateRu = {
@@ -189,13 +255,16 @@ export class UIOverlay {
       'flee': 'УБЕГАЮ!',
       'hunt': 'ЛОВЛЮ!',
       'taunt': 'Ха-ха!',
+      'down': 'Упал!',
     };
-    const stateText = stateRu[agent.state] || agent.state;
+    const huntRu = { search: 'Ищу...', sweep: 'Высматриваю...' };
+    const stateText = (agent.state === 'hunt' && huntRu[agent.perception.mode]) || stateRu[agent.state] || agent.state;
 
     let html = `<div class="fp-name" style="color:${colorHex}">${agent.profile.name}</div>`;
     html += `<div class="fp-state">${stateText}</div>`;
     html += `<div class="fp-desc">${agent.profile.description}</div>`;
     html += `<div class="fp-brain">Поколение: ${stats.generation} · Уроков: ${stats.lessons}</div>`;
+    if (stats.policy) html += `<div class="fp-brain">${this.policyText(stats.policy)}</div>`;
 
     if (agent.isIt) {
       html += `<div class="fp-role" style="color:#ff4444">ВОДЯЩИЙ</div>`;
@@ -227,11 +296,7 @@ export class UIOverlay {
       }
     }
 
-    if (mode === 'cycle') {
-      html += `<div class="fp-cycle">Авто-переключение</div>`;
-    } else {
-      html += `<div class="fp-cycle">Клавиши 1-5: сменить агента</div>`;
-    }
+    if (footer) html += `<div class="fp-cycle">${footer}</div>`;
 
     // Show abilities in FP HUD
     if (this.geneSystem) {
@@ -248,17 +313,25 @@ export class UIOverlay {
         html += `</div>`;
       }
     }
-
-    this.fpHud.innerHTML = html;
+    return html;
   }
 
   updateEvolutionPanel() {
     if (!this.geneSystem) return;
     const agents = this.agentManager.agents;
-    const geneNames = ['speed', 'agility', 'scream', 'fly', 'shield', 'stealth', 'dash'];
-    const geneIcons = { speed: '\u26A1', agility: '\u{1F3C3}', scream: '\u{1F4E2}', fly: '\u{1F985}', shield: '\u{1F6E1}', stealth: '\u{1F47B}', dash: '\u{1F4A8}' };
+    const geneNames = GeneSystem.getGeneNames();
+    // Ability genes show their ability's icon and unlock threshold
+    const geneIcons = { speed: '\u26A1', agility: '\u{1F3C3}' };
+    const thresholds = {};
+    Object.values(ABILITIES).forEach(def => {
+      if (!geneIcons[def.gene]) geneIcons[def.gene] = def.icon;
+      thresholds[def.gene] = Math.min(thresholds[def.gene] ?? 1, def.threshold);
+    });
 
-    let html = '<b>ЭВОЛЮЦИЯ</b><br>';
+    let html = '<b>ЭВОЛЮЦИЯ</b>';
+    const store = this.genomeStore;
+    if (store && store.mode === 'generations') html += ` <small>· поколение ${store.generation}</small>`;
+    html += '<br>';
     agents.forEach(a => {
       const genes = this.geneSystem.getGenes(a.id);
       const unlocked = this.geneSystem.getUnlockedAbilities(a.id);
@@ -282,7 +355,7 @@ export class UIOverlay {
         const val = genes[g] || 0;
         if (val > 0.15) {
           const pct = Math.round(val * 100);
-          const threshold = ABILITIES[g]?.threshold;
+          const threshold = thresholds[g];
           const color = threshold && val >= threshold ? '#0f0' : '#aaa';
           html += `${geneIcons[g] || g}<span style="color:${color}">${pct}%</span> `;
         }
@@ -294,27 +367,24 @@ export class UIOverlay {
     this.evoPanel.innerHTML = html;
   }
 
-  updateEvolutionNotifications() {
-    if (!this.geneSystem) return;
-    const recent = this.geneSystem.getRecentEvolutions(5000);
+  showEvolutionNotifications() {
+    if (this.pendingEvolutions.length === 0) return;
     const agents = this.agentManager.agents;
 
-    recent.forEach(ev => {
-      const key = `${ev.agentId}-${ev.ability}-${ev.time}`;
-      if (this._shownEvolutions.has(key)) return;
-      this._shownEvolutions.add(key);
-
+    this.pendingEvolutions.forEach(ev => {
       const agent = agents[ev.agentId];
-      if (!agent) return;
+      const def = ABILITIES[ev.ability];
+      if (!agent || !def) return;
       const colorHex = '#' + agent.profile.color.toString(16).padStart(6, '0');
 
       const notif = document.createElement('div');
       notif.className = 'evo-notification';
-      notif.innerHTML = `<span style="color:${colorHex}">${agent.profile.name}</span> ${ev.icon} <b>${ev.name}</b>`;
+      notif.innerHTML = `<span style="color:${colorHex}">${agent.profile.name}</span> ${def.icon} <b>${def.name}</b>`;
       this.evoNotify.appendChild(notif);
 
       // Auto-remove after animation
       setTimeout(() => { notif.remove(); }, 4500);
     });
+    this.pendingEvolutions = [];
   }
 }